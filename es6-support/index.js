@@ -22,6 +22,7 @@ export * from './models/Grid'
 export * from './models/MeshLoader'
 export * from './models/MeshResource'
 export * from './models/TriangleList'
+export * from './models/TextLabel'
 
 export * from './navigation/OccupancyGrid'
 export * from './navigation/OccupancyGridClient'
@@ -30,16 +31,32 @@ export * from './navigation/OccupancyGridClientNav'
 export * from './navigation/OccupancyGridClientNav_MW'
 export * from './navigation/Navigator'
 export * from './navigation/Navigator_MW'
+export * from './navigation/GoalValidator'
+export * from './navigation/GoalSnapper'
+export * from './navigation/GridPlanner'
+export * from './navigation/MapToolManager'
+export * from './navigation/MeasureTool'
+export * from './navigation/Waypoint'
+export * from './navigation/WaypointList'
+export * from './navigation/WaypointMission'
+export * from './navigation/MissionYAML'
 export * from './navigation/OcTree'
 export * from './navigation/ColorOcTree'
 export * from './navigation/OcTreeClient'
 export * from './navigation/Odometry'
 export * from './navigation/Path'
 export * from './navigation/Point'
+export * from './navigation/PointPublisher'
 export * from './navigation/Polygon'
 export * from './navigation/Pose'
+export * from './navigation/PoseEstimator'
 export * from './navigation/PoseArray'
 export * from './navigation/PoseWithCovariance'
+export * from './navigation/ROS2ActionClient'
+export * from './navigation/ROS2ActionGoal'
+export * from './navigation/ZoneEditor'
+export * from './navigation/RoadmapEditor'
+export * from './navigation/RoutePreview'
 
 export * from './sensors/LaserScan'
 export * from './sensors/NavSatFix'
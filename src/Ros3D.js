@@ -51,6 +51,18 @@ ROS3D.INTERACTIVE_MARKER_INHERIT = 0;
 ROS3D.INTERACTIVE_MARKER_FIXED = 1;
 ROS3D.INTERACTIVE_MARKER_VIEW_FACING = 2;
 
+// Action goal status (actionlib_msgs/GoalStatus)
+ROS3D.GOAL_STATUS_PENDING = 0;
+ROS3D.GOAL_STATUS_ACTIVE = 1;
+ROS3D.GOAL_STATUS_PREEMPTED = 2;
+ROS3D.GOAL_STATUS_SUCCEEDED = 3;
+ROS3D.GOAL_STATUS_ABORTED = 4;
+ROS3D.GOAL_STATUS_REJECTED = 5;
+ROS3D.GOAL_STATUS_PREEMPTING = 6;
+ROS3D.GOAL_STATUS_RECALLING = 7;
+ROS3D.GOAL_STATUS_RECALLED = 8;
+ROS3D.GOAL_STATUS_LOST = 9;
+
 /**
  * @function makeColorMaterial
  * @description Create a THREE material based on the given RGBA values.
@@ -177,3 +189,211 @@ ROS3D.closestAxisPoint = function(axisRay, camera, mousePos) {
 
   return ROS3D.findClosestPoint(axisRay, mpRay);
 };
+
+/**
+ * @function calculateEventPOI
+ * @description Find where the mouse is on the object that received the first event of a drag (e.g. the mousedown).
+ * While dragging, ROS3D.MouseHandler keeps sending the events to the same target with its first intersection,
+ * so the mouse ray is intersected again with the plane of the object (OccupancyGrid) or with the object itself.
+ *
+ * @param event3D - the event3D of the mouse event
+ * @returns the THREE.Vector3 (world coordinates), the point of event3D.intersection if the object is missed
+ */
+ROS3D.calculateEventPOI = function(event3D) {
+  var poi = new THREE.Vector3();
+  var mouseRaycaster = new THREE.Raycaster();
+  mouseRaycaster.params.Line.threshold = 0.001;
+  mouseRaycaster.setFromCamera(event3D.mousePos, event3D.camera);
+
+  if (event3D.intersection.object.plane) {
+    // https://discourse.threejs.org/t/raycaster-ray-intersecting-plane/2500
+    if (mouseRaycaster.ray.intersectPlane(event3D.intersection.object.plane, poi) === null) {
+      poi.copy(event3D.intersection.point);
+    }
+  } else {
+    var newIntersections = mouseRaycaster.intersectObject(event3D.intersection.object);
+    if (newIntersections.length) {
+      poi.copy(newIntersections[0].point);
+    } else {
+      poi.copy(event3D.intersection.point);
+    }
+  }
+  return poi;
+};
+
+/**
+ * @function calculateDragPOI
+ * @description Find where the mouse is on the plane through the given point, e.g. to orient a goal by dragging
+ * the mouse around it, even when the mouse leaves the object (voxels, mesh, ...) the goal was placed on.
+ *
+ * @param event3D - the event3D of the mouse event
+ * @param point - a point of the plane (anything with x, y and z), in world coordinates
+ * @param normal (optional) - the normal of the plane (THREE.Vector3), defaults to the view direction of the camera
+ * @returns the THREE.Vector3 (world coordinates), the result of ROS3D.calculateEventPOI if the plane is missed
+ */
+ROS3D.calculateDragPOI = function(event3D, point, normal) {
+  var mouseRaycaster = new THREE.Raycaster();
+  mouseRaycaster.setFromCamera(event3D.mousePos, event3D.camera);
+  normal = normal || event3D.camera.getWorldDirection(new THREE.Vector3());
+
+  var plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, new THREE.Vector3(point.x, point.y, point.z));
+  var poi = new THREE.Vector3();
+  if (mouseRaycaster.ray.intersectPlane(plane, poi) === null) {
+    return ROS3D.calculateEventPOI(event3D);
+  }
+  return poi;
+};
+
+/**
+ * @function calculateOrientation3D
+ * @description The orientation pointing from p1 to p2: the yaw around z, then the pitch (positive when p2 is
+ * below p1, as in ROS), without roll.
+ *
+ * @param p1 - the origin (anything with x, y and z)
+ * @param p2 - the point to look at (anything with x, y and z)
+ * @returns the ROSLIB.Quaternion, the identity if the points are the same
+ */
+ROS3D.calculateOrientation3D = function(p1, p2) {
+  var dx = p2.x - p1.x;
+  var dy = p2.y - p1.y;
+  var dz = p2.z - p1.z;
+  if (dx === 0 && dy === 0 && dz === 0) {
+    return new ROSLIB.Quaternion();
+  }
+  var yaw = Math.atan2(dy, dx);
+  var pitch = Math.atan2(-dz, Math.hypot(dx, dy));
+  var q = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, pitch, yaw, 'ZYX'));
+  return new ROSLIB.Quaternion({x: q.x, y: q.y, z: q.z, w: q.w});
+};
+
+/**
+ * @function makePolygonLine
+ * @description Create the closed line of a polygon, as drawn by ROS3D.Polygon.
+ *
+ * @param points - the vertices of the polygon (anything with x, y and z)
+ * @param color - the color of the line
+ * @returns the THREE.Line
+ */
+ROS3D.makePolygonLine = function(points, color) {
+  var lineGeometry = new THREE.Geometry();
+  for (var i = 0; i < points.length; i++) {
+    lineGeometry.vertices.push(new THREE.Vector3(points[i].x, points[i].y, points[i].z));
+  }
+  if (points.length > 0) {
+    lineGeometry.vertices.push(new THREE.Vector3(points[0].x, points[0].y, points[0].z));
+  }
+  var lineMaterial = new THREE.LineBasicMaterial( { color: color } );
+  var line = new THREE.Line( lineGeometry, lineMaterial );
+  line.computeLineDistances();
+  return line;
+};
+
+/**
+ * The builders of the goal messages of the navigation actions, by name (see navOptions.goalBuilder of
+ * ROS3D.Navigator and navOptions.routeBuilder of ROS3D.Navigator_MW). A builder is called with the goal
+ * (a ROSLIB.Pose, or the list of poses of a route) and the navigator, and returns the goal message.
+ * Builders of other actions can be added to this object.
+ */
+ROS3D.goalMessageBuilders = {
+  // move_base_msgs/MoveBaseAction
+  move_base : function(pose, navigator) {
+    return { target_pose : ROS3D.makePoseStamped(pose, navigator.navigatorFrameID) };
+  },
+  // roamer_msgs/MoveBaseAction, since prio=0 can't override previous prio=0 goals, the default priority is 1
+  roamer : function(pose, navigator) {
+    return {
+      target_pose : ROS3D.makePoseStamped(pose, navigator.navigatorFrameID),
+      priority_val : (pose.priority !== undefined) ? pose.priority : navigator.goalPriority,
+    };
+  },
+  // nav2_msgs/action/NavigateToPose
+  navigate_to_pose : function(pose, navigator) {
+    return {
+      pose : ROS3D.makePoseStamped(pose, navigator.navigatorFrameID),
+      behavior_tree : '',
+    };
+  },
+  // nav2_msgs/action/NavigateThroughPoses
+  navigate_through_poses : function(poses, navigator) {
+    return {
+      poses : poses.map(function(pose) {
+        return ROS3D.makePoseStamped(pose, navigator.navigatorFrameID);
+      }),
+      behavior_tree : '',
+    };
+  },
+};
+
+/**
+ * @function getGoalMessageBuilder
+ * @description Find the builder of the goal messages of a navigation action (see goalMessageBuilders).
+ *
+ * @param builder - a builder function, the name of a builder, or null for the builder of the action type
+ * @param actionName - the action type, like 'move_base_msgs/MoveBaseAction'
+ * @returns the builder function
+ */
+ROS3D.getGoalMessageBuilder = function(builder, actionName) {
+  if (typeof builder === 'function') {
+    return builder;
+  }
+  if (!builder) {
+    switch (actionName) {
+      case 'roamer_msgs/MoveBaseAction':
+        builder = 'roamer';
+        break;
+      case 'nav2_msgs/action/NavigateToPose':
+      case 'nav2_msgs/NavigateToPose':
+        builder = 'navigate_to_pose';
+        break;
+      case 'nav2_msgs/action/NavigateThroughPoses':
+      case 'nav2_msgs/NavigateThroughPoses':
+        builder = 'navigate_through_poses';
+        break;
+      default:
+        builder = 'move_base';
+    }
+  }
+  var builderFunction = ROS3D.goalMessageBuilders[builder];
+  if (!builderFunction) {
+    throw Error(`Unknown goal message builder: ${builder}.`);
+  }
+  return builderFunction;
+};
+
+/**
+ * @function makePoseStamped
+ * @description Create a geometry_msgs/PoseStamped message, without the extra fields of the pose (e.g. of ROS3D.Waypoint).
+ *
+ * @param pose - the pose (ROSLIB.Pose)
+ * @param frameID - the frame of the pose
+ * @returns the message
+ */
+ROS3D.makePoseStamped = function(pose, frameID) {
+  return {
+    header : {
+      frame_id : frameID,
+    },
+    pose : {
+      position : {x: pose.position.x, y: pose.position.y, z: pose.position.z},
+      orientation : {x: pose.orientation.x, y: pose.orientation.y, z: pose.orientation.z, w: pose.orientation.w},
+    },
+  };
+};
+
+/**
+ * @function createActionGoal
+ * @description Create a goal of a navigation action client, it is sent by its send method.
+ *
+ * @param actionClient - the ROSLIB.ActionClient or ROS3D.ROS2ActionClient
+ * @param goalMessage - the goal message
+ * @returns the ROSLIB.Goal or ROS3D.ROS2ActionGoal
+ */
+ROS3D.createActionGoal = function(actionClient, goalMessage) {
+  if (actionClient.createGoal) {
+    return actionClient.createGoal(goalMessage);
+  }
+  return new ROSLIB.Goal({
+    actionClient : actionClient,
+    goalMessage : goalMessage
+  });
+};
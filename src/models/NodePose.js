@@ -54,6 +54,8 @@ ROS3D.NodePose = function(options) {
 
   THREE.Mesh.call(this, geometry, material);
 
+  this.radius = radius;
+  this.arrowHeadHeight = arrowHeadHeight;
   this.position.copy(origin);
   this.setDirection(direction);
 };
@@ -7,6 +7,9 @@
  * A NodePoseConnector is a THREE object that can be used to display a straight link between two posistions (xyz).
  * It consists of an arrow head in the middle of p1 and p2, and shafts coming out of p1 and p2 as illustrated below:
  * p1 ------>------ p2
+ *
+ * A two-way connector has two opposite arrow heads in the middle:
+ * p1 -----<>----- p2
  * 
  * If distance between p1 and p2 is too short, this will not generate a geometry, thus is NOT RENDERABLE.
  * If combined shaft lengths is less than the arrowhead length, only arrow head will be shown.
@@ -22,6 +25,7 @@
  *   * offsetLength (optional) - distance from the given point on which the geometry will start, 
  *                                set to 0 if you want the shaft to start on exactly p1/p2
  *   * material (optional) - the material to use for this arrow
+ *   * twoWay (optional) - show two opposite arrow heads, for a link going both ways (default: false)
  */
 ROS3D.NodePoseConnector = function(options) {
   options = options || {};
@@ -32,8 +36,11 @@ ROS3D.NodePoseConnector = function(options) {
   var offsetLength = options.offsetLength || 0.22;     // length from point to the start of the actual mesh
 
   var material = options.material || new THREE.MeshBasicMaterial();
+  this.twoWay = !!options.twoWay;
 
-  var minP2PLength = headLength + (2 * offsetLength);
+  // length taken by the arrow head(s) in the middle
+  var headsLength = this.twoWay ? 2 * headLength : headLength;
+  var minP2PLength = headsLength + (2 * offsetLength);
 
   // If shaft radius is smaller than arrow head radius, adjust shaft radius
   if (shaftRadius > headRadius){
@@ -53,9 +60,9 @@ ROS3D.NodePoseConnector = function(options) {
   this.p2pLength = this.p1.distanceTo(this.p2);
 
   // there are 2 shafts. shaftLength is the length of 1 shaft
-  var shaftLength = ((this.p2pLength - headLength) * 0.5) - offsetLength;
+  var shaftLength = ((this.p2pLength - headsLength) * 0.5) - offsetLength;
 
-  // if the distance between the 2 given points is less than the minimum (2*offset + arrowhead length), dont create mesh.
+  // if the distance between the 2 given points is less than the minimum (2*offset + arrowheads length), dont create mesh.
   if (this.p2pLength < minP2PLength){
     return;
   }
@@ -64,8 +71,20 @@ ROS3D.NodePoseConnector = function(options) {
   // Create head on the middle of the connector
   var m = new THREE.Matrix4();
   var geometry = new THREE.CylinderGeometry(0, headRadius, headLength, 24, 1);
-  m.setPosition(new THREE.Vector3(0, this.p2pLength * 0.5, 0));
-  geometry.applyMatrix4(m);
+  if (this.twoWay){
+    // the second head points back to p1, both heads meet in the middle
+    var backHeadGeometry = geometry.clone();
+    m.makeRotationX(Math.PI);
+    m.setPosition(new THREE.Vector3(0, (this.p2pLength - headLength) * 0.5, 0));
+    backHeadGeometry.applyMatrix4(m);
+    m.identity();
+    m.setPosition(new THREE.Vector3(0, (this.p2pLength + headLength) * 0.5, 0));
+    geometry.applyMatrix4(m);
+    geometry.merge(backHeadGeometry);
+  } else {
+    m.setPosition(new THREE.Vector3(0, this.p2pLength * 0.5, 0));
+    geometry.applyMatrix4(m);
+  }
   
   // Only create shaft when a combined shaft length is at least the same length as the arrowhead length
   if (shaftLength * 2 > headLength){
@@ -73,7 +92,7 @@ ROS3D.NodePoseConnector = function(options) {
     var shaftGeometry2 = shaftGeometry1.clone();
     m.setPosition(new THREE.Vector3(0, (shaftLength * 0.5) + offsetLength, 0));
     shaftGeometry1.applyMatrix4(m);
-    m.setPosition(new THREE.Vector3(0, (shaftLength * 1.5) + offsetLength + headLength, 0));
+    m.setPosition(new THREE.Vector3(0, (shaftLength * 1.5) + offsetLength + headsLength, 0));
     shaftGeometry2.applyMatrix4(m);
     
     // put the connector together
@@ -0,0 +1,103 @@
+/**
+ * @fileOverview
+ * @author Randel Capati - randelmc21@gmail.com
+ */
+
+/**
+ * A TextLabel is a THREE object that displays a single line of text, always facing the camera (like
+ * the TEXT_VIEW_FACING marker). It is drawn on top of the scene so it is not hidden by the map.
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *
+ *   * text (optional) - the text to display
+ *   * color (optional) - CSS color of the text (default: '#ffffff')
+ *   * backgroundColor (optional) - CSS color of the background, null for none (default: 'rgba(0, 0, 0, 0.5)')
+ *   * height (optional) - height of the text in meters (default: 0.2)
+ *   * screenHeight (optional) - if given, the text keeps the same size on screen whatever the zoom,
+ *                               as a fraction of the height of the viewport (e.g. 0.03), height is then ignored
+ */
+ROS3D.TextLabel = function(options) {
+  options = options || {};
+  var screenHeight = options.screenHeight || 0;
+
+  var material = new THREE.SpriteMaterial({
+    depthTest : false,
+    sizeAttenuation : !screenHeight,
+  });
+  THREE.Sprite.call(this, material);
+  this.renderOrder = 1;
+
+  this.color = options.color || '#ffffff';
+  this.backgroundColor = (options.backgroundColor !== undefined) ? options.backgroundColor : 'rgba(0, 0, 0, 0.5)';
+  this.textHeight = options.height || 0.2;
+  this.screenHeight = screenHeight;
+
+  this.canvas = document.createElement('canvas');
+  this.texture = new THREE.Texture(this.canvas);
+  this.texture.minFilter = THREE.LinearFilter;
+  this.material.map = this.texture;
+
+  this.text = null;
+  this.setText(options.text || '');
+};
+ROS3D.TextLabel.prototype.__proto__ = THREE.Sprite.prototype;
+
+/**
+ * Set the text of this label.
+ *
+ * @param text - the text to display
+ */
+ROS3D.TextLabel.prototype.setText = function(text) {
+  text = String(text);
+  if (text === this.text) {
+    return;
+  }
+  this.text = text;
+
+  // ( code from the TEXT_VIEW_FACING of ROS3D.Marker )
+  var context = this.canvas.getContext('2d');
+  var fontHeight = 64;
+  var padding = fontHeight * 0.25;
+  var fontString = 'normal ' + fontHeight + 'px sans-serif';
+  context.font = fontString;
+  var textWidth = Math.max(context.measureText(text).width, 1);
+
+  this.canvas.width = textWidth + 2 * padding;
+  this.canvas.height = fontHeight * 1.5;
+
+  // this does need to be set again, after resizing the canvas
+  context.font = fontString;
+  if (this.backgroundColor) {
+    context.fillStyle = this.backgroundColor;
+    context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+  context.fillStyle = this.color;
+  context.textAlign = 'left';
+  context.textBaseline = 'middle';
+  context.fillText(text, padding, this.canvas.height / 2);
+  this.texture.needsUpdate = true;
+
+  var height = this.screenHeight || this.textHeight;
+  this.scale.set(this.canvas.width / this.canvas.height * height, height, 1);
+};
+
+/**
+ * Set the color of the text.
+ *
+ * @param color - the CSS color
+ */
+ROS3D.TextLabel.prototype.setColor = function(color) {
+  this.color = color;
+  var text = this.text;
+  this.text = null;           // force a redraw
+  this.setText(text);
+};
+
+/*
+ * Free memory of elements in this label.
+ */
+ROS3D.TextLabel.prototype.dispose = function() {
+  this.texture.dispose();
+  this.material.dispose();
+};
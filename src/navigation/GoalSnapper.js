@@ -0,0 +1,96 @@
+/**
+ * @fileOverview
+ * @author Randel Capati - randelmc21@gmail.com
+ */
+
+/**
+ * A GoalSnapper snaps the goals placed with the mouse, so that robots get exact headings (e.g. to dock at
+ * 0/90/180/270 degrees) and positions. Used by ROS3D.Navigator and ROS3D.Navigator_MW through their
+ * navOptions.goalSnapping, the intermediate marker shows the snapped goal while dragging.
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *
+ *   * yawStep (optional) - the yaw is snapped to multiples of this (in degrees), 0 for no yaw snapping (default: 90)
+ *   * position (optional) - 'none' (default), 'grid' to snap to the grid below, or 'cells' to snap to the
+ *                           cell centers of the map of the root object (ROS3D.OccupancyGridClientNav)
+ *   * gridSize (optional) - the size (in meters) of the grid of the 'grid' snapping (default: 0.5)
+ *   * gridOrigin (optional) - a point {x, y} of the grid, in the frame of the navigator (default: {x: 0, y: 0})
+ *   * enabled (optional) - if snapping is on (default: true)
+ *   * modifierKey (optional) - the key toggling snapping while it is held, the name of the key property of
+ *                              the mouse event: 'shiftKey' (default), 'ctrlKey', 'altKey' or 'metaKey',
+ *                              null for no modifier key
+ */
+ROS3D.GoalSnapper = function(options) {
+  options = options || {};
+  this.yawStep = (options.yawStep !== undefined) ? options.yawStep : 90;
+  this.position = options.position || 'none';
+  this.gridSize = options.gridSize || 0.5;
+  this.gridOrigin = options.gridOrigin || {x: 0, y: 0};
+  this.enabled = (options.enabled !== undefined) ? options.enabled : true;
+  this.modifierKey = (options.modifierKey !== undefined) ? options.modifierKey : 'shiftKey';
+};
+
+/**
+ * Check if snapping applies to a mouse event: the modifier key inverts the enabled state while it is held.
+ *
+ * @param event3D (optional) - the event3D of the mouse event
+ * @returns true if the goal should be snapped
+ */
+ROS3D.GoalSnapper.prototype.isActive = function(event3D){
+  var domEvent = event3D && event3D.domEvent;
+  var toggled = !!(this.modifierKey && domEvent && domEvent[this.modifierKey]);
+  return this.enabled !== toggled;
+};
+
+/**
+ * Snap a position of a goal (see options.position).
+ *
+ * @param navigator - the ROS3D.Navigator or ROS3D.Navigator_MW of the goal
+ * @param position - the ROSLIB.Vector3 in the frame of the navigator
+ * @returns the snapped ROSLIB.Vector3
+ */
+ROS3D.GoalSnapper.prototype.snapPosition = function(navigator, position){
+  var x = position.x;
+  var y = position.y;
+  switch(this.position){
+    case 'grid':
+      x = Math.round((x - this.gridOrigin.x) / this.gridSize) * this.gridSize + this.gridOrigin.x;
+      y = Math.round((y - this.gridOrigin.y) / this.gridSize) * this.gridSize + this.gridOrigin.y;
+      break;
+    case 'cells': {
+      var grid = navigator.rootObject && navigator.rootObject.currentGrid;
+      if (!grid || !grid.getCellCenter){
+        break;        // nothing to snap to
+      }
+      var center = grid.getCellCenter(navigator.localToWorld(new THREE.Vector3(x, y, position.z)));
+      if (center){
+        center = navigator.worldToLocal(center);
+        x = center.x;
+        y = center.y;
+      }
+      break;
+    }
+    default:
+      break;
+  }
+  return new ROSLIB.Vector3({x: x, y: y, z: position.z});
+};
+
+/**
+ * Snap the yaw of an orientation of a goal to multiples of options.yawStep, its pitch and roll are kept.
+ *
+ * @param orientation - the ROSLIB.Quaternion
+ * @returns the snapped ROSLIB.Quaternion
+ */
+ROS3D.GoalSnapper.prototype.snapOrientation = function(orientation){
+  if (!this.yawStep){
+    return orientation;
+  }
+  var step = this.yawStep * Math.PI / 180;
+  var euler = new THREE.Euler().setFromQuaternion(
+    new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w), 'ZYX');
+  euler.z = Math.round(euler.z / step) * step;
+  var q = new THREE.Quaternion().setFromEuler(euler);
+  return new ROSLIB.Quaternion({x: q.x, y: q.y, z: q.z, w: q.w});
+};
@@ -0,0 +1,84 @@
+/**
+ * @fileOverview
+ * @author Randel Capati - randelmc21@gmail.com
+ */
+
+/**
+ * A GoalValidator checks navigation goals against the cells of an occupancy grid (ROS3D.OccupancyGrid),
+ * so that goals inside walls or unknown space are not sent. Used by ROS3D.Navigator and ROS3D.Navigator_MW
+ * through their navOptions.goalValidation.
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *
+ *   * mode (optional) - 'reject' (default) to refuse invalid goals, 'warn' to only warn about them
+ *   * occupiedThreshold (optional) - cells with a value at or above this ([0, 100]) are occupied (default: 65)
+ *   * allowUnknown (optional) - accept goals on unknown cells (value -1) and outside the grid (default: false)
+ *   * footprintRadius (optional) - radius (in meters) of the robot, all the cells within it are checked,
+ *                                  0 to check the goal cell only (default: 0)
+ */
+ROS3D.GoalValidator = function(options) {
+  options = options || {};
+  this.mode = options.mode || 'reject';
+  this.occupiedThreshold = (options.occupiedThreshold !== undefined) ? options.occupiedThreshold : 65;
+  this.allowUnknown = options.allowUnknown || false;
+  this.footprintRadius = options.footprintRadius || 0;
+};
+
+/**
+ * Check the cells at the given point.
+ *
+ * @param grid - the ROS3D.OccupancyGrid
+ * @param point - THREE.Vector3 in world coordinates
+ * @returns {valid, reason, value} where reason is 'occupied', 'unknown' or 'outside' for invalid goals,
+ *          and value the value of the offending cell
+ */
+ROS3D.GoalValidator.prototype.validate = function(grid, point){
+  var values = grid.getValuesInRadius(point, this.footprintRadius);
+  for (var i = 0; i < values.length; i++){
+    var value = values[i];
+    if (value === undefined){
+      if (!this.allowUnknown){
+        return {valid: false, reason: 'outside', value: value};
+      }
+    } else if (value < 0){
+      if (!this.allowUnknown){
+        return {valid: false, reason: 'unknown', value: value};
+      }
+    } else if (value >= this.occupiedThreshold){
+      return {valid: false, reason: 'occupied', value: value};
+    }
+  }
+  return {valid: true, reason: null, value: values[0]};
+};
+
+/**
+ * Check a goal of a navigator against the current grid of its root object (ROS3D.OccupancyGridClientNav).
+ * Emits 'goalRejected' (or 'goalWarning' in 'warn' mode) on the root object of the navigator with
+ * {pose, reason, value} for invalid goals.
+ *
+ * @param navigator - the ROS3D.Navigator or ROS3D.Navigator_MW
+ * @param pose - the ROSLIB.Pose of the goal, in the frame of the navigator
+ * @returns true if the goal can be sent
+ */
+ROS3D.GoalValidator.prototype.check = function(navigator, pose){
+  var grid = navigator.rootObject && navigator.rootObject.currentGrid;
+  if (!grid || !grid.mapInternalData){
+    return true;        // nothing to validate against
+  }
+  var point = navigator.localToWorld(new THREE.Vector3(pose.position.x, pose.position.y, pose.position.z));
+  var result = this.validate(grid, point);
+  if (result.valid){
+    return true;
+  }
+
+  var event = {pose: pose, reason: result.reason, value: result.value};
+  if (this.mode === 'warn'){
+    console.debug('Goal at (' + pose.position.x + ', ' + pose.position.y + ') is ' + result.reason + '.');
+    navigator.rootObject.emit('goalWarning', event);
+    return true;
+  }
+  console.debug('Goal at (' + pose.position.x + ', ' + pose.position.y + ') rejected, it is ' + result.reason + '.');
+  navigator.rootObject.emit('goalRejected', event);
+  return false;
+};
@@ -0,0 +1,405 @@
+/**
+ * @fileOverview
+ * @author Randel Capati - randelmc21@gmail.com
+ */
+
+/**
+ * A GridPlanner plans a route on the map in the browser, e.g. to preview a plausible route when no planner
+ * service is available. It runs A* with 8-connectivity (see search) on the mapInternalData of a
+ * ROS3D.OccupancyGrid, large maps are searched in a Web Worker (when available) so that the viewer does not stall.
+ *
+ * The result is shaped like a nav_msgs/Path, so that it can be rendered with ROS3D.Path (processMessage) or
+ * published, e.g.:
+ *
+ *   planner.plan({x: 0, y: 0}, {x: 4, y: 2}).then((path) => pathDisplay.processMessage(path));
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *
+ *   * grid - the ROS3D.OccupancyGrid, or an object with a currentGrid (e.g. ROS3D.OccupancyGridClient) to
+ *            always plan on its latest map
+ *   * frameID (optional) - the frame of the map, of the given points and of the result (default: 'map')
+ *   * occupancyThreshold (optional) - cells with a value of at least this ([0, 100]) are obstacles (default: 65)
+ *   * allowUnknown (optional) - if the route can go through unknown cells (default: false)
+ *   * inflationRadius (optional) - the distance (in meters) to keep from the obstacles, 0 for none (default: 0)
+ *   * workerMinCells (optional) - maps with at least this number of cells are searched in a Web Worker,
+ *                                 0 for always, Infinity for never (default: 40000)
+ */
+ROS3D.GridPlanner = function(options) {
+  options = options || {};
+  this.grid = options.grid;
+  this.frameID = options.frameID || 'map';
+  this.occupancyThreshold = (options.occupancyThreshold !== undefined) ? options.occupancyThreshold : 65;
+  this.allowUnknown = !!options.allowUnknown;
+  this.inflationRadius = options.inflationRadius || 0;
+  this.workerMinCells = (options.workerMinCells !== undefined) ? options.workerMinCells : 40000;
+
+  this.worker = null;             // the worker of the running search, {worker, reject}
+  this.generation = 0;            // increased by each plan and cancel, to drop the results of the former requests
+  this.workerURL = null;          // the URL of the worker script, created on first use
+};
+
+// The ROS3D.OccupancyGrid to plan on, null if there is no map yet
+ROS3D.GridPlanner.prototype.getGrid = function(){
+  var grid = (this.grid && this.grid.currentGrid !== undefined) ? this.grid.currentGrid : this.grid;
+  return (grid && grid.mapInternalData) ? grid : null;
+};
+
+/**
+ * Plan a route. A new plan cancels the running one.
+ *
+ * @param start - the start (anything with x and y, e.g. ROSLIB.Vector3) in frameID
+ * @param goal - the goal (anything with x and y) in frameID
+ * @param goalOrientation (optional) - the orientation of the last pose (ROSLIB.Quaternion), default: the direction of
+ *                                     the last segment
+ * @returns a Promise of the nav_msgs/Path, rejected if there is no route or if the plan is canceled (by cancel or a
+ *          newer plan)
+ */
+ROS3D.GridPlanner.prototype.plan = function(start, goal, goalOrientation){
+  this.cancel();
+  var generation = this.generation;
+  var checkCurrent = () => {
+    if (generation !== this.generation){
+      throw Error('The planning was canceled.');
+    }
+  };
+  var grid = this.getGrid();
+  if (!grid){
+    return Promise.reject(Error('No map to plan on.'));
+  }
+  var startCell = this.pointToCell(grid, start);
+  var goalCell = this.pointToCell(grid, goal);
+  if (!startCell){
+    return Promise.reject(Error('The start is outside of the map.'));
+  }
+  if (!goalCell){
+    return Promise.reject(Error('The goal is outside of the map.'));
+  }
+
+  var request = {
+    data : grid.mapInternalData,
+    width : grid.mapWidth,
+    height : grid.mapHeight,
+    threshold : this.occupancyThreshold,
+    allowUnknown : this.allowUnknown,
+    inflation : this.inflationRadius / grid.mapResolution,
+    start : startCell,
+    goal : goalCell,
+  };
+  var search = (this.canUseWorker() && request.width * request.height >= this.workerMinCells) ?
+    this.searchInWorker(request) : Promise.resolve().then(() => {
+      checkCurrent();
+      return this.search(request);
+    });
+
+  return search.then((result) => {
+    checkCurrent();
+    if (result.error){
+      throw Error(result.error);
+    }
+    return this.createPath(grid, result.path, start, goal, goalOrientation);
+  });
+};
+
+/**
+ * Cancel the running plan, its Promise is rejected (even if the search already finished). A search in a Web Worker
+ * is stopped.
+ */
+ROS3D.GridPlanner.prototype.cancel = function(){
+  this.generation++;
+  if (this.worker){
+    this.worker.worker.terminate();
+    this.worker.reject(Error('The planning was canceled.'));
+    this.worker = null;
+  }
+};
+
+ROS3D.GridPlanner.prototype.canUseWorker = function(){
+  return typeof Worker !== 'undefined' && typeof Blob !== 'undefined' && typeof URL !== 'undefined' &&
+         !!URL.createObjectURL;
+};
+
+/**
+ * A* search with 8-connectivity on the cells of an occupancy grid, used by plan. Diagonal moves do not cut the
+ * corners of the blocked cells. The start cell may be in the inflation of an obstacle (the robot is already there,
+ * the inflation around it is ignored), the goal cell may not.
+ * This method is self-contained (it is also run in a Web Worker from its source, see searchInWorker), do not use
+ * this or anything outside of it.
+ *
+ * @param request - object with following keys:
+ *
+ *   * data - the cells, row by row (nav_msgs/OccupancyGrid data: [0, 100], -1 for unknown)
+ *   * width - the width of the grid (cells)
+ *   * height - the height of the grid (cells)
+ *   * threshold - cells with a value of at least this are obstacles
+ *   * allowUnknown - if the unknown cells can be traveled
+ *   * inflation - the radius around the obstacles that is blocked too (cells)
+ *   * start - the start cell [col, row]
+ *   * goal - the goal cell [col, row]
+ * @returns {path: [[col, row], ...]} from start to goal, or {error: message}
+ */
+ROS3D.GridPlanner.prototype.search = function(request) {
+  var width = request.width;
+  var height = request.height;
+  var data = request.data;
+  var size = width * height;
+  var start = request.start[0] + request.start[1] * width;
+  var goal = request.goal[0] + request.goal[1] * width;
+
+  // 1: obstacle, 2: inflated
+  var blocked = new Uint8Array(size);
+  var i, k;
+  for (i = 0; i < size; i++) {
+    var value = data[i];
+    if (value >= request.threshold || (value < 0 && !request.allowUnknown)) {
+      blocked[i] = 1;
+    }
+  }
+  var r = request.inflation;
+  var offsets = [];           // the cells around a cell within the inflation radius
+  if (r > 0) {
+    for (var dy = -Math.ceil(r); dy <= Math.ceil(r); dy++) {
+      for (var dx = -Math.ceil(r); dx <= Math.ceil(r); dx++) {
+        if ((dx || dy) && dx * dx + dy * dy <= r * r) {
+          offsets.push([dx, dy]);
+        }
+      }
+    }
+    for (i = 0; i < size; i++) {
+      if (blocked[i] !== 1 || data[i] < 0) {
+        continue;       // only the known obstacles are inflated
+      }
+      var col = i % width;
+      var row = (i - col) / width;
+      for (k = 0; k < offsets.length; k++) {
+        var c = col + offsets[k][0];
+        var rr = row + offsets[k][1];
+        if (c >= 0 && rr >= 0 && c < width && rr < height && !blocked[c + rr * width]) {
+          blocked[c + rr * width] = 2;
+        }
+      }
+    }
+  }
+  if (blocked[start] === 1) {
+    return { error: 'The start is not free.' };
+  }
+  if (blocked[start] === 2) {
+    // let the robot get out of the inflation: free the inflated cells around it
+    for (k = 0; k < offsets.length; k++) {
+      var sc = request.start[0] + offsets[k][0];
+      var sr = request.start[1] + offsets[k][1];
+      if (sc >= 0 && sr >= 0 && sc < width && sr < height && blocked[sc + sr * width] === 2) {
+        blocked[sc + sr * width] = 0;
+      }
+    }
+    blocked[start] = 0;
+  }
+  if (blocked[goal]) {
+    return { error: 'The goal is not free.' };
+  }
+
+  var goalCol = request.goal[0];
+  var goalRow = request.goal[1];
+  var heuristic = function(index) {
+    // octile distance
+    var dx = Math.abs(index % width - goalCol);
+    var dy = Math.abs(Math.floor(index / width) - goalRow);
+    return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+  };
+
+  // binary heap of cell indices, ordered by f
+  var heap = [];
+  var heapF = [];
+  var push = function(index, f) {
+    var n = heap.length;
+    heap.push(index);
+    heapF.push(f);
+    while (n > 0) {
+      var parent = (n - 1) >> 1;
+      if (heapF[parent] <= f) {
+        break;
+      }
+      heap[n] = heap[parent];
+      heapF[n] = heapF[parent];
+      n = parent;
+    }
+    heap[n] = index;
+    heapF[n] = f;
+  };
+  var pop = function() {
+    var top = heap[0];
+    var lastIndex = heap.pop();
+    var lastF = heapF.pop();
+    var n = 0;
+    var length = heap.length;
+    if (length) {
+      for (;;) {
+        var child = 2 * n + 1;
+        if (child >= length) {
+          break;
+        }
+        if (child + 1 < length && heapF[child + 1] < heapF[child]) {
+          child++;
+        }
+        if (heapF[child] >= lastF) {
+          break;
+        }
+        heap[n] = heap[child];
+        heapF[n] = heapF[child];
+        n = child;
+      }
+      heap[n] = lastIndex;
+      heapF[n] = lastF;
+    }
+    return top;
+  };
+
+  var g = new Float64Array(size).fill(Infinity);
+  var cameFrom = new Int32Array(size).fill(-1);
+  var closed = new Uint8Array(size);
+  var moves = [[1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+               [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]];
+  g[start] = 0;
+  push(start, heuristic(start));
+  while (heap.length) {
+    var current = pop();
+    if (current === goal) {
+      var path = [];
+      for (var cell = goal; cell >= 0; cell = cameFrom[cell]) {
+        path.push([cell % width, Math.floor(cell / width)]);
+      }
+      return { path: path.reverse() };
+    }
+    if (closed[current]) {
+      continue;         // already expanded with a lower cost
+    }
+    closed[current] = 1;
+    var x = current % width;
+    var y = (current - x) / width;
+    for (var m = 0; m < moves.length; m++) {
+      var nx = x + moves[m][0];
+      var ny = y + moves[m][1];
+      if (nx < 0 || ny < 0 || nx >= width || ny >= height) {
+        continue;
+      }
+      var next = nx + ny * width;
+      if (blocked[next] || closed[next]) {
+        continue;
+      }
+      if (moves[m][0] && moves[m][1] && (blocked[nx + y * width] || blocked[x + ny * width])) {
+        continue;       // corner cutting
+      }
+      var cost = g[current] + moves[m][2];
+      if (cost < g[next]) {
+        g[next] = cost;
+        cameFrom[next] = current;
+        push(next, cost + heuristic(next));
+      }
+    }
+  }
+  return { error: 'No path found.' };
+};
+
+// Run search in a Web Worker, created from its source
+ROS3D.GridPlanner.prototype.searchInWorker = function(request){
+  if (!this.workerURL){
+    var search = this.search.toString();
+    if (!/^function\b/.test(search)){
+      search = 'function ' + search;          // method syntax, search(request) {...}
+    }
+    var source = 'var search = ' + search + ';\n' +
+                 'self.onmessage = function(event) { self.postMessage(search(event.data)); };';
+    this.workerURL = URL.createObjectURL(new Blob([source], {type: 'application/javascript'}));
+  }
+  var data = Int8Array.from(request.data);       // a copy, transferred to the worker
+  request = Object.assign({}, request, {data: data});
+
+  return new Promise((resolve, reject) => {
+    var worker = new Worker(this.workerURL);
+    var finish = () => {
+      worker.terminate();
+      if (this.worker && this.worker.worker === worker){
+        this.worker = null;
+      }
+    };
+    worker.onmessage = (event) => {
+      finish();
+      resolve(event.data);
+    };
+    worker.onerror = (event) => {
+      finish();
+      reject(Error(`The planning failed: ${event.message}`));
+    };
+    this.worker = { worker: worker, reject: reject };
+    worker.postMessage(request, [data.buffer]);
+  });
+};
+
+// The [col, row] of the cell of a point in frameID, null if it is outside the map
+ROS3D.GridPlanner.prototype.pointToCell = function(grid, point){
+  var origin = grid.mapOrigin;
+  var q = new THREE.Quaternion(origin.orientation.x, origin.orientation.y, origin.orientation.z, origin.orientation.w);
+  var local = new THREE.Vector3(point.x - origin.position.x, point.y - origin.position.y, 0)
+    .applyQuaternion(q.invert());
+  var col = Math.floor(local.x / grid.mapResolution);
+  var row = Math.floor(local.y / grid.mapResolution);
+  if (col < 0 || row < 0 || col >= grid.mapWidth || row >= grid.mapHeight){
+    return null;
+  }
+  return [col, row];
+};
+
+// The center of a cell in frameID
+ROS3D.GridPlanner.prototype.cellToPoint = function(grid, cell){
+  var origin = grid.mapOrigin;
+  var q = new THREE.Quaternion(origin.orientation.x, origin.orientation.y, origin.orientation.z, origin.orientation.w);
+  return new THREE.Vector3((cell[0] + 0.5) * grid.mapResolution, (cell[1] + 0.5) * grid.mapResolution, 0)
+    .applyQuaternion(q)
+    .add(new THREE.Vector3(origin.position.x, origin.position.y, origin.position.z));
+};
+
+// The nav_msgs/Path of the cells, from the exact start to the exact goal, each pose heading to the next one
+ROS3D.GridPlanner.prototype.createPath = function(grid, cells, start, goal, goalOrientation){
+  var points = cells.map((cell) => this.cellToPoint(grid, cell));
+  var z = points[0].z;
+  points[0] = new THREE.Vector3(start.x, start.y, z);
+  if (points.length > 1){
+    points[points.length - 1] = new THREE.Vector3(goal.x, goal.y, z);
+  } else {
+    points.push(new THREE.Vector3(goal.x, goal.y, z));
+  }
+
+  var yaw = 0;
+  var poses = points.map((point, i) => {
+    var next = points[i + 1];
+    if (next && next.distanceTo(point) > 0){
+      yaw = Math.atan2(next.y - point.y, next.x - point.x);
+    }
+    var orientation = {x: 0, y: 0, z: Math.sin(yaw / 2), w: Math.cos(yaw / 2)};
+    if (!next && goalOrientation){
+      orientation = {x: goalOrientation.x, y: goalOrientation.y, z: goalOrientation.z, w: goalOrientation.w};
+    }
+    return {
+      header : { frame_id: this.frameID },
+      pose : {
+        position : {x: point.x, y: point.y, z: point.z},
+        orientation : orientation,
+      },
+    };
+  });
+  return {
+    header : { frame_id: this.frameID },
+    poses : poses,
+  };
+};
+
+/*
+ * Cancel the running search and free the worker script.
+ */
+ROS3D.GridPlanner.prototype.dispose = function(){
+  this.cancel();
+  if (this.workerURL){
+    URL.revokeObjectURL(this.workerURL);
+    this.workerURL = null;
+  }
+};
@@ -0,0 +1,141 @@
+/**
+ * @fileOverview
+ * @author Randel Capati - randelmc21@gmail.com
+ */
+
+/**
+ * A MapToolManager holds the tools that handle the clicks on a map (OccupancyGridNav), like ROS3D.Navigator,
+ * ROS3D.Navigator_MW or ROS3D.PoseEstimator, and forwards the mouse events to the active tool only.
+ * It is given to the OccupancyGridNav as its navigator, so the tools can be switched without re-binding listeners.
+ * The manager is also a THREE.Object3D that renders the markers of its tools (tools that are THREE.Object3D are added as children).
+ *
+ * A tool is any object with a mouseEventHandler(event3D) function (see ROS3D.MouseHandler), it may also have
+ * activate() and deactivate() functions that are called when it becomes (in)active.
+ *
+ * Emits the following events on the root object:
+ *
+ *  * 'toolChange' - the active tool changed, {previous, current} (tool names, null if none)
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *   * rootObject - the object to emit events on (OccupancyGridClientNav)
+ */
+ROS3D.MapToolManager = function(options) {
+  THREE.Object3D.call(this);
+  options = options || {};
+  this.rootObject = options.rootObject;
+
+  this.tools = {};                  // name -> tool
+  this.toolFactories = {};          // name -> function returning the tool, for tools created on first use
+  this.activeToolName = null;
+
+  // Since this is called by objects other than itself (addeventlistener on OGNav)
+  this.mouseEventHandler = this.mouseEventHandlerUnbound.bind(this);
+};
+ROS3D.MapToolManager.prototype.__proto__ = THREE.Object3D.prototype;
+
+/**
+ * Register a tool.
+ *
+ * @param name - the name of the tool, used by setActiveTool
+ * @param tool - the tool, or a function returning the tool (called once, when the tool is first needed)
+ */
+ROS3D.MapToolManager.prototype.registerTool = function(name, tool){
+  if (this.tools[name] || this.toolFactories[name]){
+    this.unregisterTool(name);
+  }
+  if (typeof tool === 'function'){
+    this.toolFactories[name] = tool;
+  } else {
+    this.addTool(name, tool);
+  }
+};
+
+ROS3D.MapToolManager.prototype.addTool = function(name, tool){
+  if (!tool || typeof tool.mouseEventHandler !== 'function'){
+    throw Error(`Tool [${name}] has no mouseEventHandler.`);
+  }
+  this.tools[name] = tool;
+  if (tool.isObject3D){
+    this.add(tool);
+  }
+};
+
+/**
+ * Remove a tool, it is deactivated first if it is the active tool, then disposed (if it has a dispose method).
+ *
+ * @param name - the name of the tool
+ */
+ROS3D.MapToolManager.prototype.unregisterTool = function(name){
+  if (this.activeToolName === name){
+    this.setActiveTool(null);
+  }
+  var tool = this.tools[name];
+  if (tool && tool.isObject3D){
+    this.remove(tool);
+  }
+  if (tool && typeof tool.dispose === 'function'){
+    tool.dispose();
+  }
+  delete this.tools[name];
+  delete this.toolFactories[name];
+};
+
+// Returns the tool with the given name (creating it if it was registered with a function), undefined if there is none
+ROS3D.MapToolManager.prototype.getTool = function(name){
+  if (!this.tools[name] && this.toolFactories[name]){
+    var factory = this.toolFactories[name];
+    delete this.toolFactories[name];
+    this.addTool(name, factory());
+  }
+  return this.tools[name];
+};
+
+ROS3D.MapToolManager.prototype.getActiveTool = function(){
+  return (this.activeToolName !== null) ? this.getTool(this.activeToolName) : null;
+};
+
+ROS3D.MapToolManager.prototype.hasTool = function(name){
+  return !!(this.tools[name] || this.toolFactories[name]);
+};
+
+ROS3D.MapToolManager.prototype.getToolNames = function(){
+  return Object.keys(this.tools).concat(Object.keys(this.toolFactories));
+};
+
+/**
+ * Set the tool that receives the mouse events, emits 'toolChange'.
+ *
+ * @param name - the name of the tool, null for no tool (clicks go to the camera controls)
+ * @param activate (optional) - call activate()/deactivate() of the new/previous tool (default: true)
+ */
+ROS3D.MapToolManager.prototype.setActiveTool = function(name, activate=true){
+  if (name !== null && !this.hasTool(name)){
+    throw Error(`Tool [${name}] is not registered.`);
+  }
+  var previous = this.activeToolName;
+  if (previous === name){
+    return;
+  }
+
+  var previousTool = this.getActiveTool();
+  if (activate && previousTool && previousTool.deactivate){
+    previousTool.deactivate();
+  }
+  this.activeToolName = name;
+  var tool = this.getActiveTool();
+  if (activate && tool && tool.activate){
+    tool.activate();
+  }
+
+  if (this.rootObject){
+    this.rootObject.emit('toolChange', {previous: previous, current: name});
+  }
+};
+
+ROS3D.MapToolManager.prototype.mouseEventHandlerUnbound = function(event3D){
+  var tool = this.getActiveTool();
+  if (tool){
+    tool.mouseEventHandler(event3D);
+  }
+};
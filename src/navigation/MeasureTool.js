@@ -0,0 +1,332 @@
+/**
+ * @fileOverview
+ * @author Randel Capati - randelmc21@gmail.com
+ */
+
+/**
+ * A MeasureTool measures distances and angles in the viewer. It is a tool of ROS3D.MapToolManager, and can
+ * also be attached to other objects (e.g. viewer.selectableObjects) to measure on point clouds or meshes.
+ *
+ * Each click adds a point to the current measurement (hold the button and move to adjust it), a double click
+ * finishes the measurement. The segments are drawn with their lengths, and the angles between consecutive
+ * segments are shown at their common point. 'measurement' is emitted on the root object with the
+ * current measurement (see getMeasurements) whenever it changes.
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *   * rootObject - the root object to emit events on (OccupancyGridClientNav)
+ *   * navigatorFrameID - tf frame ID of the measured points, should be the fixed frame (this object should be in that frame)
+ *   * navOptions (optional) - object with the keys below:
+ *     * navInitState (optional) - the initial isActive state (default: false)
+ *     * color (optional) - color of the points and segments
+ *     * labelColor (optional) - CSS color of the labels (default: '#ffffff')
+ *     * labelScreenHeight (optional) - size of the labels, as a fraction of the height of the viewport (default: 0.03)
+ *     * pointRadius (optional) - radius of the points (default: 0.04)
+ *     * precision (optional) - number of decimals of the lengths (default: 2)
+ *
+ *   * isActive - the internal state whether MeasureTool works or not on clicks
+ */
+ROS3D.MeasureTool = function(options) {
+  THREE.Object3D.call(this);
+  options = options || {};
+
+  this.rootObject = options.rootObject;
+  this.navigatorFrameID = options.navigatorFrameID || 'map';
+
+  var defaultNavOptions = { navInitState:       false,
+                            color:              0xF1C40F,
+                            labelColor:         '#ffffff',
+                            labelScreenHeight:  0.03,
+                            pointRadius:        0.04,
+                            precision:          2,};
+  var navOptions = Object.assign({}, defaultNavOptions, options.navOptions);
+
+  this.color = navOptions.color;
+  this.labelColor = navOptions.labelColor;
+  this.labelScreenHeight = navOptions.labelScreenHeight;
+  this.pointRadius = navOptions.pointRadius;
+  this.precision = navOptions.precision;
+  this.isActive = navOptions.navInitState;
+
+  this.measurements = [];           // each measurement is a list of THREE.Vector3 (in this object's frame)
+  this.currentMeasurement = null;   // the measurement that clicks add points to
+  this.mouseDown = false;
+  this.lastEvent3D = null;          // the same event may come from the map and from an attached object
+  this.lastEventType = null;
+  this.attachedObjects = [];
+
+  // Since this is called by objects other than itself (addeventlistener on OGNav)
+  this.mouseEventHandler = this.mouseEventHandlerUnbound.bind(this);
+};
+ROS3D.MeasureTool.prototype.__proto__ = THREE.Object3D.prototype;
+
+/**
+ * Also handle the mouse events of the given object and its children (e.g. viewer.selectableObjects).
+ *
+ * @param object - the THREE.Object3D
+ */
+ROS3D.MeasureTool.prototype.attachTo = function(object){
+  ['mouseover', 'mousedown', 'mousemove', 'mouseup', 'mouseout', 'dblclick'].forEach((eventName) => {
+    object.addEventListener(eventName, this.mouseEventHandler);
+  });
+  this.attachedObjects.push(object);
+};
+
+ROS3D.MeasureTool.prototype.detach = function(){
+  this.attachedObjects.forEach((object) => {
+    ['mouseover', 'mousedown', 'mousemove', 'mouseup', 'mouseout', 'dblclick'].forEach((eventName) => {
+      object.removeEventListener(eventName, this.mouseEventHandler);
+    });
+  });
+  this.attachedObjects = [];
+};
+
+/**
+ * Add a point to the current measurement, a new measurement is started if there is none.
+ *
+ * @param point - THREE.Vector3 in world coordinates
+ */
+ROS3D.MeasureTool.prototype.addPoint = function(point){
+  if (!this.currentMeasurement){
+    this.currentMeasurement = [];
+    this.measurements.push(this.currentMeasurement);
+  }
+  this.currentMeasurement.push(this.worldToLocal(new THREE.Vector3(point.x, point.y, point.z)));
+  this.update();
+};
+
+// Move the last point of the current measurement, point is in world coordinates
+ROS3D.MeasureTool.prototype.moveLastPoint = function(point){
+  if (!this.currentMeasurement || !this.currentMeasurement.length){
+    return;
+  }
+  this.currentMeasurement[this.currentMeasurement.length - 1] = this.worldToLocal(new THREE.Vector3(point.x, point.y, point.z));
+  this.update();
+};
+
+// The next click starts a new measurement
+ROS3D.MeasureTool.prototype.finishMeasurement = function(){
+  if (this.currentMeasurement && this.currentMeasurement.length < 2){
+    // a single point measures nothing
+    this.measurements.splice(this.measurements.indexOf(this.currentMeasurement), 1);
+    this.update();
+  }
+  this.currentMeasurement = null;
+};
+
+// Remove all the measurements
+ROS3D.MeasureTool.prototype.clear = function(){
+  this.measurements = [];
+  this.currentMeasurement = null;
+  this.update();
+};
+
+/**
+ * Returns the measurements as plain objects:
+ *   [{frame_id, points: [{x, y, z}], lengths: [...], angles: [...], total}]
+ * where lengths[i] is the length (meters) of the segment from points[i] to points[i+1], and angles[i] is
+ * the angle (degrees) between the segments at points[i+1].
+ */
+ROS3D.MeasureTool.prototype.getMeasurements = function(){
+  return this.measurements.map((points) => {
+    var lengths = [];
+    var angles = [];
+    for (var i = 1; i < points.length; i++){
+      lengths.push(points[i].distanceTo(points[i - 1]));
+      if (i + 1 < points.length){
+        angles.push(this.calculateAngle(points[i - 1], points[i], points[i + 1]));
+      }
+    }
+    return {
+      frame_id :  this.navigatorFrameID,
+      points :    points.map((p) => ({x: p.x, y: p.y, z: p.z})),
+      lengths :   lengths,
+      angles :    angles,
+      total :     lengths.reduce((a, b) => a + b, 0),
+    };
+  });
+};
+
+// The angle (degrees) at p2 between the segments p2-p1 and p2-p3, 0 if a segment has no length
+ROS3D.MeasureTool.prototype.calculateAngle = function(p1, p2, p3){
+  var v1 = new THREE.Vector3().subVectors(p1, p2);
+  var v2 = new THREE.Vector3().subVectors(p3, p2);
+  if (v1.lengthSq() === 0 || v2.lengthSq() === 0){
+    return 0;
+  }
+  return THREE.MathUtils.radToDeg(v1.angleTo(v2));
+};
+
+/**
+ * Returns the measurements as text (one line per segment/angle), to be copied.
+ */
+ROS3D.MeasureTool.prototype.toText = function(){
+  var lines = [];
+  this.getMeasurements().forEach((measurement, index) => {
+    lines.push('Measurement ' + (index + 1) + ' [' + measurement.frame_id + ']: ' + this.formatLength(measurement.total));
+    measurement.lengths.forEach((length, i) => {
+      lines.push('  segment ' + (i + 1) + ': ' + this.formatLength(length));
+    });
+    measurement.angles.forEach((angle, i) => {
+      lines.push('  angle ' + (i + 1) + ': ' + this.formatAngle(angle));
+    });
+  });
+  return lines.join('\n');
+};
+
+/**
+ * Copy the measurements (see toText) to the clipboard.
+ *
+ * @returns a Promise, resolved once copied
+ */
+ROS3D.MeasureTool.prototype.copyToClipboard = function(){
+  if (typeof navigator === 'undefined' || !navigator.clipboard){
+    return Promise.reject(Error('Clipboard is not available.'));
+  }
+  return navigator.clipboard.writeText(this.toText());
+};
+
+ROS3D.MeasureTool.prototype.formatLength = function(length){
+  return length.toFixed(this.precision) + ' m';
+};
+
+ROS3D.MeasureTool.prototype.formatAngle = function(angle){
+  return angle.toFixed(1) + '°';
+};
+
+// Re-create all the markers and labels, emits 'measurement'
+ROS3D.MeasureTool.prototype.update = function(){
+  this.children.slice().forEach((child) => {
+    this.remove(child);
+    if (child.dispose){
+      child.dispose();
+    } else {
+      child.geometry.dispose();
+      child.material.dispose();
+    }
+  });
+
+  var measurements = this.getMeasurements();
+  this.measurements.forEach((points, index) => {
+    var measurement = measurements[index];
+    points.forEach((point, i) => {
+      var node = new THREE.Mesh(new THREE.SphereGeometry(this.pointRadius, 16, 8), new THREE.MeshBasicMaterial({color: this.color}));
+      node.position.copy(point);
+      this.add(node);
+
+      if (i > 0){
+        var line = new THREE.Line(new THREE.BufferGeometry().setFromPoints([points[i - 1], point]),
+                                  new THREE.LineBasicMaterial({color: this.color, depthTest: false}));
+        this.add(line);
+        this.addLabel(this.formatLength(measurement.lengths[i - 1]), new THREE.Vector3().addVectors(points[i - 1], point).multiplyScalar(0.5));
+      }
+      if (i > 0 && i + 1 < points.length){
+        this.addLabel(this.formatAngle(measurement.angles[i - 1]), point);
+      }
+    });
+  });
+
+  this.rootObject.emit('measurement', measurements);
+  this.rootObject.emit('change');
+};
+
+ROS3D.MeasureTool.prototype.addLabel = function(text, position){
+  var label = new ROS3D.TextLabel({
+    text : text,
+    color : this.labelColor,
+    screenHeight : this.labelScreenHeight,
+  });
+  label.position.copy(position);
+  this.add(label);
+};
+
+ROS3D.MeasureTool.prototype.mouseEventHandlerUnbound = function(event3D){
+  if (!this.isActive){
+    return;
+  }
+  // handle an event only once, even if it reached us from several objects
+  if (event3D === this.lastEvent3D && event3D.type === this.lastEventType){
+    return;
+  }
+  this.lastEvent3D = event3D;
+  this.lastEventType = event3D.type;
+
+  switch(event3D.type){
+    case 'mouseover':
+      // only accept left clicks, see ROS3D.Navigator
+      if ((event3D.domEvent.type === 'mousedown' && event3D.domEvent.button === 0) || event3D.domEvent.type === 'dblclick'){
+        event3D.stopPropagation();
+      }
+      break;
+
+    case 'mousedown':
+      if ((event3D.domEvent.button === 0) && (event3D.domEvent.buttons === 1) && event3D.intersection){
+        this.mouseDown = true;
+        this.addPoint(event3D.intersection.point);
+        event3D.stopPropagation();
+      } else {
+        event3D.forceExitToFallbackTarget();
+      }
+      break;
+
+    case 'mousemove':
+      if (this.mouseDown){
+        // the point being added follows the mouse on the object that was clicked
+        this.moveLastPoint(ROS3D.calculateEventPOI(event3D));
+        event3D.stopPropagation();
+      }
+      break;
+
+    case 'mouseout':
+    case 'mouseup':
+      if (this.mouseDown && (event3D.domEvent.button === 0)){
+        this.mouseDown = false;
+        event3D.stopPropagation();
+      }
+      break;
+
+    case 'dblclick': {
+      // the double click added the same point twice
+      var points = this.currentMeasurement || [];
+      if (points.length > 1 && points[points.length - 1].distanceTo(points[points.length - 2]) < 1e-6){
+        points.pop();
+        this.update();
+      }
+      this.finishMeasurement();
+      event3D.stopPropagation();
+      break;
+    }
+
+    default:
+      event3D.forceExitToFallbackTarget();
+      break;
+  }
+};
+
+ROS3D.MeasureTool.prototype.activate = function(){
+  this.isActive = true;
+};
+
+ROS3D.MeasureTool.prototype.deactivate = function(){
+  this.isActive = false;
+  this.mouseDown = false;
+  this.finishMeasurement();
+};
+
+/**
+ * Deactivate the tool, stop handling the events of the attached objects and remove the measurements
+ * with their lines and labels, when the tool is no longer used (see ROS3D.MapToolManager.unregisterTool).
+ */
+ROS3D.MeasureTool.prototype.dispose = function(){
+  this.deactivate();
+  this.detach();
+  this.clear();
+};
+
+ROS3D.MeasureTool.prototype.toggleActivation = function(){
+  if (this.isActive){
+    this.deactivate();
+  } else {
+    this.activate();
+  }
+};
@@ -0,0 +1,266 @@
+/**
+ * @fileOverview
+ * @author Randel Capati - randelmc21@gmail.com
+ */
+
+// YAML of the waypoint missions (see exportMission/importMission of Navigator_MW), only the subset used by the
+// waypoint files of ROS, so that no YAML library is needed.
+
+/**
+ * @function dumpYAML
+ * @description Serialize plain data (objects, arrays, strings, numbers, booleans and null) to block style YAML.
+ * Empty objects/arrays are written in flow style ({} and []), infinite numbers and NaN as .inf, -.inf and .nan.
+ *
+ * @param value - the data to serialize, should be an object or an array
+ * @returns the YAML string
+ */
+ROS3D.dumpYAML = function(value) {
+  var isBlock = function(v) {
+    return v !== null && typeof v === 'object' && Object.keys(v).length > 0;
+  };
+  var dumpScalar = function(v) {
+    if (v === null || v === undefined) {
+      return 'null';
+    }
+    if (Array.isArray(v)) {
+      return '[]';
+    }
+    if (typeof v === 'object') {
+      return '{}';
+    }
+    if (typeof v === 'number' && !isFinite(v)) {
+      return isNaN(v) ? '.nan' : (v > 0 ? '.inf' : '-.inf');
+    }
+    if (typeof v === 'string') {
+      // quote strings that would otherwise be parsed as something else (numbers, booleans, yaml syntax)
+      if (v === '' || !isNaN(Number(v)) || /^(true|false|yes|no|on|off|null|~)$/i.test(v) || /^[-+]?\.(inf|nan)$/i.test(v) ||
+          /^[\s\-?:,[\]{}#&*!|>'"%@`]|:\s|\s#|:$|\s$/.test(v)) {
+        return JSON.stringify(v);
+      }
+      return v;
+    }
+    return String(v);
+  };
+  var dumpNode = function(v, indent) {
+    var out = '';
+    if (Array.isArray(v)) {
+      v.forEach(function(item) {
+        if (!isBlock(item)) {
+          out += indent + '- ' + dumpScalar(item) + '\n';
+        } else if (Array.isArray(item)) {
+          out += indent + '-\n' + dumpNode(item, indent + '  ');
+        } else {
+          // first key of the object goes on the same line as the dash
+          out += indent + '- ' + dumpNode(item, indent + '  ').slice(indent.length + 2);
+        }
+      });
+    } else {
+      Object.keys(v).forEach(function(key) {
+        if (v[key] === undefined) {
+          return;
+        }
+        if (isBlock(v[key])) {
+          out += indent + dumpScalar(key) + ':\n' + dumpNode(v[key], indent + '  ');
+        } else {
+          out += indent + dumpScalar(key) + ': ' + dumpScalar(v[key]) + '\n';
+        }
+      });
+    }
+    return out;
+  };
+  return dumpNode(value, '');
+};
+
+/**
+ * @function parseYAML
+ * @description Parse a YAML document into plain data. Supports the subset of YAML used for
+ * ROS configuration files: block mappings and sequences, flow mappings/sequences ({x: 1, y: 2}, [1, 2]),
+ * quoted/plain scalars (including .inf, -.inf and .nan) and comments. Anchors, tags and multi-line strings are not
+ * supported.
+ *
+ * @param text - the YAML string
+ * @returns the parsed data
+ */
+ROS3D.parseYAML = function(text) {
+  var stripComment = function(s) {
+    var quote = null;
+    for (var i = 0; i < s.length; i++) {
+      var c = s[i];
+      if (quote) {
+        if (c === quote) {
+          quote = null;
+        }
+      } else if (c === '"' || c === '\'') {
+        quote = c;
+      } else if (c === '#' && (i === 0 || /\s/.test(s[i - 1]))) {
+        return s.slice(0, i);
+      }
+    }
+    return s;
+  };
+
+  var lines = [];
+  text.split(/\r?\n/).forEach(function(raw) {
+    var line = stripComment(raw).replace(/\s+$/, '');
+    var content = line.trim();
+    if (content === '' || content === '---' || content === '...') {
+      return;
+    }
+    lines.push({indent: line.length - line.replace(/^ +/, '').length, text: content});
+  });
+  var pos = 0;
+
+  var isSeqItem = function(s) {
+    return s === '-' || s.indexOf('- ') === 0;
+  };
+  var splitKey = function(s) {
+    var m = s.match(/^("[^"]*"|'[^']*'|[^"'{[][^:]*?)\s*:(?:\s+(.*))?$/);
+    if (!m) {
+      return null;
+    }
+    return {key: parseScalar(m[1]), value: (m[2] || '').trim()};
+  };
+
+  var parseFlow = function(s) {
+    var p = 0;
+    var skip = function() {
+      while (p < s.length && /\s/.test(s[p])) {
+        p++;
+      }
+    };
+    var parsePlain = function(stops) {
+      var start = p;
+      while (p < s.length && stops.indexOf(s[p]) < 0) {
+        p++;
+      }
+      return s.slice(start, p).trim();
+    };
+    var parseValue = function() {
+      skip();
+      var c = s[p];
+      var result;
+      if (c === '{') {
+        result = {};
+        p++;
+        skip();
+        while (p < s.length && s[p] !== '}') {
+          var key = parseScalar(parsePlain(':'));
+          p++;                                        // ':'
+          result[key] = parseValue();
+          skip();
+          if (s[p] === ',') {
+            p++;
+            skip();
+          }
+        }
+        p++;                                          // '}'
+      } else if (c === '[') {
+        result = [];
+        p++;
+        skip();
+        while (p < s.length && s[p] !== ']') {
+          result.push(parseValue());
+          skip();
+          if (s[p] === ',') {
+            p++;
+            skip();
+          }
+        }
+        p++;                                          // ']'
+      } else if (c === '"' || c === '\'') {
+        var end = s.indexOf(c, p + 1);
+        result = parseScalar(s.slice(p, end + 1));
+        p = end + 1;
+      } else {
+        result = parseScalar(parsePlain(',}]'));
+      }
+      return result;
+    };
+    return parseValue();
+  };
+
+  var parseScalar = function(s) {
+    s = s.trim();
+    if (s[0] === '{' || s[0] === '[') {
+      return parseFlow(s);
+    }
+    if (s[0] === '"') {
+      return JSON.parse(s);
+    }
+    if (s[0] === '\'') {
+      return s.slice(1, -1).replace(/''/g, '\'');
+    }
+    if (s === '' || s === '~' || s === 'null') {
+      return null;
+    }
+    if (/^(true|false)$/i.test(s)) {
+      return s.toLowerCase() === 'true';
+    }
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(s)) {
+      return Number(s);
+    }
+    if (/^[-+]?\.(inf|Inf|INF)$/.test(s)) {
+      return (s[0] === '-') ? -Infinity : Infinity;
+    }
+    if (/^\.(nan|NaN|NAN)$/.test(s)) {
+      return NaN;
+    }
+    return s;
+  };
+
+  var parseBlock = function(indent) {
+    return isSeqItem(lines[pos].text) ? parseSeq(indent) : parseMap(indent);
+  };
+
+  // value of a key/dash that has nothing after it: a nested block, or null
+  var parseNested = function(indent, allowSameIndentSeq) {
+    if (pos < lines.length && (lines[pos].indent > indent ||
+        (allowSameIndentSeq && lines[pos].indent === indent && isSeqItem(lines[pos].text)))) {
+      return parseBlock(lines[pos].indent);
+    }
+    return null;
+  };
+
+  var parseSeq = function(indent) {
+    var result = [];
+    while (pos < lines.length && lines[pos].indent === indent && isSeqItem(lines[pos].text)) {
+      var rest = lines[pos].text.slice(1);
+      var offset = 1 + rest.length - rest.replace(/^ +/, '').length;
+      rest = rest.trim();
+      if (rest === '') {
+        pos++;
+        result.push(parseNested(indent, false));
+      } else if (isSeqItem(rest) || (rest[0] !== '{' && rest[0] !== '[' && splitKey(rest))) {
+        // "- - item" or "- key: value", the item is a sequence/mapping that starts on this line
+        lines[pos] = {indent: indent + offset, text: rest};
+        result.push(parseBlock(indent + offset));
+      } else {
+        pos++;
+        result.push(parseScalar(rest));
+      }
+    }
+    return result;
+  };
+
+  var parseMap = function(indent) {
+    var result = {};
+    while (pos < lines.length && lines[pos].indent === indent && !isSeqItem(lines[pos].text)) {
+      var entry = splitKey(lines[pos].text);
+      if (!entry) {
+        throw new Error('YAML: cannot parse line "' + lines[pos].text + '"');
+      }
+      pos++;
+      result[entry.key] = (entry.value === '') ? parseNested(indent, true) : parseScalar(entry.value);
+    }
+    return result;
+  };
+
+  if (lines.length === 0) {
+    return null;
+  }
+  var result = parseBlock(lines[0].indent);
+  if (pos < lines.length) {
+    throw new Error('YAML: unexpected indentation at "' + lines[pos].text + '"');
+  }
+  return result;
+};
@@ -15,11 +15,41 @@
  *   * ros - the ROSLIB.Ros connection handle
  *   * rootObject - the root object to add the click listeners to and render robot markers to (OccupancyGridClientNav)
  *   * navigatorFrameID - tf frame ID on which the goal will be sent
+ *   * robotName (optional) - the robot commanded by this navigator, given in its events (see ROS3D.OccupancyGridClientNav.addRobot)
  *   * serverName (optional) - the action server name to use for navigation, like '/move_base'
  *   * actionName (optional) - the navigation action name, like 'move_base_msgs/MoveBaseAction'
+ *   * navOptions.navBackend (optional) - 'ros1' (actionlib, default) or 'ros2' (ROS 2 action through rosbridge, see ROS3D.ROS2ActionClient),
+ *                                        with 'ros2' the action defaults to Nav2's /navigate_to_pose (nav2_msgs/action/NavigateToPose)
+ *   * navOptions.goalBuilder (optional) - builds the goal message from the pose, a function (pose, navigator) or the name of
+ *                                         one of ROS3D.goalMessageBuilders (default: the builder of the action type)
  *   * tfClient- the TF client   (not used for now)
  *   * color (optional) - color of the marker of the **sent** pose
  *   * intermediateColor (optional) - color of the marker while dragging it around / choosing which orientation to go
+ *   * navOptions.goalPriority (optional) - priority_val of roamer_msgs/MoveBaseAction goals (default: 1)
+ *   * navOptions.goalValidation (optional) - options of a ROS3D.GoalValidator to check clicked goals against the map,
+ *                                            e.g. {occupiedThreshold: 65, footprintRadius: 0.3} (default: null, no validation)
+ *   * navOptions.rejectedColor (optional) - color of the marker of a rejected goal
+ *   * navOptions.surfaceGoals (optional) - keep the height of the clicked point (octree voxels, meshes, point clouds, ...)
+ *                                          instead of putting the goal on the z=0 map plane (default: false)
+ *   * navOptions.heightOffset (optional) - height (in meters) of the goal above the clicked point (default: 0)
+ *   * navOptions.orientation3D (optional) - dragging in the camera plane sets the pitch of the goal as well as its yaw (default: false)
+ *   * navOptions.goalSnapping (optional) - options of a ROS3D.GoalSnapper to snap the yaw and/or the position of clicked goals,
+ *                                          e.g. {yawStep: 90, position: 'cells'}, holding shift toggles it (default: null, no snapping)
+ *   * navOptions.statusColors (optional) - colors of the goal marker per status of the goal,
+ *                                          object with keys pending, active, succeeded, aborted and preempted
+ *   * navOptions.feedbackTrail (optional) - draw the robot pose of the feedback of the goal, its base_position
+ *                                            (move_base) or current_pose (Nav2) (default: false)
+ *   * navOptions.trailColor (optional) - color of the feedback trail
+ *   * navOptions.trailMaxPoints (optional) - max number of points of the feedback trail (default: 1000)
+ *   * navOptions.planPreview (optional) - preview the plan to a clicked goal before sending it (default: false).
+ *                                         The goal is then sent by clicking on it again, or with confirmGoal.
+ *                                         Needs the tfClient, for the pose of the robot.
+ *   * navOptions.planServiceName (optional) - the nav_msgs/GetPlan service (default: '/move_base/make_plan')
+ *   * navOptions.planServiceType (optional) - the service type (default: 'nav_msgs/GetPlan')
+ *   * navOptions.planTolerance (optional) - the tolerance of the GetPlan request (default: 0)
+ *   * navOptions.planColor (optional) - color of the previewed plan
+ *   * navOptions.confirmRadius (optional) - max distance of the confirming click to the goal (default: 0.3)
+ *   * navOptions.robotBaseFrame (optional) - TF frame of the robot, the start of the plan (default: 'base_link')
  * 
  *   * isActive - the internal state whether Navigator works or not on clicks, 
  */
@@ -33,37 +63,109 @@
   this.tfClient = options.tfClient;
   this.rootObject = options.rootObject;
   this.navigatorFrameID = options.navigatorFrameID || 'map';    // this SHOULD ALWAYS BE tfclient's FIXED FRAME
+  this.robotName = options.robotName || null;
   
   // the default options to be used by Navigator, update this with navOptions that is passed by the caller
   // we do this so we don't have to guard all the vars (e.g. var serverName = options.serverName || '/move_base';)
-  var defaultNavOptions = { navServerName:      '/move_base',
-                            navActionName:      'move_base_msgs/MoveBaseAction',
+  var ros2 = !!(options.navOptions && options.navOptions.navBackend === 'ros2');
+  var defaultNavOptions = { navServerName:      ros2 ? '/navigate_to_pose' : '/move_base',
+                            navActionName:      ros2 ? 'nav2_msgs/action/NavigateToPose' : 'move_base_msgs/MoveBaseAction',
+                            navBackend:         'ros1',
+                            goalBuilder:        null,
                             navInitState:       false,
                             color:              0xcc00ff,
-                            intermediateColor:  0xEEACFF,};
+                            intermediateColor:  0xEEACFF,
+                            goalPriority:       1,
+                            goalValidation:     null,
+                            goalSnapping:       null,
+                            surfaceGoals:       false,
+                            heightOffset:       0,
+                            orientation3D:      false,
+                            rejectedColor:      0xE74C3C,
+                            statusColors:       {},
+                            feedbackTrail:      false,
+                            trailColor:         0xcc00ff,
+                            trailMaxPoints:     1000,
+                            planPreview:        false,
+                            planServiceName:    '/move_base/make_plan',
+                            planServiceType:    'nav_msgs/GetPlan',
+                            planTolerance:      0,
+                            planColor:          0x3498DB,
+                            confirmRadius:      0.3,
+                            robotBaseFrame:     'base_link',};
   // Update/merge the defaultNavOptions with the given navOptions
   var navOptions = Object.assign({}, defaultNavOptions, options.navOptions);
 
   var serverName = navOptions.navServerName;   // we don't need to store serverName since it is encoded in this.actionClient
   var actionName = navOptions.navActionName;
+  this.goalBuilder = ROS3D.getGoalMessageBuilder(navOptions.goalBuilder, actionName);
   this.color = navOptions.color;
   this.intermediateColor = navOptions.intermediateColor;
+  this.goalPriority = navOptions.goalPriority;
+  this.rejectedColor = navOptions.rejectedColor;
+  this.statusColors = Object.assign({ pending:    0xEEACFF,
+                                      active:     this.color,
+                                      succeeded:  0x27AE60,
+                                      aborted:    0xE74C3C,
+                                      preempted:  0x95A5A6,}, navOptions.statusColors);
+  this.feedbackTrail = navOptions.feedbackTrail;
+  this.trailColor = navOptions.trailColor;
+  this.trailMaxPoints = navOptions.trailMaxPoints;
+  this.goalValidator = navOptions.goalValidation ? new ROS3D.GoalValidator(navOptions.goalValidation) : null;
+  this.goalSnapper = navOptions.goalSnapping ? new ROS3D.GoalSnapper(navOptions.goalSnapping) : null;
+  this.surfaceGoals = navOptions.surfaceGoals;
+  this.heightOffset = navOptions.heightOffset;
+  this.orientation3D = navOptions.orientation3D;
   this.markerFrameID = navOptions.markerFrameID || this.navigatorFrameID;
+  this.planPreview = navOptions.planPreview;
+  this.planTolerance = navOptions.planTolerance;
+  this.planColor = navOptions.planColor;
+  this.confirmRadius = navOptions.confirmRadius;
+  this.robotBaseFrame = navOptions.robotBaseFrame;
   this.isActive = navOptions.navInitState;        // toggle this if you want navigation or not
 
   // initialize mouse and marker vars
   this.mouseDownPos = null;                       // roslib.Vector3 pos
   this.mouseDown = false;                         // if mousedown was previously detected
   this.currentGoal = null;                        // action goal message
+  this.currentGoalPose = null;
+  this.goalStatus = null;                         // last status (actionlib_msgs/GoalStatus) of currentGoal
+  this.trailPoints = [];
+  this.trailMarker = null;
   this.goalMarkerOptions = {color: this.color};
   this.goalMarker = null;
 
+  // plan preview
+  this.robotPose = null;                          // latest pose of robotBaseFrame, in the fixed frame
+  this.pendingGoalPose = null;                    // the goal waiting for confirmation
+  this.plan = null;                               // nav_msgs/Path to pendingGoalPose, null until received
+  this.planPending = false;                       // if waiting for the response of the plan service
+  this.planRequestID = 0;                         // to ignore the responses of older requests
+  this.planMarker = null;
+  this.confirmClick = false;                      // if the mousedown was on the pending goal
+  this.confirmWhenPlanned = false;                // confirmGoal was called while waiting for the plan
+  this.planClient = null;
+  this.robotPoseListener = null;                  // the tf callback giving robotPose, see dispose
+  if (this.planPreview){
+    this.planClient = new ROSLIB.Service({
+      ros : ros,
+      name : navOptions.planServiceName,
+      serviceType : navOptions.planServiceType
+    });
+    if (this.tfClient){
+      // the tf client gives the transform of robotBaseFrame in its fixed frame (same frame as the goals)
+      this.robotPoseListener = function(tf){
+        that.robotPose = new ROSLIB.Pose({position: tf.translation, orientation: tf.rotation});
+      };
+      this.tfClient.subscribe(this.robotBaseFrame, this.robotPoseListener);
+    } else {
+      console.warn('nav: a tfClient is needed for the plan preview.');
+    }
+  }
+
   // setup the actionlib client
-  this.actionClient = new ROSLIB.ActionClient({
-    ros : ros,
-    actionName : actionName,
-    serverName : serverName
-  });
+  this.navBackend = navOptions.navBackend;
+  this.actionClient = this.createActionClient(ros, serverName, actionName);
 
   
   // Since this is called by objects other than itself (addeventlistener on OGNav)
@@ -74,38 +176,307 @@
 
 ROS3D.Navigator.prototype.__proto__ = THREE.Object3D.prototype;
 
-ROS3D.Navigator.prototype.sendGoal = function(pose){
-  // create a goal, use the message type move_base_msgs/MoveBaseAction
-  var goalMessage = {
-    target_pose : {
-      header : {
-        frame_id : this.navigatorFrameID,   // get the frame id of the Occupancy Grid, and use that frame when publishing the goal
-      },
-      pose : pose
-    }
-  };
-  // Only add "priority_val" on roamer messages since move_base_msgs/MoveBaseAction has no priority,
-  // will produce error if the message and message type fields do not match
-  if (this.actionClient.actionName === 'roamer_msgs/MoveBaseAction'){
-    goalMessage.priority_val = 1;   // Since prio=0 can't override previous prio=0 goals
-  };
+// Create the client of a navigation action, for navOptions.navBackend
+ROS3D.Navigator.prototype.createActionClient = function(ros, serverName, actionName){
+  switch(this.navBackend){
+    case 'ros2':
+      return new ROS3D.ROS2ActionClient({
+        ros : ros,
+        serverName : serverName,
+        actionName : actionName
+      });
+    case 'ros1':
+      return new ROSLIB.ActionClient({
+        ros : ros,
+        actionName : actionName,
+        serverName : serverName
+      });
+    default:
+      throw Error(`Unknown navigation backend: ${this.navBackend}, should be 'ros1' or 'ros2'.`);
+  }
+};
 
-  var goal = new ROSLIB.Goal({
-    actionClient : this.actionClient,
-    goalMessage : goalMessage,
+ROS3D.Navigator.prototype.buildGoalMessage = function(pose){
+  // the message of the action type, e.g. move_base_msgs/MoveBaseAction (see navOptions.goalBuilder)
+  return this.goalBuilder(pose, this);
+};
+
+ROS3D.Navigator.prototype.sendGoal = function(pose){
+  var goal = ROS3D.createActionGoal(this.actionClient, this.buildGoalMessage(pose));
+  var that = this;
+  goal.on('status', function(status){
+    that.handleGoalStatus(goal, status);
+  });
+  goal.on('feedback', function(feedback){
+    that.handleGoalFeedback(goal, feedback);
   });
   goal.send();
-  console.log('nav: pose sent');
+  console.debug('nav: pose sent');
   
   this.currentGoal = goal;
+  this.currentGoalPose = pose;
+  this.goalStatus = null;
+  this.clearTrail();
 
-  // update marker
-  this.updateGoalMarker(pose.position, pose.orientation);
+  // update marker, pending until the server tells otherwise
+  this.updateGoalMarker(pose.position, pose.orientation, this.statusColors.pending);
 
   
 };
 
 
+/**
+ * Cancel the current goal. The marker is updated once the action server reports the goal as preempted/recalled.
+ *
+ * @returns true if there was a goal to cancel
+ */
+ROS3D.Navigator.prototype.cancelGoal = function(){
+  if (!this.currentGoal){
+    return false;
+  }
+  this.currentGoal.cancel();
+  return true;
+};
+
+
+// The name of the status color (see navOptions.statusColors) of a goal status
+ROS3D.Navigator.prototype.getStatusColorName = function(status){
+  switch(status){
+    case ROS3D.GOAL_STATUS_PENDING:
+      return 'pending';
+    case ROS3D.GOAL_STATUS_ACTIVE:
+      return 'active';
+    case ROS3D.GOAL_STATUS_SUCCEEDED:
+      return 'succeeded';
+    case ROS3D.GOAL_STATUS_ABORTED:
+    case ROS3D.GOAL_STATUS_REJECTED:
+    case ROS3D.GOAL_STATUS_LOST:
+      return 'aborted';
+    default:
+      // preempting, preempted, recalling, recalled
+      return 'preempted';
+  }
+};
+
+
+// Update the goal marker from the actionlib_msgs/GoalStatus of the goal, emits 'goalStatus' on the root object
+ROS3D.Navigator.prototype.handleGoalStatus = function(goal, status){
+  // ignore older goals, and the status repeated by the action server
+  if (goal !== this.currentGoal || status.status === this.goalStatus){
+    return;
+  }
+  this.goalStatus = status.status;
+  var colorName = this.getStatusColorName(status.status);
+  if (this.goalMarker){
+    this.goalMarker.setColor(this.statusColors[colorName]);
+  }
+  this.rootObject.emit('goalStatus', {
+    status :  status.status,
+    name :    colorName,
+    text :    status.text,
+    goalID :  goal.goalID,
+    pose :    this.currentGoalPose,
+    robot :   this.robotName,
+  });
+  this.rootObject.emit('change');
+};
+
+
+// Extend the feedback trail with the robot pose of the feedback, the base_position of move_base_msgs/MoveBaseFeedback
+// or the current_pose of nav2_msgs/NavigateToPose
+ROS3D.Navigator.prototype.handleGoalFeedback = function(goal, feedback){
+  var robotPose = feedback && (feedback.base_position || feedback.current_pose);
+  if (!this.feedbackTrail || goal !== this.currentGoal || !robotPose){
+    return;
+  }
+  var pos = robotPose.pose.position;
+  this.trailPoints.push(new THREE.Vector3(pos.x, pos.y, pos.z));
+  if (this.trailPoints.length > this.trailMaxPoints){
+    this.trailPoints.shift();
+  }
+
+  if (this.trailMarker){
+    this.remove(this.trailMarker);
+    this.trailMarker.geometry.dispose();
+  }
+  var geometry = new THREE.BufferGeometry().setFromPoints(this.trailPoints);
+  this.trailMarker = new THREE.Line(geometry, new THREE.LineBasicMaterial({color: this.trailColor}));
+  this.add(this.trailMarker);
+  this.rootObject.emit('change');
+};
+
+
+ROS3D.Navigator.prototype.clearTrail = function(){
+  this.trailPoints = [];
+  if (this.trailMarker){
+    this.remove(this.trailMarker);
+    this.trailMarker.geometry.dispose();
+    this.trailMarker = null;
+    this.rootObject.emit('change');
+  }
+};
+
+
+
+
+/**
+ * Request the plan from the current pose of the robot to the given goal, the plan is drawn once received.
+ * Emits 'planPreview' on the root object with {goal, plan (nav_msgs/Path, null if failed), valid, reason}.
+ *
+ * @param pose - the goal, ROSLIB.Pose in navigatorFrameID
+ */
+ROS3D.Navigator.prototype.requestPlan = function(pose){
+  this.clearPlan();
+  var requestID = ++this.planRequestID;
+  this.planPending = true;
+  if (!this.robotPose){
+    this.handlePlan(requestID, pose, null, 'noRobotPose');
+    return;
+  }
+  var that = this;
+  var poseStamped = function(p){
+    return {
+      header : { frame_id : that.navigatorFrameID },
+      pose : {
+        position :    {x: p.position.x, y: p.position.y, z: p.position.z},
+        orientation : {x: p.orientation.x, y: p.orientation.y, z: p.orientation.z, w: p.orientation.w},
+      },
+    };
+  };
+  var request = new ROSLIB.ServiceRequest({
+    start : poseStamped(this.robotPose),
+    goal : poseStamped(pose),
+    tolerance : this.planTolerance,
+  });
+  this.planClient.callService(request, function(result){
+    var plan = result.plan;
+    that.handlePlan(requestID, pose, plan, (plan && plan.poses.length) ? null : 'noPlan');
+  }, function(error){
+    console.debug('nav: plan request failed: ' + error);
+    that.handlePlan(requestID, pose, null, 'serviceFailed');
+  });
+};
+
+
+ROS3D.Navigator.prototype.handlePlan = function(requestID, pose, plan, reason){
+  if (requestID !== this.planRequestID){
+    return;
+  }
+  var valid = !reason;
+  this.planPending = false;
+  this.plan = valid ? plan : null;
+  if (valid){
+    var points = plan.poses.map((p) => new THREE.Vector3(p.pose.position.x, p.pose.position.y, p.pose.position.z));
+    this.planMarker = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points),
+                                     new THREE.LineBasicMaterial({color: this.planColor}));
+    this.add(this.planMarker);
+  } else if (this.pendingGoalPose && this.goalMarker){
+    this.goalMarker.setColor(this.rejectedColor);
+  }
+  this.rootObject.emit('planPreview', {goal: pose, plan: this.plan, valid: valid, reason: reason || null});
+  this.rootObject.emit('change');
+
+  if (this.confirmWhenPlanned){
+    this.confirmWhenPlanned = false;
+    this.confirmGoal();
+  }
+};
+
+
+ROS3D.Navigator.prototype.clearPlan = function(){
+  this.plan = null;
+  this.confirmWhenPlanned = false;
+  if (this.planMarker){
+    this.remove(this.planMarker);
+    this.planMarker.geometry.dispose();
+    this.planMarker.material.dispose();
+    this.planMarker = null;
+    this.rootObject.emit('change');
+  }
+};
+
+
+/**
+ * Send the goal waiting for confirmation (see navOptions.planPreview), if the planner found a path to it.
+ * If the plan is not received yet, the goal is sent once it is.
+ *
+ * @returns true if the goal was (or will be) sent
+ */
+ROS3D.Navigator.prototype.confirmGoal = function(){
+  if (!this.pendingGoalPose){
+    return false;
+  }
+  if (!this.plan){
+    // the planner found no path, or it did not answer yet
+    this.confirmWhenPlanned = this.planPending;
+    return this.planPending;
+  }
+  var pose = this.pendingGoalPose;
+  this.pendingGoalPose = null;
+  this.clearPlan();
+  this.sendGoal(pose);
+  return true;
+};
+
+
+// Drop the goal waiting for confirmation, and its plan
+ROS3D.Navigator.prototype.discardGoal = function(){
+  this.planRequestID++;               // ignore the plan if it is still coming
+  this.planPending = false;
+  this.clearPlan();
+  if (this.pendingGoalPose){
+    this.pendingGoalPose = null;
+    if (this.goalMarker !== null){
+      this.remove(this.goalMarker);
+      this.goalMarker = null;
+      this.rootObject.emit('change');
+    }
+  }
+};
+
+
+// Check the goal against the map (see navOptions.goalValidation), emits 'goalRejected' on the root object if it is not valid
+ROS3D.Navigator.prototype.isGoalValid = function(pose){
+  return !this.goalValidator || this.goalValidator.check(this, pose);
+};
+
+
+// The position of a goal at the clicked point (world coordinates), on the map plane unless navOptions.surfaceGoals
+ROS3D.Navigator.prototype.getGoalPosition = function(poi){
+  var z = this.surfaceGoals ? poi.z : 0;
+  return new ROSLIB.Vector3({x: poi.x, y: poi.y, z: z + this.heightOffset});
+};
+
+// The orientation of a goal at origin towards the mouse, see navOptions.orientation3D and navOptions.goalSnapping
+ROS3D.Navigator.prototype.getDragOrientation = function(origin, event3D){
+  var orientation;
+  if (this.orientation3D){
+    var poi = ROS3D.calculateDragPOI(event3D, origin);
+    orientation = ROS3D.calculateOrientation3D(origin, poi);
+  } else if (this.surfaceGoals){
+    // the mouse may leave the surface of the goal, so look around on the horizontal plane of the goal
+    orientation = this.calculateOrientation(origin, ROS3D.calculateDragPOI(event3D, origin, new THREE.Vector3(0, 0, 1)));
+  } else {
+    orientation = this.calculateOrientation(origin, this.calculateCurrentPOI(event3D));
+  }
+  return this.snapOrientation(orientation, event3D);
+};
+
+// Snap a clicked position (see navOptions.goalSnapping), unless the modifier key of the event toggles snapping off
+ROS3D.Navigator.prototype.snapPosition = function(position, event3D){
+  if (!this.goalSnapper || !this.goalSnapper.isActive(event3D)){
+    return position;
+  }
+  return this.goalSnapper.snapPosition(this, position);
+};
+
+// Snap a dragged orientation (see navOptions.goalSnapping), unless the modifier key of the event toggles snapping off
+ROS3D.Navigator.prototype.snapOrientation = function(orientation, event3D){
+  if (!this.goalSnapper || !this.goalSnapper.isActive(event3D)){
+    return orientation;
+  }
+  return this.goalSnapper.snapOrientation(orientation);
+};
 
 
 ROS3D.Navigator.prototype.updateGoalMarker = function(pos, orientation, c=this.color){
@@ -184,8 +555,19 @@ ROS3D.Navigator.prototype.mouseEventHandlerUnbound = function(event3D){
         if ((event3D.domEvent.button === 0) && (event3D.domEvent.buttons === 1)){
           var poi = event3D.intersection.point; 
           console.log('nav: mouseDOWN');
-          this.mouseDownPos = new ROSLIB.Vector3({x: poi.x, y: poi.y, z: 0});
           this.mouseDown = true;
+          // a click on the goal waiting for confirmation sends it (see navOptions.planPreview), unless there is no plan to it
+          if (this.pendingGoalPose && (this.plan || this.planPending) && Math.hypot(poi.x - this.pendingGoalPose.position.x, poi.y - this.pendingGoalPose.position.y) <= this.confirmRadius){
+            this.confirmClick = true;
+            event3D.stopPropagation();
+            break;
+          }
+          this.mouseDownPos = this.snapPosition(this.getGoalPosition(poi), event3D);
+          if (this.planPreview){
+            // the plan is previewed while choosing the orientation
+            this.discardGoal();
+            this.requestPlan(new ROSLIB.Pose({position: this.mouseDownPos}));
+          }
           // this.updateGoalMarker(this.mouseDownPos, this.defaultOri, this.intermediateColor)
 
           event3D.stopPropagation();
@@ -201,15 +583,15 @@ ROS3D.Navigator.prototype.mouseEventHandlerUnbound = function(event3D){
         if (this.mouseDown && (event3D.domEvent.button === 0)  ){
           // reset
           this.mouseDown = false;
+          if (this.confirmClick){
+            this.confirmClick = false;
+            this.confirmGoal();
+            event3D.stopPropagation();
+            break;
+          }
 
-          // RECALCULATE POI for mouse up since the current event3D.intersection.point is the mouse down location,
-          // but we need the mouse UP position
-          var poi = this.calculateCurrentPOI(event3D);
-
-          // get pos on mouse up/out
-          var mouseUpPos = new ROSLIB.Vector3({x: poi.x, y: poi.y, z: 0});
-
-          var orientation = this.calculateOrientation(this.mouseDownPos, mouseUpPos);
+          // the orientation is where the mouse is now, seen from the mouse down position
+          var orientation = this.getDragOrientation(this.mouseDownPos, event3D);
 
   
           var pose = new ROSLIB.Pose({
@@ -222,8 +604,17 @@ ROS3D.Navigator.prototype.mouseEventHandlerUnbound = function(event3D){
           // console.log('nav up: ' + mouseUpPos.x + ', ' + mouseUpPos.y + ', ' + mouseUpPos.z);
           // console.log('nav ori: ' + orientation.z + ', ' + orientation.w);
           
-          // send the goal
-          this.sendGoal(pose);
+          // send the goal, unless it is not on free space of the map
+          if (!this.isGoalValid(pose)){
+            this.discardGoal();
+            this.updateGoalMarker(pose.position, pose.orientation, this.rejectedColor);
+          } else if (this.planPreview){
+            // wait for the confirmation, unless the planner already failed
+            this.pendingGoalPose = pose;
+            this.updateGoalMarker(pose.position, pose.orientation, (this.plan || this.planPending) ? this.intermediateColor : this.rejectedColor);
+          } else {
+            this.sendGoal(pose);
+          }
 
           this.mouseDownPos = null;       // reset
           event3D.stopPropagation();
@@ -232,15 +623,9 @@ ROS3D.Navigator.prototype.mouseEventHandlerUnbound = function(event3D){
         
 
       case 'mousemove':
-        if (this.mouseDown){
-          // RECALCULATE POI for mouse up since the current event3D.intersection.point is the mouse down location,
-          // but we need the mouse UP position
-          var poi = this.calculateCurrentPOI(event3D);
-
-          // get pos on mouse up/out
-          var mouseUpPos = new ROSLIB.Vector3({x: poi.x, y: poi.y, z: 0});
-
-          var orientation = this.calculateOrientation(this.mouseDownPos, mouseUpPos);
+        if (this.mouseDown && !this.confirmClick){
+          // the orientation is where the mouse is now, seen from the mouse down position
+          var orientation = this.getDragOrientation(this.mouseDownPos, event3D);
           this.updateGoalMarker(this.mouseDownPos, orientation, this.intermediateColor);
         }
         break;
@@ -255,32 +640,7 @@ ROS3D.Navigator.prototype.mouseEventHandlerUnbound = function(event3D){
 ROS3D.Navigator.prototype.calculateCurrentPOI = function(event3D){
   // RECALCULATE POI for mouse up since the current event3D.intersection.point is the mouse down location,
   // but we need the mouse UP position
-  var poi = new THREE.Vector3();
-  var mouseRaycaster = new THREE.Raycaster();
-  mouseRaycaster.params.Line.threshold = 0.001;
-  mouseRaycaster.setFromCamera(event3D.mousePos, event3D.camera);
-  
-
-  if(event3D.intersection.object.plane){
-    // if there is a plane (there is for occupancyGrid/Nav)
-    // https://discourse.threejs.org/t/raycaster-ray-intersecting-plane/2500
-    mouseRaycaster.ray.intersectPlane(event3D.intersection.object.plane, poi);
-  } else {
-    // if object has no plane property
-
-    // event3D.intersection.object is the OccupancyGridNav object which wast raycasted on previous mouse down
-    // so recalculate intersection with that object
-    var newIntersections = [];
-    newIntersections = mouseRaycaster.intersectObject(event3D.intersection.object);
-
-    if (newIntersections.length) {
-      poi.copy(newIntersections[0].point);
-    } else {
-      poi.copy(event3D.intersection.point);       // revert to mouse down POI if it fails
-    }
-  }
-
-  return poi;
+  return ROS3D.calculateEventPOI(event3D);
 };
 
 
@@ -290,6 +650,20 @@ ROS3D.Navigator.prototype.activate = function(event3D){
 
 ROS3D.Navigator.prototype.deactivate = function(event3D){
   this.isActive = false;
+  this.mouseDown = false;
+  this.confirmClick = false;
+  this.discardGoal();
+};
+
+/**
+ * Deactivate the navigator and stop following the robot pose, when the navigator is no longer used.
+ */
+ROS3D.Navigator.prototype.dispose = function(){
+  this.deactivate();
+  if (this.robotPoseListener){
+    this.tfClient.unsubscribe(this.robotBaseFrame, this.robotPoseListener);
+    this.robotPoseListener = null;
+  }
 };
 
 ROS3D.Navigator.prototype.toggleActivation = function(event3D){
@@ -17,362 +17,201 @@
  *   * ros - the ROSLIB.Ros connection handle
  *   * rootObject - the root object to add the click listeners to and render robot markers to (OccupancyGridClientNav)
  *   * navigatorFrameID - tf frame ID on which the goal will be sent
+ *   * robotName (optional) - the robot commanded by this navigator, given in its events (see ROS3D.OccupancyGridClientNav.addRobot)
  *   * serverName (optional) - the action server name to use for navigation, like '/move_base'
  *   * actionName (optional) - the navigation action name, like 'move_base_msgs/MoveBaseAction'
  *   * tfClient- the TF client   (not used for now)
  *   * color (optional) - color of the marker of the **sent** pose
  *   * intermediateColor (optional) - color of the marker while dragging it around / choosing which orientation to go
+ *   * navOptions (optional) - object with the keys below (among others):
+ *     * missionOnFailure (optional) - 'stop' (default) or 'retry' when a waypoint was ABORTED/REJECTED (see ROS3D.WaypointMission)
+ *     * missionMaxRetries (optional) - number of retries per waypoint when missionOnFailure is 'retry'
+ *     * repeatMode (optional) - 'once' (default), 'loop' or 'pingpong', a loop route is drawn with a closing connector
+ *     * repeatLaps (optional) - number of laps for 'loop'/'pingpong', 0 for no end (default: 0)
+ *     * goalPriority (optional) - priority_val of roamer_msgs/MoveBaseAction goals, unless the waypoint has its own (default: 1)
+ *     * waypointTaskColor (optional) - color of the nodes of waypoints with a dwell time or an action
+ *     * toleranceColor (optional) - color of the circle showing the tolerance of a waypoint
+ *     * robotBaseFrame (optional) - TF frame of the robot, used for the tolerance of waypoints (default: 'base_link')
+ *     * editMarkers (optional) - drag a node to move its waypoint, drag its arrowhead to rotate it,
+ *                                 click on a connector to insert a waypoint there (default: true)
+ *     * connectorPickDistance (optional) - max distance (in meters) of a click from a connector to insert a waypoint (default: 0.1)
+ *     * historyLimit (optional) - max number of goalList edits that can be undone, 0 for no limit (default: 100)
+ *     * goalValidation (optional) - options of a ROS3D.GoalValidator to check clicked/dragged waypoints against the map,
+ *                                   e.g. {occupiedThreshold: 65, footprintRadius: 0.3} (default: null, no validation)
+ *     * rejectedColor (optional) - color of the marker of a rejected waypoint
+ *     * showLabels (optional) - show a label with the number (and the name, if any) of each waypoint next to its node (default: true)
+ *     * labelText (optional) - makes the text of the label of a goalList element, function (item, index, navigator)
+ *                              (default: '#<index + 1>' followed by the name of the waypoint)
+ *     * labelColor (optional) - CSS color of the labels, highlighted labels use highlightColor (default: '#ffffff')
+ *     * labelScreenHeight (optional) - height of the labels, as a fraction of the height of the viewport (default: 0.025)
+ *     * surfaceGoals (optional) - keep the height of the clicked point (octree voxels, meshes, point clouds, ...)
+ *                                 instead of putting waypoints on the z=0 map plane (default: false)
+ *     * heightOffset (optional) - height (in meters) of the waypoints above the clicked point (default: 0)
+ *     * orientation3D (optional) - dragging in the camera plane sets the pitch of the waypoint as well as its yaw (default: false)
+ *     * routePreview (optional) - options of a ROS3D.RoutePreview to draw the curved route through the waypoints (using
+ *                                 their orientations), e.g. {mode: 'dubins', turningRadius: 0.5}. The waypoints it flags (a
+ *                                 detour over its maxDetour, or a turn tighter than the turning radius for catmullRom) get its
+ *                                 flaggedColor (default: null, no preview)
+ *     * goalSnapping (optional) - options of a ROS3D.GoalSnapper to snap the yaw and/or the position of clicked and dragged
+ *                                 waypoints, e.g. {yawStep: 90, position: 'cells'}, holding shift toggles it (default: null, no snapping)
+ *     * navBackend (optional) - 'ros1' (actionlib, default) or 'ros2' (ROS 2 actions through rosbridge, see ROS3D.ROS2ActionClient),
+ *                               with 'ros2' the action of the waypoints defaults to Nav2's /navigate_to_pose
+ *     * goalBuilder (optional) - builds the goal message of a waypoint, a function (pose, navigator) or the name of
+ *                                one of ROS3D.goalMessageBuilders (default: the builder of the action type)
+ *     * routeServerName (optional) - the action server of sendRoute (default: '/navigate_through_poses')
+ *     * routeActionName (optional) - the action type of sendRoute (default: 'nav2_msgs/action/NavigateThroughPoses')
+ *     * routeBuilder (optional) - builds the goal message of sendRoute, a function (poses, navigator) or the name of
+ *                                 one of ROS3D.goalMessageBuilders (default: the builder of the route action type)
+ *
+ *   * waypoints (optional) - the ROS3D.WaypointList to edit, e.g. shared with the UI (default: a new, empty one)
+ *
+ *   goalList elements can be ROSLIB.Pose or ROS3D.Waypoint (pose with metadata), anything else is a placeholder.
+ *   goalList is the array of this.waypoints (ROS3D.WaypointList): edit it through this.waypoints (its push, pop and
+ *   splice do the same), whose events keep the markers and the undo history in sync. Do not assign its length or
+ *   its elements, these edits have no events. Every edit also emits 'navigationUpd' on the root object.
  * 
  *   * isActive - the internal state whether Navigator works or not on clicks, 
  */
 
 ROS3D.Navigator_MW = function(options) {
   THREE.Object3D.call(this);
-  var that = this;
   options = options || {};
   
   var ros = options.ros;
+  this.ros = ros;
   this.tfClient = options.tfClient;
   this.rootObject = options.rootObject;
   this.navigatorFrameID = options.navigatorFrameID || 'map';    // this SHOULD ALWAYS BE tfclient's FIXED FRAME
+  this.robotName = options.robotName || null;
 
   // the default options to be used by Navigator, update this with navOptions that is passed by the caller
   // we do this so we don't have to guard all the vars (e.g. var serverName = options.serverName || '/move_base';)
-  var defaultNavOptions = { navServerName:      '/move_base',
-                            navActionName:      'move_base_msgs/MoveBaseAction',
+  var ros2 = !!(options.navOptions && options.navOptions.navBackend === 'ros2');
+  var defaultNavOptions = { navServerName:      ros2 ? '/navigate_to_pose' : '/move_base',
+                            navActionName:      ros2 ? 'nav2_msgs/action/NavigateToPose' : 'move_base_msgs/MoveBaseAction',
+                            navBackend:         'ros1',
+                            goalBuilder:        null,
                             navInitState:       false,
                             scaleMultiplier:    1.0,
                             color:              0x476648,
                             intermediateColor:  0x8FB787,
                             highlightColor:     0xffd11a,
-                            defaultDirection:   new THREE.Vector3(1,0,0),};
+                            defaultDirection:   new THREE.Vector3(1,0,0),
+                            missionOnFailure:   'stop',
+                            missionMaxRetries:  1,
+                            repeatMode:         'once',
+                            repeatLaps:         0,
+                            goalPriority:       1,
+                            waypointTaskColor:  0x2E86C1,
+                            toleranceColor:     0x8FB787,
+                            robotBaseFrame:     'base_link',
+                            editMarkers:        true,
+                            connectorPickDistance: 0.1,
+                            historyLimit:       100,
+                            goalValidation:     null,
+                            goalSnapping:       null,
+                            routePreview:       null,
+                            surfaceGoals:       false,
+                            heightOffset:       0,
+                            orientation3D:      false,
+                            showLabels:         true,
+                            labelText:          null,
+                            labelColor:         '#ffffff',
+                            labelScreenHeight:  0.025,
+                            rejectedColor:      0xE74C3C,
+                            routeServerName:    '/navigate_through_poses',
+                            routeActionName:    'nav2_msgs/action/NavigateThroughPoses',
+                            routeBuilder:       null,};
   // Update/merge the defaultNavOptions with the given navOptions
   var navOptions = Object.assign({}, defaultNavOptions, options.navOptions);
 
   
   var serverName = navOptions.navServerName;   // we don't need to store serverName since it is encoded in this.actionClient
   var actionName = navOptions.navActionName;
+  this.goalBuilder = ROS3D.getGoalMessageBuilder(navOptions.goalBuilder, actionName);
+  this.routeBuilder = ROS3D.getGoalMessageBuilder(navOptions.routeBuilder, navOptions.routeActionName);
   this.scaleMultiplier = navOptions.scaleMultiplier;
   this.color = navOptions.color;
   this.intermediateColor = navOptions.intermediateColor;
   this.highlightColor = navOptions.highlightColor;
+  this.waypointTaskColor = navOptions.waypointTaskColor;
+  this.toleranceColor = navOptions.toleranceColor;
+  this.goalPriority = navOptions.goalPriority;
+  this.rejectedColor = navOptions.rejectedColor;
+  this.goalValidator = navOptions.goalValidation ? new ROS3D.GoalValidator(navOptions.goalValidation) : null;
+  this.goalSnapper = navOptions.goalSnapping ? new ROS3D.GoalSnapper(navOptions.goalSnapping) : null;
+  this.surfaceGoals = navOptions.surfaceGoals;
+  this.heightOffset = navOptions.heightOffset;
+  this.orientation3D = navOptions.orientation3D;
   this.markerFrameID = navOptions.markerFrameID || this.navigatorFrameID;
   this.isActive = navOptions.navInitState;   // toggle this if you want navigation or not
+  this.editMarkers = navOptions.editMarkers;
+  this.connectorPickDistance = navOptions.connectorPickDistance * this.scaleMultiplier;
+  this.showLabels = navOptions.showLabels;
+  this.labelText = navOptions.labelText || this.getDefaultLabelText;
+  this.labelColor = navOptions.labelColor;
+  this.labelScreenHeight = navOptions.labelScreenHeight;
 
   // initialize mouse and marker vars
   this.mouseDownPos = null;                       // roslib.Vector3 pos
   this.mouseDown = false;                         // if mousedown was previously detected
   this.goalMarkerOptions = {color: this.color};
   this.latestMarker = null;
+  this.rejectedMarker = null;                     // marker of the last rejected waypoint, until the next click
   this.nodeMarkerList = [];                       // each elemen is an object {node:<NodePose>, conn0:<NodePoseConnector>}
+  this.loopConnectorMarker = null;                // connector from the last to the first node, for 'loop' routes only
+  this.dragState = null;                          // {index, marker, mode:'move'|'rotate', position, orientation} while dragging a node
+  this.routePreview = null;                       // ROS3D.RoutePreview, see setRoutePreview
+  this.flaggedWaypoints = [];                     // goalList elements flagged by the route preview
 
-  // Proxy handler object
-  this.arrayChangeHandler = {
-    // https://stackoverflow.com/questions/35610242/detecting-changes-in-a-javascript-array-using-the-proxy-object
-    that: this,       // maintain a reference of the navigator object in this proxy handler
-    get: function(target, prop, receiver) {
-      // static functions first
-      const findFirstPoseInList = (startIndex=0, returnFoundIndex=false) => {
-        // Given the the starting point of the search (lowest index), search starting from it the go up, up to the last elem in the list
-        //    returns the last Pose in the list, if there was none, return undefined
-
-        // If negative index or no elements, return null
-        if (startIndex >= target.length || target.length === 0){
-          if (returnFoundIndex){
-            return [null, -1];
-          } else {
-            return null;
-          }
-        } else if (startIndex < 0){
-          startIndex = 0;
-        }
-
-        for (let _idx = startIndex; _idx < target.length; _idx++) {
-          if (target[_idx].constructor.name  === 'Pose'){
-              console.log('Found first Pose object in list at index: ', _idx);
-              if (returnFoundIndex){
-                return [target[_idx], _idx];
-              } else {
-                return target[_idx];
-              }
-          }
-        }
-        if (returnFoundIndex){
-          return [null, -1];
-        } else {
-          return null;
-        }
-
-      };
-
-      const findLastPoseInList = (lastIndex=target.length-1, returnFoundIndex=false) => {
-        // Given the the starting point of the search (biggest index), search starting from it the go down up to the 1st elem in the list
-        //    returns the last Pose in the list, if there was none, return undefined
-
-        // If negative index or no elements, return undefined
-        if (lastIndex < 0 || target.length === 0){
-          if (returnFoundIndex){
-            return [null, -1];
-          } else {
-            return null;
-          }
-        } else if (lastIndex >= target.length){
-          lastIndex = target.length-1;
-        }
-
-        for (let _idx = lastIndex; _idx >= 0; _idx--) {
-          if (target[_idx].constructor.name  === 'Pose'){
-              console.log('Found last Pose object in list at index: ', _idx);
-              if (returnFoundIndex){
-                return [target[_idx], _idx];
-              } else {
-                return target[_idx];
-              }
-          }
-        }
-        if (returnFoundIndex){
-          return [null, -1];
-        } else {
-          return null;
-        }
-
-      };
-
-      const val = target[prop];
-      // console.log('GETTING [' + prop);
-      if (typeof val === 'function') {
-        if (['pop', 'push', 'splice'].includes(prop)) {
-          return function () {
-            var args = Array.from(arguments);
-            console.log('===' + prop);
-            console.log('Args: [' + args + ']');
-
-            // Manipulate nodeMarkerList corresponding to the ROSLIB.Pose in goalList.
-            switch(prop){
-              case 'push': {
-                // Push can have multiple arguments that are individually pushed to the array.
-                // Create a marker for each pushed element on the goalList!!!
-                // Assume one element per push.
-                let newROSPose = args[0];
-                // let oldROSPose = undefined;
-                // Check if the element to be pushed is a Pose
-                if (newROSPose.constructor.name !== 'Pose'){
-                  // add an element null to the nodeMarkeList so that indexing of goalList with nodeMarkeList will be the same
-                  that.nodeMarkerList.push(null);             
-                  break;            // Don't do anything to the UI unless the new item is a Pose
-                }
-                
-                // Find the last ROS3D.Pose object in the list
-                let oldROSPose = findLastPoseInList();
-
-                // let oldROSPose = that.goalList.at(-1); 
-                let poseMarker = that.addPoseMarker(newROSPose.position, newROSPose.orientation);
-                let connMarker = null;
-                if(oldROSPose){
-                  connMarker = that.addConnectorMarker(newROSPose.position, oldROSPose.position);
-                }
-                that.nodeMarkerList.push({'node': poseMarker, 'conn0': connMarker});
-                // args.forEach((el) => {
-                //   var poseMarker = that.addPoseMarker(el.position, el.orientation);
-                //   var oldROSPose = that.goalList.at(-1);
-                //   var connMarker = null;
-                //   if(!oldROSPose){
-                //     connMarker = that.addConnectorMarker(el.position, oldROSPose.position);
-                //   }
-                  
-                //   that.nodeMarkerList.push({'node': poseMarker, 'conn0': connMarker});
-                // });
-                break;
-              } 
-              case 'splice': {
-                // RANDEL: NOW IT IS FULL IMPLEMENTATION OF SPLICE
-                // Sometimes, splice is called with undefined: arr.splice(undefined, 1). It parses the undefined as 0.
-                let [start, deleteCount, ...items] = args;
-                let nodeIndexBefore, nodeIndexAfter, nextPoseNodeIndexAfter, oldROSPose, newROSPose, nodeAfterMarkerObj, poseMarker, connMarker;
-
-                switch(args.length){
-                  case 0:
-                    break;      // Don't do anything when no args
-
-                  case 1:
-                    start = start || 0;       // arr.splice(undefined) == arr.splice(0, arr.length)
-                    deleteCount = that.goalList.length - start;
-                    // Deliberate fall-through
-
-                  case 2:
-                    // Sometimes, splice is called with undefined: arr.splice(undefined, 1). It parses the undefined as 0.
-                    start = start || 0;
-                    deleteCount = deleteCount || 0;
-                    // Get undeleted poses (FROM YET-TO-BE-MODIFIED ARRAY) before and after the deleted items, 
-                    //  so we can adjust their connectors
-                    nodeIndexBefore = start - 1;
-                    nodeIndexAfter = start + deleteCount;
-                    // oldROSPose = that.goalList[nodeIndexBefore];      // **** DONT USE Array.at() *****
-                    oldROSPose = findLastPoseInList(nodeIndexBefore);
-                    // newROSPose = that.goalList[nodeIndexAfter];
-                    [newROSPose, nextPoseNodeIndexAfter] = findFirstPoseInList(nodeIndexAfter, true);
-                    nodeAfterMarkerObj = that.nodeMarkerList[nextPoseNodeIndexAfter];
-
-                    // Remove all nodes and connectors from scene for the given indeces
-                    for(let i=start, c=0; c<deleteCount; c++, i++){
-                      try{
-                        Object.values(that.nodeMarkerList[i]).forEach(marker => that.remove(marker));
-                        // that.remove(that.nodeMarkerList[i].node);       // simple removal of node only
-                      } catch(err){
-                        console.log('No marker to delete.');
-                      }
-                    }
-                    // Modify conn0 of the next node, if it exists.
-                    if(nodeAfterMarkerObj){
-                      try{
-                        // Delete the old connector first.
-                        that.remove(nodeAfterMarkerObj.conn0);
-                        connMarker = null;
-                        if(oldROSPose){
-                          // Create the new connector, only if there is a previous node
-                          connMarker = that.addConnectorMarker(newROSPose.position, oldROSPose.position);
-                        }
-                        nodeAfterMarkerObj.conn0 = connMarker;
-                      } catch(err){
-                        console.log('Somethingsomething...');
-                      }
-                    }
-                    that.nodeMarkerList.splice(start, deleteCount);
-                    break;
-                  
-                  default:    // 3 or above ( with items to add)
-                    // Sometimes, splice is called with undefined: arr.splice(undefined, 1). It parses the undefined as 0.
-                    start = start || 0;
-                    deleteCount = deleteCount || 0;
-                    // Get undeleted poses (FROM YET-TO-BE-MODIFIED ARRAY) before and after the deleted items, 
-                    //  so we can adjust their connectors
-                    nodeIndexBefore = start - 1;
-                    nodeIndexAfter = start + deleteCount;
-                    // oldROSPose = that.goalList[nodeIndexBefore];      // **** DONT USE Array.at() *****
-                    oldROSPose = findLastPoseInList(nodeIndexBefore);
-                    // newROSPose = that.goalList[nodeIndexAfter];
-                    [newROSPose, nextPoseNodeIndexAfter] = findFirstPoseInList(nodeIndexAfter, true);
-                    nodeAfterMarkerObj = that.nodeMarkerList[nextPoseNodeIndexAfter];
-
-                    // Remove all nodes and connectors from scene for the given indeces
-                    for(let i=start, c=0; c<deleteCount; c++, i++){
-                      try{
-                        Object.values(that.nodeMarkerList[i]).forEach(marker => that.remove(marker));
-                        // that.remove(that.nodeMarkerList[i].node);       // simple removal of node only
-                      } catch(err){
-                        console.log('No marker to delete.');
-                      }
-                    }
-
-                    // create node markers for each item, then put them into a list
-                    let addedPoseMarkers= [];     // temporary storage of poseMarkers {node:node, conn0:conn0}
-                    
-                    for(let k in items){
-                      let xxxROSPose = items[k];
-                      // Check if the item is a Pose
-                      if (xxxROSPose.constructor.name !== 'Pose'){
-                        addedPoseMarkers.push(null);                // Don't update oldROSPose since the cur item is not a Pose
-                        break;            
-                      }
-
-                      connMarker = null;
-                      poseMarker = that.addPoseMarker(items[k].position, items[k].orientation);
-                      if(oldROSPose){
-                        connMarker = that.addConnectorMarker(items[k].position, oldROSPose.position);
-                      }
-                      addedPoseMarkers.push({'node': poseMarker, 'conn0': connMarker});
-                      // reset and update
-                      oldROSPose = items[k];          // at this point , we are sure that the current item is a pose, so update oldROSPose
-                    }
-
-                    // Modify conn0 of the next node, if it exists.
-                    if(nodeAfterMarkerObj){
-                      try{
-                        // Delete the old connector first.
-                        that.remove(nodeAfterMarkerObj.conn0);
-                        connMarker = null;
-                        if(oldROSPose){
-                          // Create the new connector, only if there is a previous node
-                          connMarker = that.addConnectorMarker(newROSPose.position, oldROSPose.position);
-                        }
-                        nodeAfterMarkerObj.conn0 = connMarker;
-                      } catch(err){
-                        console.log('Somethingsomething...');
-                      }
-                    }
-                    that.nodeMarkerList.splice(start, deleteCount, ...addedPoseMarkers);
-                    break;
-                }
-                break;
-              } 
-              case 'pop': {
-                let tempNodeObj = that.nodeMarkerList.pop();
-                try{
-                  for(let marker in Object.values(tempNodeObj)){
-                    that.remove(marker); 
-                  }
-                } catch(err){
-                  console.log('No marker to delete.');
-                }
-                break;
-              } 
-              default:{
-                // NOP
-              }
-            }
-
-            // Apply array manipulation after updating threejs UI elements.
-            var retval = Array.prototype[prop].apply(target, arguments);    // This line (the apply) mutates the goalList
-
-            // Send signals after array is manipulated (for push, splice, and pop only) , NOTE: array WAS ALREADY UPDATED
-            that.rootObject.emit('navigationUpd');
-
-            return retval;
-          };
-        }
-        return val.bind(target);
-      } 
-      // Disable other mutable methods
-      else if (['unshift', 'shift', 'fill', 'reverse', 'sort', 'copyWithin'].includes(prop)){
-        throw Error(`Array method [${prop}] not supported yet.`);
-      }
-      return val;
-    },
-    
+  // undo/redo of goalList edits, each entry is a list of changes {start, removed:[...], added:[...]}
+  this.historyLimit = navOptions.historyLimit;
+  this.undoStack = [];
+  this.redoStack = [];
+  this.historyGroup = null;                       // changes of the entry being grouped (see beginHistoryGroup)
+  this.historyGroupDepth = 0;
+  this.historyPaused = false;                     // don't record while undoing/redoing (or creating the initial markers)
 
-    // set: function(target, property, value) {
-    //   // console.log('@@setting [' + property + '] for [' + target + '] with value [' + value + ']');
-    //   target[property] = value;
-    //   // you have to return true to accept the changes
-    //   // console.log(property, 'mutated to', value)
-    //   // console.log("prop is integer: " + Number.isInteger(Number(property)))
-    //   if (Number.isInteger(Number(property))){
-    //     var poseMarker = that.addPoseMarker(value.position, value.orientation);
-    //     // Set value of the linked sister array, when mutating original goalList array
-    //     // Handle the node marker list.
-    //     this.pNodeMarkerList[property] = {'node': poseMarker};         // "this" here refers to arrayChangeHandler proxy object
-
-    //   } else {
-    //     this.pNodeMarkerList[property] = value;
-    //   }
-    //   this.that.rootObject.emit('navigationUpd');
-    //   return true;
-    // },
-    
-
-  };
-  // RANDEL: The original goal list object, each elem is a ROSLIB.Pose object
-  this._goalListOrig = new Array();                     
-  // RANDEL: This is a proxy object of the actual/original goalList
-  this.goalList = new Proxy(this._goalListOrig, this.arrayChangeHandler);   
 
   
   // setup the actionlib client
-  this.actionClient = new ROSLIB.ActionClient({
-    ros : ros,
-    actionName : actionName,
-    serverName : serverName
+  this.navBackend = navOptions.navBackend;
+  this.actionClient = this.createActionClient(ros, serverName, actionName);
+  // the client of sendRoute (goes through all the waypoints in a single goal), created when first used
+  this.routeActionClient = null;
+  this.routeClientArgs = [ros, navOptions.routeServerName, navOptions.routeActionName];
+  this.currentRouteGoal = null;
+
+  // executes the goalList, see start/pause/resume/skip/cancel of ROS3D.WaypointMission
+  this.mission = new ROS3D.WaypointMission({
+    navigator : this,
+    onFailure : navOptions.missionOnFailure,
+    maxRetries : navOptions.missionMaxRetries,
+    repeatMode : navOptions.repeatMode,
+    laps : navOptions.repeatLaps,
+    robotBaseFrame : navOptions.robotBaseFrame,
   });
+
+  // the model of the goalList, the markers of its elements are updated on its events (see handleWaypointsAdded...)
+  this.waypoints = options.waypoints || new ROS3D.WaypointList();
+  this.goalList = this.waypoints.items;
+  this.waypoints.on('added', this.handleWaypointsAdded.bind(this));
+  this.waypoints.on('removed', this.handleWaypointsRemoved.bind(this));
+  this.waypoints.on('moved', this.handleWaypointsMoved.bind(this));
+  this.waypoints.on('updated', this.handleWaypointUpdated.bind(this));
+  this.waypoints.on('change', this.handleWaypointsChange.bind(this));
+  // after the markers, so that the mission highlights the node of its shifted index
+  this.mission.followList(this.waypoints);
+  if (this.goalList.length){
+    // the initial items are not an edit that can be undone
+    this.historyPaused = true;
+    this.handleWaypointsAdded({index: 0, items: this.goalList.slice()});
+    this.historyPaused = false;
+    this.handleWaypointsChange();
+  }
+  if (navOptions.routePreview){
+    this.setRoutePreview(navOptions.routePreview);
+  }
     
   // Since this is called by objects other than itself (addeventlistener on OGNav)
   this.mouseEventHandler = this.mouseEventHandlerUnbound.bind(this);
@@ -382,6 +221,258 @@ ROS3D.Navigator_MW = function(options) {
 
 ROS3D.Navigator_MW.prototype.__proto__ = THREE.Object3D.prototype;
 
+// Items of goalList that are not poses are just placeholders (no markers, skipped by the mission)
+ROS3D.Navigator_MW.prototype.isPose = function(item){
+  return !!item && (item instanceof ROSLIB.Pose || item.isWaypoint === true);
+};
+
+// Returns the index of the first pose in goalList starting from startIndex, -1 if there is none
+ROS3D.Navigator_MW.prototype.findNextPoseIndex = function(startIndex=0){
+  for (var i = Math.max(startIndex, 0); i < this.goalList.length; i++){
+    if (this.isPose(this.goalList[i])){
+      return i;
+    }
+  }
+  return -1;
+};
+
+// Returns the index of the last pose in goalList at or before lastIndex, -1 if there is none
+ROS3D.Navigator_MW.prototype.findPrevPoseIndex = function(lastIndex){
+  for (var i = Math.min(lastIndex, this.goalList.length - 1); i >= 0; i--){
+    if (this.isPose(this.goalList[i])){
+      return i;
+    }
+  }
+  return -1;
+};
+
+
+// Create the markers of a goalList element: its node, the connector from the previous pose (if any),
+// and a circle showing its tolerance (waypoints only). Returns the nodeMarkerList element.
+ROS3D.Navigator_MW.prototype.addWaypointMarkers = function(item, prevItem){
+  var nodeMarkerObj = {'node': this.addPoseMarker(item.position, item.orientation, this.getNodeColor(item)), 'conn0': null};
+  if (prevItem){
+    nodeMarkerObj.conn0 = this.addConnectorMarker(item.position, prevItem.position);
+  }
+  if (item.tolerance > 0){
+    nodeMarkerObj.tol = this.addToleranceMarker(item.position, item.tolerance);
+  }
+  return nodeMarkerObj;
+};
+
+
+// Remove the markers of a nodeMarkerList element
+ROS3D.Navigator_MW.prototype.removeWaypointMarkers = function(nodeMarkerObj){
+  if (!nodeMarkerObj){
+    return;
+  }
+  Object.values(nodeMarkerObj).forEach((marker) => {
+    if (marker){
+      this.remove(marker);
+    }
+  });
+  if (nodeMarkerObj.label){
+    nodeMarkerObj.label.dispose();
+  }
+};
+
+
+// (Re)create the connector from the previous pose to the pose at index (if any)
+ROS3D.Navigator_MW.prototype.updateConnector = function(index){
+  var nodeMarkerObj = this.nodeMarkerList[index];
+  if (!nodeMarkerObj){
+    return;
+  }
+  if (nodeMarkerObj.conn0){
+    this.remove(nodeMarkerObj.conn0);
+  }
+  var prevIndex = this.findPrevPoseIndex(index - 1);
+  nodeMarkerObj.conn0 = (prevIndex >= 0) ? (this.addConnectorMarker(this.goalList[index].position, this.goalList[prevIndex].position) || null) : null;
+};
+
+
+// Create the markers of the items added to the waypoints, and reconnect the pose after them
+ROS3D.Navigator_MW.prototype.handleWaypointsAdded = function(event){
+  var nodeMarkerObjs = event.items.map((item) => this.isPose(item) ? this.addWaypointMarkers(item, null) : null);
+  this.nodeMarkerList.splice(event.index, 0, ...nodeMarkerObjs);
+  var end = event.index + event.items.length;
+  for (var i = event.index; i < end; i++){
+    this.updateConnector(i);
+  }
+  this.updateConnector(this.findNextPoseIndex(end));
+  this.recordHistory([{start: event.index, removed: [], added: event.items}]);
+};
+
+
+// Remove the markers of the items removed from the waypoints, and reconnect the pose after them
+ROS3D.Navigator_MW.prototype.handleWaypointsRemoved = function(event){
+  this.nodeMarkerList.splice(event.index, event.items.length).forEach((nodeMarkerObj) => this.removeWaypointMarkers(nodeMarkerObj));
+  this.updateConnector(this.findNextPoseIndex(event.index));
+  this.recordHistory([{start: event.index, removed: event.items, added: []}]);
+};
+
+
+// Move the markers of the moved items, all the connectors are recreated
+ROS3D.Navigator_MW.prototype.handleWaypointsMoved = function(event){
+  var nodeMarkerObjs = this.nodeMarkerList.splice(event.from, event.items.length);
+  this.nodeMarkerList.splice(event.to, 0, ...nodeMarkerObjs);
+  this.nodeMarkerList.forEach((nodeMarkerObj, index) => this.updateConnector(index));
+  // undone in one step
+  this.recordHistory([{start: event.from, removed: event.items, added: []},
+                      {start: event.to, removed: [], added: event.items}]);
+};
+
+
+// Recreate the markers of the replaced item, and its connectors
+ROS3D.Navigator_MW.prototype.handleWaypointUpdated = function(event){
+  this.removeWaypointMarkers(this.nodeMarkerList[event.index]);
+  this.nodeMarkerList[event.index] = this.isPose(event.item) ? this.addWaypointMarkers(event.item, null) : null;
+  this.updateConnector(event.index);
+  this.updateConnector(this.findNextPoseIndex(event.index + 1));
+  this.recordHistory([{start: event.index, removed: [event.oldItem], added: [event.item]}]);
+};
+
+
+// After any edit of the waypoints
+ROS3D.Navigator_MW.prototype.handleWaypointsChange = function(){
+  // the first/last poses may have changed, so redraw the closing connector of a loop route
+  this.updateLoopConnector();
+  // the indices of the elements after the edit may have changed
+  this.updateLabels();
+  this.updateRoutePreview();
+  this.rootObject.emit('navigationUpd');
+};
+
+
+// The (unhighlighted) color of the node of a goalList element
+ROS3D.Navigator_MW.prototype.getNodeColor = function(item){
+  if (this.routePreview && this.flaggedWaypoints.indexOf(item) >= 0){
+    return this.routePreview.flaggedColor;
+  }
+  if (item && item.isWaypoint && item.hasArrivalTask()){
+    return this.waypointTaskColor;
+  }
+  return this.color;
+};
+
+
+ROS3D.Navigator_MW.prototype.addToleranceMarker = function(pos, radius, c=this.toleranceColor){
+  var geometry = new THREE.RingGeometry(Math.max(radius - 0.02, 0), radius, 48);
+  var material = new THREE.MeshBasicMaterial({color: c, transparent: true, opacity: 0.6, side: THREE.DoubleSide});
+  var tolMarker = new THREE.Mesh(geometry, material);
+  tolMarker.position.set(pos.x, pos.y, pos.z);
+  this.add(tolMarker);
+  return tolMarker;
+};
+
+
+// '#<index + 1>', followed by the name of the waypoint if it has one
+ROS3D.Navigator_MW.prototype.getDefaultLabelText = function(item, index){
+  var text = '#' + (index + 1);
+  if (item.isWaypoint && item.name){
+    text += ' ' + item.name;
+  }
+  return text;
+};
+
+
+// Create or update the labels of all the nodes, e.g. after the goalList was reordered (see navOptions.showLabels)
+ROS3D.Navigator_MW.prototype.updateLabels = function(){
+  this.nodeMarkerList.forEach((nodeMarkerObj, index) => {
+    if (!nodeMarkerObj || !nodeMarkerObj.node){
+      return;
+    }
+    var item = this.goalList[index];
+    if (!this.showLabels){
+      if (nodeMarkerObj.label){
+        this.remove(nodeMarkerObj.label);
+        nodeMarkerObj.label.dispose();
+        delete nodeMarkerObj.label;
+      }
+      return;
+    }
+    if (!nodeMarkerObj.label){
+      nodeMarkerObj.label = new ROS3D.TextLabel({
+        color : this.labelColor,
+        screenHeight : this.labelScreenHeight,
+      });
+      nodeMarkerObj.label.center.set(0, 0);       // above and to the right of the node
+      this.add(nodeMarkerObj.label);
+    }
+    nodeMarkerObj.label.setText(this.labelText(item, index, this));
+    nodeMarkerObj.label.position.set(item.position.x, item.position.y, item.position.z);
+  });
+  this.rootObject.emit('change');
+};
+
+
+// Show or hide the labels of the nodes
+ROS3D.Navigator_MW.prototype.setShowLabels = function(showLabels){
+  this.showLabels = showLabels;
+  this.updateLabels();
+};
+
+
+// Highlight the label of a node (or not), highlightNodeAtIndex does it for the node
+ROS3D.Navigator_MW.prototype.setLabelHighlight = function(nodeMarkerObj, highlighted){
+  if (nodeMarkerObj && nodeMarkerObj.label){
+    nodeMarkerObj.label.setColor(highlighted ? '#' + new THREE.Color(this.highlightColor).getHexString() : this.labelColor);
+  }
+};
+
+
+/**
+ * Set the metadata (see ROS3D.Waypoint) of the goalList element at the given index.
+ * A ROSLIB.Pose element is converted into a ROS3D.Waypoint.
+ *
+ * @param index - index of the element in goalList
+ * @param meta - object with the metadata to set, e.g. {name: 'dock', dwellTime: 5}
+ */
+ROS3D.Navigator_MW.prototype.setWaypointMeta = function(index, meta){
+  var item = this.goalList[index];
+  if (!this.isPose(item)){
+    return false;
+  }
+  var oldMeta = item.isWaypoint ? item.getMeta() : {};
+  var waypoint = new ROS3D.Waypoint(Object.assign(oldMeta, meta, {
+    position :    item.position,
+    orientation : item.orientation,
+  }));
+  // replace the element, this rebuilds its markers
+  this.waypoints.replace(index, waypoint);
+  return true;
+};
+
+
+/**
+ * Run the action of a waypoint (if it has one), returns a Promise that resolves when the action is done.
+ *
+ * @param waypoint - the ROS3D.Waypoint
+ * @param index - index of the waypoint in goalList
+ */
+ROS3D.Navigator_MW.prototype.runWaypointAction = function(waypoint, index){
+  var that = this;
+  var action = waypoint && waypoint.action;
+  if (!action){
+    return Promise.resolve();
+  }
+  if (typeof action === 'function'){
+    // the action may or may not return a Promise
+    return new Promise(function(resolve){
+      resolve(action(waypoint, index, that));
+    });
+  }
+  // ROS service
+  return new Promise(function(resolve, reject){
+    var service = new ROSLIB.Service({
+      ros : that.ros,
+      name : action.service,
+      serviceType : action.serviceType || 'std_srvs/Trigger',
+    });
+    service.callService(new ROSLIB.ServiceRequest(action.request || {}), resolve, reject);
+  });
+};
+
 // UNUSED/REDUNDANT ????
 ROS3D.Navigator_MW.prototype.findNodeMarkerObj = function(node){
   // node should be ROS3D.NodePose
@@ -450,6 +541,101 @@ ROS3D.Navigator_MW.prototype.addConnectorMarker = function(newPos, oldPos,  c=th
 ROS3D.Navigator_MW.prototype.clearAllMarkers = function(){
   // redundant function, just for clarity
   this.clear();   // remember, Navigator is a THREE.Object3D, clearing its children will remove any markers
+  this.loopConnectorMarker = null;
+  this.rejectedMarker = null;
+};
+
+
+// Set how the goalList is replayed by the mission ('once', 'loop' or 'pingpong'), and the number of laps (0 for no end)
+ROS3D.Navigator_MW.prototype.setRepeatMode = function(repeatMode, laps){
+  this.mission.setRepeatMode(repeatMode, laps);
+  this.updateLoopConnector();
+  this.updateRoutePreview();
+  this.rootObject.emit('change');
+};
+
+
+// (Re)creates the connector from the last pose to the first pose of the goalList, only when the route is a loop.
+// overrideIndex/overridePosition (optional) draw it as if the pose at overrideIndex was at overridePosition (while dragging).
+ROS3D.Navigator_MW.prototype.updateLoopConnector = function(overrideIndex=-1, overridePosition=null){
+  if (this.loopConnectorMarker){
+    this.remove(this.loopConnectorMarker);
+    this.loopConnectorMarker = null;
+  }
+  if (this.mission.repeatMode !== 'loop'){
+    return;
+  }
+
+  var firstIndex = this.findNextPoseIndex(0);
+  var lastIndex = this.findPrevPoseIndex(this.goalList.length - 1);
+  if (firstIndex < 0 || firstIndex === lastIndex){
+    return;       // need at least 2 poses for a loop
+  }
+  var firstPos = (firstIndex === overrideIndex) ? overridePosition : this.goalList[firstIndex].position;
+  var lastPos = (lastIndex === overrideIndex) ? overridePosition : this.goalList[lastIndex].position;
+  // from last to first, addConnectorMarker returns undefined if the two poses are too close
+  this.loopConnectorMarker = this.addConnectorMarker(firstPos, lastPos) || null;
+};
+
+
+/**
+ * Show (or hide) the curved route through the waypoints, see navOptions.routePreview.
+ *
+ * @param options - options of a ROS3D.RoutePreview, null to hide it
+ */
+ROS3D.Navigator_MW.prototype.setRoutePreview = function(options){
+  if (this.routePreview){
+    this.remove(this.routePreview);
+    this.routePreview.dispose();
+    this.routePreview = null;
+  }
+  if (options){
+    this.routePreview = new ROS3D.RoutePreview(options);
+  }
+  this.updateRoutePreview();
+  this.rootObject.emit('change');
+};
+
+
+// Recompute the route preview (if any) after the goalList changed, recolor the waypoints it flags, and
+// emit 'routePreview' with {length, flagged: [goalList indices]} on the root object
+ROS3D.Navigator_MW.prototype.updateRoutePreview = function(){
+  var flagged = [];
+  var result = null;
+  if (this.routePreview){
+    if (this.routePreview.parent !== this){
+      this.add(this.routePreview);      // e.g. after clearAllMarkers
+    }
+    var indices = [];
+    var poses = [];
+    this.goalList.forEach((item, index) => {
+      if (this.isPose(item)){
+        var q = item.orientation;
+        var euler = new THREE.Euler().setFromQuaternion(new THREE.Quaternion(q.x, q.y, q.z, q.w), 'ZYX');
+        indices.push(index);
+        poses.push({x: item.position.x, y: item.position.y, z: item.position.z, yaw: euler.z});
+      }
+    });
+    result = this.routePreview.update(poses, this.mission.repeatMode === 'loop');
+    flagged = result.flagged.map((i) => this.goalList[indices[i]]);
+  }
+
+  // recolor the nodes whose flag changed
+  var previous = this.flaggedWaypoints;
+  this.flaggedWaypoints = flagged;
+  this.goalList.forEach((item, index) => {
+    var nodeMarkerObj = this.nodeMarkerList[index];
+    if (nodeMarkerObj && (previous.indexOf(item) >= 0) !== (flagged.indexOf(item) >= 0)){
+      nodeMarkerObj.node.setColor(this.getNodeColor(item));
+    }
+  });
+
+  if (result){
+    this.rootObject.emit('routePreview', {
+      length : result.length,
+      flagged : flagged.map((item) => this.goalList.indexOf(item)),
+    });
+  }
 };
 
 
@@ -458,26 +644,105 @@ ROS3D.Navigator_MW.prototype.updateAllMarkers = function(){
   // Temporarily store goalList
   var goalList = Array.from(this.goalList);
   this.clearGoalList();
-  
-  for (var pose in goalList){
-    this.goalList.push(pose);
-  }
+  this.waypoints.add(...goalList);
   this.rootObject.emit('change');
 };
   
 
 //Mitz - update array
 ROS3D.Navigator_MW.prototype.pushToGoalList = function(pose){
-  this.goalList.push(pose);             // Mutating the PROXY goalList should emit a signal
+  this.waypoints.add(pose);             // the markers are updated on the events of the waypoints
   // this.rootObject.emit('navigationUpd');
 };
 
 //Mitz - delete pose on array
 ROS3D.Navigator_MW.prototype.deletePose = function(index_no){
-  this.goalList.splice(index_no, 1);
+  this.waypoints.remove(index_no);
   // this.rootObject.emit('navigationUpd');
 };
 
+// Create the client of a navigation action, for navOptions.navBackend
+ROS3D.Navigator_MW.prototype.createActionClient = function(ros, serverName, actionName){
+  switch(this.navBackend){
+    case 'ros2':
+      return new ROS3D.ROS2ActionClient({
+        ros : ros,
+        serverName : serverName,
+        actionName : actionName
+      });
+    case 'ros1':
+      return new ROSLIB.ActionClient({
+        ros : ros,
+        actionName : actionName,
+        serverName : serverName
+      });
+    default:
+      throw Error(`Unknown navigation backend: ${this.navBackend}, should be 'ros1' or 'ros2'.`);
+  }
+};
+
+// Build the goal message of the navigation action for the given ROSLIB.Pose (see navOptions.goalBuilder)
+ROS3D.Navigator_MW.prototype.buildGoalMessage = function(pose){
+  return this.goalBuilder(pose, this);
+};
+
+// Send a single ROSLIB.Pose to the action server, returns the goal (used by ROS3D.WaypointMission)
+ROS3D.Navigator_MW.prototype.sendGoal = function(pose){
+  var goal = ROS3D.createActionGoal(this.actionClient, this.buildGoalMessage(pose));
+  goal.send();
+  console.debug('nav: pose sent');
+  return goal;
+};
+
+/**
+ * Send all the poses of the goalList in a single goal of the route action (e.g. nav2_msgs/NavigateThroughPoses),
+ * so that the robot goes through them without stopping. The waypoint metadata (dwell time, action, tolerance)
+ * and the repeat mode are not used, see ROS3D.WaypointMission for those.
+ * Emits 'routeStatus' on the root object with {status, text, robot} (actionlib_msgs/GoalStatus, robotName) when its status changes.
+ *
+ * @returns the goal, null if there is no pose in the goalList
+ */
+ROS3D.Navigator_MW.prototype.sendRoute = function(){
+  var poses = [];
+  for (var i = 0; i < this.goalList.length; i++){
+    if (this.isPose(this.goalList[i])){
+      poses.push(this.goalList[i]);
+    }
+  }
+  if (poses.length === 0){
+    return null;
+  }
+  this.cancelRoute();
+  if (!this.routeActionClient){
+    this.routeActionClient = this.createActionClient.apply(this, this.routeClientArgs);
+  }
+
+  var that = this;
+  var goal = ROS3D.createActionGoal(this.routeActionClient, this.routeBuilder(poses, this));
+  goal.on('status', function(status){
+    if (that.currentRouteGoal === goal){
+      that.rootObject.emit('routeStatus', {status: status.status, text: status.text, robot: that.robotName});
+    }
+  });
+  goal.on('result', function(){
+    if (that.currentRouteGoal === goal){
+      that.currentRouteGoal = null;
+    }
+  });
+  this.currentRouteGoal = goal;
+  goal.send();
+  console.debug('nav: route of ' + poses.length + ' poses sent');
+  return goal;
+};
+
+// Cancel the goal of sendRoute, if any
+ROS3D.Navigator_MW.prototype.cancelRoute = function(){
+  if (this.currentRouteGoal){
+    this.currentRouteGoal.cancel();
+    this.currentRouteGoal = null;
+  }
+};
+
 // calculate ORIENTATION between (ROSLIB.Vector3) point1 and point2
 ROS3D.Navigator_MW.prototype.calculateOrientation = function(p1, p2){
   if ( p1 === void 0 || p2 === void 0) {
@@ -509,12 +774,175 @@ ROS3D.Navigator_MW.prototype.calculateOrientation = function(p1, p2){
 
 
 ROS3D.Navigator_MW.prototype.clearGoalList = function(){
-  this.goalList.splice(0, this.goalList.length);
+  this.waypoints.clear();
   // this.rootObject.emit('navigationUpd');
   // this.clear();         // clears markers
 };
 
 
+/**
+ * Returns the mission (the poses of goalList, their metadata and the repeat mode) as a plain object,
+ * using the layout of the YAML files of common waypoint-follower packages:
+ *   {frame_id, repeat_mode, laps, waypoints: [{name, frame_id, pose: {position, orientation},
+ *                                              dwell_time, tolerance, priority, action}]}
+ * Placeholders are skipped and unnamed waypoints have no name. Function actions can not be serialized, only service
+ * actions are kept.
+ */
+ROS3D.Navigator_MW.prototype.getMissionObject = function(){
+  var waypoints = [];
+  this.goalList.forEach((item) => {
+    if (!this.isPose(item)){
+      return;
+    }
+    var wp = {
+      name :      item.name || undefined,         // unnamed waypoints stay unnamed
+      frame_id :  this.navigatorFrameID,
+      pose : {
+        position :    {x: item.position.x, y: item.position.y, z: item.position.z},
+        orientation : {x: item.orientation.x, y: item.orientation.y, z: item.orientation.z, w: item.orientation.w},
+      },
+    };
+    if (item.isWaypoint){
+      wp.dwell_time = item.dwellTime;
+      wp.tolerance = item.tolerance;
+      wp.priority = item.priority;
+      if (item.action && typeof item.action !== 'function'){
+        wp.action = {service: item.action.service, service_type: item.action.serviceType, request: item.action.request};
+      } else if (item.action){
+        console.warn('Waypoint [' + wp.name + '] has a function action, it can not be exported.');
+      }
+    }
+    waypoints.push(wp);
+  });
+
+  return {
+    frame_id :    this.navigatorFrameID,
+    repeat_mode : this.mission.repeatMode,
+    laps :        this.mission.laps,
+    waypoints :   waypoints,
+  };
+};
+
+
+/**
+ * Load a mission object (see getMissionObject) into goalList, this rebuilds all the markers.
+ *
+ * @param mission - the mission object
+ * @param append (optional) - append to the current goalList instead of replacing it (default: false)
+ */
+ROS3D.Navigator_MW.prototype.loadMissionObject = function(mission, append=false){
+  if (!mission || !Array.isArray(mission.waypoints)){
+    throw Error('Invalid mission: no waypoints list.');
+  }
+
+  var waypoints = mission.waypoints.map((wp, index) => {
+    var frameID = wp.frame_id || mission.frame_id;
+    if (frameID && frameID !== this.navigatorFrameID){
+      console.warn('Waypoint [' + (wp.name || index) + '] is in frame ' + frameID + ' instead of ' + this.navigatorFrameID + ', loading it as it is.');
+    }
+    var pose = wp.pose || {};
+    var action = null;
+    if (wp.action && wp.action.service){
+      action = {service: wp.action.service, serviceType: wp.action.service_type, request: wp.action.request};
+    }
+    return new ROS3D.Waypoint({
+      position :    pose.position,
+      orientation : pose.orientation,
+      name :        wp.name,
+      dwellTime :   wp.dwell_time,
+      tolerance :   wp.tolerance,
+      priority :    (wp.priority === null) ? undefined : wp.priority,
+      action :      action,
+    });
+  });
+
+  this.beginHistoryGroup();
+  if (!append){
+    this.clearGoalList();
+  }
+  this.waypoints.add(...waypoints);
+  this.endHistoryGroup();
+
+  if (mission.repeat_mode){
+    this.setRepeatMode(mission.repeat_mode, mission.laps);
+  }
+  this.rootObject.emit('change');
+};
+
+
+/**
+ * Returns the poses of goalList as a nav_msgs/Path message (metadata is not part of a Path).
+ */
+ROS3D.Navigator_MW.prototype.getPathMessage = function(){
+  var header = {frame_id: this.navigatorFrameID};
+  return {
+    header : header,
+    poses :  this.goalList.filter((item) => this.isPose(item)).map((item) => {
+      return {
+        header : header,
+        pose : {
+          position :    {x: item.position.x, y: item.position.y, z: item.position.z},
+          orientation : {x: item.orientation.x, y: item.orientation.y, z: item.orientation.z, w: item.orientation.w},
+        },
+      };
+    }),
+  };
+};
+
+
+/**
+ * Serialize the mission.
+ *
+ * @param format (optional) - 'json' (default), 'yaml' or 'path' (returns a nav_msgs/Path message object)
+ * @returns the serialized mission (string), or the message (object) for 'path'
+ */
+ROS3D.Navigator_MW.prototype.exportMission = function(format='json'){
+  switch(format.toLowerCase()){
+    case 'yaml':
+    case 'yml':
+      return ROS3D.dumpYAML(this.getMissionObject());
+    case 'path':
+      return this.getPathMessage();
+    case 'json':
+      return JSON.stringify(this.getMissionObject(), null, 2);
+    default:
+      throw Error(`Mission format [${format}] not supported.`);
+  }
+};
+
+
+/**
+ * Load a mission into goalList, rebuilding all the markers.
+ *
+ * @param data - the serialized mission (string) or, for 'path', a nav_msgs/Path message
+ * @param format (optional) - 'json' (default), 'yaml' or 'path'
+ * @param append (optional) - append to the current goalList instead of replacing it (default: false)
+ */
+ROS3D.Navigator_MW.prototype.importMission = function(data, format='json', append=false){
+  var mission;
+  switch(format.toLowerCase()){
+    case 'yaml':
+    case 'yml':
+      mission = ROS3D.parseYAML(data);
+      break;
+    case 'path':
+      mission = {
+        frame_id :  data.header && data.header.frame_id,
+        waypoints : data.poses.map((poseStamped) => {
+          return {frame_id: poseStamped.header && poseStamped.header.frame_id, pose: poseStamped.pose};
+        }),
+      };
+      break;
+    case 'json':
+      mission = (typeof data === 'string') ? JSON.parse(data) : data;
+      break;
+    default:
+      throw Error(`Mission format [${format}] not supported.`);
+  }
+  this.loadMissionObject(mission, append);
+};
+
+
 ROS3D.Navigator_MW.prototype.mouseEventHandlerUnbound = function(event3D){
   // only handle mouse events when active
   // 0: Accepted    , so either stop propagation or don't handle it
@@ -548,12 +976,30 @@ ROS3D.Navigator_MW.prototype.mouseEventHandlerUnbound = function(event3D){
         // https://developer.mozilla.org/en-US/docs/Web/API/MouseEvent/button
         if ((event3D.domEvent.button === 0) && (event3D.domEvent.buttons === 1)){
           this.mouseDown = true;
+          this.clearRejectedMarker();
+
+          // grabbing an existing node drags it around (or rotates it, if grabbed by its arrowhead),
+          // grabbing a connector inserts a node there, which can then be dragged around
+          var picked = this.editMarkers ? (this.pickNodeMarker(event3D) || this.insertAtConnector(event3D)) : null;
+          if (picked === false){
+            // the node to insert was rejected
+            this.mouseDown = false;
+            event3D.stopPropagation();
+            break;
+          }
+          this.dragState = picked;
+          if (this.dragState){
+            this.dragState.marker.setColor(this.intermediateColor);
+            this.rootObject.emit('change');
+            event3D.stopPropagation();
+            break;
+          }
 
           var poi = event3D.intersection.point; 
           //console.log('nav: mouseDOWN');
 
           // ADD MARKER ON MOUSEDOWN, then update its orientation upon mouseup
-          this.mouseDownPos = new ROSLIB.Vector3({x: poi.x, y: poi.y, z: 0});
+          this.mouseDownPos = this.snapPosition(this.getGoalPosition(poi), event3D);
           this.latestMarker = this.addPoseMarker(this.mouseDownPos, undefined, this.intermediateColor);
           
           event3D.stopPropagation();
@@ -571,13 +1017,14 @@ ROS3D.Navigator_MW.prototype.mouseEventHandlerUnbound = function(event3D){
           // reset
           this.mouseDown = false;
 
-          // RECALCULATE POI for mouse up since the current event3D.intersection.point is the mouse down location,
-          // but we need the mouse UP position
-          var poi = this.calculateCurrentPOI(event3D);
+          if (this.dragState){
+            this.finishNodeDrag();
+            event3D.stopPropagation();
+            break;
+          }
 
-          // get pos on mouse up/out
-          var mouseUpPos = new ROSLIB.Vector3({x: poi.x, y: poi.y, z: 0});
-          var orientation = this.calculateOrientation(this.mouseDownPos, mouseUpPos);
+          // the orientation is where the mouse is now, seen from the mouse down position
+          var orientation = this.getDragOrientation(this.mouseDownPos, event3D);
           
           // create a new pose the replace the old pose
           var updatedROSPose = new ROSLIB.Pose({
@@ -589,8 +1036,12 @@ ROS3D.Navigator_MW.prototype.mouseEventHandlerUnbound = function(event3D){
           this.remove(this.latestMarker);
           this.latestMarker = null;
 
-          // update goalList, this will auto create markers
-          this.pushToGoalList(updatedROSPose);
+          // update goalList, this will auto create markers, unless the pose is not on free space of the map
+          if (this.isGoalValid(updatedROSPose)){
+            this.pushToGoalList(updatedROSPose);
+          } else {
+            this.showRejectedMarker(updatedROSPose);
+          }
 
           this.mouseDownPos = null;       // reset only after updating marker orientation
           event3D.stopPropagation();
@@ -599,15 +1050,12 @@ ROS3D.Navigator_MW.prototype.mouseEventHandlerUnbound = function(event3D){
         
 
       case 'mousemove':
-        if (this.mouseDown){
-          // RECALCULATE POI for mouse up since the current event3D.intersection.point is the mouse down location,
-          // but we need the mouse UP position
-          var poi = this.calculateCurrentPOI(event3D);
-
-          // get pos on mouse up/out
-          var mouseUpPos = new ROSLIB.Vector3({x: poi.x, y: poi.y, z: 0});
-
-          var orientation = this.calculateOrientation(this.mouseDownPos, mouseUpPos);
+        if (this.mouseDown && this.dragState){
+          this.updateNodeDrag(event3D);
+          event3D.stopPropagation();
+        } else if (this.mouseDown){
+          // the orientation is where the mouse is now, seen from the mouse down position
+          var orientation = this.getDragOrientation(this.mouseDownPos, event3D);
           this.updateMarkerOri(orientation, this.latestMarker, this.intermediateColor);  
           // this.updateGoalMarker(this.mouseDownPos, orientation, this.intermediateColor)
           // this.updateAllMarkers();
@@ -625,31 +1073,239 @@ ROS3D.Navigator_MW.prototype.mouseEventHandlerUnbound = function(event3D){
 ROS3D.Navigator_MW.prototype.calculateCurrentPOI = function(event3D){
   // RECALCULATE POI for mouse up since the current event3D.intersection.point is the mouse down location,
   // but we need the mouse UP position
-  var poi = new THREE.Vector3();
+  return ROS3D.calculateEventPOI(event3D);
+};
+
+
+/**
+ * Find the node marker under the mouse.
+ *
+ * @param event3D - the event3D of the mouse event
+ * @returns {index, marker, mode} or null if there is no node under the mouse,
+ *          mode is 'rotate' if the node was picked by its arrowhead, 'move' otherwise
+ */
+ROS3D.Navigator_MW.prototype.pickNodeMarker = function(event3D){
+  var nodes = [];
+  var indices = [];
+  this.nodeMarkerList.forEach((nodeMarkerObj, index) => {
+    if (nodeMarkerObj && nodeMarkerObj.node){
+      nodes.push(nodeMarkerObj.node);
+      indices.push(index);
+    }
+  });
+  if (!nodes.length){
+    return null;
+  }
+
+  // the markers are not in the selectable objects of the viewer, so raycast them here
   var mouseRaycaster = new THREE.Raycaster();
-  mouseRaycaster.params.Line.threshold = 0.001;
   mouseRaycaster.setFromCamera(event3D.mousePos, event3D.camera);
-  
-  if(event3D.intersection.object.plane){
-    // if there is a plane (there is for occupancyGrid/Nav)
-    // https://discourse.threejs.org/t/raycaster-ray-intersecting-plane/2500
-    mouseRaycaster.ray.intersectPlane(event3D.intersection.object.plane, poi);
+  var intersections = mouseRaycaster.intersectObjects(nodes);
+  if (!intersections.length){
+    return null;
+  }
+
+  var marker = intersections[0].object;
+  // the arrowhead points to the local +y of the NodePose, beyond the sphere
+  var localPoint = marker.worldToLocal(intersections[0].point.clone());
+  return {
+    index :       indices[nodes.indexOf(marker)],
+    marker :      marker,
+    mode :        (localPoint.y > marker.radius) ? 'rotate' : 'move',
+    position :    null,
+    orientation : null,
+  };
+};
+
+
+/**
+ * Find the connector under the mouse, by the distance of the clicked point from the segments between the poses.
+ *
+ * @param point - the clicked point (on the map)
+ * @returns {index, prevIndex, nextIndex, t} or null if no connector is close enough, where the connector goes
+ *          from the pose at prevIndex to the pose at nextIndex, index is where a new pose should be inserted
+ *          in goalList, and t (0..1) is the position of the point along the connector
+ */
+ROS3D.Navigator_MW.prototype.pickConnector = function(point){
+  var segments = [];
+  this.nodeMarkerList.forEach((nodeMarkerObj, index) => {
+    if (nodeMarkerObj && nodeMarkerObj.conn0){
+      segments.push({index: index, prevIndex: this.findPrevPoseIndex(index - 1), nextIndex: index});
+    }
+  });
+  if (this.loopConnectorMarker){
+    // the closing connector of a loop, a pose inserted there becomes the last one
+    segments.push({index: this.goalList.length,
+                   prevIndex: this.findPrevPoseIndex(this.goalList.length - 1),
+                   nextIndex: this.findNextPoseIndex(0)});
+  }
+
+  var best = null;
+  var bestDistance = this.connectorPickDistance;
+  segments.forEach((segment) => {
+    var p1 = this.goalList[segment.prevIndex].position;
+    var p2 = this.goalList[segment.nextIndex].position;
+    var dx = p2.x - p1.x;
+    var dy = p2.y - p1.y;
+    var lengthSq = dx * dx + dy * dy;
+    if (lengthSq === 0){
+      return;
+    }
+    var t = ((point.x - p1.x) * dx + (point.y - p1.y) * dy) / lengthSq;
+    if (t <= 0 || t >= 1){
+      return;       // on (or beyond) the nodes, not the connector
+    }
+    var distance = Math.hypot(p1.x + t * dx - point.x, p1.y + t * dy - point.y);
+    if (distance <= bestDistance){
+      bestDistance = distance;
+      best = Object.assign(segment, {t: t});
+    }
+  });
+  return best;
+};
+
+
+/**
+ * Insert a pose in goalList on the connector under the mouse. Its orientation is interpolated (slerp)
+ * from the poses at both ends of the connector.
+ *
+ * @param event3D - the event3D of the mouse event
+ * @returns the drag state (see pickNodeMarker) of the new node, null if there is no connector under the mouse,
+ *          or false if the new node was rejected (see navOptions.goalValidation)
+ */
+ROS3D.Navigator_MW.prototype.insertAtConnector = function(event3D){
+  var picked = this.pickConnector(event3D.intersection.point);
+  if (!picked){
+    return null;
+  }
+  var prevPose = this.goalList[picked.prevIndex];
+  var nextPose = this.goalList[picked.nextIndex];
+  var t = picked.t;
+
+  var q1 = new THREE.Quaternion(prevPose.orientation.x, prevPose.orientation.y, prevPose.orientation.z, prevPose.orientation.w);
+  var q2 = new THREE.Quaternion(nextPose.orientation.x, nextPose.orientation.y, nextPose.orientation.z, nextPose.orientation.w);
+  q1.slerp(q2, t);
+
+  var newPose = new ROSLIB.Pose({
+    position : new ROSLIB.Vector3({
+      x : prevPose.position.x + t * (nextPose.position.x - prevPose.position.x),
+      y : prevPose.position.y + t * (nextPose.position.y - prevPose.position.y),
+      z : prevPose.position.z + t * (nextPose.position.z - prevPose.position.z),
+    }),
+    orientation : new ROSLIB.Quaternion({x: q1.x, y: q1.y, z: q1.z, w: q1.w}),
+  });
+  if (!this.isGoalValid(newPose)){
+    this.showRejectedMarker(newPose);
+    return false;
+  }
+  // the insertion and the drag that follows are undone in one step, the group ends in finishNodeDrag
+  this.beginHistoryGroup();
+  // splitting the connector is done on the 'added' event of the waypoints
+  this.waypoints.insert(picked.index, newPose);
+
+  var marker = this.nodeMarkerList[picked.index].node;
+  marker.setColor(this.intermediateColor);
+  return {index: picked.index, marker: marker, mode: 'move', position: null, orientation: null, historyGroup: true};
+};
+
+
+// Move/rotate the markers of the dragged node, goalList is only updated once the drag is done (see finishNodeDrag)
+ROS3D.Navigator_MW.prototype.updateNodeDrag = function(event3D){
+  var drag = this.dragState;
+  var item = this.goalList[drag.index];
+  var poi = this.calculateCurrentPOI(event3D);
+
+  if (drag.mode === 'move'){
+    // on the map plane, the node keeps its height
+    var position = this.surfaceGoals ? this.getGoalPosition(poi) : new ROSLIB.Vector3({x: poi.x, y: poi.y, z: item.position.z});
+    drag.position = this.snapPosition(position, event3D);
+    drag.marker.position.set(drag.position.x, drag.position.y, drag.position.z);
+    var nodeMarkerObj = this.nodeMarkerList[drag.index];
+    if (nodeMarkerObj.tol){
+      nodeMarkerObj.tol.position.set(drag.position.x, drag.position.y, drag.position.z);
+    }
+    if (nodeMarkerObj.label){
+      nodeMarkerObj.label.position.set(drag.position.x, drag.position.y, drag.position.z);
+    }
+    this.updateAdjacentConnectors(drag.index, drag.position);
   } else {
-    // if object has no plane property
+    var origin = drag.position || item.position;
+    drag.orientation = this.getDragOrientation(origin, event3D);
+    this.updateMarkerOri(drag.orientation, drag.marker, this.intermediateColor);
+  }
+  this.rootObject.emit('change');
+};
+
 
-    // event3D.intersection.object is the OccupancyGridNav object which wast raycasted on previous mouse down
-    // so recalculate intersection with that object
-    var newIntersections = [];
-    newIntersections = mouseRaycaster.intersectObject(event3D.intersection.object);
+// Re-create the connectors to and from the pose at index, as if it was at the given position
+ROS3D.Navigator_MW.prototype.updateAdjacentConnectors = function(index, position){
+  var prevIndex = this.findPrevPoseIndex(index - 1);
+  var nextIndex = this.findNextPoseIndex(index + 1);
 
-    if (newIntersections.length) {
-      poi.copy(newIntersections[0].point);
-    } else {
-      poi.copy(event3D.intersection.point);       // revert to mouse down POI if it fails
+  var nodeMarkerObj = this.nodeMarkerList[index];
+  this.remove(nodeMarkerObj.conn0);
+  nodeMarkerObj.conn0 = (prevIndex >= 0) ? this.addConnectorMarker(position, this.goalList[prevIndex].position) : null;
+
+  if (nextIndex >= 0){
+    var nextMarkerObj = this.nodeMarkerList[nextIndex];
+    this.remove(nextMarkerObj.conn0);
+    nextMarkerObj.conn0 = this.addConnectorMarker(this.goalList[nextIndex].position, position);
+  }
+  this.updateLoopConnector(index, position);
+};
+
+
+// Replace the dragged pose in goalList with its new position/orientation (metadata of waypoints is kept)
+ROS3D.Navigator_MW.prototype.finishNodeDrag = function(){
+  var drag = this.dragState;
+  this.dragState = null;
+  var item = this.goalList[drag.index];
+
+  if (!drag.position && !drag.orientation){
+    // only clicked, nothing to update
+    drag.marker.setColor(this.getNodeColor(item));
+    if (drag.historyGroup){
+      this.endHistoryGroup();
     }
+    this.rootObject.emit('change');
+    return;
   }
-  return poi;
-  
+
+  var updatedPose = item.clone();
+  if (drag.position && !this.isGoalValid({position: drag.position, orientation: updatedPose.orientation})){
+    // put the markers back where they were
+    drag.marker.position.set(item.position.x, item.position.y, item.position.z);
+    var nodeMarkerObj = this.nodeMarkerList[drag.index];
+    if (nodeMarkerObj.tol){
+      nodeMarkerObj.tol.position.set(item.position.x, item.position.y, item.position.z);
+    }
+    if (nodeMarkerObj.label){
+      nodeMarkerObj.label.position.set(item.position.x, item.position.y, item.position.z);
+    }
+    this.updateAdjacentConnectors(drag.index, item.position);
+    if (drag.orientation){
+      this.updateMarkerOri(item.orientation, drag.marker);
+    }
+    drag.marker.setColor(this.getNodeColor(item));
+    this.showRejectedMarker({position: drag.position, orientation: drag.orientation || item.orientation});
+    if (drag.historyGroup){
+      this.endHistoryGroup();
+    }
+    this.rootObject.emit('change');
+    return;
+  }
+  if (drag.position){
+    updatedPose.position = drag.position;
+  }
+  if (drag.orientation){
+    updatedPose.orientation = drag.orientation;
+  }
+  // replacing the element rebuilds its markers and the connectors around it
+  this.waypoints.replace(drag.index, updatedPose);
+  if (drag.historyGroup){
+    this.endHistoryGroup();
+  }
+  this.rootObject.emit('change');
 };
 
 
@@ -659,6 +1315,7 @@ ROS3D.Navigator_MW.prototype.highlightNodeAtIndex = function(index){
     try{
       var nodeMarker = nodeMarkerObj['node'];
       nodeMarker.setColor(this.highlightColor);
+      this.setLabelHighlight(nodeMarkerObj, true);
       this.rootObject.emit('change');
     } catch(err){}
   }
@@ -670,17 +1327,19 @@ ROS3D.Navigator_MW.prototype.unhighlightNodeAtIndex = function(index){
   if(nodeMarkerObj){
     try{
       var nodeMarker = nodeMarkerObj['node'];
-      nodeMarker.setColor(this.color);
+      nodeMarker.setColor(this.getNodeColor(this.goalList[index]));
+      this.setLabelHighlight(nodeMarkerObj, false);
       this.rootObject.emit('change');
     } catch(err){}
   }
 };
 
 ROS3D.Navigator_MW.prototype.unhighlightAllNodes = function(){
-  Object.values(this.nodeMarkerList).forEach(nodeMarkerObj =>{
+  Object.values(this.nodeMarkerList).forEach((nodeMarkerObj, index) =>{
     try{
       var nodeMarker = nodeMarkerObj['node'];
-      nodeMarker.setColor(this.color);
+      nodeMarker.setColor(this.getNodeColor(this.goalList[index]));
+      this.setLabelHighlight(nodeMarkerObj, false);
     } catch(err){}
   });
   this.rootObject.emit('change');
@@ -689,12 +1348,217 @@ ROS3D.Navigator_MW.prototype.unhighlightAllNodes = function(){
 
 ROS3D.Navigator_MW.prototype.moveNodeFromIndexTo = function(fromIndex=-1, toIndex=-1, count=1){
   // count is the number of elements to move, starting from the [fromIndex]
+  // toIndex is the index of the first moved element once moved (see ROS3D.WaypointList.move)
   if( (fromIndex >= 0) && (fromIndex < this.goalList.length) && (toIndex >= 0) && (toIndex < this.goalList.length) && (count >= 0)){
-    const elemsArrayToMove = this.goalList.splice(fromIndex, count);    // get element to be moved, delete it from goalList
+    return this.waypoints.move(fromIndex, toIndex, count);
+  }
+};
+
+
+// Check the pose against the map (see navOptions.goalValidation), emits 'goalRejected' on the root object if it is not valid
+ROS3D.Navigator_MW.prototype.isGoalValid = function(pose){
+  return !this.goalValidator || this.goalValidator.check(this, pose);
+};
+
+
+// The position of a waypoint at the clicked point (world coordinates), on the map plane unless navOptions.surfaceGoals
+ROS3D.Navigator_MW.prototype.getGoalPosition = function(poi){
+  var z = this.surfaceGoals ? poi.z : 0;
+  return new ROSLIB.Vector3({x: poi.x, y: poi.y, z: z + this.heightOffset});
+};
+
+
+// The orientation of a waypoint at origin towards the mouse, see navOptions.orientation3D and navOptions.goalSnapping
+ROS3D.Navigator_MW.prototype.getDragOrientation = function(origin, event3D){
+  var orientation;
+  if (this.orientation3D){
+    var poi = ROS3D.calculateDragPOI(event3D, origin);
+    orientation = ROS3D.calculateOrientation3D(origin, poi);
+  } else if (this.surfaceGoals){
+    // the mouse may leave the surface of the waypoint, so look around on the horizontal plane of the waypoint
+    orientation = this.calculateOrientation(origin, ROS3D.calculateDragPOI(event3D, origin, new THREE.Vector3(0, 0, 1)));
+  } else {
+    orientation = this.calculateOrientation(origin, this.calculateCurrentPOI(event3D));
+  }
+  return this.snapOrientation(orientation, event3D);
+};
+
+
+// Snap a clicked/dragged position (see navOptions.goalSnapping), unless the modifier key of the event toggles snapping off
+ROS3D.Navigator_MW.prototype.snapPosition = function(position, event3D){
+  if (!this.goalSnapper || !this.goalSnapper.isActive(event3D)){
+    return position;
+  }
+  return this.goalSnapper.snapPosition(this, position);
+};
 
-    this.goalList.splice(toIndex, 0, ...elemsArrayToMove);
-    return true;
+
+// Snap a dragged orientation (see navOptions.goalSnapping), unless the modifier key of the event toggles snapping off
+ROS3D.Navigator_MW.prototype.snapOrientation = function(orientation, event3D){
+  if (!this.goalSnapper || !this.goalSnapper.isActive(event3D)){
+    return orientation;
   }
+  return this.goalSnapper.snapOrientation(orientation);
+};
+
+
+// Show where a rejected pose was, until the next click
+ROS3D.Navigator_MW.prototype.showRejectedMarker = function(pose){
+  this.clearRejectedMarker();
+  this.rejectedMarker = this.addPoseMarker(pose.position, pose.orientation, this.rejectedColor);
+  this.rootObject.emit('change');
+};
+
+
+ROS3D.Navigator_MW.prototype.clearRejectedMarker = function(){
+  if (this.rejectedMarker){
+    this.remove(this.rejectedMarker);
+    this.rejectedMarker = null;
+    this.rootObject.emit('change');
+  }
+};
+
+
+// Store the changes {start, removed, added} of an edit of the waypoints, undone in one step
+ROS3D.Navigator_MW.prototype.recordHistory = function(changes){
+  if (this.historyPaused){
+    return;
+  }
+  if (this.historyGroup){
+    this.historyGroup.push(...changes);
+  } else {
+    this.pushHistoryEntry(changes);
+  }
+};
+
+
+// Replace count elements of the waypoints at start by the given items (undo/redo of a change)
+ROS3D.Navigator_MW.prototype.applyHistoryChange = function(start, count, items){
+  this.waypoints.splice(start, count, ...items);
+};
+
+
+ROS3D.Navigator_MW.prototype.pushHistoryEntry = function(entry){
+  this.undoStack.push(entry);
+  if (this.historyLimit > 0 && this.undoStack.length > this.historyLimit){
+    this.undoStack.shift();
+  }
+  this.redoStack = [];        // a new edit invalidates what was undone
+  this.emitHistoryChange();
+};
+
+
+/**
+ * Group the goalList edits until the matching endHistoryGroup() call, so that they are undone/redone in one step.
+ * Groups can be nested, only the outermost group makes an entry.
+ */
+ROS3D.Navigator_MW.prototype.beginHistoryGroup = function(){
+  if (this.historyGroupDepth === 0){
+    this.historyGroup = [];
+  }
+  this.historyGroupDepth++;
+};
+
+
+ROS3D.Navigator_MW.prototype.endHistoryGroup = function(){
+  if (this.historyGroupDepth === 0){
+    return;
+  }
+  this.historyGroupDepth--;
+  if (this.historyGroupDepth === 0){
+    var entry = this.historyGroup;
+    this.historyGroup = null;
+    if (entry.length){
+      this.pushHistoryEntry(entry);
+    }
+  }
+};
+
+
+ROS3D.Navigator_MW.prototype.canUndo = function(){
+  return this.undoStack.length > 0;
+};
+
+
+ROS3D.Navigator_MW.prototype.canRedo = function(){
+  return this.redoStack.length > 0;
+};
+
+
+/**
+ * Revert the last goalList edit (see ROS3D.WaypointList), its markers are rebuilt on the events of the waypoints.
+ *
+ * @returns true if there was something to undo
+ */
+ROS3D.Navigator_MW.prototype.undo = function(){
+  if (!this.canUndo()){
+    return false;
+  }
+  var entry = this.undoStack.pop();
+  this.historyPaused = true;
+  try{
+    entry.slice().reverse().forEach((change) => {
+      this.applyHistoryChange(change.start, change.added.length, change.removed);
+    });
+  } finally {
+    this.historyPaused = false;
+  }
+  this.redoStack.push(entry);
+  this.emitHistoryChange();
+  this.rootObject.emit('change');
+  return true;
+};
+
+
+/**
+ * Re-apply the last undone goalList edit.
+ *
+ * @returns true if there was something to redo
+ */
+ROS3D.Navigator_MW.prototype.redo = function(){
+  if (!this.canRedo()){
+    return false;
+  }
+  var entry = this.redoStack.pop();
+  this.historyPaused = true;
+  try{
+    entry.forEach((change) => {
+      this.applyHistoryChange(change.start, change.removed.length, change.added);
+    });
+  } finally {
+    this.historyPaused = false;
+  }
+  this.undoStack.push(entry);
+  this.emitHistoryChange();
+  this.rootObject.emit('change');
+  return true;
+};
+
+
+// Set the max number of edits that can be undone (0 for no limit), older edits are dropped
+ROS3D.Navigator_MW.prototype.setHistoryLimit = function(limit){
+  this.historyLimit = limit;
+  if (limit > 0 && this.undoStack.length > limit){
+    this.undoStack.splice(0, this.undoStack.length - limit);
+    this.emitHistoryChange();
+  }
+};
+
+
+ROS3D.Navigator_MW.prototype.clearHistory = function(){
+  this.undoStack = [];
+  this.redoStack = [];
+  this.emitHistoryChange();
+};
+
+
+ROS3D.Navigator_MW.prototype.emitHistoryChange = function(){
+  this.rootObject.emit('historyChange', {
+    canUndo :   this.canUndo(),
+    canRedo :   this.canRedo(),
+    undoSize :  this.undoStack.length,
+    redoSize :  this.redoStack.length,
+  });
 };
 
 
@@ -111,6 +111,7 @@ ROS3D.OccupancyGrid = function(options) {
   this.mapOrigin = null;
   this.mapWidth = null;
   this.mapHeight = null;
+  this.mapResolution = null;
 
   this.color = color;
   this.opacity = opacity;
@@ -160,6 +161,7 @@ ROS3D.OccupancyGrid.prototype.updateMap = function(message){
     this.mapOrigin = origin;
     this.mapWidth = width;
     this.mapHeight = height;
+    this.mapResolution = info.resolution;
 
     this.texture.dispose();
     // RANDEL: hard to update geometry, so just create a new geometry
@@ -222,7 +224,12 @@ ROS3D.OccupancyGrid.prototype.updatePartialMap = function(message){
   }
 
   this.buildImageData(this.mapImageData, this.mapWidth, this.mapHeight, message.data, message.width, message.height, message.x, message.y);
-  this.mapInternalData = message.data;
+  // keep the full grid in mapInternalData (used for cell lookups), only the updated area changes
+  for (var row = 0; row < message.height; row++){
+    for (var col = 0; col < message.width; col++){
+      this.mapInternalData[(message.x + col) + (message.y + row) * this.mapWidth] = message.data[col + row * message.width];
+    }
+  }
   this.texture.needsUpdate = true;
 
 
@@ -314,6 +321,90 @@ ROS3D.OccupancyGrid.prototype.isNewGridSameAsCur = function(origin, width, heigh
 };
 
 
+/**
+ * Returns the [col, row] of the cell at the given point (world coordinates), null if it is outside the grid.
+ *
+ * @param point - THREE.Vector3 in world coordinates
+ */
+ROS3D.OccupancyGrid.prototype.getCellAt = function(point){
+  if (!this.mapInternalData){
+    return null;
+  }
+  // the plane is centered on its position, and scaled by the resolution, so local units are cells
+  var local = this.worldToLocal(new THREE.Vector3(point.x, point.y, point.z));
+  var col = Math.floor(local.x + this.mapWidth / 2);
+  var row = Math.floor(local.y + this.mapHeight / 2);
+  if (col < 0 || row < 0 || col >= this.mapWidth || row >= this.mapHeight){
+    return null;
+  }
+  return [col, row];
+};
+
+/**
+ * Returns the center (world coordinates) of the cell at the given point, null if there is no map yet.
+ * Cells outside the grid are extrapolated, so that points outside of it are snapped the same way.
+ *
+ * @param point - THREE.Vector3 in world coordinates
+ */
+ROS3D.OccupancyGrid.prototype.getCellCenter = function(point){
+  if (!this.mapInternalData){
+    return null;
+  }
+  var local = this.worldToLocal(new THREE.Vector3(point.x, point.y, point.z));
+  local.x = Math.floor(local.x + this.mapWidth / 2) + 0.5 - this.mapWidth / 2;
+  local.y = Math.floor(local.y + this.mapHeight / 2) + 0.5 - this.mapHeight / 2;
+  return this.localToWorld(local);
+};
+
+/**
+ * Returns the occupancy value ([0, 100], -1 for unknown) of the cell at the given point (world coordinates),
+ * undefined if it is outside the grid.
+ *
+ * @param point - THREE.Vector3 in world coordinates
+ */
+ROS3D.OccupancyGrid.prototype.getValueAt = function(point){
+  var cell = this.getCellAt(point);
+  if (!cell){
+    return undefined;
+  }
+  return this.mapInternalData[cell[0] + cell[1] * this.mapWidth];
+};
+
+/**
+ * Returns the occupancy values of all the cells whose center is within radius (meters) of the given point
+ * (world coordinates). Cells outside the grid are undefined.
+ *
+ * @param point - THREE.Vector3 in world coordinates
+ * @param radius - the radius in meters
+ */
+ROS3D.OccupancyGrid.prototype.getValuesInRadius = function(point, radius){
+  var cell = this.getCellAt(point);
+  if (!this.mapInternalData || radius <= 0){
+    return [this.getValueAt(point)];
+  }
+  var local = this.worldToLocal(new THREE.Vector3(point.x, point.y, point.z));
+  var x = local.x + this.mapWidth / 2;        // in cells, from the corner of the grid
+  var y = local.y + this.mapHeight / 2;
+  var r = radius / this.mapResolution;
+  var values = cell ? [] : [undefined];
+  for (var row = Math.floor(y - r); row <= Math.floor(y + r); row++){
+    for (var col = Math.floor(x - r); col <= Math.floor(x + r); col++){
+      var dx = col + 0.5 - x;
+      var dy = row + 0.5 - y;
+      if (dx * dx + dy * dy > r * r){
+        continue;
+      }
+      if (col < 0 || row < 0 || col >= this.mapWidth || row >= this.mapHeight){
+        values.push(undefined);
+      } else {
+        values.push(this.mapInternalData[col + row * this.mapWidth]);
+      }
+    }
+  }
+  return values;
+};
+
+
 ROS3D.OccupancyGrid.prototype.dispose = function() {
   this.material.dispose();
   this.texture.dispose();
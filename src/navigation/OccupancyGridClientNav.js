@@ -10,6 +10,17 @@
  *
  *  * 'change' - there was an update or change in the marker
  *  * 'navigationUpd' - Navigation object internally updated/changed  (eg: goal list changed). Marker may not have changed.
+ *  * 'goalRejected' - a clicked goal is not on free space of the map (see navOptions.goalValidation), {pose, reason, value}
+ *  * 'goalStatus' - the status of the goal of ROS3D.Navigator changed, {status, name, text, goalID, pose, robot}
+ *  * 'poseEstimate' - ROS3D.PoseEstimator published an estimate, the geometry_msgs/PoseWithCovarianceStamped message
+ *  * 'toolChange' - the active tool changed, {previous, current}
+ *  * 'robotChange' - the active robot changed, {previous, current} (robot names, see addRobot)
+ *  * 'pointPublished' - ROS3D.PointPublisher published a point, the geometry_msgs/PointStamped message
+ *  * 'measurement' - the measurements of ROS3D.MeasureTool changed, see its getMeasurements
+ *  * 'zonesChange', 'zoneSelected', 'zoneDeleted' - the zones of ROS3D.ZoneEditor changed, see its toJSON
+ *  * 'roadmapChange', 'roadmapSelected' - the roadmap of ROS3D.RoadmapEditor changed, see its toJSON
+ *  * 'routePreview' - the route preview of ROS3D.Navigator_MW was updated, {length, flagged} (goalList indices of
+ *                     the waypoints flagged by ROS3D.RoutePreview), see its navOptions.routePreview
  * 
  * @constructor
  * @param options - object with following keys:
@@ -26,6 +37,17 @@
  * 
  *    %%% from extension %%%
  *   * viewer - ROS3D.Viewer, the viewer that called this
+ *   * navType (optional) - what a click on the map does: 'normal' (send a goal, ROS3D.Navigator, default),
+ *                          'waypoints' (edit a list of goals, ROS3D.Navigator_MW)
+ *                          'poseEstimate' (set the initial pose of the robot, ROS3D.PoseEstimator)
+ *                          'publishPoint' (publish the clicked point, ROS3D.PointPublisher)
+ *                          'measure' (measure distances and angles, ROS3D.MeasureTool)
+ *                          'zones' (draw keep-out/speed limit zones, ROS3D.ZoneEditor)
+ *                          or 'roadmap' (edit a graph of nodes and edges, ROS3D.RoadmapEditor)
+ *   * navOptions (optional) - the navOptions of the navigator, see the navigator of the chosen navType
+ *   * toolOptions (optional) - navOptions per tool name (see setActiveTool), on top of navOptions,
+ *                              e.g. {goal: {color: 0xff0000}}
+ *   * robots (optional) - robots to register, {name: options}, see addRobot
  *   * navServerName (optional) - navigation action server name, defaults to /move_base
  *   * navActionName (optional) - navigation action name, defaults to move_base_msgs/MoveBaseAction
  * 
@@ -36,44 +58,114 @@ ROS3D.OccupancyGridClientNav = function(options) {
   this.navType = options.navType || 'normal';
   
   this.navOptions = options.navOptions || {};
+  this.toolOptions = options.toolOptions || {};
+  this.robots = {};               // name -> robot options, see addRobot
+  this.activeRobot = null;
   
   // set up navigator and its encapsulating sceneNode
   this.navSceneNode = null;       // just place holders, so that we know these vars exists
-  this.navigator = null;  
+  this.navigator = null;          // the active tool (for backward compatibility)
+  this.toolManager = null;
   this.setupNavigator();          // properly setup the navigator
-  
+
+  var robots = options.robots || {};
+  Object.keys(robots).forEach((name) => {
+    this.addRobot(name, robots[name]);
+  });
 };
 ROS3D.OccupancyGridClientNav.prototype.__proto__ = ROS3D.OccupancyGridClient.prototype;
 
 ROS3D.OccupancyGridClientNav.prototype.setupNavigator = function(){
   if (this.tfClient){     // tfclient is required for the navigator
-    // Check what type of navigator
+    var that = this;
+    // Every tool gets the same navOptions, updated with its own toolOptions
+    var navArgs = function(name){
+      return { ros: that.ros,
+               tfClient: that.tfClient,
+               rootObject: that,
+               navigatorFrameID: that.tfClient.fixedFrame,      // this should be the same frame as the FIXED FRAME (from tfClient), instead of occupancyGrid frame!!!
+               navOptions: Object.assign({}, that.navOptions, that.toolOptions[name]),};
+    };
+
+    // The tools that handle the clicks on the map, created on first use so unused tools don't subscribe to anything
+    this.toolManager = new ROS3D.MapToolManager({rootObject: this});
+    this.toolManager.registerTool('goal', function(){
+      return new ROS3D.Navigator(navArgs('goal'));
+    });
+    this.toolManager.registerTool('waypoints', function(){
+      return new ROS3D.Navigator_MW(navArgs('waypoints'));
+    });
+    this.toolManager.registerTool('poseEstimate', function(){
+      return new ROS3D.PoseEstimator(navArgs('poseEstimate'));
+    });
+    this.toolManager.registerTool('publishPoint', function(){
+      var tool = new ROS3D.PointPublisher(navArgs('publishPoint'));
+      if (that.viewer){
+        tool.attachTo(that.viewer.selectableObjects);     // clicks on any selectable object, not only on the map
+      }
+      return tool;
+    });
+    this.toolManager.registerTool('measure', function(){
+      var tool = new ROS3D.MeasureTool(navArgs('measure'));
+      if (that.viewer){
+        tool.attachTo(that.viewer.selectableObjects);     // measure on point clouds and meshes too
+      }
+      return tool;
+    });
+    this.toolManager.registerTool('zones', function(){
+      return new ROS3D.ZoneEditor(navArgs('zones'));
+    });
+    this.toolManager.registerTool('roadmap', function(){
+      return new ROS3D.RoadmapEditor(navArgs('roadmap'));
+    });
 
-    var navArgs = { ros: this.ros,
-                    tfClient: this.tfClient,
-                    rootObject: this,
-                    navigatorFrameID: this.tfClient.fixedFrame,      // this should be the same frame as the FIXED FRAME (from tfClient), instead of occupancyGrid frame!!!
-                    navOptions: this.navOptions,};
+    // Check what type of navigator
+    var toolName;
     switch(this.navType){
       case 'waypoints':
       case 'waypoint':
       case 'wp':
-        this.navigator = new ROS3D.Navigator_MW(navArgs);
+        toolName = 'waypoints';
+        break;
+      case 'poseEstimate':
+      case 'pose_estimate':
+      case 'initialpose':
+        toolName = 'poseEstimate';
+        break;
+      case 'publishPoint':
+      case 'publish_point':
+      case 'clicked_point':
+        toolName = 'publishPoint';
+        break;
+      case 'measure':
+      case 'measurement':
+        toolName = 'measure';
+        break;
+      case 'zones':
+      case 'zone':
+        toolName = 'zones';
+        break;
+      case 'roadmap':
+      case 'graph':
+        toolName = 'roadmap';
         break;
       case 'navigator':
       case 'normal':
       default:
-        this.navigator = new ROS3D.Navigator(navArgs);
+        toolName = 'goal';
     }
+    // the navigator stays inactive until activated (see navOptions.navInitState)
+    this.toolManager.setActiveTool(toolName, false);
+    this.navigator = this.toolManager.getActiveTool();
 
 
 
     // The Navigator goal message SHOULD be in the fixed frame BUT its marker (the arrow) SHOULD BE RENDERED IN THE MAP (OccupancyGridNav)!!!
-    // Create a ROS3D.SceneNode in which the Navigator is encapsulated in.
+    // Create a ROS3D.SceneNode in which the tools (and their markers) are encapsulated in.
     this.navSceneNode = new ROS3D.SceneNode({
       frameID : this.tfClient.fixedFrame,
       tfClient : this.tfClient,
-      object : this.navigator,
+      object : this.toolManager,
       pose : this.offsetPose
     });
 
@@ -82,6 +174,149 @@ ROS3D.OccupancyGridClientNav.prototype.setupNavigator = function(){
   }
 };
 
+/**
+ * Set the tool that handles the clicks on the map ('goal', 'waypoints', 'poseEstimate', 'publishPoint', 'measure',
+ * 'zones', 'roadmap' or a custom tool, see ROS3D.MapToolManager), null for none. The tool is activated, and the previous one deactivated.
+ *
+ * @param name - the name of the tool
+ */
+ROS3D.OccupancyGridClientNav.prototype.setActiveTool = function(name){
+  this.toolManager.setActiveTool(name);
+  this.navigator = this.toolManager.getActiveTool();
+};
+
+
+/**
+ * Register a robot commanded from this map. It gets its own navigator (tool '<name>/goal', ROS3D.Navigator) and
+ * waypoint list (tool '<name>/waypoints', ROS3D.Navigator_MW), bound to its action server and created right away.
+ * The goals and waypoints of all the robots are rendered, the clicks on the map command the active robot (see selectRobot).
+ *
+ * @param name - the name of the robot
+ * @param options (optional) - object with following keys:
+ *   * namespace (optional) - the namespace of the robot, prefix of its action servers and services (default: '/<name>')
+ *   * navServerName (optional) - its navigation action server (default: '<namespace>/move_base',
+ *                                or '<namespace>/navigate_to_pose' with the 'ros2' navBackend)
+ *   * robotBaseFrame (optional) - its TF base frame (default: '<namespace>/base_link', without the leading slash)
+ *   * color (optional) - the color of its goals and waypoints
+ *   * navOptions (optional) - navOptions of its navigators, on top of navOptions and toolOptions
+ */
+ROS3D.OccupancyGridClientNav.prototype.addRobot = function(name, options){
+  if (!this.toolManager){
+    throw Error('A tfClient is needed to command robots from the map.');
+  }
+  options = options || {};
+  var namespace = (options.namespace !== undefined) ? options.namespace : '/' + name;
+  namespace = ('/' + namespace).replace(/\/+/g, '/').replace(/\/$/, '');
+  var frameNamespace = namespace.replace(/^\//, '');
+  var robot = {
+    name : name,
+    namespace : namespace,
+    navServerName : options.navServerName || null,
+    robotBaseFrame : options.robotBaseFrame || (frameNamespace ? frameNamespace + '/' : '') + 'base_link',
+    color : options.color,
+    navOptions : options.navOptions || {},
+  };
+  if (this.robots[name]){
+    this.removeRobot(name);
+  }
+  this.robots[name] = robot;
+
+  // the navigators are created right away (unlike the tools of setupNavigator), so that the goals and waypoints
+  // of every robot are rendered, selectRobot only switches the active tool
+  var that = this;
+  ['goal', 'waypoints'].forEach(function(kind){
+    var navArgs = {
+      ros : that.ros,
+      tfClient : that.tfClient,
+      rootObject : that,
+      navigatorFrameID : that.tfClient.fixedFrame,
+      robotName : name,
+      navOptions : that.getRobotNavOptions(robot, kind),
+    };
+    if (kind === 'goal'){
+      that.toolManager.registerTool(name + '/goal', new ROS3D.Navigator(navArgs));
+    } else {
+      that.toolManager.registerTool(name + '/waypoints', new ROS3D.Navigator_MW(navArgs));
+    }
+  });
+  this.emit('change');
+};
+
+// The navOptions of a navigator ('goal' or 'waypoints') of a robot
+ROS3D.OccupancyGridClientNav.prototype.getRobotNavOptions = function(robot, kind){
+  var navOptions = Object.assign({}, this.navOptions, this.toolOptions[kind]);
+  var ros2 = (Object.assign({}, navOptions, robot.navOptions).navBackend === 'ros2');
+  var robotOptions = {
+    navServerName :   robot.navServerName || robot.namespace + (ros2 ? '/navigate_to_pose' : '/move_base'),
+    planServiceName : robot.namespace + '/move_base/make_plan',
+    routeServerName : robot.namespace + '/navigate_through_poses',
+    robotBaseFrame :  robot.robotBaseFrame,
+  };
+  if (robot.color !== undefined){
+    robotOptions.color = robot.color;
+  }
+  return Object.assign(navOptions, robotOptions, robot.navOptions);
+};
+
+/**
+ * Remove a robot and its navigators (their goals are not cancelled).
+ *
+ * @param name - the name of the robot
+ */
+ROS3D.OccupancyGridClientNav.prototype.removeRobot = function(name){
+  if (!this.robots[name]){
+    return;
+  }
+  if (this.activeRobot === name){
+    this.selectRobot(null);
+  }
+  this.toolManager.unregisterTool(name + '/goal');
+  this.toolManager.unregisterTool(name + '/waypoints');
+  delete this.robots[name];
+  this.emit('change');
+};
+
+/**
+ * Select the robot commanded by the clicks on the map, emits 'robotChange'.
+ *
+ * @param name - the name of the robot (see addRobot), null for none
+ * @param kind (optional) - 'goal' (send goals) or 'waypoints' (edit its waypoint list),
+ *                          defaults to the kind of the active tool if it is a tool of a robot, else 'goal'
+ */
+ROS3D.OccupancyGridClientNav.prototype.selectRobot = function(name, kind){
+  if (name !== null && !this.robots[name]){
+    throw Error(`Robot [${name}] is not registered.`);
+  }
+  var previous = this.activeRobot;
+  var activeTool = this.toolManager.activeToolName;
+  if (!kind){
+    kind = (previous !== null && activeTool === previous + '/waypoints') ? 'waypoints' : 'goal';
+  }
+  this.activeRobot = name;
+  if (name !== null){
+    this.setActiveTool(name + '/' + kind);
+  } else if (previous !== null && activeTool && activeTool.indexOf(previous + '/') === 0){
+    this.setActiveTool(null);
+  }
+  if (previous !== name){
+    this.emit('robotChange', {previous: previous, current: name});
+  }
+};
+
+ROS3D.OccupancyGridClientNav.prototype.getRobotNames = function(){
+  return Object.keys(this.robots);
+};
+
+/**
+ * Returns the navigator of a robot.
+ *
+ * @param name - the name of the robot
+ * @param kind (optional) - 'goal' (ROS3D.Navigator, default) or 'waypoints' (ROS3D.Navigator_MW)
+ */
+ROS3D.OccupancyGridClientNav.prototype.getRobotNavigator = function(name, kind='goal'){
+  return this.toolManager.getTool(name + '/' + kind);
+};
+
 
 // Override OccupancyGridClient.processMessage
 ROS3D.OccupancyGridClientNav.prototype.processMessage = function(message){
@@ -99,7 +334,7 @@ ROS3D.OccupancyGridClientNav.prototype.processMessage = function(message){
       color : this.color,
       opacity : this.opacity,
       transform: this.transform,
-      navigator: this.navigator,
+      navigator: this.toolManager,
     });
 
     // check if we care about the scene
@@ -11,7 +11,8 @@
  * @param options - object with following keys:
  *
  *   * options - same options as OccupancyGrid, REFER TO IT for options
- *   * navigator (optional) - a ROS3D.Navigator object, this makes the robot move when you click on the map.
+ *   * navigator (optional) - a ROS3D.Navigator object (or anything with a mouseEventHandler, like ROS3D.MapToolManager),
+ *                            this makes the robot move when you click on the map.
  */
 ROS3D.OccupancyGridNav = function(options) {
   ROS3D.OccupancyGrid.call(this, options);
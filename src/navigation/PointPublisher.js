@@ -0,0 +1,194 @@
+/**
+ * @fileOverview
+ * @author Randel Capati - randelmc21@gmail.com
+ */
+
+/**
+ * A PointPublisher publishes the clicked point (like the "Publish Point" of rviz) as a geometry_msgs/PointStamped
+ * in the fixed frame. It is a tool of ROS3D.MapToolManager, and can also be attached to other objects
+ * (e.g. viewer.selectableObjects) so that clicks on any selectable object are published.
+ * The clicked point is marked for a while, and 'pointPublished' is emitted with the message on the root object.
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *   * ros - the ROSLIB.Ros connection handle
+ *   * rootObject - the root object to emit events on (OccupancyGridClientNav)
+ *   * navigatorFrameID - tf frame ID of the published point, should be the fixed frame (this object should be in that frame)
+ *   * tfClient - the TF client (not used for now)
+ *   * navOptions (optional) - object with the keys below:
+ *     * navInitState (optional) - the initial isActive state (default: false)
+ *     * pointTopic (optional) - the topic to publish to (default: '/clicked_point')
+ *     * color (optional) - color of the marker of the clicked point
+ *     * markerLifetime (optional) - time (in ms) the marker is shown, 0 to keep it (default: 1000)
+ *     * markerRadius (optional) - radius of the marker (default: 0.05)
+ *
+ *   * isActive - the internal state whether PointPublisher works or not on clicks
+ */
+ROS3D.PointPublisher = function(options) {
+  THREE.Object3D.call(this);
+  options = options || {};
+
+  this.ros = options.ros;
+  this.tfClient = options.tfClient;
+  this.rootObject = options.rootObject;
+  this.navigatorFrameID = options.navigatorFrameID || 'map';
+
+  var defaultNavOptions = { navInitState:       false,
+                            pointTopic:         '/clicked_point',
+                            color:              0xF39C12,
+                            markerLifetime:     1000,
+                            markerRadius:       0.05,};
+  var navOptions = Object.assign({}, defaultNavOptions, options.navOptions);
+
+  this.color = navOptions.color;
+  this.markerLifetime = navOptions.markerLifetime;
+  this.markerRadius = navOptions.markerRadius;
+  this.isActive = navOptions.navInitState;
+
+  this.mouseDownPoint = null;                     // clicked point, in world coordinates
+  this.pointMarker = null;
+  this.markerTimer = null;
+  this.lastEvent3D = null;                        // the same event may come from the map and from an attached object
+  this.lastEventType = null;
+  this.attachedObjects = [];
+
+  this.pointTopic = new ROSLIB.Topic({
+    ros : this.ros,
+    name : navOptions.pointTopic,
+    messageType : 'geometry_msgs/PointStamped'
+  });
+
+  // Since this is called by objects other than itself (addeventlistener on OGNav)
+  this.mouseEventHandler = this.mouseEventHandlerUnbound.bind(this);
+};
+ROS3D.PointPublisher.prototype.__proto__ = THREE.Object3D.prototype;
+
+/**
+ * Also handle the mouse events of the given object and its children (e.g. viewer.selectableObjects).
+ *
+ * @param object - the THREE.Object3D
+ */
+ROS3D.PointPublisher.prototype.attachTo = function(object){
+  ['mouseover', 'mousedown', 'mouseup', 'mouseout'].forEach((eventName) => {
+    object.addEventListener(eventName, this.mouseEventHandler);
+  });
+  this.attachedObjects.push(object);
+};
+
+ROS3D.PointPublisher.prototype.detach = function(){
+  this.attachedObjects.forEach((object) => {
+    ['mouseover', 'mousedown', 'mouseup', 'mouseout'].forEach((eventName) => {
+      object.removeEventListener(eventName, this.mouseEventHandler);
+    });
+  });
+  this.attachedObjects = [];
+};
+
+/**
+ * Publish the given point, emits 'pointPublished' with the message on the root object.
+ *
+ * @param point - THREE.Vector3 in world coordinates
+ */
+ROS3D.PointPublisher.prototype.publishPoint = function(point){
+  var local = this.worldToLocal(new THREE.Vector3(point.x, point.y, point.z));
+  var message = {
+    header : {
+      frame_id : this.navigatorFrameID,
+    },
+    point : {x: local.x, y: local.y, z: local.z},
+  };
+  this.pointTopic.publish(message);
+
+  this.showMarker(local);
+  this.rootObject.emit('pointPublished', message);
+};
+
+ROS3D.PointPublisher.prototype.showMarker = function(pos){
+  this.clearMarker();
+  var geometry = new THREE.SphereGeometry(this.markerRadius, 16, 8);
+  this.pointMarker = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({color: this.color}));
+  this.pointMarker.position.copy(pos);
+  this.add(this.pointMarker);
+  if (this.markerLifetime > 0){
+    this.markerTimer = setTimeout(this.clearMarker.bind(this), this.markerLifetime);
+  }
+  this.rootObject.emit('change');
+};
+
+ROS3D.PointPublisher.prototype.clearMarker = function(){
+  clearTimeout(this.markerTimer);
+  this.markerTimer = null;
+  if (this.pointMarker){
+    this.remove(this.pointMarker);
+    this.pointMarker.geometry.dispose();
+    this.pointMarker.material.dispose();
+    this.pointMarker = null;
+    this.rootObject.emit('change');
+  }
+};
+
+ROS3D.PointPublisher.prototype.mouseEventHandlerUnbound = function(event3D){
+  if (!this.isActive){
+    return;
+  }
+  // handle an event only once, even if it reached us from several objects
+  if (event3D === this.lastEvent3D && event3D.type === this.lastEventType){
+    return;
+  }
+  this.lastEvent3D = event3D;
+  this.lastEventType = event3D.type;
+
+  switch(event3D.type){
+    case 'mouseover':
+      // only accept left clicks, see ROS3D.Navigator
+      if (event3D.domEvent.type === 'mousedown' && event3D.domEvent.button === 0){
+        event3D.stopPropagation();
+      }
+      break;
+
+    case 'mousedown':
+      if ((event3D.domEvent.button === 0) && (event3D.domEvent.buttons === 1) && event3D.intersection){
+        this.mouseDownPoint = event3D.intersection.point.clone();
+        event3D.stopPropagation();
+      } else {
+        event3D.forceExitToFallbackTarget();
+      }
+      break;
+
+    case 'mouseout':
+    case 'mouseup':
+      if (this.mouseDownPoint && (event3D.domEvent.button === 0)){
+        this.publishPoint(this.mouseDownPoint);
+        this.mouseDownPoint = null;
+        event3D.stopPropagation();
+      }
+      break;
+
+    default:
+      event3D.forceExitToFallbackTarget();
+      break;
+  }
+};
+
+ROS3D.PointPublisher.prototype.activate = function(){
+  this.isActive = true;
+};
+
+ROS3D.PointPublisher.prototype.deactivate = function(){
+  this.isActive = false;
+  this.mouseDownPoint = null;
+};
+
+/**
+ * Deactivate the publisher, stop handling the events of the attached objects and remove the marker,
+ * when the publisher is no longer used (see ROS3D.MapToolManager.unregisterTool).
+ */
+ROS3D.PointPublisher.prototype.dispose = function(){
+  this.deactivate();
+  this.detach();
+  this.clearMarker();
+};
+
+ROS3D.PointPublisher.prototype.toggleActivation = function(){
+  this.isActive = !this.isActive;
+};
@@ -58,19 +58,7 @@ ROS3D.Polygon.prototype.processMessage = function(message){
       this.rootObject.remove(this.sn);
   }
 
-  var lineGeometry = new THREE.Geometry();
-  var v3;
-  for(var i=0; i<message.polygon.points.length;i++){
-      v3 = new THREE.Vector3( message.polygon.points[i].x, message.polygon.points[i].y,
-                              message.polygon.points[i].z);
-      lineGeometry.vertices.push(v3);
-  }
-  v3 = new THREE.Vector3( message.polygon.points[0].x, message.polygon.points[0].y,
-                          message.polygon.points[0].z);
-  lineGeometry.vertices.push(v3);
-  lineGeometry.computeLineDistances();
-  var lineMaterial = new THREE.LineBasicMaterial( { color: this.color } );
-  var line = new THREE.Line( lineGeometry, lineMaterial );
+  var line = ROS3D.makePolygonLine(message.polygon.points, this.color);
 
   this.sn = new ROS3D.SceneNode({
       frameID : message.header.frame_id,
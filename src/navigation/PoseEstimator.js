@@ -0,0 +1,210 @@
+/**
+ * @fileOverview
+ * @author Randel Capati - randelmc21@gmail.com
+ */
+
+/**
+ * A PoseEstimator sets the initial pose of the robot (like the "2D Pose Estimate" of rviz), it can be used
+ * in place of a ROS3D.Navigator (see navType of ROS3D.OccupancyGridClientNav).
+ * Works by clicking at the position of the robot (on the OccupancyGridNav) and pointing into its
+ * direction (while holding the button pressed), the estimate is then published as a
+ * geometry_msgs/PoseWithCovarianceStamped and shown for a while.
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *   * ros - the ROSLIB.Ros connection handle
+ *   * rootObject - the root object to add the click listeners to and render markers to (OccupancyGridClientNav)
+ *   * navigatorFrameID - tf frame ID of the published estimate, should be the fixed frame
+ *   * tfClient - the TF client (not used for now)
+ *   * navOptions (optional) - object with the keys below:
+ *     * navInitState (optional) - the initial isActive state (default: false)
+ *     * poseEstimateTopic (optional) - the topic to publish to (default: '/initialpose')
+ *     * covariance (optional) - the 6x6 covariance (36 elements, row-major), defaults to the one of rviz
+ *     * color (optional) - color of the marker of the published estimate
+ *     * intermediateColor (optional) - color of the marker while choosing the orientation
+ *     * markerLifetime (optional) - time (in ms) the marker of the published estimate is shown, 0 to keep it (default: 3000)
+ *
+ *   * isActive - the internal state whether PoseEstimator works or not on clicks
+ */
+ROS3D.PoseEstimator = function(options) {
+  THREE.Object3D.call(this);
+  options = options || {};
+
+  this.ros = options.ros;
+  this.tfClient = options.tfClient;
+  this.rootObject = options.rootObject;
+  this.navigatorFrameID = options.navigatorFrameID || 'map';
+
+  // same as rviz: 0.5m std dev on x and y, PI/12 std dev on yaw
+  var covariance = new Array(36).fill(0);
+  covariance[0] = 0.25;
+  covariance[7] = 0.25;
+  covariance[35] = 0.06853891945200942;
+
+  var defaultNavOptions = { navInitState:       false,
+                            poseEstimateTopic:  '/initialpose',
+                            covariance:         covariance,
+                            color:              0x2ECC71,
+                            intermediateColor:  0xA9DFBF,
+                            markerLifetime:     3000,};
+  var navOptions = Object.assign({}, defaultNavOptions, options.navOptions);
+
+  if (navOptions.covariance.length !== 36){
+    throw Error(`Covariance should have 36 elements, got ${navOptions.covariance.length}.`);
+  }
+  this.covariance = navOptions.covariance;
+  this.color = navOptions.color;
+  this.intermediateColor = navOptions.intermediateColor;
+  this.markerLifetime = navOptions.markerLifetime;
+  this.isActive = navOptions.navInitState;
+
+  // initialize mouse and marker vars
+  this.mouseDownPos = null;
+  this.mouseDown = false;
+  this.markerOptions = {};
+  this.estimateMarker = null;
+  this.markerTimer = null;
+
+  this.poseTopic = new ROSLIB.Topic({
+    ros : this.ros,
+    name : navOptions.poseEstimateTopic,
+    messageType : 'geometry_msgs/PoseWithCovarianceStamped'
+  });
+
+  // Since this is called by objects other than itself (addeventlistener on OGNav)
+  this.mouseEventHandler = this.mouseEventHandlerUnbound.bind(this);
+};
+ROS3D.PoseEstimator.prototype.__proto__ = THREE.Object3D.prototype;
+
+/**
+ * Publish the given pose as the estimate of the pose of the robot, emits 'poseEstimate' with the message on the root object.
+ *
+ * @param pose - the ROSLIB.Pose, in navigatorFrameID
+ */
+ROS3D.PoseEstimator.prototype.publishEstimate = function(pose){
+  var message = {
+    header : {
+      frame_id : this.navigatorFrameID,
+    },
+    pose : {
+      pose : {
+        position :    {x: pose.position.x, y: pose.position.y, z: pose.position.z},
+        orientation : {x: pose.orientation.x, y: pose.orientation.y, z: pose.orientation.z, w: pose.orientation.w},
+      },
+      covariance : this.covariance.slice(),
+    },
+  };
+  this.poseTopic.publish(message);
+  console.debug('pose estimate: published');
+
+  this.updateMarker(pose.position, pose.orientation, this.color);
+  if (this.markerLifetime > 0){
+    this.markerTimer = setTimeout(this.clearMarker.bind(this), this.markerLifetime);
+  }
+  this.rootObject.emit('poseEstimate', message);
+};
+
+ROS3D.PoseEstimator.prototype.updateMarker = function(pos, orientation, c=this.color){
+  this.clearMarker();
+
+  this.markerOptions.origin = new THREE.Vector3(pos.x, pos.y, pos.z);
+  this.markerOptions.direction = new THREE.Vector3(1,0,0);
+  this.markerOptions.direction.applyQuaternion(new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w));
+  this.markerOptions.material = new THREE.MeshBasicMaterial({color: c});
+
+  this.estimateMarker = new ROS3D.Arrow(this.markerOptions);
+  this.add(this.estimateMarker);
+  this.rootObject.emit('change');
+};
+
+ROS3D.PoseEstimator.prototype.clearMarker = function(){
+  clearTimeout(this.markerTimer);
+  this.markerTimer = null;
+  if (this.estimateMarker !== null){
+    this.remove(this.estimateMarker);
+    this.estimateMarker.dispose();
+    this.estimateMarker = null;
+    this.rootObject.emit('change');
+  }
+};
+
+// calculate ORIENTATION between (ROSLIB.Vector3) point1 and point2
+ROS3D.PoseEstimator.prototype.calculateOrientation = function(p1, p2){
+  var xDelta = p2.x - p1.x;
+  var yDelta = p2.y - p1.y;
+  if (xDelta === 0.0 && yDelta === 0.0){
+    return (new ROSLIB.Quaternion());
+  }
+  var theta = Math.atan2(yDelta, xDelta);
+  return (new ROSLIB.Quaternion({x:0, y:0, z:Math.sin(theta/2.0), w:Math.cos(theta/2.0)}));
+};
+
+ROS3D.PoseEstimator.prototype.mouseEventHandlerUnbound = function(event3D){
+  // same gesture as ROS3D.Navigator, see its mouseEventHandlerUnbound for the details
+  if (this.isActive){
+    switch(event3D.type){
+      case 'mouseover':
+        if (event3D.domEvent.type === 'mousedown' && event3D.domEvent.button === 0){
+          event3D.stopPropagation();
+        }
+        break;
+
+      case 'mousedown':
+        if ((event3D.domEvent.button === 0) && (event3D.domEvent.buttons === 1)){
+          var poi = event3D.intersection.point;
+          this.mouseDownPos = new ROSLIB.Vector3({x: poi.x, y: poi.y, z: 0});
+          this.mouseDown = true;
+          this.updateMarker(this.mouseDownPos, new ROSLIB.Quaternion(), this.intermediateColor);
+          event3D.stopPropagation();
+        } else {
+          event3D.forceExitToFallbackTarget();
+        }
+        break;
+
+      case 'mouseout':
+      case 'mouseup':
+        if (this.mouseDown && (event3D.domEvent.button === 0)){
+          this.mouseDown = false;
+          var upPoi = this.calculateCurrentPOI(event3D);
+          var orientation = this.calculateOrientation(this.mouseDownPos, upPoi);
+          this.publishEstimate(new ROSLIB.Pose({
+            position :    this.mouseDownPos,
+            orientation : orientation
+          }));
+          this.mouseDownPos = null;
+          event3D.stopPropagation();
+        }
+        break;
+
+      case 'mousemove':
+        if (this.mouseDown){
+          var movePoi = this.calculateCurrentPOI(event3D);
+          this.updateMarker(this.mouseDownPos, this.calculateOrientation(this.mouseDownPos, movePoi), this.intermediateColor);
+          event3D.stopPropagation();
+        }
+        break;
+
+      default:
+        event3D.forceExitToFallbackTarget();
+        break;               // DO NOT DO event3D.continuePropagation!!!
+    }
+  }
+};
+
+ROS3D.PoseEstimator.prototype.calculateCurrentPOI = function(event3D){
+  // RECALCULATE POI for mouse up since the current event3D.intersection.point is the mouse down location,
+  // but we need the mouse UP position
+  return ROS3D.calculateEventPOI(event3D);
+};
+
+ROS3D.PoseEstimator.prototype.activate = function(){
+  this.isActive = true;
+};
+
+ROS3D.PoseEstimator.prototype.deactivate = function(){
+  this.isActive = false;
+};
+
+ROS3D.PoseEstimator.prototype.toggleActivation = function(){
+  this.isActive = !this.isActive;
+};
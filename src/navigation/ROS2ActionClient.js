@@ -0,0 +1,38 @@
+/**
+ * @fileOverview
+ * @author Randel Capati - randelmc21@gmail.com
+ */
+
+/**
+ * A client of a ROS 2 action (e.g. Nav2's NavigateToPose), through the ROS 2 action support of rosbridge
+ * (send_action_goal/cancel_action_goal). It can be used in place of a ROSLIB.ActionClient by the navigators
+ * (see navOptions.navBackend of ROS3D.Navigator), its goals are ROS3D.ROS2ActionGoal.
+ *
+ * Needs a rosbridge with ROS 2 actions, and a roslib that forwards their feedback/result messages
+ * (action_feedback/action_result) to the goal id, like for services (same as ROSLIB.Action).
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *   * ros - the ROSLIB.Ros connection handle
+ *   * serverName - the action name, like '/navigate_to_pose'
+ *   * actionName - the action type, like 'nav2_msgs/action/NavigateToPose'
+ */
+ROS3D.ROS2ActionClient = function(options) {
+  options = options || {};
+  this.ros = options.ros;
+  this.serverName = options.serverName;
+  this.actionName = options.actionName;
+};
+
+/**
+ * Create a goal of this action, it is sent by its send method.
+ *
+ * @param goalMessage - the goal message of the action
+ * @returns the ROS3D.ROS2ActionGoal
+ */
+ROS3D.ROS2ActionClient.prototype.createGoal = function(goalMessage){
+  return new ROS3D.ROS2ActionGoal({
+    actionClient : this,
+    goalMessage : goalMessage,
+  });
+};
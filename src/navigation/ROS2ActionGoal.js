@@ -0,0 +1,137 @@
+/**
+ * @fileOverview
+ * @author Randel Capati - randelmc21@gmail.com
+ */
+
+/**
+ * A goal of a ROS3D.ROS2ActionClient. Same events and fields as ROSLIB.Goal, so that the navigators and
+ * ROS3D.WaypointMission handle both the same way: the action_msgs/GoalStatus of ROS 2 is converted to
+ * the actionlib_msgs/GoalStatus of ROS 1.
+ *
+ * Emits the following events:
+ *
+ *  * 'status' - the status changed, {goal_id, status, text} (actionlib_msgs/GoalStatus),
+ *               active on the first feedback (rosbridge does not tell when the goal is accepted)
+ *  * 'feedback' - the feedback of the action
+ *  * 'result' - the result of the action, the goal is then finished
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *   * actionClient - the ROS3D.ROS2ActionClient
+ *   * goalMessage - the goal message of the action
+ */
+ROS3D.ROS2ActionGoal = function(options) {
+  EventEmitter2.call(this);
+  options = options || {};
+  this.actionClient = options.actionClient;
+  this.goalMessage = options.goalMessage;
+  this.isFinished = false;
+  this.status = undefined;
+  this.result = undefined;
+  this.feedback = undefined;
+
+  var ros = this.actionClient.ros;
+  this.goalID = 'send_action_goal:' + this.actionClient.serverName + ':' + (++ros.idCounter);
+  this.messageHandler = this.handleMessage.bind(this);
+};
+ROS3D.ROS2ActionGoal.prototype.__proto__ = EventEmitter2.prototype;
+
+/**
+ * Send the goal to the action server.
+ *
+ * @param timeout (optional) - a timeout length for the goal's result, in ms
+ */
+ROS3D.ROS2ActionGoal.prototype.send = function(timeout){
+  var that = this;
+  var ros = this.actionClient.ros;
+  ros.on(this.goalID, this.messageHandler);
+  ros.callOnConnection({
+    op : 'send_action_goal',
+    id : this.goalID,
+    action : this.actionClient.serverName,
+    action_type : this.actionClient.actionName,
+    args : this.goalMessage,
+    feedback : true,
+  });
+
+  if (timeout){
+    setTimeout(function(){
+      if (!that.isFinished){
+        that.emit('timeout');
+      }
+    }, timeout);
+  }
+};
+
+/**
+ * Cancel the goal, the result is then received with the status preempted.
+ */
+ROS3D.ROS2ActionGoal.prototype.cancel = function(){
+  this.actionClient.ros.callOnConnection({
+    op : 'cancel_action_goal',
+    id : this.goalID,
+    action : this.actionClient.serverName,
+  });
+};
+
+// Handle the action_feedback and action_result messages of rosbridge
+ROS3D.ROS2ActionGoal.prototype.handleMessage = function(message){
+  if (this.isFinished){
+    return;
+  }
+  switch(message.op){
+    case 'action_feedback':
+      if (!this.status || this.status.status !== ROS3D.GOAL_STATUS_ACTIVE){
+        this.setStatus(ROS3D.GOAL_STATUS_ACTIVE);
+      }
+      this.feedback = message.values;
+      this.emit('feedback', message.values);
+      break;
+
+    case 'action_result':
+      this.isFinished = true;
+      this.actionClient.ros.off(this.goalID, this.messageHandler);
+      this.setStatus(this.convertStatus(message), (message.result === false) ? String(message.values) : '');
+      this.result = message.values;
+      this.emit('result', message.values);
+      break;
+
+    default:
+      break;
+  }
+};
+
+ROS3D.ROS2ActionGoal.prototype.setStatus = function(status, text){
+  this.status = {
+    goal_id : { id: this.goalID },
+    status : status,
+    text : text || '',
+  };
+  this.emit('status', this.status);
+};
+
+// The actionlib_msgs/GoalStatus status of the action_msgs/GoalStatus status of an action_result message
+ROS3D.ROS2ActionGoal.prototype.convertStatus = function(message){
+  switch(message.status){
+    case 1:       // accepted
+      return ROS3D.GOAL_STATUS_PENDING;
+    case 2:       // executing
+      return ROS3D.GOAL_STATUS_ACTIVE;
+    case 3:       // canceling
+      return ROS3D.GOAL_STATUS_PREEMPTING;
+    case 4:       // succeeded
+      return ROS3D.GOAL_STATUS_SUCCEEDED;
+    case 5:       // canceled
+      return ROS3D.GOAL_STATUS_PREEMPTED;
+    case 6:       // aborted
+      return ROS3D.GOAL_STATUS_ABORTED;
+    case undefined:
+      // rosbridge without the status in its results
+      if (message.result === false){
+        return ROS3D.GOAL_STATUS_ABORTED;
+      }
+      return ROS3D.GOAL_STATUS_SUCCEEDED;
+    default:      // unknown
+      return ROS3D.GOAL_STATUS_LOST;
+  }
+};
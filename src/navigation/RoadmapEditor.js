@@ -0,0 +1,837 @@
+/**
+ * @fileOverview
+ * @author Randel Capati - randelmc21@gmail.com
+ */
+
+/**
+ * A RoadmapEditor draws and edits a topological roadmap on the map: a graph of nodes (ROS3D.NodePose) linked by
+ * edges (ROS3D.NodePoseConnector). It is a tool of ROS3D.MapToolManager.
+ *
+ * A click on the map adds a node, dragging from a node to another one connects them with an edge (a one-way
+ * edge added on top of the opposite one makes it bidirectional), and dragging a node while the moveModifier key is
+ * held moves it. A click on a node or an edge selects it, a click elsewhere deselects it, and a double click on a
+ * node or an edge deletes it. Deleting a node deletes its edges too.
+ *
+ * The edges have properties: bidirectional, speedLimit (m/s, null for none) and laneWidth (m, 0 for none), see
+ * setEdgeProperties. The roadmap is imported and exported as JSON (see toJSON/loadJSON), and published after each
+ * change as a visualization_msgs/MarkerArray and/or on a custom topic (see publish).
+ *
+ * Emits the following events on the root object:
+ *
+ *  * 'roadmapChange' - the roadmap changed, see toJSON
+ *  * 'roadmapSelected' - the selection changed, {type: 'node'|'edge', item} (see toJSON for item), null if none
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *   * ros - the ROSLIB.Ros connection handle
+ *   * rootObject - the root object to emit events on (OccupancyGridClientNav)
+ *   * navigatorFrameID - tf frame ID of the roadmap, should be the fixed frame (this object should be in that frame)
+ *   * tfClient - the TF client (not used for now)
+ *   * navOptions (optional) - object with the keys below:
+ *     * navInitState (optional) - the initial isActive state (default: false)
+ *     * nodeColor (optional) - color of the nodes (default: 0x3498DB)
+ *     * edgeColor (optional) - color of the edges (default: 0x2ECC71)
+ *     * selectedColor (optional) - color of the selected node or edge (default: 0xF1C40F)
+ *     * nodeRadius (optional) - radius of the nodes, also the distance to pick them (default: 0.15)
+ *     * laneOpacity (optional) - opacity of the lanes of the edges with a laneWidth, 0 for none (default: 0.2)
+ *     * showNames (optional) - show the names (or ids) of the nodes (default: true)
+ *     * moveModifier (optional) - the key to hold to move a node instead of connecting it, the name of the key
+ *                                 property of the mouse event (default: 'shiftKey')
+ *     * defaultEdge (optional) - the properties of new edges (default: {bidirectional: true, speedLimit: null,
+ *                                laneWidth: 0})
+ *     * markerTopic (optional) - the visualization_msgs/MarkerArray topic, null for none (default: '/roadmap_markers')
+ *     * graphTopic (optional) - the custom topic of the roadmap, null for none (default: null)
+ *     * graphMessageType (optional) - the message type of graphTopic (default: 'std_msgs/String')
+ *     * graphMessageBuilder (optional) - function(roadmap, editor) returning the message of graphTopic from the
+ *                                        roadmap (see toJSON) (default: the JSON string of the roadmap as
+ *                                        std_msgs/String data)
+ *     * autoPublish (optional) - publish after each change (default: true)
+ *
+ *   * isActive - the internal state whether RoadmapEditor works or not on clicks
+ */
+ROS3D.RoadmapEditor = function(options) {
+  THREE.Object3D.call(this);
+  options = options || {};
+
+  this.ros = options.ros;
+  this.tfClient = options.tfClient;
+  this.rootObject = options.rootObject;
+  this.navigatorFrameID = options.navigatorFrameID || 'map';
+
+  var defaultNavOptions = { navInitState:         false,
+                            nodeColor:            0x3498DB,
+                            edgeColor:            0x2ECC71,
+                            selectedColor:        0xF1C40F,
+                            nodeRadius:           0.15,
+                            laneOpacity:          0.2,
+                            showNames:            true,
+                            moveModifier:         'shiftKey',
+                            defaultEdge:          {},
+                            markerTopic:          '/roadmap_markers',
+                            graphTopic:           null,
+                            graphMessageType:     'std_msgs/String',
+                            graphMessageBuilder:  null,
+                            autoPublish:          true,};
+  var navOptions = Object.assign({}, defaultNavOptions, options.navOptions);
+
+  this.nodeColor = navOptions.nodeColor;
+  this.edgeColor = navOptions.edgeColor;
+  this.selectedColor = navOptions.selectedColor;
+  this.nodeRadius = navOptions.nodeRadius;
+  this.laneOpacity = navOptions.laneOpacity;
+  this.showNames = navOptions.showNames;
+  this.moveModifier = navOptions.moveModifier;
+  this.defaultEdge = Object.assign({bidirectional: true, speedLimit: null, laneWidth: 0}, navOptions.defaultEdge);
+  this.markerTopic = navOptions.markerTopic;
+  this.graphTopic = navOptions.graphTopic;
+  this.graphMessageType = navOptions.graphMessageType;
+  this.graphMessageBuilder = navOptions.graphMessageBuilder || ((roadmap) => ({data: JSON.stringify(roadmap)}));
+  this.autoPublish = navOptions.autoPublish;
+  this.isActive = navOptions.navInitState;
+
+  this.nodes = [];                // {id, name, position: THREE.Vector3}, positions in this object's frame
+  this.edges = [];                // {id, from, to, bidirectional, speedLimit, laneWidth}, from/to being node ids
+  this.selected = null;           // {type: 'node'|'edge', id}
+  this.dragState = null;          // {mode: 'connect'|'move', node, point, moved}
+  this.previewObject = null;      // the line of the edge being connected
+  this.loading = false;           // no update nor publishing while loading, see loadJSON
+  this.nodeCounter = 0;
+  this.edgeCounter = 0;
+  this.topics = {};               // ROSLIB.Topic per topic name, created when first published
+
+  // Since this is called by objects other than itself (addeventlistener on OGNav)
+  this.mouseEventHandler = this.mouseEventHandlerUnbound.bind(this);
+};
+ROS3D.RoadmapEditor.prototype.__proto__ = THREE.Object3D.prototype;
+
+ROS3D.RoadmapEditor.prototype.getNode = function(id){
+  return this.nodes.find((node) => node.id === id) || null;
+};
+
+ROS3D.RoadmapEditor.prototype.getEdge = function(id){
+  return this.edges.find((edge) => edge.id === id) || null;
+};
+
+// The edges from or to a node
+ROS3D.RoadmapEditor.prototype.getNodeEdges = function(id){
+  return this.edges.filter((edge) => edge.from === id || edge.to === id);
+};
+
+/**
+ * Add a node.
+ *
+ * @param position - the position of the node (anything with x and y, z optional), in navigatorFrameID
+ * @param name (optional) - the name of the node
+ * @param id (optional) - the id of the node, must be unique (default: the next free number)
+ * @returns the id of the node
+ */
+ROS3D.RoadmapEditor.prototype.addNode = function(position, name, id){
+  if (id === undefined || id === null){
+    id = ++this.nodeCounter;
+  } else if (this.getNode(id)){
+    throw Error(`Duplicate roadmap node id: ${id}.`);
+  } else if (typeof id === 'number'){
+    this.nodeCounter = Math.max(this.nodeCounter, id);
+  }
+  this.nodes.push({
+    id : id,
+    name : name || '',
+    position : new THREE.Vector3(position.x, position.y, position.z || 0),
+  });
+  this.commit();
+  return id;
+};
+
+/**
+ * Move a node, its edges follow.
+ *
+ * @param id - the id of the node
+ * @param position - the new position (anything with x and y, z optional)
+ */
+ROS3D.RoadmapEditor.prototype.moveNode = function(id, position){
+  var node = this.checkNode(id);
+  node.position.set(position.x, position.y, position.z || 0);
+  this.commit();
+};
+
+ROS3D.RoadmapEditor.prototype.setNodeName = function(id, name){
+  this.checkNode(id).name = name || '';
+  this.commit();
+};
+
+/**
+ * Delete a node and all its edges.
+ *
+ * @param id - the id of the node
+ * @returns the deleted edges
+ */
+ROS3D.RoadmapEditor.prototype.deleteNode = function(id){
+  var node = this.getNode(id);
+  if (!node){
+    return [];
+  }
+  var edges = this.getNodeEdges(id);
+  this.nodes.splice(this.nodes.indexOf(node), 1);
+  this.edges = this.edges.filter((edge) => edges.indexOf(edge) < 0);
+  this.clearDeletedSelection();
+  this.commit();
+  return edges;
+};
+
+/**
+ * Connect two nodes with an edge. If they are already connected, the existing edge is returned instead: with its
+ * properties set, and made bidirectional if it goes the other way.
+ *
+ * @param from - the id of the start node
+ * @param to - the id of the end node
+ * @param properties (optional) - the properties of the edge (see setEdgeProperties), on top of navOptions.defaultEdge
+ * @param id (optional) - the id of the edge, must be unique (default: the next free number)
+ * @returns the id of the edge
+ */
+ROS3D.RoadmapEditor.prototype.addEdge = function(from, to, properties, id){
+  this.checkNode(from);
+  this.checkNode(to);
+  if (from === to){
+    throw Error(`A roadmap edge can not connect node ${from} to itself.`);
+  }
+  var existing = this.edges.find((edge) => (edge.from === from && edge.to === to) || (edge.from === to && edge.to === from));
+  if (existing){
+    properties = Object.assign({}, properties);
+    if (existing.from !== from){
+      properties.bidirectional = true;
+    }
+    this.setEdgeProperties(existing.id, properties);
+    return existing.id;
+  }
+
+  if (id === undefined || id === null){
+    id = ++this.edgeCounter;
+  } else if (this.getEdge(id)){
+    throw Error(`Duplicate roadmap edge id: ${id}.`);
+  } else if (typeof id === 'number'){
+    this.edgeCounter = Math.max(this.edgeCounter, id);
+  }
+  var edge = { id: id, from: from, to: to };
+  // the properties left undefined keep the defaults
+  this.assignEdgeProperties(edge, this.defaultEdge);
+  this.assignEdgeProperties(edge, properties || {});
+  this.edges.push(edge);
+  this.commit();
+  return id;
+};
+
+/**
+ * Set the properties of an edge, the properties not given are kept.
+ *
+ * @param id - the id of the edge
+ * @param properties - object with the following keys:
+ *   * bidirectional (optional) - if the edge can be traveled both ways
+ *   * speedLimit (optional) - the maximum speed on the edge (m/s), null for none
+ *   * laneWidth (optional) - the width of the lane of the edge (m), 0 for none
+ */
+ROS3D.RoadmapEditor.prototype.setEdgeProperties = function(id, properties){
+  var edge = this.getEdge(id);
+  if (!edge){
+    throw Error(`Unknown roadmap edge: ${id}.`);
+  }
+  this.assignEdgeProperties(edge, properties || {});
+  this.commit();
+};
+
+ROS3D.RoadmapEditor.prototype.assignEdgeProperties = function(edge, properties){
+  if (properties.speedLimit !== undefined && properties.speedLimit !== null && !(properties.speedLimit > 0)){
+    throw Error(`Invalid speed limit: ${properties.speedLimit}, should be positive or null.`);
+  }
+  if (properties.laneWidth !== undefined && !(properties.laneWidth >= 0)){
+    throw Error(`Invalid lane width: ${properties.laneWidth}, should be 0 or more.`);
+  }
+  if (properties.bidirectional !== undefined){
+    edge.bidirectional = !!properties.bidirectional;
+  }
+  if (properties.speedLimit !== undefined){
+    edge.speedLimit = properties.speedLimit;
+  }
+  if (properties.laneWidth !== undefined){
+    edge.laneWidth = properties.laneWidth;
+  }
+};
+
+ROS3D.RoadmapEditor.prototype.deleteEdge = function(id){
+  var edge = this.getEdge(id);
+  if (!edge){
+    return;
+  }
+  this.edges.splice(this.edges.indexOf(edge), 1);
+  this.clearDeletedSelection();
+  this.commit();
+};
+
+// Delete all the nodes and edges
+ROS3D.RoadmapEditor.prototype.clearRoadmap = function(){
+  this.nodes = [];
+  this.edges = [];
+  this.dragState = null;
+  this.clearDeletedSelection();
+  this.commit();
+};
+
+/**
+ * Select a node or an edge. Emits 'roadmapSelected'.
+ *
+ * @param type - 'node' or 'edge', null for none
+ * @param id - the id of the node or edge
+ */
+ROS3D.RoadmapEditor.prototype.select = function(type, id){
+  var item = (type === 'node') ? this.getNode(id) : (type === 'edge') ? this.getEdge(id) : null;
+  var selected = item ? {type: type, id: id} : null;
+  if ((selected && this.selected && selected.type === this.selected.type && selected.id === this.selected.id) ||
+      (!selected && !this.selected)){
+    return;
+  }
+  this.selected = selected;
+  this.rootObject.emit('roadmapSelected', this.getSelectedJSON());
+  this.update();
+};
+
+// The selected node or edge (see toJSON) with its type, null if none
+ROS3D.RoadmapEditor.prototype.getSelectedJSON = function(){
+  if (!this.selected){
+    return null;
+  }
+  var item = (this.selected.type === 'node') ? this.nodeToJSON(this.getNode(this.selected.id)) :
+                                               this.edgeToJSON(this.getEdge(this.selected.id));
+  return {type: this.selected.type, item: item};
+};
+
+ROS3D.RoadmapEditor.prototype.deleteSelected = function(){
+  if (!this.selected){
+    return;
+  }
+  if (this.selected.type === 'node'){
+    this.deleteNode(this.selected.id);
+  } else {
+    this.deleteEdge(this.selected.id);
+  }
+};
+
+ROS3D.RoadmapEditor.prototype.isSelected = function(type, id){
+  return !!this.selected && this.selected.type === type && this.selected.id === id;
+};
+
+// Deselect the selected node or edge if it was deleted
+ROS3D.RoadmapEditor.prototype.clearDeletedSelection = function(){
+  if (!this.selected){
+    return;
+  }
+  var exists = (this.selected.type === 'node') ? this.getNode(this.selected.id) : this.getEdge(this.selected.id);
+  if (!exists){
+    this.selected = null;
+    this.rootObject.emit('roadmapSelected', null);
+  }
+};
+
+ROS3D.RoadmapEditor.prototype.checkNode = function(id){
+  var node = this.getNode(id);
+  if (!node){
+    throw Error(`Unknown roadmap node: ${id}.`);
+  }
+  return node;
+};
+
+ROS3D.RoadmapEditor.prototype.nodeToJSON = function(node){
+  return {
+    id : node.id,
+    name : node.name,
+    x : node.position.x,
+    y : node.position.y,
+    z : node.position.z,
+  };
+};
+
+ROS3D.RoadmapEditor.prototype.edgeToJSON = function(edge){
+  return {
+    id : edge.id,
+    from : edge.from,
+    to : edge.to,
+    bidirectional : edge.bidirectional,
+    speed_limit : edge.speedLimit,
+    lane_width : edge.laneWidth,
+  };
+};
+
+/**
+ * Returns the roadmap as plain data:
+ *   {frame_id, nodes: [{id, name, x, y, z}], edges: [{id, from, to, bidirectional, speed_limit, lane_width}]}
+ */
+ROS3D.RoadmapEditor.prototype.toJSON = function(){
+  return {
+    frame_id : this.navigatorFrameID,
+    nodes : this.nodes.map((node) => this.nodeToJSON(node)),
+    edges : this.edges.map((edge) => this.edgeToJSON(edge)),
+  };
+};
+
+/**
+ * Replace the roadmap by the one of the given data (see toJSON), and publish it. Missing edge properties are
+ * taken from navOptions.defaultEdge.
+ *
+ * @param data - the data, or its JSON string
+ */
+ROS3D.RoadmapEditor.prototype.loadJSON = function(data){
+  if (typeof data === 'string'){
+    data = JSON.parse(data);
+  }
+  if (!data || !Array.isArray(data.nodes)){
+    throw Error('Invalid roadmap: no nodes list.');
+  }
+  if (data.edges !== undefined && !Array.isArray(data.edges)){
+    throw Error('Invalid roadmap: the edges are not a list.');
+  }
+  if (data.frame_id && data.frame_id !== this.navigatorFrameID){
+    console.warn(`Roadmap is in ${data.frame_id}, but the roadmap editor is in ${this.navigatorFrameID}.`);
+  }
+
+  // build it aside, so that an invalid roadmap leaves the current one untouched
+  var nodes = this.nodes;
+  var edges = this.edges;
+  var counters = [this.nodeCounter, this.edgeCounter];
+  this.nodes = [];
+  this.edges = [];
+  this.nodeCounter = 0;
+  this.edgeCounter = 0;
+  this.loading = true;
+  try {
+    data.nodes.forEach((node) => {
+      this.addNode(node, node.name, node.id);
+    });
+    (data.edges || []).forEach((edge) => {
+      this.addEdge(edge.from, edge.to, {
+        bidirectional : edge.bidirectional,
+        speedLimit : edge.speed_limit,
+        laneWidth : edge.lane_width,
+      }, edge.id);
+    });
+  } catch (error) {
+    this.nodes = nodes;
+    this.edges = edges;
+    this.nodeCounter = counters[0];
+    this.edgeCounter = counters[1];
+    throw error;
+  } finally {
+    this.loading = false;
+  }
+  this.dragState = null;
+  this.clearDeletedSelection();
+  this.commit();
+};
+
+/**
+ * Returns the visualization_msgs/MarkerArray of the roadmap: the nodes, the edges, their directions, their lanes and
+ * the names of the nodes. It starts with a DELETEALL marker, so that deleted items disappear.
+ */
+ROS3D.RoadmapEditor.prototype.createMarkerArray = function(){
+  var header = { frame_id: this.navigatorFrameID };
+  var pose = { position: {x: 0, y: 0, z: 0}, orientation: {x: 0, y: 0, z: 0, w: 1} };
+  var toColor = (hex, a) => {
+    var color = new THREE.Color(hex);
+    return {r: color.r, g: color.g, b: color.b, a: a};
+  };
+  var toPoint = (p) => ({x: p.x, y: p.y, z: p.z});
+  var markers = [{ header: header, ns: '', id: 0, action: 3 }];        // DELETEALL
+
+  if (this.nodes.length){
+    markers.push({
+      header : header,
+      ns : 'roadmap_nodes',
+      id : 0,
+      type : ROS3D.MARKER_SPHERE_LIST,
+      action : 0,
+      pose : pose,
+      scale : { x: this.nodeRadius * 2, y: this.nodeRadius * 2, z: this.nodeRadius * 2 },
+      color : toColor(this.nodeColor, 1),
+      points : this.nodes.map((node) => toPoint(node.position)),
+    });
+  }
+  if (this.edges.length){
+    var points = [];
+    this.edges.forEach((edge) => {
+      points.push(toPoint(this.getNode(edge.from).position), toPoint(this.getNode(edge.to).position));
+    });
+    markers.push({
+      header : header,
+      ns : 'roadmap_edges',
+      id : 0,
+      type : ROS3D.MARKER_LINE_LIST,
+      action : 0,
+      pose : pose,
+      scale : { x: this.nodeRadius / 5, y: 0, z: 0 },
+      color : toColor(this.edgeColor, 1),
+      points : points,
+    });
+  }
+
+  var arrowLength = this.nodeRadius * 2;
+  this.edges.forEach((edge, i) => {
+    var p1 = this.getNode(edge.from).position;
+    var p2 = this.getNode(edge.to).position;
+    var middle = p1.clone().add(p2).multiplyScalar(0.5);
+    var direction = p2.clone().sub(p1).normalize();
+    var arrows = [[middle, middle.clone().addScaledVector(direction, arrowLength)]];
+    if (edge.bidirectional){
+      arrows.push([middle, middle.clone().addScaledVector(direction, -arrowLength)]);
+    }
+    arrows.forEach((arrow, j) => {
+      markers.push({
+        header : header,
+        ns : 'roadmap_directions',
+        id : 2 * i + j,
+        type : ROS3D.MARKER_ARROW,
+        action : 0,
+        pose : pose,
+        scale : { x: this.nodeRadius / 5, y: this.nodeRadius / 2, z: this.nodeRadius },
+        color : toColor(this.edgeColor, 1),
+        points : arrow.map(toPoint),
+      });
+    });
+
+    if (edge.laneWidth > 0){
+      var q = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), Math.atan2(direction.y, direction.x));
+      markers.push({
+        header : header,
+        ns : 'roadmap_lanes',
+        id : i,
+        type : ROS3D.MARKER_CUBE,
+        action : 0,
+        pose : { position: toPoint(middle), orientation: {x: q.x, y: q.y, z: q.z, w: q.w} },
+        scale : { x: p1.distanceTo(p2), y: edge.laneWidth, z: 0.01 },
+        color : toColor(this.edgeColor, this.laneOpacity),
+      });
+    }
+  });
+
+  this.nodes.forEach((node, i) => {
+    markers.push({
+      header : header,
+      ns : 'roadmap_names',
+      id : i,
+      type : ROS3D.MARKER_TEXT_VIEW_FACING,
+      action : 0,
+      pose : { position: {x: node.position.x, y: node.position.y, z: node.position.z + this.nodeRadius * 2},
+               orientation: {x: 0, y: 0, z: 0, w: 1} },
+      scale : { x: 0, y: 0, z: this.nodeRadius * 2 },
+      color : toColor(0xffffff, 1),
+      text : this.getNodeName(node),
+    });
+  });
+  return { markers: markers };
+};
+
+// Publish a message on a topic, the topic is created when first published
+ROS3D.RoadmapEditor.prototype.publishOn = function(topicName, messageType, message){
+  if (!this.topics[topicName]){
+    this.topics[topicName] = new ROSLIB.Topic({
+      ros : this.ros,
+      name : topicName,
+      messageType : messageType
+    });
+  }
+  this.topics[topicName].publish(message);
+};
+
+/**
+ * Publish the roadmap on navOptions.markerTopic (visualization_msgs/MarkerArray) and navOptions.graphTopic (the
+ * message of navOptions.graphMessageBuilder), when set.
+ */
+ROS3D.RoadmapEditor.prototype.publish = function(){
+  if (this.markerTopic){
+    this.publishOn(this.markerTopic, 'visualization_msgs/MarkerArray', this.createMarkerArray());
+  }
+  if (this.graphTopic){
+    this.publishOn(this.graphTopic, this.graphMessageType, this.graphMessageBuilder(this.toJSON(), this));
+  }
+};
+
+// After a change of the roadmap: update the objects and publish (see navOptions.autoPublish), not while loading
+ROS3D.RoadmapEditor.prototype.commit = function(){
+  if (this.loading){
+    return;
+  }
+  if (this.autoPublish){
+    this.publish();
+  }
+  this.update();
+};
+
+ROS3D.RoadmapEditor.prototype.getNodeName = function(node){
+  return node.name || ('#' + node.id);
+};
+
+// The node close to the point, null if none
+ROS3D.RoadmapEditor.prototype.findNodeAt = function(point){
+  var best = null;
+  var bestDistance = this.nodeRadius;
+  this.nodes.forEach((node) => {
+    var distance = Math.hypot(node.position.x - point.x, node.position.y - point.y);
+    if (distance <= bestDistance){
+      best = node;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+// The edge close to the point (within its lane or a node radius), null if none
+ROS3D.RoadmapEditor.prototype.findEdgeAt = function(point){
+  var best = null;
+  var bestDistance = Infinity;
+  this.edges.forEach((edge) => {
+    var p1 = this.getNode(edge.from).position;
+    var p2 = this.getNode(edge.to).position;
+    var dx = p2.x - p1.x;
+    var dy = p2.y - p1.y;
+    var t = Math.min(Math.max(((point.x - p1.x) * dx + (point.y - p1.y) * dy) / (dx * dx + dy * dy || 1), 0), 1);
+    var distance = Math.hypot(p1.x + t * dx - point.x, p1.y + t * dy - point.y);
+    if (distance <= Math.max(edge.laneWidth / 2, this.nodeRadius) && distance < bestDistance){
+      best = edge;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+// The point of the event, in this object's frame on the plane z = 0
+ROS3D.RoadmapEditor.prototype.getLocalPoint = function(worldPoint){
+  var local = this.worldToLocal(new THREE.Vector3(worldPoint.x, worldPoint.y, worldPoint.z));
+  local.z = 0;
+  return local;
+};
+
+ROS3D.RoadmapEditor.prototype.handleMouseDown = function(point, domEvent){
+  var node = this.findNodeAt(point);
+  if (node){
+    this.select('node', node.id);
+    var move = !!(this.moveModifier && domEvent[this.moveModifier]);
+    this.dragState = { mode: move ? 'move' : 'connect', node: node, point: point, moved: false };
+    return;
+  }
+  var edge = this.findEdgeAt(point);
+  if (edge){
+    this.select('edge', edge.id);
+  } else if (this.selected){
+    this.select(null);
+  } else {
+    this.addNode(point);
+  }
+};
+
+ROS3D.RoadmapEditor.prototype.handleDrag = function(point){
+  var state = this.dragState;
+  state.point = point;
+  state.moved = true;
+  if (state.mode === 'move'){
+    state.node.position.set(point.x, point.y, state.node.position.z);
+    this.update();
+  } else {
+    this.updatePreview();
+  }
+};
+
+ROS3D.RoadmapEditor.prototype.handleMouseUp = function(){
+  var state = this.dragState;
+  this.dragState = null;
+  if (!state.moved){
+    return;
+  }
+  if (state.mode === 'move'){
+    this.commit();
+    return;
+  }
+  this.updatePreview();
+  var target = this.findNodeAt(state.point);
+  if (target && target !== state.node){
+    var id = this.addEdge(state.node.id, target.id);
+    this.select('edge', id);
+  }
+};
+
+ROS3D.RoadmapEditor.prototype.handleDoubleClick = function(point){
+  var node = this.findNodeAt(point);
+  if (node){
+    this.deleteNode(node.id);
+    return;
+  }
+  var edge = this.findEdgeAt(point);
+  if (edge){
+    this.deleteEdge(edge.id);
+  }
+};
+
+// Show the edge being connected, from the dragged node to the pointer (or the node under it)
+ROS3D.RoadmapEditor.prototype.updatePreview = function(){
+  if (this.previewObject){
+    this.remove(this.previewObject);
+    this.previewObject.geometry.dispose();
+    this.previewObject.material.dispose();
+    this.previewObject = null;
+  }
+  var state = this.dragState;
+  if (!state || state.mode !== 'connect'){
+    return;
+  }
+  var target = this.findNodeAt(state.point);
+  var end = target ? target.position : state.point;
+  var geometry = new THREE.BufferGeometry().setFromPoints([state.node.position, end]);
+  this.previewObject = new THREE.Line(geometry, new THREE.LineBasicMaterial({color: this.selectedColor}));
+  this.add(this.previewObject);
+};
+
+// Re-create the objects of the roadmap, emits 'roadmapChange'
+ROS3D.RoadmapEditor.prototype.update = function(){
+  this.children.slice().forEach((child) => {
+    this.remove(child);
+    child.traverse((object) => {
+      if (object.dispose){
+        object.dispose();
+      } else if (object.geometry){
+        object.geometry.dispose();
+        object.material.dispose();
+      }
+    });
+  });
+  this.previewObject = null;
+
+  this.edges.forEach((edge) => {
+    this.add(this.createEdgeObject(edge, this.isSelected('edge', edge.id)));
+  });
+  this.nodes.forEach((node) => {
+    this.add(this.createNodeObject(node, this.isSelected('node', node.id)));
+  });
+  this.updatePreview();
+
+  this.rootObject.emit('roadmapChange', this.toJSON());
+  this.rootObject.emit('change');
+};
+
+ROS3D.RoadmapEditor.prototype.createNodeObject = function(node, selected){
+  var group = new THREE.Object3D();
+  group.add(new ROS3D.NodePose({
+    origin : node.position,
+    radius : this.nodeRadius,
+    arrowHeadHeight : this.nodeRadius,                // a plain sphere
+    material : new THREE.MeshBasicMaterial({color: selected ? this.selectedColor : this.nodeColor}),
+  }));
+  if (this.showNames){
+    var label = new ROS3D.TextLabel({ text: this.getNodeName(node), screenHeight: 0.025 });
+    label.position.set(node.position.x, node.position.y, node.position.z + this.nodeRadius * 2);
+    group.add(label);
+  }
+  return group;
+};
+
+ROS3D.RoadmapEditor.prototype.createEdgeObject = function(edge, selected){
+  var color = selected ? this.selectedColor : this.edgeColor;
+  var p1 = this.getNode(edge.from).position;
+  var p2 = this.getNode(edge.to).position;
+  var group = new THREE.Object3D();
+
+  var connector = new ROS3D.NodePoseConnector({
+    p1 : p1,
+    p2 : p2,
+    twoWay : edge.bidirectional,
+    offsetLength : this.nodeRadius,
+    material : new THREE.MeshBasicMaterial({color: color}),
+  });
+  if (connector.geometry){
+    group.add(connector);
+  } else {
+    // too short for a connector
+    var geometry = new THREE.BufferGeometry().setFromPoints([p1, p2]);
+    group.add(new THREE.Line(geometry, new THREE.LineBasicMaterial({color: color})));
+  }
+
+  if (edge.laneWidth > 0 && this.laneOpacity > 0){
+    var lane = new THREE.Mesh(new THREE.PlaneGeometry(p1.distanceTo(p2), edge.laneWidth), new THREE.MeshBasicMaterial({
+      color : color,
+      transparent : true,
+      opacity : this.laneOpacity,
+      depthWrite : false,
+      side : THREE.DoubleSide,
+    }));
+    lane.position.copy(p1).add(p2).multiplyScalar(0.5);
+    lane.rotation.z = Math.atan2(p2.y - p1.y, p2.x - p1.x);
+    group.add(lane);
+  }
+  return group;
+};
+
+ROS3D.RoadmapEditor.prototype.mouseEventHandlerUnbound = function(event3D){
+  if (!this.isActive){
+    return;
+  }
+  switch(event3D.type){
+    case 'mouseover':
+      // only accept left clicks, see ROS3D.Navigator
+      if ((event3D.domEvent.type === 'mousedown' && event3D.domEvent.button === 0) || event3D.domEvent.type === 'dblclick'){
+        event3D.stopPropagation();
+      }
+      break;
+
+    case 'mousedown':
+      if ((event3D.domEvent.button === 0) && (event3D.domEvent.buttons === 1)){
+        this.handleMouseDown(this.getLocalPoint(event3D.intersection.point), event3D.domEvent);
+        event3D.stopPropagation();
+      } else {
+        event3D.forceExitToFallbackTarget();
+      }
+      break;
+
+    case 'mousemove':
+      if (this.dragState){
+        this.handleDrag(this.getLocalPoint(ROS3D.calculateEventPOI(event3D)));
+        event3D.stopPropagation();
+      }
+      break;
+
+    case 'mouseout':
+    case 'mouseup':
+      if (this.dragState && (event3D.domEvent.button === 0)){
+        this.handleMouseUp();
+        event3D.stopPropagation();
+      }
+      break;
+
+    case 'dblclick':
+      this.handleDoubleClick(this.getLocalPoint(event3D.intersection.point));
+      event3D.stopPropagation();
+      break;
+
+    default:
+      event3D.forceExitToFallbackTarget();
+      break;
+  }
+};
+
+ROS3D.RoadmapEditor.prototype.activate = function(){
+  this.isActive = true;
+};
+
+ROS3D.RoadmapEditor.prototype.deactivate = function(){
+  this.isActive = false;
+  if (this.dragState){
+    var moved = this.dragState.mode === 'move' && this.dragState.moved;
+    this.dragState = null;
+    if (moved){
+      this.commit();
+    } else {
+      this.updatePreview();
+    }
+  }
+};
+
+ROS3D.RoadmapEditor.prototype.toggleActivation = function(){
+  if (this.isActive){
+    this.deactivate();
+  } else {
+    this.activate();
+  }
+};
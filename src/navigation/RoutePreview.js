@@ -0,0 +1,479 @@
+/**
+ * @fileOverview
+ * @author Randel Capati - randelmc21@gmail.com
+ */
+
+/**
+ * A RoutePreview draws the curved route a car-like robot would follow through a list of poses, instead of the
+ * straight NodePoseConnectors. Used by ROS3D.Navigator_MW through its navOptions.routePreview.
+ *
+ * The modes are:
+ *
+ *  * 'dubins' - the shortest path going forward only, with turns of the turning radius (Dubins curves)
+ *  * 'reedsShepp' - the shortest path going forward and backward (Reeds-Shepp curves)
+ *  * 'catmullRom' - a centripetal Catmull-Rom spline through the positions, the orientations are not used
+ *
+ * A pose is flagged when the segment reaching it is likely a poor route, the rule depends on the mode:
+ *
+ *  * 'dubins' and 'reedsShepp' - the curve is longer than maxDetour times the straight distance between the poses,
+ *    i.e. the robot has to loop or maneuver to reach the heading of the pose. This is a heuristic on the detour only:
+ *    the curves always respect the turning radius, and a short segment with a large heading change is not flagged
+ *    as long as its detour stays under maxDetour.
+ *  * 'catmullRom' - the spline turns tighter than the turning radius somewhere along the segment.
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *
+ *   * mode (optional) - 'dubins' (default), 'reedsShepp' or 'catmullRom'
+ *   * turningRadius (optional) - the minimum turning radius of the robot, in meters (default: 0.5)
+ *   * maxDetour (optional) - max ratio between the length of a Dubins/Reeds-Shepp segment and the straight
+ *                            distance between its poses, above it the segment is flagged (default: 2)
+ *   * sampleStep (optional) - distance between the points of the drawn curves, in meters (default: 0.05)
+ *   * color (optional) - color of the route (default: 0x5DADE2)
+ *   * flaggedColor (optional) - color of the flagged segments, and of the nodes of the flagged poses in
+ *                               ROS3D.Navigator_MW (default: 0xE67E22)
+ */
+ROS3D.RoutePreview = function(options) {
+  THREE.Object3D.call(this);
+  options = options || {};
+  this.mode = options.mode || 'dubins';
+  this.checkMode(this.mode);
+  this.turningRadius = options.turningRadius || 0.5;
+  this.maxDetour = options.maxDetour || 2;
+  this.sampleStep = options.sampleStep || 0.05;
+  this.color = (options.color !== undefined) ? options.color : 0x5DADE2;
+  this.flaggedColor = (options.flaggedColor !== undefined) ? options.flaggedColor : 0xE67E22;
+
+  this.segments = [];           // the segments of the last update, see update
+};
+ROS3D.RoutePreview.prototype.__proto__ = THREE.Object3D.prototype;
+
+ROS3D.RoutePreview.prototype.checkMode = function(mode){
+  if (['dubins', 'reedsShepp', 'catmullRom'].indexOf(mode) < 0){
+    throw Error(`Unknown route preview mode: ${mode}, should be one of dubins, reedsShepp, catmullRom.`);
+  }
+};
+
+/**
+ * Compute and draw the route through the poses.
+ *
+ * @param poses - the poses, {x, y, z, yaw} (yaw in radians)
+ * @param closed (optional) - the route goes back from the last pose to the first one (default: false)
+ * @returns {length, segments: [{from, to, points, length, flagged}], flagged: [indices of the flagged poses]}
+ */
+ROS3D.RoutePreview.prototype.update = function(poses, closed=false){
+  var pairs = [];
+  for (var i = 1; i < poses.length; i++){
+    pairs.push([i - 1, i]);
+  }
+  if (closed && poses.length > 2){
+    pairs.push([poses.length - 1, 0]);
+  }
+
+  if (this.mode === 'catmullRom'){
+    this.segments = this.computeSplineSegments(poses, pairs, closed && poses.length > 2);
+  } else {
+    this.segments = pairs.map((pair) => this.computeCurveSegment(poses[pair[0]], poses[pair[1]], pair));
+  }
+  this.draw();
+
+  var flagged = [];
+  this.segments.forEach((segment) => {
+    if (segment.flagged && flagged.indexOf(segment.to) < 0){
+      flagged.push(segment.to);
+    }
+  });
+  return {
+    length : this.segments.reduce((length, segment) => length + segment.length, 0),
+    segments : this.segments,
+    flagged : flagged,
+  };
+};
+
+// A Dubins or Reeds-Shepp segment from p0 to p1
+ROS3D.RoutePreview.prototype.computeCurveSegment = function(p0, p1, pair){
+  var path = (this.mode === 'dubins') ? this.getDubinsPath(p0, p1) : this.getReedsSheppPath(p0, p1);
+  var points = this.samplePath(p0, p1, path);
+  var length = path.length * this.turningRadius;
+  var distance = Math.hypot(p1.x - p0.x, p1.y - p0.y);
+  return {
+    from : pair[0],
+    to : pair[1],
+    points : points,
+    length : length,
+    flagged : length > this.maxDetour * distance + 1e-6,
+  };
+};
+
+// The segments of a Catmull-Rom spline through the poses
+ROS3D.RoutePreview.prototype.computeSplineSegments = function(poses, pairs, closed){
+  if (poses.length < 2){
+    return [];
+  }
+  var curve = new THREE.CatmullRomCurve3(poses.map((p) => new THREE.Vector3(p.x, p.y, p.z)), closed, 'centripetal');
+  var maxCurvature = 1 / this.turningRadius;
+  return pairs.map((pair, i) => {
+    var p0 = poses[pair[0]];
+    var p1 = poses[pair[1]];
+    var count = this.getSampleCount(Math.hypot(p1.x - p0.x, p1.y - p0.y));
+    var points = [];
+    for (var j = 0; j <= count; j++){
+      points.push(curve.getPoint((i + j / count) / pairs.length));
+    }
+    var length = 0;
+    var flagged = false;
+    for (j = 1; j < points.length; j++){
+      length += points[j].distanceTo(points[j - 1]);
+      if (j > 1 && this.getCurvature(points[j - 2], points[j - 1], points[j]) > maxCurvature * 1.01){
+        flagged = true;
+      }
+    }
+    return { from: pair[0], to: pair[1], points: points, length: length, flagged: flagged };
+  });
+};
+
+// The curvature of the circle through 3 points (x, y), 0 if they are aligned
+ROS3D.RoutePreview.prototype.getCurvature = function(a, b, c){
+  var cross = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+  var product = Math.hypot(b.x - a.x, b.y - a.y) * Math.hypot(c.x - b.x, c.y - b.y) * Math.hypot(c.x - a.x, c.y - a.y);
+  return product > 0 ? 2 * Math.abs(cross) / product : 0;
+};
+
+ROS3D.RoutePreview.prototype.getSampleCount = function(length){
+  return Math.min(Math.max(Math.ceil(length / this.sampleStep), 2), 1000);
+};
+
+// An angle in [0, 2pi)
+ROS3D.RoutePreview.prototype.mod2pi = function(angle){
+  var twoPi = 2 * Math.PI;
+  return angle - twoPi * Math.floor(angle / twoPi);
+};
+
+// An angle in (-pi, pi]
+ROS3D.RoutePreview.prototype.modPi = function(angle){
+  var v = this.mod2pi(angle);
+  return (v > Math.PI) ? v - 2 * Math.PI : v;
+};
+
+/**
+ * The shortest Dubins path from p0 to p1.
+ *
+ * @param p0 - the start pose {x, y, yaw}
+ * @param p1 - the end pose {x, y, yaw}
+ * @returns {length, segments: [[type, length]]}, type being 'L', 'S' or 'R', lengths in turning radiuses
+ */
+ROS3D.RoutePreview.prototype.getDubinsPath = function(p0, p1){
+  var dx = p1.x - p0.x;
+  var dy = p1.y - p0.y;
+  var d = Math.hypot(dx, dy) / this.turningRadius;
+  var theta = this.mod2pi(Math.atan2(dy, dx));
+  var a = this.mod2pi(p0.yaw - theta);
+  var b = this.mod2pi(p1.yaw - theta);
+  var sa = Math.sin(a);
+  var sb = Math.sin(b);
+  var ca = Math.cos(a);
+  var cb = Math.cos(b);
+  var cab = Math.cos(a - b);
+  var candidates = [];
+  var add = (types, t, p, q) => {
+    candidates.push({ length: t + p + q, segments: [[types[0], t], [types[1], p], [types[2], q]] });
+  };
+  var pSq, tmp, p;
+
+  pSq = 2 + d * d - 2 * cab + 2 * d * (sa - sb);
+  if (pSq >= 0){
+    tmp = Math.atan2(cb - ca, d + sa - sb);
+    add('LSL', this.mod2pi(tmp - a), Math.sqrt(pSq), this.mod2pi(b - tmp));
+  }
+  pSq = 2 + d * d - 2 * cab + 2 * d * (sb - sa);
+  if (pSq >= 0){
+    tmp = Math.atan2(ca - cb, d - sa + sb);
+    add('RSR', this.mod2pi(a - tmp), Math.sqrt(pSq), this.mod2pi(tmp - b));
+  }
+  pSq = -2 + d * d + 2 * cab + 2 * d * (sa + sb);
+  if (pSq >= 0){
+    p = Math.sqrt(pSq);
+    tmp = Math.atan2(-ca - cb, d + sa + sb) - Math.atan2(-2, p);
+    add('LSR', this.mod2pi(tmp - a), p, this.mod2pi(tmp - b));
+  }
+  pSq = -2 + d * d + 2 * cab - 2 * d * (sa + sb);
+  if (pSq >= 0){
+    p = Math.sqrt(pSq);
+    tmp = Math.atan2(ca + cb, d - sa - sb) - Math.atan2(2, p);
+    add('RSL', this.mod2pi(a - tmp), p, this.mod2pi(b - tmp));
+  }
+  tmp = (6 - d * d + 2 * cab + 2 * d * (sa - sb)) / 8;
+  if (Math.abs(tmp) <= 1){
+    p = this.mod2pi(2 * Math.PI - Math.acos(tmp));
+    var t = this.mod2pi(a - Math.atan2(ca - cb, d - sa + sb) + p / 2);
+    add('RLR', t, p, this.mod2pi(a - b - t + p));
+  }
+  tmp = (6 - d * d + 2 * cab + 2 * d * (sb - sa)) / 8;
+  if (Math.abs(tmp) <= 1){
+    p = this.mod2pi(2 * Math.PI - Math.acos(tmp));
+    var t2 = this.mod2pi(-a - Math.atan2(ca - cb, d + sa - sb) + p / 2);
+    add('LRL', t2, p, this.mod2pi(b - a - t2 + p));
+  }
+  return this.getShortestPath(candidates);
+};
+
+/**
+ * The shortest Reeds-Shepp path from p0 to p1 (the path families of Reeds and Shepp, with the formulas of
+ * their paper, as OMPL does).
+ *
+ * @param p0 - the start pose {x, y, yaw}
+ * @param p1 - the end pose {x, y, yaw}
+ * @returns {length, segments: [[type, length]]}, type being 'L', 'S' or 'R', lengths in turning radiuses,
+ *          negative when going backward
+ */
+ROS3D.RoutePreview.prototype.getReedsSheppPath = function(p0, p1){
+  // p1 in the frame of p0, in turning radiuses
+  var dx = (p1.x - p0.x) / this.turningRadius;
+  var dy = (p1.y - p0.y) / this.turningRadius;
+  var c = Math.cos(p0.yaw);
+  var s = Math.sin(p0.yaw);
+  var x = c * dx + s * dy;
+  var y = -s * dx + c * dy;
+  var phi = this.modPi(p1.yaw - p0.yaw);
+  // the same paths, traveled from p1 to p0
+  var xb = x * Math.cos(phi) + y * Math.sin(phi);
+  var yb = x * Math.sin(phi) - y * Math.cos(phi);
+  var candidates = [];
+  var reflect = (types) => types.replace(/[LR]/g, (type) => (type === 'L') ? 'R' : 'L');
+
+  // each base path is tried on its 4 symmetries: timeflip (backward) and reflect (left/right swapped)
+  var tryAll = (formula, types, xx, yy, reversed) => {
+    [[xx, yy, phi, 1, types], [-xx, yy, -phi, -1, types], [xx, -yy, -phi, 1, reflect(types)], [-xx, -yy, phi, -1, reflect(types)]]
+      .forEach((args) => {
+        var lengths = formula.call(this, args[0], args[1], args[2]);
+        if (!lengths){
+          return;
+        }
+        var pathTypes = args[4].split('');
+        if (reversed){
+          lengths.reverse();
+          pathTypes.reverse();
+        }
+        candidates.push({
+          length : lengths.reduce((sum, length) => sum + Math.abs(length), 0),
+          segments : lengths.map((length, i) => [pathTypes[i], args[3] * length]),
+        });
+      });
+  };
+  // CSC
+  tryAll(this.rsLpSpLp, 'LSL', x, y, false);
+  tryAll(this.rsLpSpRp, 'LSR', x, y, false);
+  // CCC
+  tryAll(this.rsLpRmL, 'LRL', x, y, false);
+  tryAll(this.rsLpRmL, 'LRL', xb, yb, true);
+  // CCCC
+  tryAll(this.rsLpRupLumRm, 'LRLR', x, y, false);
+  tryAll(this.rsLpRumLumRp, 'LRLR', x, y, false);
+  // CCSC
+  tryAll(this.rsLpRmSmLm, 'LRSL', x, y, false);
+  tryAll(this.rsLpRmSmRm, 'LRSR', x, y, false);
+  tryAll(this.rsLpRmSmLm, 'LRSL', xb, yb, true);
+  tryAll(this.rsLpRmSmRm, 'LRSR', xb, yb, true);
+  // CCSCC
+  tryAll(this.rsLpRmSLmRp, 'LRSLR', x, y, false);
+  return this.getShortestPath(candidates);
+};
+
+// The formulas below are those of the Reeds-Shepp paths whose name they have (+ forward, - backward, u/m: same
+// length u), for p1 at (x, y, phi) from p0 at the origin. They return the lengths of the segments, or null.
+
+ROS3D.RoutePreview.prototype.rsLpSpLp = function(x, y, phi){
+  var u = Math.hypot(x - Math.sin(phi), y - 1 + Math.cos(phi));
+  var t = Math.atan2(y - 1 + Math.cos(phi), x - Math.sin(phi));
+  if (t >= -1e-9){
+    var v = this.modPi(phi - t);
+    if (v >= -1e-9){
+      return [t, u, v];
+    }
+  }
+  return null;
+};
+
+ROS3D.RoutePreview.prototype.rsLpSpRp = function(x, y, phi){
+  var u1Sq = Math.pow(x + Math.sin(phi), 2) + Math.pow(y - 1 - Math.cos(phi), 2);
+  if (u1Sq < 4){
+    return null;
+  }
+  var t1 = Math.atan2(y - 1 - Math.cos(phi), x + Math.sin(phi));
+  var u = Math.sqrt(u1Sq - 4);
+  var t = this.modPi(t1 + Math.atan2(2, u));
+  var v = this.modPi(t - phi);
+  return (t >= -1e-9 && v >= -1e-9) ? [t, u, v] : null;
+};
+
+ROS3D.RoutePreview.prototype.rsLpRmL = function(x, y, phi){
+  var xi = x - Math.sin(phi);
+  var eta = y - 1 + Math.cos(phi);
+  var u1 = Math.hypot(xi, eta);
+  if (u1 > 4){
+    return null;
+  }
+  var u = -2 * Math.asin(u1 / 4);
+  var t = this.modPi(Math.atan2(eta, xi) + u / 2 + Math.PI);
+  var v = this.modPi(phi - t + u);
+  return (t >= -1e-9 && u <= 1e-9) ? [t, u, v] : null;
+};
+
+// [tau, omega] of the CCCC formulas
+ROS3D.RoutePreview.prototype.rsTauOmega = function(u, v, xi, eta, phi){
+  var delta = this.modPi(u - v);
+  var a = Math.sin(u) - Math.sin(delta);
+  var b = Math.cos(u) - Math.cos(delta) - 1;
+  var t1 = Math.atan2(eta * a - xi * b, xi * a + eta * b);
+  var t2 = 2 * (Math.cos(delta) - Math.cos(v) - Math.cos(u)) + 3;
+  var tau = (t2 < 0) ? this.modPi(t1 + Math.PI) : this.modPi(t1);
+  return [tau, this.modPi(tau - u + v - phi)];
+};
+
+ROS3D.RoutePreview.prototype.rsLpRupLumRm = function(x, y, phi){
+  var xi = x + Math.sin(phi);
+  var eta = y - 1 - Math.cos(phi);
+  var rho = 0.25 * (2 + Math.hypot(xi, eta));
+  if (rho > 1){
+    return null;
+  }
+  var u = Math.acos(rho);
+  var tv = this.rsTauOmega(u, -u, xi, eta, phi);
+  return (tv[0] >= -1e-9 && tv[1] <= 1e-9) ? [tv[0], u, -u, tv[1]] : null;
+};
+
+ROS3D.RoutePreview.prototype.rsLpRumLumRp = function(x, y, phi){
+  var xi = x + Math.sin(phi);
+  var eta = y - 1 - Math.cos(phi);
+  var rho = (20 - xi * xi - eta * eta) / 16;
+  if (rho < 0 || rho > 1){
+    return null;
+  }
+  var u = -Math.acos(rho);
+  if (u < -Math.PI / 2){
+    return null;
+  }
+  var tv = this.rsTauOmega(u, u, xi, eta, phi);
+  return (tv[0] >= -1e-9 && tv[1] >= -1e-9) ? [tv[0], u, u, tv[1]] : null;
+};
+
+ROS3D.RoutePreview.prototype.rsLpRmSmLm = function(x, y, phi){
+  var xi = x - Math.sin(phi);
+  var eta = y - 1 + Math.cos(phi);
+  var rho = Math.hypot(xi, eta);
+  if (rho < 2){
+    return null;
+  }
+  var r = Math.sqrt(rho * rho - 4);
+  var u = 2 - r;
+  var t = this.modPi(Math.atan2(eta, xi) + Math.atan2(r, -2));
+  var v = this.modPi(phi - Math.PI / 2 - t);
+  return (t >= -1e-9 && u <= 1e-9 && v <= 1e-9) ? [t, -Math.PI / 2, u, v] : null;
+};
+
+ROS3D.RoutePreview.prototype.rsLpRmSmRm = function(x, y, phi){
+  var xi = x + Math.sin(phi);
+  var eta = y - 1 - Math.cos(phi);
+  var rho = Math.hypot(xi, eta);
+  if (rho < 2){
+    return null;
+  }
+  var t = Math.atan2(xi, -eta);
+  var u = 2 - rho;
+  var v = this.modPi(t + Math.PI / 2 - phi);
+  return (t >= -1e-9 && u <= 1e-9 && v <= 1e-9) ? [t, -Math.PI / 2, u, v] : null;
+};
+
+ROS3D.RoutePreview.prototype.rsLpRmSLmRp = function(x, y, phi){
+  var xi = x + Math.sin(phi);
+  var eta = y - 1 - Math.cos(phi);
+  var rho = Math.hypot(xi, eta);
+  if (rho < 2){
+    return null;
+  }
+  var u = 4 - Math.sqrt(rho * rho - 4);
+  if (u > 1e-9){
+    return null;
+  }
+  var t = this.modPi(Math.atan2((4 - u) * xi - 2 * eta, -2 * xi + (u - 4) * eta));
+  var v = this.modPi(t - phi);
+  return (t >= -1e-9 && v >= -1e-9) ? [t, -Math.PI / 2, u, -Math.PI / 2, v] : null;
+};
+
+ROS3D.RoutePreview.prototype.getShortestPath = function(candidates){
+  return candidates.reduce((best, candidate) => (!best || candidate.length < best.length) ? candidate : best, null) ||
+         { length: 0, segments: [] };
+};
+
+// The points of a Dubins/Reeds-Shepp path from p0 (the height goes linearly from p0.z to p1.z)
+ROS3D.RoutePreview.prototype.samplePath = function(p0, p1, path){
+  var r = this.turningRadius;
+  var count = this.getSampleCount(path.length * r);
+  var step = path.length / count;
+  var pose = { x: p0.x, y: p0.y, yaw: p0.yaw };
+  var points = [new THREE.Vector3(p0.x, p0.y, p0.z)];
+  var traveled = 0;
+  path.segments.forEach((segment) => {
+    var type = segment[0];
+    var remaining = Math.abs(segment[1]);
+    var sign = Math.sign(segment[1]);
+    while (remaining > 1e-9){
+      var ds = Math.min(step, remaining);
+      this.movePose(pose, type, sign * ds, r);
+      remaining -= ds;
+      traveled += ds;
+      var ratio = path.length > 0 ? traveled / path.length : 1;
+      points.push(new THREE.Vector3(pose.x, pose.y, p0.z + (p1.z - p0.z) * ratio));
+    }
+  });
+  if (points.length < 2){
+    points.push(new THREE.Vector3(p1.x, p1.y, p1.z));
+  }
+  return points;
+};
+
+// Move a pose along an arc ('L', 'R') or a line ('S') of the given length (in turning radiuses, negative backward)
+ROS3D.RoutePreview.prototype.movePose = function(pose, type, length, r){
+  var yaw = pose.yaw;
+  switch(type){
+    case 'L':
+      pose.x += r * (Math.sin(yaw + length) - Math.sin(yaw));
+      pose.y += r * (Math.cos(yaw) - Math.cos(yaw + length));
+      pose.yaw += length;
+      break;
+    case 'R':
+      pose.x += r * (Math.sin(yaw) - Math.sin(yaw - length));
+      pose.y += r * (Math.cos(yaw - length) - Math.cos(yaw));
+      pose.yaw -= length;
+      break;
+    default:
+      pose.x += r * length * Math.cos(yaw);
+      pose.y += r * length * Math.sin(yaw);
+      break;
+  }
+};
+
+// Re-create the lines of the segments
+ROS3D.RoutePreview.prototype.draw = function(){
+  this.clearLines();
+  this.segments.forEach((segment) => {
+    var geometry = new THREE.BufferGeometry().setFromPoints(segment.points);
+    var material = new THREE.LineBasicMaterial({color: segment.flagged ? this.flaggedColor : this.color});
+    this.add(new THREE.Line(geometry, material));
+  });
+};
+
+ROS3D.RoutePreview.prototype.clearLines = function(){
+  this.children.slice().forEach((line) => {
+    this.remove(line);
+    line.geometry.dispose();
+    line.material.dispose();
+  });
+};
+
+/*
+ * Free memory of elements in this object.
+ */
+ROS3D.RoutePreview.prototype.dispose = function(){
+  this.clearLines();
+};
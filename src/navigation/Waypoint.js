@@ -0,0 +1,65 @@
+/**
+ * @fileOverview
+ * @author Randel Capati - randelmc21@gmail.com
+ */
+
+/**
+ * A Waypoint is a ROSLIB.Pose with additional metadata, to be used as an element of the goalList of ROS3D.Navigator_MW.
+ * Since the metadata lives in the element itself, it follows the element when the goalList is reordered/spliced.
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *   * position (optional) - the ROSLIB.Vector3 describing the position (same as ROSLIB.Pose)
+ *   * orientation (optional) - the ROSLIB.Quaternion describing the orientation (same as ROSLIB.Pose)
+ *   * name (optional) - the name of the waypoint
+ *   * dwellTime (optional) - time (in seconds) to stay at the waypoint upon arrival (default: 0)
+ *   * tolerance (optional) - distance (in meters) from the waypoint at which it is considered reached,
+ *                            0 to wait for the result of the action server (default: 0)
+ *   * priority (optional) - priority of the goal (priority_val of roamer_msgs/MoveBaseAction),
+ *                           defaults to the goalPriority of the navigator
+ *   * action (optional) - what to do upon arrival, either a function(waypoint, index, navigator) that may return
+ *                         a Promise, or an object {service, serviceType, request} describing a ROS service to call
+ */
+ROS3D.Waypoint = function(options) {
+  options = options || {};
+  // the values are copied like ROSLIB.Pose does, its constructor can not be called (an ES class in roslib 2)
+  this.position = new ROSLIB.Vector3(options.position);
+  this.orientation = new ROSLIB.Quaternion(options.orientation);
+  this.isWaypoint = true;
+  this.name = options.name || '';
+  this.dwellTime = options.dwellTime || 0;
+  this.tolerance = options.tolerance || 0;
+  this.priority = options.priority;
+  this.action = options.action || null;
+};
+ROS3D.Waypoint.prototype.__proto__ = ROSLIB.Pose.prototype;
+
+/**
+ * Returns the metadata of this waypoint (everything except the pose) as a plain object.
+ */
+ROS3D.Waypoint.prototype.getMeta = function(){
+  return {
+    name:       this.name,
+    dwellTime:  this.dwellTime,
+    tolerance:  this.tolerance,
+    priority:   this.priority,
+    action:     this.action,
+  };
+};
+
+/**
+ * Returns true if something has to be done upon arrival at this waypoint (dwell or action).
+ */
+ROS3D.Waypoint.prototype.hasArrivalTask = function(){
+  return (this.dwellTime > 0) || !!this.action;
+};
+
+/**
+ * Clone of this waypoint, metadata included.
+ */
+ROS3D.Waypoint.prototype.clone = function(){
+  return new ROS3D.Waypoint(Object.assign(this.getMeta(), {
+    position:     this.position,
+    orientation:  this.orientation,
+  }));
+};
@@ -0,0 +1,197 @@
+/**
+ * @fileOverview
+ * @author Randel Capati - randelmc21@gmail.com
+ */
+
+/**
+ * A WaypointList is the model of the goalList of a ROS3D.Navigator_MW: an ordered list of ROSLIB.Pose,
+ * ROS3D.Waypoint or placeholders (anything else), edited through the operations below. It does not depend
+ * on THREE, the navigator subscribes to its events to keep the markers in sync.
+ *
+ * items is the array of the list. Its push, pop and splice go through the operations below (for code written
+ * against the Array goalList), its other mutating methods (shift, sort, ...) throw. Assignments can not be
+ * caught without a Proxy: setting items.length (e.g. items.length = 0) or items[index] changes the array
+ * without any event, use clear and replace instead.
+ *
+ * Emits the following events (after the list was changed):
+ *
+ *  * 'added' - {index, items}, items were added starting at index
+ *  * 'removed' - {index, items}, items were removed from index
+ *  * 'moved' - {from, to, items}, items were moved from index 'from', they now start at index 'to'
+ *  * 'updated' - {index, item, oldItem}, the item at index was replaced
+ *  * 'change' - {type, ...}, after any of the events above, type being the name of the event
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *
+ *   * items (optional) - the initial items
+ */
+ROS3D.WaypointList = function(options) {
+  EventEmitter2.call(this);
+  options = options || {};
+  this.items = (options.items || []).slice();        // read only, see the operations below
+
+  var that = this;
+  Object.defineProperties(this.items, {
+    push : { value : function(...items){
+      that.add(...items);
+      return that.items.length;
+    }},
+    pop : { value : function(){
+      return that.remove(that.items.length - 1)[0];
+    }},
+    splice : { value : function(...args){
+      return that.splice(...args);
+    }},
+  });
+  ['unshift', 'shift', 'fill', 'reverse', 'sort', 'copyWithin'].forEach((name) => {
+    Object.defineProperty(this.items, name, { value : function(){
+      throw Error(`Array method [${name}] not supported, use the operations of the WaypointList.`);
+    }});
+  });
+};
+ROS3D.WaypointList.prototype.__proto__ = EventEmitter2.prototype;
+
+ROS3D.WaypointList.prototype.size = function(){
+  return this.items.length;
+};
+
+ROS3D.WaypointList.prototype.get = function(index){
+  return this.items[index];
+};
+
+ROS3D.WaypointList.prototype.indexOf = function(item){
+  return this.items.indexOf(item);
+};
+
+// A copy of the items
+ROS3D.WaypointList.prototype.toArray = function(){
+  return this.items.slice();
+};
+
+/**
+ * Add items at the end of the list.
+ *
+ * @param items - the items to add, as arguments
+ * @returns the index of the first added item
+ */
+ROS3D.WaypointList.prototype.add = function(...items){
+  return this.insert(this.items.length, ...items);
+};
+
+/**
+ * Insert items in the list.
+ *
+ * @param index - the index of the first inserted item, clamped to [0, size()]
+ * @param items - the items to insert, as arguments
+ * @returns the index of the first inserted item
+ */
+ROS3D.WaypointList.prototype.insert = function(index, ...items){
+  index = this.clampIndex(index, this.items.length);
+  if (items.length){
+    this.spliceItems(index, 0, items);
+    this.emitChange('added', {index: index, items: items});
+  }
+  return index;
+};
+
+/**
+ * Remove items from the list.
+ *
+ * @param index - the index of the first item to remove
+ * @param count (optional) - the number of items to remove (default: 1)
+ * @returns the removed items
+ */
+ROS3D.WaypointList.prototype.remove = function(index, count=1){
+  index = this.clampIndex(index, this.items.length);
+  var removed = this.spliceItems(index, Math.max(count, 0), []);
+  if (removed.length){
+    this.emitChange('removed', {index: index, items: removed});
+  }
+  return removed;
+};
+
+/**
+ * Move items to another index of the list.
+ *
+ * @param from - the index of the first item to move
+ * @param to - the index of the first moved item, once moved
+ * @param count (optional) - the number of items to move (default: 1)
+ * @returns true if the items were moved
+ */
+ROS3D.WaypointList.prototype.move = function(from, to, count=1){
+  var length = this.items.length;
+  if (from < 0 || from >= length || to < 0 || to >= length || count <= 0){
+    return false;
+  }
+  var items = this.spliceItems(from, count, []);
+  to = this.clampIndex(to, this.items.length);
+  this.spliceItems(to, 0, items);
+  if (from !== to){
+    this.emitChange('moved', {from: from, to: to, items: items});
+  }
+  return true;
+};
+
+/**
+ * Replace an item of the list.
+ *
+ * @param index - the index of the item
+ * @param item - the new item
+ * @returns the replaced item, undefined if there is no item at index
+ */
+ROS3D.WaypointList.prototype.replace = function(index, item){
+  if (index < 0 || index >= this.items.length){
+    return undefined;
+  }
+  var oldItem = this.items[index];
+  this.items[index] = item;
+  this.emitChange('updated', {index: index, item: item, oldItem: oldItem});
+  return oldItem;
+};
+
+/**
+ * Remove and/or insert items like Array.prototype.splice: a single item replacing a single item is an update,
+ * otherwise the items are removed, then the new ones are added.
+ *
+ * @param start - the index of the first removed item, negative from the end
+ * @param deleteCount (optional) - the number of items to remove (default: all the items from start)
+ * @param items - the items to insert at start, as arguments
+ * @returns the removed items
+ */
+ROS3D.WaypointList.prototype.splice = function(start, deleteCount, ...items){
+  var length = this.items.length;
+  start = Math.trunc(start) || 0;
+  start = (start < 0) ? Math.max(length + start, 0) : Math.min(start, length);
+  deleteCount = (deleteCount === undefined) ? length - start : Math.min(Math.max(Math.trunc(deleteCount) || 0, 0), length - start);
+  if (deleteCount === 1 && items.length === 1){
+    return [this.replace(start, items[0])];
+  }
+  var removed = this.remove(start, deleteCount);
+  this.insert(start, ...items);
+  return removed;
+};
+
+/**
+ * Remove all the items.
+ *
+ * @returns the removed items
+ */
+ROS3D.WaypointList.prototype.clear = function(){
+  return this.remove(0, this.items.length);
+};
+
+// Array.prototype.splice of items, without events (its own splice goes through the operations)
+ROS3D.WaypointList.prototype.spliceItems = function(start, deleteCount, items){
+  return Array.prototype.splice.apply(this.items, [start, deleteCount].concat(items));
+};
+
+ROS3D.WaypointList.prototype.clampIndex = function(index, length){
+  index = Math.trunc(index) || 0;
+  return Math.min(Math.max(index, 0), length);
+};
+
+ROS3D.WaypointList.prototype.emitChange = function(type, event){
+  this.emit(type, event);
+  this.emit('change', Object.assign({type: type}, event));
+};
@@ -0,0 +1,471 @@
+/**
+ * @fileOverview
+ * @author Randel Capati - randelmc21@gmail.com
+ */
+
+/**
+ * A WaypointMission executes the goalList of a ROS3D.Navigator_MW as a mission.
+ * Each pose in the goalList is sent (in order) to the navigator's action server. The mission advances
+ * to the next waypoint when the current goal SUCCEEDED, and stops (or retries) when it was ABORTED/REJECTED.
+ * Elements of the goalList that are not poses (placeholders) are skipped.
+ *
+ * Waypoints (ROS3D.Waypoint) are considered reached when within their tolerance (needs the navigator's tfClient),
+ * then their action is run and the mission stays there for their dwellTime before advancing.
+ * A failing action is only logged, the mission still advances.
+ *
+ * The goalList can be replayed (patrol) by setting repeatMode:
+ *  * 'once' - drive the list once (default)
+ *  * 'loop' - after the last waypoint drive back to the first one, one lap is first to last waypoint
+ *  * 'pingpong' - drive the list back and forth, one lap is one pass in either direction
+ *
+ * Emits the following events on the navigator's rootObject:
+ *
+ *  * 'missionIndex' - the index (in goalList) of the waypoint that is currently being executed
+ *  * 'missionArrived' - a waypoint was reached (before its action/dwell), object with keys: index, waypoint
+ *  * 'missionStatus' - the mission state or the status of the current goal changed, object with keys:
+ *                      state, index, lap, goalStatus (ROS3D.GOAL_STATUS_*, null if there is no goal yet)
+ *  * 'missionFinished' - the mission ended, object with keys: success, state, completed (list of reached
+ *                        indices), failedIndex (-1 if no waypoint failed)
+ *
+ * The objects of missionArrived, missionStatus and missionFinished also have the key robot (robotName of the navigator).
+ *
+ * The goalList can be edited during the mission when the mission follows its ROS3D.WaypointList (see followList).
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *   * navigator - the ROS3D.Navigator_MW whose goalList will be executed
+ *   * onFailure (optional) - what to do when a goal was ABORTED/REJECTED, 'stop' (default) or 'retry'
+ *   * maxRetries (optional) - number of retries per waypoint when onFailure is 'retry' (default: 1)
+ *   * highlight (optional) - highlight the node of the current waypoint (default: true)
+ *   * repeatMode (optional) - 'once' (default), 'loop' or 'pingpong'
+ *   * laps (optional) - number of laps to drive in 'loop'/'pingpong' mode, 0 or Infinity for no end (default: 0)
+ *   * robotBaseFrame (optional) - TF frame of the robot, used for the tolerance of waypoints (default: 'base_link')
+ */
+ROS3D.WaypointMission = function(options) {
+  options = options || {};
+  this.navigator = options.navigator;
+  this.onFailure = options.onFailure || 'stop';
+  this.maxRetries = (options.maxRetries === undefined) ? 1 : options.maxRetries;
+  this.highlight = (options.highlight === undefined) ? true : options.highlight;
+  this.repeatMode = options.repeatMode || 'once';
+  this.laps = options.laps || 0;
+  this.robotBaseFrame = options.robotBaseFrame || 'base_link';
+
+  // 'idle', 'running', 'paused', 'succeeded', 'failed' or 'cancelled'
+  this.state = 'idle';
+  this.currentIndex = -1;
+  this.currentGoal = null;
+  this.lastGoalStatus = null;
+  this.retryCount = 0;
+  this.completed = [];                            // indices (in goalList) of the reached waypoints
+  this.lap = 0;                                   // number of finished laps
+  this.direction = 1;                             // 1: forward, -1: backward (pingpong only)
+  this.currentReached = false;                    // if the current waypoint was reached (doing its action/dwell)
+  this.arrivalToken = null;                       // identifies the pending action/dwell, null if there is none
+  this.dwellTimer = null;
+  this.toleranceListener = null;                  // TF callback while watching the tolerance of the current waypoint
+};
+
+/**
+ * Start the mission from the given index of the goalList. A running mission is restarted.
+ *
+ * @param startIndex (optional) - index in goalList of the first waypoint, defaults to 0
+ */
+ROS3D.WaypointMission.prototype.start = function(startIndex=0){
+  this.cancelCurrentGoal();
+  this.cancelArrival();
+  this.completed = [];
+  this.retryCount = 0;
+  this.currentIndex = -1;
+  this.lap = 0;
+  this.direction = 1;
+
+  var index = this.navigator.findNextPoseIndex(startIndex);
+  if (index < 0){
+    console.debug('Mission: no waypoint to execute.');
+    this.finish('succeeded');
+    return false;
+  }
+
+  this.setState('running');
+  this.sendWaypoint(index);
+  return true;
+};
+
+/**
+ * Pause a running mission. The current goal is cancelled so the robot stops, it is re-sent upon resume().
+ */
+ROS3D.WaypointMission.prototype.pause = function(){
+  if (this.state !== 'running'){
+    return false;
+  }
+  this.cancelCurrentGoal();
+  this.cancelArrival();
+  this.setState('paused');
+  return true;
+};
+
+/**
+ * Resume a paused mission, starting with the waypoint that was being executed when paused.
+ */
+ROS3D.WaypointMission.prototype.resume = function(){
+  if (this.state !== 'paused'){
+    return false;
+  }
+  this.setState('running');
+  if (this.currentReached){
+    // paused during the action/dwell of the current waypoint, so continue with the next one
+    this.advance();
+    return true;
+  }
+  var index = this.navigator.findNextPoseIndex(this.currentIndex);
+  if (index < 0){
+    this.finish('succeeded');
+  } else {
+    this.sendWaypoint(index);
+  }
+  return true;
+};
+
+/**
+ * Skip the current waypoint. A running mission continues with the next waypoint,
+ * a paused mission will continue with the next waypoint upon resume().
+ */
+ROS3D.WaypointMission.prototype.skip = function(){
+  if (this.state !== 'running' && this.state !== 'paused'){
+    return false;
+  }
+  this.cancelCurrentGoal();
+  this.cancelArrival();
+  this.retryCount = 0;
+
+  var index = this.nextWaypointIndex();
+  if (index < 0){
+    this.finish('succeeded');
+  } else if (this.state === 'running'){
+    this.sendWaypoint(index);
+  } else {
+    this.setCurrentIndex(index);
+    this.currentReached = false;
+  }
+  return true;
+};
+
+/**
+ * Cancel the mission and the current goal.
+ */
+ROS3D.WaypointMission.prototype.cancel = function(){
+  if (this.state !== 'running' && this.state !== 'paused'){
+    return false;
+  }
+  this.cancelCurrentGoal();
+  this.cancelArrival();
+  this.finish('cancelled');
+  return true;
+};
+
+/**
+ * Follow the edits of the goalList, so that a waypoint inserted, removed or moved while the mission is running
+ * or paused does not change which waypoint is executed. When the current waypoint is removed, the mission goes
+ * on with the waypoint after it. Used by ROS3D.Navigator_MW with its waypoints.
+ *
+ * @param waypoints - the ROS3D.WaypointList of the goalList of the navigator
+ */
+ROS3D.WaypointMission.prototype.followList = function(waypoints){
+  var that = this;
+  waypoints.on('added', function(event){
+    var count = event.items.length;
+    that.remapIndices(function(i){
+      return (i >= event.index) ? i + count : i;
+    });
+  });
+  waypoints.on('removed', function(event){
+    var count = event.items.length;
+    that.remapIndices(function(i){
+      if (i < event.index){
+        return i;
+      }
+      return (i < event.index + count) ? -1 : i - count;
+    }, event.index);
+  });
+  waypoints.on('moved', function(event){
+    var count = event.items.length;
+    that.remapIndices(function(i){
+      if (i >= event.from && i < event.from + count){
+        return event.to + i - event.from;
+      }
+      var j = (i < event.from) ? i : i - count;
+      return (j >= event.to) ? j + count : j;
+    });
+  });
+};
+
+// Update the indices of the mission after an edit of the goalList, mapIndex gives the new index of an element
+// (-1 if it was removed), removedAt is the index of the removed elements
+ROS3D.WaypointMission.prototype.remapIndices = function(mapIndex, removedAt){
+  if (this.state !== 'running' && this.state !== 'paused'){
+    return;
+  }
+  this.completed = this.completed.map(mapIndex).filter(function(i){
+    return i >= 0;
+  });
+  var index = mapIndex(this.currentIndex);
+  if (index >= 0){
+    this.setCurrentIndex(index);
+    return;
+  }
+
+  // the current waypoint was removed, go on with the one after it (in the current direction)
+  this.cancelCurrentGoal();
+  this.cancelArrival();
+  this.retryCount = 0;
+  this.currentIndex = (this.direction > 0) ? removedAt - 1 : removedAt;
+  if (this.state === 'running'){
+    this.advance();
+  } else {
+    this.currentReached = true;         // resume() continues with the next waypoint
+  }
+};
+
+ROS3D.WaypointMission.prototype.isRunning = function(){
+  return this.state === 'running';
+};
+
+/**
+ * Set the repeat mode of the mission, can be changed while the mission is running.
+ *
+ * @param repeatMode - 'once', 'loop' or 'pingpong'
+ * @param laps (optional) - number of laps, 0 or Infinity for no end
+ */
+ROS3D.WaypointMission.prototype.setRepeatMode = function(repeatMode, laps=this.laps){
+  if (!['once', 'loop', 'pingpong'].includes(repeatMode)){
+    throw Error(`Repeat mode [${repeatMode}] not supported.`);
+  }
+  this.repeatMode = repeatMode;
+  this.laps = laps || 0;
+  if (repeatMode !== 'pingpong'){
+    this.direction = 1;
+  }
+};
+
+// Returns true if another lap should be driven after finishing the current one
+ROS3D.WaypointMission.prototype.hasNextLap = function(){
+  if (this.repeatMode === 'once'){
+    return false;
+  }
+  return (this.laps <= 0) || (this.lap + 1 < this.laps);
+};
+
+// Returns the index of the waypoint after the current one (following repeatMode), -1 if the mission is done.
+// Updates lap and direction when the end of the list is reached.
+ROS3D.WaypointMission.prototype.nextWaypointIndex = function(){
+  var index = (this.direction > 0) ? this.navigator.findNextPoseIndex(this.currentIndex + 1) :
+                                     this.navigator.findPrevPoseIndex(this.currentIndex - 1);
+  if (index >= 0){
+    return index;
+  }
+
+  // end of the list (in the current direction)
+  if (!this.hasNextLap()){
+    return -1;
+  }
+  this.lap++;
+  if (this.repeatMode === 'loop'){
+    index = this.navigator.findNextPoseIndex(0);
+  } else {
+    this.direction = -this.direction;
+    index = (this.direction > 0) ? this.navigator.findNextPoseIndex(this.currentIndex + 1) :
+                                   this.navigator.findPrevPoseIndex(this.currentIndex - 1);
+  }
+  // a list with a single waypoint has nowhere else to go
+  return (index === this.currentIndex) ? -1 : index;
+};
+
+ROS3D.WaypointMission.prototype.sendWaypoint = function(index){
+  var that = this;
+  var pose = this.navigator.goalList[index];
+  this.setCurrentIndex(index);
+  this.lastGoalStatus = null;
+  this.currentReached = false;
+
+  var goal = this.navigator.sendGoal(pose);
+  this.currentGoal = goal;
+
+  if (pose.tolerance > 0){
+    this.watchTolerance(goal, pose);
+  }
+
+  goal.on('status', function(status){
+    // ignore late messages of goals that are no longer tracked by this mission
+    if (that.currentGoal !== goal || status.status === that.lastGoalStatus){
+      return;
+    }
+    that.lastGoalStatus = status.status;
+    that.emitStatus();
+  });
+  goal.on('result', function(result){
+    if (that.currentGoal !== goal){
+      return;
+    }
+    that.handleResult(goal);
+  });
+};
+
+ROS3D.WaypointMission.prototype.handleResult = function(goal){
+  var status = goal.status ? goal.status.status : null;
+  this.currentGoal = null;
+  this.unwatchTolerance();
+
+  switch(status){
+    case ROS3D.GOAL_STATUS_SUCCEEDED:
+      this.handleArrival();
+      break;
+    case ROS3D.GOAL_STATUS_ABORTED:
+    case ROS3D.GOAL_STATUS_REJECTED:
+      if (this.onFailure === 'retry' && this.retryCount < this.maxRetries){
+        this.retryCount++;
+        console.debug('Mission: retrying waypoint ' + this.currentIndex + ' (' + this.retryCount + '/' + this.maxRetries + ')');
+        this.sendWaypoint(this.currentIndex);
+      } else {
+        this.finish('failed');
+      }
+      break;
+    default:
+      // Preempted/recalled by someone else (e.g. a new goal was sent outside this mission)
+      this.finish('cancelled');
+  }
+};
+
+// The current waypoint was reached: run its action, then dwell, then go to the next waypoint
+ROS3D.WaypointMission.prototype.handleArrival = function(){
+  var that = this;
+  var index = this.currentIndex;
+  var waypoint = this.navigator.goalList[index];
+  var token = {};
+
+  this.completed.push(index);
+  this.retryCount = 0;
+  this.currentReached = true;
+  this.arrivalToken = token;
+  this.navigator.rootObject.emit('missionArrived', {index: index, waypoint: waypoint, robot: this.navigator.robotName});
+
+  this.navigator.runWaypointAction(waypoint, index).catch(function(err){
+    console.warn('Mission: action of waypoint ' + index + ' failed: ', err);
+  }).then(function(){
+    if (that.arrivalToken !== token){
+      return;                           // paused, skipped or cancelled in the meantime
+    }
+    var dwellTime = (waypoint && waypoint.dwellTime) || 0;
+    that.dwellTimer = setTimeout(function(){
+      that.dwellTimer = null;
+      if (that.arrivalToken === token){
+        that.arrivalToken = null;
+        that.advance();
+      }
+    }, dwellTime * 1000);
+  });
+};
+
+ROS3D.WaypointMission.prototype.cancelArrival = function(){
+  this.arrivalToken = null;
+  if (this.dwellTimer !== null){
+    clearTimeout(this.dwellTimer);
+    this.dwellTimer = null;
+  }
+};
+
+// Go to the next waypoint (following repeatMode), or finish the mission if there is none
+ROS3D.WaypointMission.prototype.advance = function(){
+  var index = this.nextWaypointIndex();
+  if (index < 0){
+    this.finish('succeeded');
+  } else {
+    this.sendWaypoint(index);
+  }
+};
+
+// Treat the goal as reached as soon as the robot is within the tolerance of the waypoint
+ROS3D.WaypointMission.prototype.watchTolerance = function(goal, waypoint){
+  var that = this;
+  var tfClient = this.navigator.tfClient;
+  if (!tfClient){
+    console.warn('Mission: a tfClient is needed for the tolerance of waypoints, waiting for the result instead.');
+    return;
+  }
+  this.unwatchTolerance();
+
+  // the tf client gives the transform of robotBaseFrame in its fixed frame (same frame as the goals)
+  this.toleranceListener = function(tf){
+    if (that.currentGoal !== goal){
+      return;
+    }
+    var dx = tf.translation.x - waypoint.position.x;
+    var dy = tf.translation.y - waypoint.position.y;
+    var dz = tf.translation.z - waypoint.position.z;
+    if (Math.sqrt(dx*dx + dy*dy + dz*dz) <= waypoint.tolerance){
+      that.cancelCurrentGoal();
+      that.handleArrival();
+    }
+  };
+  tfClient.subscribe(this.robotBaseFrame, this.toleranceListener);
+};
+
+ROS3D.WaypointMission.prototype.unwatchTolerance = function(){
+  if (this.toleranceListener){
+    this.navigator.tfClient.unsubscribe(this.robotBaseFrame, this.toleranceListener);
+    this.toleranceListener = null;
+  }
+};
+
+ROS3D.WaypointMission.prototype.cancelCurrentGoal = function(){
+  this.unwatchTolerance();
+  if (this.currentGoal){
+    var goal = this.currentGoal;
+    this.currentGoal = null;            // detach first, so its result will be ignored
+    goal.cancel();
+  }
+};
+
+ROS3D.WaypointMission.prototype.finish = function(state){
+  var failedIndex = (state === 'failed') ? this.currentIndex : -1;
+  this.currentGoal = null;
+  this.unwatchTolerance();
+  this.cancelArrival();
+  this.setState(state);
+  if (this.highlight){
+    this.navigator.unhighlightAllNodes();
+  }
+  this.navigator.rootObject.emit('missionFinished', {
+    success:      state === 'succeeded',
+    state:        state,
+    completed:    this.completed.slice(),
+    failedIndex:  failedIndex,
+    robot:        this.navigator.robotName,
+  });
+};
+
+ROS3D.WaypointMission.prototype.setCurrentIndex = function(index){
+  if (this.highlight){
+    this.navigator.unhighlightAllNodes();
+    this.navigator.highlightNodeAtIndex(index);
+  }
+  if (index !== this.currentIndex){
+    this.currentIndex = index;
+    this.navigator.rootObject.emit('missionIndex', index);
+  }
+};
+
+ROS3D.WaypointMission.prototype.setState = function(state){
+  this.state = state;
+  this.emitStatus();
+};
+
+ROS3D.WaypointMission.prototype.emitStatus = function(){
+  this.navigator.rootObject.emit('missionStatus', {
+    state:      this.state,
+    index:      this.currentIndex,
+    lap:        this.lap,
+    goalStatus: this.lastGoalStatus,
+    robot:      this.navigator.robotName,
+  });
+};
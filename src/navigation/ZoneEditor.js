@@ -0,0 +1,642 @@
+/**
+ * @fileOverview
+ * @author Randel Capati - randelmc21@gmail.com
+ */
+
+/**
+ * A ZoneEditor draws and edits zones (e.g. keep-out or speed limit zones) on the map. It is a tool of
+ * ROS3D.MapToolManager, the zones are drawn like ROS3D.Polygon.
+ *
+ * With nothing selected, clicks on the map add the vertices of a new zone, the zone is finished by clicking
+ * on its first vertex again or by a double click. A click in a zone selects it, then its vertices can be
+ * dragged, and dragging inside it moves the whole zone. A double click on a vertex removes it, and a click
+ * outside of the zones deselects it. Zones are deleted with deleteZone/deleteSelectedZone.
+ *
+ * Each zone is published as a geometry_msgs/PolygonStamped on its own latched topic, <topic of its type>/<name>
+ * (e.g. /keepout_zones/zone_1), every time it is finished or edited. When a zone is deleted, renamed or gets
+ * another type, an empty polygon is published on its previous topic, which is then unadvertised. The names of
+ * the zones are unique. 'zonesChange' is emitted on the root object with the zones (see toJSON).
+ *
+ * @constructor
+ * @param options - object with following keys:
+ *   * ros - the ROSLIB.Ros connection handle
+ *   * rootObject - the root object to emit events on (OccupancyGridClientNav)
+ *   * navigatorFrameID - tf frame ID of the zones, should be the fixed frame (this object should be in that frame)
+ *   * tfClient - the TF client (not used for now)
+ *   * navOptions (optional) - object with the keys below:
+ *     * navInitState (optional) - the initial isActive state (default: false)
+ *     * zoneTypes (optional) - the zone types, {type: {color, topic}}, topic is the namespace of the topics of the zones
+ *                              (default: keepout on /keepout_zones and speed_limit on /speed_limit_zones)
+ *     * defaultZoneType (optional) - the type of new zones (default: the first of zoneTypes)
+ *     * fillOpacity (optional) - opacity of the inside of the zones, 0 for none (default: 0.2)
+ *     * vertexRadius (optional) - radius of the vertex handles, also the distance to pick them (default: 0.1)
+ *     * showNames (optional) - show the names of the zones (default: true)
+ *
+ *   * isActive - the internal state whether ZoneEditor works or not on clicks
+ */
+ROS3D.ZoneEditor = function(options) {
+  THREE.Object3D.call(this);
+  options = options || {};
+
+  this.ros = options.ros;
+  this.tfClient = options.tfClient;
+  this.rootObject = options.rootObject;
+  this.navigatorFrameID = options.navigatorFrameID || 'map';
+
+  var defaultNavOptions = { navInitState:       false,
+                            zoneTypes:          { keepout:     {color: 0xE74C3C, topic: '/keepout_zones'},
+                                                  speed_limit: {color: 0xF39C12, topic: '/speed_limit_zones'},},
+                            defaultZoneType:    null,
+                            fillOpacity:        0.2,
+                            vertexRadius:       0.1,
+                            showNames:          true,};
+  var navOptions = Object.assign({}, defaultNavOptions, options.navOptions);
+
+  this.zoneTypes = navOptions.zoneTypes;
+  this.defaultZoneType = navOptions.defaultZoneType || Object.keys(this.zoneTypes)[0];
+  if (!this.zoneTypes[this.defaultZoneType]){
+    throw Error(`Unknown zone type: ${this.defaultZoneType}.`);
+  }
+  this.fillOpacity = navOptions.fillOpacity;
+  this.vertexRadius = navOptions.vertexRadius;
+  this.showNames = navOptions.showNames;
+  this.isActive = navOptions.navInitState;
+
+  this.zones = [];                // {name, type, points: [THREE.Vector3], topic}, points in this object's frame,
+                                  // topic is the name of the topic it was published on
+  this.drawingZone = null;        // the zone being drawn, not in zones until finished
+  this.selectedIndex = -1;
+  this.dragState = null;          // {mode: 'vertex'|'move', zone, vertexIndex, startPoint, startPoints, moved}
+  this.zoneCounter = 0;
+  this.topics = {};               // ROSLIB.Topic per topic name, created when first published
+
+  // Since this is called by objects other than itself (addeventlistener on OGNav)
+  this.mouseEventHandler = this.mouseEventHandlerUnbound.bind(this);
+};
+ROS3D.ZoneEditor.prototype.__proto__ = THREE.Object3D.prototype;
+
+/**
+ * Add a zone.
+ *
+ * @param points - the vertices (at least 3, anything with x and y), in navigatorFrameID
+ * @param name (optional) - the name of the zone, not used by another zone (default: zone_<n>)
+ * @param type (optional) - the zone type (default: navOptions.defaultZoneType)
+ * @param publish (optional) - publish the zone (default: true)
+ * @returns the index of the zone
+ */
+ROS3D.ZoneEditor.prototype.addZone = function(points, name, type, publish=true){
+  type = type || this.defaultZoneType;
+  this.checkZoneType(type);
+  if (points.length < 3){
+    throw Error(`A zone needs at least 3 points, got ${points.length}.`);
+  }
+  if (name){
+    this.checkZoneName(name);
+  } else {
+    name = this.getNewZoneName();
+  }
+  var zone = {
+    name : name,
+    type : type,
+    points : points.map((p) => new THREE.Vector3(p.x, p.y, 0)),
+    topic : null,
+  };
+  this.zones.push(zone);
+  if (publish){
+    this.publishZone(zone);
+  }
+  this.update();
+  return this.zones.length - 1;
+};
+
+/**
+ * Delete a zone, emits 'zoneDeleted' with the zone (see toJSON) on the root object. An empty polygon is published on
+ * its topic.
+ *
+ * @param index - the index of the zone
+ */
+ROS3D.ZoneEditor.prototype.deleteZone = function(index){
+  if (index < 0 || index >= this.zones.length){
+    return;
+  }
+  var zone = this.zones.splice(index, 1)[0];
+  this.unpublishZone(zone);
+  if (this.selectedIndex === index){
+    this.selectedIndex = -1;
+  } else if (this.selectedIndex > index){
+    this.selectedIndex--;
+  }
+  this.dragState = null;
+  this.rootObject.emit('zoneDeleted', this.zoneToJSON(zone));
+  this.update();
+};
+
+ROS3D.ZoneEditor.prototype.deleteSelectedZone = function(){
+  this.deleteZone(this.selectedIndex);
+};
+
+// Delete all the zones (and the one being drawn), an empty polygon is published on their topics
+ROS3D.ZoneEditor.prototype.clearZones = function(){
+  this.zones.forEach((zone) => {
+    this.unpublishZone(zone);
+  });
+  this.zones = [];
+  this.drawingZone = null;
+  this.selectedIndex = -1;
+  this.dragState = null;
+  this.update();
+};
+
+/**
+ * Select a zone, its vertices can then be edited. Emits 'zoneSelected' with the zone (see toJSON, null if none).
+ *
+ * @param index - the index of the zone, -1 for none
+ */
+ROS3D.ZoneEditor.prototype.selectZone = function(index){
+  if (index >= this.zones.length){
+    index = -1;
+  }
+  if (index === this.selectedIndex){
+    return;
+  }
+  this.selectedIndex = index;
+  this.rootObject.emit('zoneSelected', index >= 0 ? this.zoneToJSON(this.zones[index]) : null);
+  this.update();
+};
+
+ROS3D.ZoneEditor.prototype.getSelectedZone = function(){
+  return this.selectedIndex >= 0 ? this.zones[this.selectedIndex] : null;
+};
+
+ROS3D.ZoneEditor.prototype.setZoneName = function(index, name){
+  this.checkZoneName(name, this.zones[index]);
+  this.zones[index].name = name;
+  this.publishZone(this.zones[index]);
+  this.update();
+};
+
+ROS3D.ZoneEditor.prototype.setZoneType = function(index, type){
+  this.checkZoneType(type);
+  this.zones[index].type = type;
+  this.publishZone(this.zones[index]);
+  this.update();
+};
+
+// The zone with the name (or a name giving the same topic), undefined if none
+ROS3D.ZoneEditor.prototype.findZoneByName = function(name){
+  var token = this.getTopicToken(name);
+  return this.zones.find((zone) => this.getTopicToken(zone.name) === token);
+};
+
+// The next zone_<n> name not used by a zone, nor in reserved (optional, {topic token: true})
+ROS3D.ZoneEditor.prototype.getNewZoneName = function(reserved){
+  var name;
+  do {
+    this.zoneCounter++;
+    name = 'zone_' + this.zoneCounter;
+  } while (this.findZoneByName(name) || (reserved && reserved[name]));
+  return name;
+};
+
+// Throws if the name can't be used by the zone (e.g. a new zone): empty, or used by another zone (or their topics)
+ROS3D.ZoneEditor.prototype.checkZoneName = function(name, zone){
+  if (typeof name !== 'string' || !name){
+    throw Error('A zone needs a name.');
+  }
+  var other = this.findZoneByName(name);
+  if (other && other !== zone){
+    throw Error(`Zone name [${name}] is already used by zone [${other.name}].`);
+  }
+};
+
+ROS3D.ZoneEditor.prototype.checkZoneType = function(type){
+  if (!this.zoneTypes[type]){
+    throw Error(`Unknown zone type: ${type}, should be one of ${Object.keys(this.zoneTypes).join(', ')}.`);
+  }
+};
+
+/**
+ * Remove a vertex of a zone, a zone keeps at least 3 vertices.
+ *
+ * @param index - the index of the zone
+ * @param vertexIndex - the index of the vertex
+ * @returns true if removed
+ */
+ROS3D.ZoneEditor.prototype.removeVertex = function(index, vertexIndex){
+  var zone = this.zones[index];
+  if (!zone || zone.points.length <= 3){
+    return false;
+  }
+  zone.points.splice(vertexIndex, 1);
+  this.publishZone(zone);
+  this.update();
+  return true;
+};
+
+// The name as a token of a topic name: only letters, digits and underscores, starting with a letter
+ROS3D.ZoneEditor.prototype.getTopicToken = function(name){
+  var token = name.replace(/[^A-Za-z0-9_]/g, '_');
+  return /^[A-Za-z]/.test(token) ? token : 'zone_' + token;
+};
+
+// The topic of a zone, <topic of its type>/<name>, null if its type has no topic
+ROS3D.ZoneEditor.prototype.getZoneTopic = function(zone){
+  var namespace = this.zoneTypes[zone.type].topic;
+  if (!namespace){
+    return null;
+  }
+  return namespace.replace(/\/$/, '') + '/' + this.getTopicToken(zone.name);
+};
+
+/**
+ * Publish a zone as a geometry_msgs/PolygonStamped on its topic. If its topic changed (new name or type), the
+ * previous one is cleared (see unpublishZone).
+ *
+ * @param zone - the zone
+ */
+ROS3D.ZoneEditor.prototype.publishZone = function(zone){
+  var topicName = this.getZoneTopic(zone);
+  if (zone.topic && zone.topic !== topicName){
+    this.unpublishZone(zone);
+  }
+  zone.topic = topicName;
+  if (topicName){
+    this.publishPolygon(topicName, zone.points);
+  }
+};
+
+/**
+ * Publish an empty polygon on the topic of a zone (the zone is removed), and unadvertise it.
+ *
+ * @param zone - the zone
+ */
+ROS3D.ZoneEditor.prototype.unpublishZone = function(zone){
+  var topic = zone.topic && this.topics[zone.topic];
+  if (topic){
+    this.publishPolygon(zone.topic, []);
+    topic.unadvertise();
+    delete this.topics[zone.topic];
+  }
+  zone.topic = null;
+};
+
+ROS3D.ZoneEditor.prototype.publishPolygon = function(topicName, points){
+  if (!this.topics[topicName]){
+    this.topics[topicName] = new ROSLIB.Topic({
+      ros : this.ros,
+      name : topicName,
+      messageType : 'geometry_msgs/PolygonStamped',
+      latch : true
+    });
+  }
+  this.topics[topicName].publish({
+    header : {
+      frame_id : this.navigatorFrameID,
+    },
+    polygon : {
+      points : points.map((p) => ({x: p.x, y: p.y, z: p.z})),
+    },
+  });
+};
+
+// Publish all the zones, e.g. after loading them
+ROS3D.ZoneEditor.prototype.publishZones = function(){
+  this.zones.forEach((zone) => {
+    this.publishZone(zone);
+  });
+};
+
+ROS3D.ZoneEditor.prototype.zoneToJSON = function(zone){
+  return {
+    name : zone.name,
+    type : zone.type,
+    points : zone.points.map((p) => ({x: p.x, y: p.y})),
+  };
+};
+
+/**
+ * Returns the zones as plain data:
+ *   {frame_id, zones: [{name, type, points: [{x, y}]}]}
+ */
+ROS3D.ZoneEditor.prototype.toJSON = function(){
+  return {
+    frame_id : this.navigatorFrameID,
+    zones : this.zones.map((zone) => this.zoneToJSON(zone)),
+  };
+};
+
+/**
+ * Replace the zones by the ones of the given data (see toJSON), and publish them. The topics of the previous zones
+ * that are not used anymore are cleared.
+ *
+ * @param data - the data, or its JSON string
+ */
+ROS3D.ZoneEditor.prototype.loadJSON = function(data){
+  if (typeof data === 'string'){
+    data = JSON.parse(data);
+  }
+  if (!data || !Array.isArray(data.zones)){
+    throw Error('Invalid zones: no zones list.');
+  }
+  if (data.frame_id && data.frame_id !== this.navigatorFrameID){
+    console.warn(`Zones are in ${data.frame_id}, but the zone editor is in ${this.navigatorFrameID}.`);
+  }
+  var names = {};
+  data.zones.forEach((zone) => {
+    this.checkZoneType(zone.type || this.defaultZoneType);
+    if (!Array.isArray(zone.points) || zone.points.length < 3){
+      throw Error('Invalid zones: a zone needs at least 3 points.');
+    }
+    if (zone.name){
+      var token = this.getTopicToken(zone.name);
+      if (names[token]){
+        throw Error(`Invalid zones: zone name [${zone.name}] is used twice.`);
+      }
+      names[token] = true;
+    }
+  });
+
+  var previousZones = this.zones;
+  this.zones = [];
+  this.drawingZone = null;
+  this.selectedIndex = -1;
+  this.dragState = null;
+  data.zones.forEach((zone) => {
+    this.addZone(zone.points, zone.name || this.getNewZoneName(names), zone.type, false);
+  });
+  this.publishZones();
+  var topics = this.zones.map((zone) => zone.topic);
+  previousZones.forEach((zone) => {
+    if (topics.indexOf(zone.topic) < 0){
+      this.unpublishZone(zone);
+    }
+  });
+  this.update();
+};
+
+// Start drawing a new zone, point is in this object's frame
+ROS3D.ZoneEditor.prototype.startZone = function(point){
+  this.drawingZone = { points: [point] };
+  this.update();
+};
+
+/**
+ * Finish the zone being drawn, it is dropped if it has less than 3 vertices.
+ *
+ * @returns the index of the new zone, -1 if none
+ */
+ROS3D.ZoneEditor.prototype.finishZone = function(){
+  var drawingZone = this.drawingZone;
+  this.drawingZone = null;
+  if (!drawingZone || drawingZone.points.length < 3){
+    this.update();
+    return -1;
+  }
+  return this.addZone(drawingZone.points);
+};
+
+// Index of the first zone containing the point (2D), the selected zone first
+ROS3D.ZoneEditor.prototype.findZoneAt = function(point){
+  if (this.selectedIndex >= 0 && this.isPointInZone(point, this.zones[this.selectedIndex])){
+    return this.selectedIndex;
+  }
+  return this.zones.findIndex((zone) => this.isPointInZone(point, zone));
+};
+
+ROS3D.ZoneEditor.prototype.isPointInZone = function(point, zone){
+  // even-odd rule
+  var inside = false;
+  var points = zone.points;
+  for (var i = 0, j = points.length - 1; i < points.length; j = i++){
+    if (((points[i].y > point.y) !== (points[j].y > point.y)) &&
+        (point.x < (points[j].x - points[i].x) * (point.y - points[i].y) / (points[j].y - points[i].y) + points[i].x)){
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Index of the vertex of the zone close to the point, -1 if none
+ROS3D.ZoneEditor.prototype.findVertexAt = function(point, zone){
+  var best = -1;
+  var bestDistance = this.vertexRadius;
+  zone.points.forEach((p, i) => {
+    var distance = Math.hypot(p.x - point.x, p.y - point.y);
+    if (distance <= bestDistance){
+      best = i;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+// The point of the event, in this object's frame on the plane z = 0
+ROS3D.ZoneEditor.prototype.getLocalPoint = function(worldPoint){
+  var local = this.worldToLocal(new THREE.Vector3(worldPoint.x, worldPoint.y, worldPoint.z));
+  local.z = 0;
+  return local;
+};
+
+ROS3D.ZoneEditor.prototype.handleMouseDown = function(point){
+  if (this.drawingZone){
+    var points = this.drawingZone.points;
+    if (points.length >= 3 && Math.hypot(points[0].x - point.x, points[0].y - point.y) <= this.vertexRadius){
+      this.finishZone();
+    } else {
+      points.push(point);
+      this.update();
+    }
+    return;
+  }
+
+  var selected = this.getSelectedZone();
+  var vertexIndex = selected ? this.findVertexAt(point, selected) : -1;
+  if (vertexIndex >= 0){
+    this.dragState = { mode: 'vertex', zone: selected, vertexIndex: vertexIndex, moved: false };
+    return;
+  }
+  var index = this.findZoneAt(point);
+  if (index >= 0){
+    this.selectZone(index);
+    this.dragState = { mode: 'move', zone: this.zones[index], startPoint: point,
+                       startPoints: this.zones[index].points.map((p) => p.clone()), moved: false };
+  } else if (selected){
+    this.selectZone(-1);
+  } else {
+    this.startZone(point);
+  }
+};
+
+ROS3D.ZoneEditor.prototype.handleDrag = function(point){
+  var state = this.dragState;
+  if (state.mode === 'vertex'){
+    state.zone.points[state.vertexIndex] = point;
+  } else {
+    var dx = point.x - state.startPoint.x;
+    var dy = point.y - state.startPoint.y;
+    state.zone.points = state.startPoints.map((p) => new THREE.Vector3(p.x + dx, p.y + dy, p.z));
+  }
+  state.moved = true;
+  this.update();
+};
+
+ROS3D.ZoneEditor.prototype.handleDoubleClick = function(point){
+  if (this.drawingZone){
+    // the double click added the same vertex twice
+    var points = this.drawingZone.points;
+    if (points.length > 1 && points[points.length - 1].distanceTo(points[points.length - 2]) < 1e-6){
+      points.pop();
+    }
+    this.finishZone();
+    return;
+  }
+  var selected = this.getSelectedZone();
+  var vertexIndex = selected ? this.findVertexAt(point, selected) : -1;
+  if (vertexIndex >= 0){
+    this.removeVertex(this.selectedIndex, vertexIndex);
+  }
+};
+
+// Re-create the objects of all the zones, emits 'zonesChange'
+ROS3D.ZoneEditor.prototype.update = function(){
+  this.children.slice().forEach((child) => {
+    this.remove(child);
+    child.traverse((object) => {
+      if (object.dispose){
+        object.dispose();
+      } else if (object.geometry){
+        object.geometry.dispose();
+        object.material.dispose();
+      }
+    });
+  });
+
+  this.zones.forEach((zone, index) => {
+    this.add(this.createZoneObject(zone, index === this.selectedIndex));
+  });
+  if (this.drawingZone){
+    var color = this.zoneTypes[this.defaultZoneType].color;
+    var group = new THREE.Object3D();
+    var lineGeometry = new THREE.BufferGeometry().setFromPoints(this.drawingZone.points);
+    group.add(new THREE.Line(lineGeometry, new THREE.LineBasicMaterial({color: color})));
+    this.drawingZone.points.forEach((point) => {
+      group.add(this.createVertexHandle(point, color));
+    });
+    this.add(group);
+  }
+
+  this.rootObject.emit('zonesChange', this.toJSON());
+  this.rootObject.emit('change');
+};
+
+ROS3D.ZoneEditor.prototype.createZoneObject = function(zone, selected){
+  var color = this.zoneTypes[zone.type].color;
+  var group = new THREE.Object3D();
+  group.add(ROS3D.makePolygonLine(zone.points, color));
+
+  if (this.fillOpacity > 0){
+    var shape = new THREE.Shape(zone.points.map((p) => new THREE.Vector2(p.x, p.y)));
+    var fill = new THREE.Mesh(new THREE.ShapeBufferGeometry(shape), new THREE.MeshBasicMaterial({
+      color : color,
+      transparent : true,
+      opacity : this.fillOpacity,
+      depthWrite : false,
+      side : THREE.DoubleSide,
+    }));
+    group.add(fill);
+  }
+  if (selected){
+    zone.points.forEach((point) => {
+      group.add(this.createVertexHandle(point, color));
+    });
+  }
+  if (this.showNames){
+    var label = new ROS3D.TextLabel({ text: zone.name, screenHeight: 0.025 });
+    var center = new THREE.Vector3();
+    zone.points.forEach((p) => {
+      center.add(p);
+    });
+    label.position.copy(center.divideScalar(zone.points.length));
+    group.add(label);
+  }
+  return group;
+};
+
+ROS3D.ZoneEditor.prototype.createVertexHandle = function(point, color){
+  var handle = new THREE.Mesh(new THREE.SphereGeometry(this.vertexRadius / 2, 16, 8), new THREE.MeshBasicMaterial({color: color}));
+  handle.position.copy(point);
+  return handle;
+};
+
+ROS3D.ZoneEditor.prototype.mouseEventHandlerUnbound = function(event3D){
+  if (!this.isActive){
+    return;
+  }
+  switch(event3D.type){
+    case 'mouseover':
+      // only accept left clicks, see ROS3D.Navigator
+      if ((event3D.domEvent.type === 'mousedown' && event3D.domEvent.button === 0) || event3D.domEvent.type === 'dblclick'){
+        event3D.stopPropagation();
+      }
+      break;
+
+    case 'mousedown':
+      if ((event3D.domEvent.button === 0) && (event3D.domEvent.buttons === 1)){
+        this.handleMouseDown(this.getLocalPoint(event3D.intersection.point));
+        event3D.stopPropagation();
+      } else {
+        event3D.forceExitToFallbackTarget();
+      }
+      break;
+
+    case 'mousemove':
+      if (this.dragState){
+        this.handleDrag(this.getLocalPoint(ROS3D.calculateEventPOI(event3D)));
+        event3D.stopPropagation();
+      }
+      break;
+
+    case 'mouseout':
+    case 'mouseup':
+      if (this.dragState && (event3D.domEvent.button === 0)){
+        if (this.dragState.moved){
+          this.publishZone(this.dragState.zone);
+        }
+        this.dragState = null;
+        event3D.stopPropagation();
+      }
+      break;
+
+    case 'dblclick':
+      this.handleDoubleClick(this.getLocalPoint(event3D.intersection.point));
+      event3D.stopPropagation();
+      break;
+
+    default:
+      event3D.forceExitToFallbackTarget();
+      break;
+  }
+};
+
+ROS3D.ZoneEditor.prototype.activate = function(){
+  this.isActive = true;
+};
+
+ROS3D.ZoneEditor.prototype.deactivate = function(){
+  this.isActive = false;
+  if (this.dragState && this.dragState.moved){
+    this.publishZone(this.dragState.zone);
+  }
+  this.dragState = null;
+  if (this.drawingZone){
+    this.finishZone();
+  }
+};
+
+ROS3D.ZoneEditor.prototype.toggleActivation = function(){
+  if (this.isActive){
+    this.deactivate();
+  } else {
+    this.activate();
+  }
+};
@@ -25,6 +25,9 @@
  *  * lineTypePanAndZoomFrame - line type for the frame that is displayed when
  *  *                           panning/zooming. Only has effect when
  *  *                           displayPanAndZoomFrame is set to true.
+ *  * touchHoldDelay (optional) - the time (in ms) a finger is held still before it acts like the left
+ *  *                             mouse button, e.g. to place a goal (see ROS3D.MouseHandler)
+ *  * touchMoveTolerance (optional) - the distance (in pixels) a held finger may move
  */
 ROS3D.Viewer = function(options) {
   options = options || {};
@@ -88,7 +91,9 @@ ROS3D.Viewer = function(options) {
     renderer : this.renderer,
     camera : this.camera,
     rootObject : this.selectableObjects,
-    fallbackTarget : this.cameraControls
+    fallbackTarget : this.cameraControls,
+    touchHoldDelay : options.touchHoldDelay,
+    touchMoveTolerance : options.touchMoveTolerance
   });
 
   // highlights the receiver of mouse events
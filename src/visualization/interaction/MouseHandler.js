@@ -13,6 +13,9 @@
  *   * camera - the main camera in the scene
  *   * rootObject - the root object to check for mouse events
  *   * fallbackTarget - the fallback target, e.g., the camera controls
+ *   * touchHoldDelay (optional) - the time (in ms) a finger is held still before it acts like the left
+ *                                 mouse button (see processTouchEvent), 0 for immediately (default: 500)
+ *   * touchMoveTolerance (optional) - the distance (in pixels) a held finger may move (default: 10)
  */
 ROS3D.MouseHandler = function(options) {
   THREE.EventDispatcher.call(this);
@@ -22,6 +25,11 @@ ROS3D.MouseHandler = function(options) {
   this.fallbackTarget = options.fallbackTarget;
   this.lastTarget = this.fallbackTarget;
   this.dragging = false;
+  this.touchHoldDelay = (options.touchHoldDelay !== undefined) ? options.touchHoldDelay : 500;
+  this.touchMoveTolerance = options.touchMoveTolerance || 10;
+  this.touchHold = null;          // the finger waiting to be held still, {timer, clientX, clientY}
+  this.touchDragging = false;     // if a held finger (or a pen) acts like the left mouse button
+  this.pointerType = null;        // the pointerType of the last pointerdown, to tell a pen from a finger
 
   // listen to DOM events
   var eventNames = [ 'contextmenu', 'click', 'dblclick', 'mouseout', 'mousedown', 'mouseup',
@@ -34,6 +42,34 @@ ROS3D.MouseHandler = function(options) {
     this.listeners[eventName] = this.processDomEvent.bind(this);
     this.renderer.domElement.addEventListener(eventName, this.listeners[eventName], false);
   }, this);
+
+  // where Pointer Events are available, their pointerdown (fired before the touchstart) tells what touched the screen
+  this.listeners.pointerdown = this.processPointerEvent.bind(this);
+  this.renderer.domElement.addEventListener('pointerdown', this.listeners.pointerdown, false);
+};
+
+/**
+ * Record the pointerType ('mouse', 'pen' or 'touch') of a pointer DOM event, see isPen. The pointer events are
+ * not processed otherwise, the mouse and touch events that follow them are.
+ *
+ * @param domEvent - the pointer DOM event
+ */
+ROS3D.MouseHandler.prototype.processPointerEvent = function(domEvent) {
+  this.pointerType = domEvent.pointerType || null;
+};
+
+/**
+ * Check if a touch is made with a pen: the pointerType 'pen' of Pointer Events, or else the touchType 'stylus'
+ * of the touch (Safari).
+ *
+ * @param touch - the touch of a touch DOM event
+ * @returns true for a pen
+ */
+ROS3D.MouseHandler.prototype.isPen = function(touch) {
+  if (this.pointerType !== null) {
+    return this.pointerType === 'pen';
+  }
+  return touch.touchType === 'stylus';
 };
 
 /**
@@ -45,9 +81,12 @@ ROS3D.MouseHandler.prototype.processDomEvent = function(domEvent) {
   // don't deal with the default handler
   domEvent.preventDefault();
 
+  if (domEvent.type.indexOf('touch') !== -1 && this.processTouchEvent(domEvent)) {
+    return;
+  }
+
   // compute normalized device coords and 3D mouse ray
   var target = domEvent.target;
-  var rect = target.getBoundingClientRect();
   var pos_x, pos_y;
 
   if(domEvent.type.indexOf('touch') !== -1) {
@@ -64,15 +103,8 @@ ROS3D.MouseHandler.prototype.processDomEvent = function(domEvent) {
 	pos_x = domEvent.clientX;
 	pos_y = domEvent.clientY;
   }
-  var left = pos_x - rect.left - target.clientLeft + target.scrollLeft;
-  var top = pos_y - rect.top - target.clientTop + target.scrollTop;
-  var deviceX = left / target.clientWidth * 2 - 1;
-  var deviceY = -top / target.clientHeight * 2 + 1;
-  var mousePos = new THREE.Vector2(deviceX, deviceY);
-
-  var mouseRaycaster = new THREE.Raycaster();
-  mouseRaycaster.params.Line.threshold = 0.001;           // raycaster.linePrecision was depracated in newer THREE
-  mouseRaycaster.setFromCamera(mousePos, this.camera);
+  var mousePos = this.getMousePos(target, pos_x, pos_y);
+  var mouseRaycaster = this.getRaycaster(mousePos);
   var mouseRay = mouseRaycaster.ray;
 
   // make our 3d mouse event
@@ -184,6 +216,167 @@ ROS3D.MouseHandler.prototype.processDomEvent = function(domEvent) {
   this.lastTarget = target;
 };
 
+/**
+ * Compute the normalized device coords of a position on the DOM element.
+ *
+ * @param target - the DOM element
+ * @param clientX - the x position, like the clientX of the DOM event
+ * @param clientY - the y position, like the clientY of the DOM event
+ * @returns the THREE.Vector2
+ */
+ROS3D.MouseHandler.prototype.getMousePos = function(target, clientX, clientY) {
+  var rect = target.getBoundingClientRect();
+  var left = clientX - rect.left - target.clientLeft + target.scrollLeft;
+  var top = clientY - rect.top - target.clientTop + target.scrollTop;
+  var deviceX = left / target.clientWidth * 2 - 1;
+  var deviceY = -top / target.clientHeight * 2 + 1;
+  return new THREE.Vector2(deviceX, deviceY);
+};
+
+// The raycaster of the 3D mouse ray at the normalized device coords
+ROS3D.MouseHandler.prototype.getRaycaster = function(mousePos) {
+  var mouseRaycaster = new THREE.Raycaster();
+  mouseRaycaster.params.Line.threshold = 0.001;           // raycaster.linePrecision was depracated in newer THREE
+  mouseRaycaster.setFromCamera(mousePos, this.camera);
+  return mouseRaycaster;
+};
+
+/**
+ * Process a touch event like the left mouse button once a single finger is held still for touchHoldDelay,
+ * or right away for a pen (see isPen): the object under the finger gets a mousedown, moving the
+ * finger drags (mousemove), and lifting it releases (mouseup). E.g. touch-and-hold places the goal of a
+ * ROS3D.Navigator, then dragging orients it.
+ * Until then, or if the object does not accept the mousedown, the touch events go through as usual so that
+ * the camera controls still get the one finger rotation and the two finger pan and zoom.
+ *
+ * @param domEvent - the touch DOM event
+ * @returns true if the event was processed like a mouse event
+ */
+ROS3D.MouseHandler.prototype.processTouchEvent = function(domEvent) {
+  var type = domEvent.type;
+  if (this.touchDragging) {
+    if (type === 'touchmove') {
+      this.notifyTouchAsMouse('mousemove', domEvent, domEvent.touches[0]);
+    } else if (type !== 'touchstart' && domEvent.touches.length === 0) {
+      // the last finger was lifted, other fingers are ignored until then
+      this.touchDragging = false;
+      this.dragging = false;
+      this.notifyTouchAsMouse('mouseup', domEvent, domEvent.changedTouches[0]);
+      this.lastTarget = null;
+    }
+    return true;
+  }
+
+  if (type === 'touchstart' && domEvent.touches.length === 1) {
+    var touch = domEvent.touches[0];
+    this.cancelTouchHold();
+    if (this.isPen(touch) || this.touchHoldDelay === 0) {
+      // a pen is as precise as the mouse, no need to hold it
+      return this.startTouchDrag(domEvent, touch.clientX, touch.clientY);
+    }
+    this.touchHold = {
+      timer : setTimeout(this.startTouchDrag.bind(this, domEvent, touch.clientX, touch.clientY),
+                         this.touchHoldDelay),
+      clientX : touch.clientX,
+      clientY : touch.clientY
+    };
+  } else if (this.touchHold) {
+    // cancel if the finger does not stay still, or if it is not a single finger anymore
+    if (type !== 'touchmove' || domEvent.touches.length !== 1 ||
+        Math.hypot(domEvent.touches[0].clientX - this.touchHold.clientX,
+                   domEvent.touches[0].clientY - this.touchHold.clientY) > this.touchMoveTolerance) {
+      this.cancelTouchHold();
+    }
+  }
+  return false;
+};
+
+ROS3D.MouseHandler.prototype.cancelTouchHold = function() {
+  if (this.touchHold) {
+    clearTimeout(this.touchHold.timer);
+    this.touchHold = null;
+  }
+};
+
+/**
+ * Press the left mouse button on the object under a finger. If the object accepts it, the touch events
+ * are processed like mouse events until the finger is lifted.
+ *
+ * @param domEvent - the touchstart DOM event
+ * @param clientX - the x position of the finger
+ * @param clientY - the y position of the finger
+ * @returns true if the object accepted the mousedown
+ */
+ROS3D.MouseHandler.prototype.startTouchDrag = function(domEvent, clientX, clientY) {
+  this.touchHold = null;
+  var mousePos = this.getMousePos(domEvent.target, clientX, clientY);
+  var mouseRaycaster = this.getRaycaster(mousePos);
+  var intersections = mouseRaycaster.intersectObject(this.rootObject, true);
+  if (intersections.length === 0) {
+    return false;
+  }
+
+  var target = intersections[0].object;
+  var event3D = {
+    mousePos : mousePos,
+    mouseRay : mouseRaycaster.ray,
+    domEvent : this.makeMouseDomEvent('mousedown', domEvent, {clientX: clientX, clientY: clientY}),
+    camera : this.camera,
+    intersection : intersections[0]
+  };
+  if (this.notify(target, 'mouseover', event3D) !== 0 || this.notify(target, 'mousedown', event3D) !== 0) {
+    return false;
+  }
+
+  // the finger now belongs to the object, end the gesture of the camera controls
+  if (this.lastTarget && this.lastTarget !== target) {
+    event3D.domEvent = this.makeMouseDomEvent('touchend', domEvent, {clientX: clientX, clientY: clientY});
+    event3D.domEvent.touches = [];
+    this.notify(this.lastTarget, 'touchend', event3D);
+  }
+  this.lastIntersection = intersections[0];
+  this.lastTarget = target;
+  this.dragging = true;
+  this.touchDragging = true;
+  return true;
+};
+
+/**
+ * Notify the object of the touch drag (see processTouchEvent) of a mouse event.
+ *
+ * @param type - the type of the mouse event, 'mousemove' or 'mouseup'
+ * @param domEvent - the touch DOM event
+ * @param touch - the touch of the finger
+ */
+ROS3D.MouseHandler.prototype.notifyTouchAsMouse = function(type, domEvent, touch) {
+  var mousePos = this.getMousePos(domEvent.target, touch.clientX, touch.clientY);
+  var event3D = {
+    mousePos : mousePos,
+    mouseRay : this.getRaycaster(mousePos).ray,
+    domEvent : this.makeMouseDomEvent(type, domEvent, touch),
+    camera : this.camera,
+    intersection : this.lastIntersection
+  };
+  this.notify(this.lastTarget, type, event3D);
+};
+
+// A DOM event of the left mouse button made from a touch event, for the objects handling only the mouse
+ROS3D.MouseHandler.prototype.makeMouseDomEvent = function(type, domEvent, touch) {
+  return {
+    type : type,
+    button : 0,
+    buttons : (type === 'mouseup') ? 0 : 1,
+    clientX : touch.clientX,
+    clientY : touch.clientY,
+    target : domEvent.target,
+    touches : domEvent.touches,
+    changedTouches : domEvent.changedTouches,
+    pointerType : 'touch',
+    sourceEvent : domEvent,
+    preventDefault : function() {}
+  };
+};
+
 /**
  * Notify the listener of the type of event that occurred.
  *
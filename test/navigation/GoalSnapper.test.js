@@ -0,0 +1,123 @@
+var assert = chai.assert;
+
+describe('GoalSnapper', function() {
+  // a navigator in the world frame, with the grid as the map of its root object
+  var makeNavigator = function(currentGrid) {
+    return {
+      rootObject : { currentGrid: currentGrid },
+      localToWorld : function(point) {
+        return point;
+      },
+      worldToLocal : function(point) {
+        return point;
+      },
+    };
+  };
+
+  // the yaw (in degrees) of a ROSLIB.Quaternion
+  var yawOf = function(orientation) {
+    var q = new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w);
+    return new THREE.Euler().setFromQuaternion(q, 'ZYX').z * 180 / Math.PI;
+  };
+
+  var fromEuler = function(roll, pitch, yaw) {
+    var q = new THREE.Quaternion().setFromEuler(new THREE.Euler(roll, pitch, yaw * Math.PI / 180, 'ZYX'));
+    return new ROSLIB.Quaternion({x: q.x, y: q.y, z: q.z, w: q.w});
+  };
+
+  it('isActive is toggled by the modifier key', function() {
+    var snapper = new ROS3D.GoalSnapper();
+    assert.isTrue(snapper.isActive());
+    assert.isTrue(snapper.isActive({domEvent: {shiftKey: false}}));
+    assert.isFalse(snapper.isActive({domEvent: {shiftKey: true}}));
+
+    snapper = new ROS3D.GoalSnapper({enabled: false, modifierKey: 'ctrlKey'});
+    assert.isFalse(snapper.isActive({domEvent: {shiftKey: true}}));
+    assert.isTrue(snapper.isActive({domEvent: {ctrlKey: true}}));
+
+    snapper = new ROS3D.GoalSnapper({modifierKey: null});
+    assert.isTrue(snapper.isActive({domEvent: {shiftKey: true}}));
+  });
+
+  it('snapPosition keeps the position by default', function() {
+    var position = new ROS3D.GoalSnapper().snapPosition(makeNavigator(null), {x: 0.26, y: -0.74, z: 0.3});
+    assert.deepEqual([position.x, position.y, position.z], [0.26, -0.74, 0.3]);
+  });
+
+  it('snapPosition snaps to the grid around gridOrigin', function() {
+    var snapper = new ROS3D.GoalSnapper({position: 'grid'});
+    var position = snapper.snapPosition(makeNavigator(null), {x: 0.26, y: -0.74, z: 0.3});
+    assert.instanceOf(position, ROSLIB.Vector3);
+    assert.deepEqual([position.x, position.y, position.z], [0.5, -0.5, 0.3]);
+
+    snapper = new ROS3D.GoalSnapper({position: 'grid', gridSize: 1, gridOrigin: {x: 0.25, y: 0.25}});
+    position = snapper.snapPosition(makeNavigator(null), {x: 0.7, y: -0.3, z: 0});
+    assert.closeTo(position.x, 0.25, 1e-9);
+    assert.closeTo(position.y, -0.75, 1e-9);
+  });
+
+  it('snapPosition snaps to the cell centers of the map', function() {
+    var grid = new ROS3D.OccupancyGrid({
+      message : {
+        header : { frame_id: 'map' },
+        info : {
+          width : 4,
+          height : 4,
+          resolution : 0.5,
+          origin : { position: {x: -1, y: -1, z: 0}, orientation: {x: 0, y: 0, z: 0, w: 1} },
+        },
+        data : new Array(16).fill(0),
+      },
+    });
+    grid.updateMatrixWorld(true);
+    var snapper = new ROS3D.GoalSnapper({position: 'cells'});
+
+    var position = snapper.snapPosition(makeNavigator(grid), {x: 0.1, y: -0.9, z: 0});
+    assert.closeTo(position.x, 0.25, 1e-9);
+    assert.closeTo(position.y, -0.75, 1e-9);
+
+    // nothing to snap to without a map
+    position = snapper.snapPosition(makeNavigator(null), {x: 0.1, y: -0.9, z: 0});
+    assert.deepEqual([position.x, position.y], [0.1, -0.9]);
+  });
+
+  it('snapOrientation snaps the yaw to multiples of yawStep', function() {
+    var snapper = new ROS3D.GoalSnapper();
+    assert.closeTo(yawOf(snapper.snapOrientation(fromEuler(0, 0, 50))), 90, 1e-6);
+    assert.closeTo(yawOf(snapper.snapOrientation(fromEuler(0, 0, -130))), -90, 1e-6);
+    assert.closeTo(Math.abs(yawOf(snapper.snapOrientation(fromEuler(0, 0, 170)))), 180, 1e-6);
+
+    snapper = new ROS3D.GoalSnapper({yawStep: 45});
+    var orientation = snapper.snapOrientation(fromEuler(0, 0, 30));
+    assert.instanceOf(orientation, ROSLIB.Quaternion);
+    assert.closeTo(yawOf(orientation), 45, 1e-6);
+  });
+
+  it('snapOrientation keeps the pitch and roll', function() {
+    var orientation = new ROS3D.GoalSnapper().snapOrientation(fromEuler(0.1, -0.2, 80));
+    var q = new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w);
+    var euler = new THREE.Euler().setFromQuaternion(q, 'ZYX');
+    assert.closeTo(euler.x, 0.1, 1e-6);
+    assert.closeTo(euler.y, -0.2, 1e-6);
+    assert.closeTo(euler.z, Math.PI / 2, 1e-6);
+  });
+
+  it('snapOrientation keeps the orientation without yawStep', function() {
+    var orientation = fromEuler(0, 0, 37);
+    assert.strictEqual(new ROS3D.GoalSnapper({yawStep: 0}).snapOrientation(orientation), orientation);
+  });
+
+  it('the navigator snaps with navOptions.goalSnapping, unless the modifier key is held', function() {
+    var navigator = new ROS3D.Navigator_MW({
+      ros : new ROSLIB.Ros(),
+      rootObject : new EventEmitter2(),
+      navOptions : { goalSnapping: {position: 'grid', gridSize: 1} },
+    });
+    var position = new ROSLIB.Vector3({x: 0.8, y: 1.3, z: 0});
+    var snapped = navigator.snapPosition(position, {domEvent: {}});
+    assert.deepEqual([snapped.x, snapped.y], [1, 1]);
+    assert.strictEqual(navigator.snapPosition(position, {domEvent: {shiftKey: true}}), position);
+    assert.closeTo(yawOf(navigator.snapOrientation(fromEuler(0, 0, 100), {domEvent: {}})), 90, 1e-6);
+  });
+
+});
@@ -0,0 +1,117 @@
+var assert = chai.assert;
+
+describe('GoalValidator', function() {
+  // a 10x10 grid of 0.1m cells from (-0.5, -0.5): free, with an obstacle at [5, 5], an unknown cell at [2, 2]
+  // and a cell of 50 at [7, 2]
+  var data = new Array(100).fill(0);
+  data[5 + 5 * 10] = 100;
+  data[2 + 2 * 10] = -1;
+  data[7 + 2 * 10] = 50;
+  var grid = new ROS3D.OccupancyGrid({
+    message : {
+      header : { frame_id: 'map' },
+      info : {
+        width : 10,
+        height : 10,
+        resolution : 0.1,
+        origin : { position: {x: -0.5, y: -0.5, z: 0}, orientation: {x: 0, y: 0, z: 0, w: 1} },
+      },
+      data : data,
+    },
+  });
+  grid.updateMatrixWorld(true);
+
+  // the center of a cell, in world coordinates
+  var cellCenter = function(col, row) {
+    return new THREE.Vector3(-0.5 + (col + 0.5) * 0.1, -0.5 + (row + 0.5) * 0.1, 0);
+  };
+
+  it('getValuesInRadius returns the cells whose center is within the radius', function() {
+    assert.deepEqual(grid.getValuesInRadius(cellCenter(5, 5), 0), [100]);
+    var values = grid.getValuesInRadius(cellCenter(5, 4), 0.1);
+    assert.equal(values.length, 5);
+    assert.include(values, 100);
+    assert.deepEqual(grid.getValuesInRadius(new THREE.Vector3(2, 2, 0), 0), [undefined]);
+  });
+
+  it('accepts a free cell', function() {
+    var result = new ROS3D.GoalValidator().validate(grid, cellCenter(1, 1));
+    assert.deepEqual(result, {valid: true, reason: null, value: 0});
+  });
+
+  it('rejects an occupied cell', function() {
+    var result = new ROS3D.GoalValidator().validate(grid, cellCenter(5, 5));
+    assert.deepEqual(result, {valid: false, reason: 'occupied', value: 100});
+  });
+
+  it('rejects the cells at or above occupiedThreshold', function() {
+    assert.isTrue(new ROS3D.GoalValidator().validate(grid, cellCenter(7, 2)).valid);
+    var result = new ROS3D.GoalValidator({occupiedThreshold: 50}).validate(grid, cellCenter(7, 2));
+    assert.deepEqual(result, {valid: false, reason: 'occupied', value: 50});
+  });
+
+  it('rejects unknown cells and points outside the grid, unless allowUnknown', function() {
+    var validator = new ROS3D.GoalValidator();
+    assert.deepEqual(validator.validate(grid, cellCenter(2, 2)), {valid: false, reason: 'unknown', value: -1});
+    assert.deepEqual(validator.validate(grid, cellCenter(12, 2)), {valid: false, reason: 'outside', value: undefined});
+
+    validator = new ROS3D.GoalValidator({allowUnknown: true});
+    assert.isTrue(validator.validate(grid, cellCenter(2, 2)).valid);
+    assert.isTrue(validator.validate(grid, cellCenter(12, 2)).valid);
+  });
+
+  it('checks all the cells within footprintRadius', function() {
+    // two cells away from the obstacle
+    assert.isTrue(new ROS3D.GoalValidator({footprintRadius: 0.1}).validate(grid, cellCenter(5, 3)).valid);
+    var result = new ROS3D.GoalValidator({footprintRadius: 0.25}).validate(grid, cellCenter(5, 3));
+    assert.deepEqual(result, {valid: false, reason: 'occupied', value: 100});
+  });
+
+  it('rejects a footprint that goes outside the grid', function() {
+    var result = new ROS3D.GoalValidator({footprintRadius: 0.15}).validate(grid, cellCenter(0, 5));
+    assert.equal(result.reason, 'outside');
+  });
+
+  describe('check', function() {
+    var makeNavigator = function(currentGrid) {
+      var rootObject = new EventEmitter2();
+      rootObject.currentGrid = currentGrid;
+      rootObject.events = [];
+      rootObject.onAny(function(name, event) {
+        rootObject.events.push([name, event]);
+      });
+      return {
+        rootObject : rootObject,
+        localToWorld : function(point) {
+          return point;
+        },
+      };
+    };
+    var makePose = function(point) {
+      return new ROSLIB.Pose({position: {x: point.x, y: point.y, z: 0}});
+    };
+
+    it('emits goalRejected for an invalid goal', function() {
+      var navigator = makeNavigator(grid);
+      var pose = makePose(cellCenter(5, 5));
+      assert.isFalse(new ROS3D.GoalValidator().check(navigator, pose));
+      assert.deepEqual(navigator.rootObject.events, [['goalRejected', {pose: pose, reason: 'occupied', value: 100}]]);
+    });
+
+    it('emits goalWarning and accepts the goal in warn mode', function() {
+      var navigator = makeNavigator(grid);
+      var pose = makePose(cellCenter(2, 2));
+      assert.isTrue(new ROS3D.GoalValidator({mode: 'warn'}).check(navigator, pose));
+      assert.deepEqual(navigator.rootObject.events, [['goalWarning', {pose: pose, reason: 'unknown', value: -1}]]);
+    });
+
+    it('accepts valid goals, and any goal without a grid', function() {
+      var navigator = makeNavigator(grid);
+      assert.isTrue(new ROS3D.GoalValidator().check(navigator, makePose(cellCenter(1, 1))));
+      navigator = makeNavigator(null);
+      assert.isTrue(new ROS3D.GoalValidator().check(navigator, makePose(cellCenter(5, 5))));
+      assert.deepEqual(navigator.rootObject.events, []);
+    });
+  });
+
+});
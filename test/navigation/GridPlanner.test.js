@@ -0,0 +1,191 @@
+var assert = chai.assert;
+
+describe('GridPlanner', function() {
+  var planner = new ROS3D.GridPlanner();
+
+  // a width x height grid of free cells, with the given cells set to value (100 by default)
+  var makeRequest = function(width, height, cells, options) {
+    var data = new Array(width * height).fill(0);
+    (cells || []).forEach(function(cell) {
+      data[cell[0] + cell[1] * width] = (cell[2] !== undefined) ? cell[2] : 100;
+    });
+    return Object.assign({
+      data : data,
+      width : width,
+      height : height,
+      threshold : 65,
+      allowUnknown : false,
+      inflation : 0,
+      start : [0, 0],
+      goal : [width - 1, 0],
+    }, options);
+  };
+
+  // the cells of a wall along a column, from row from to row to
+  var wall = function(col, from, to) {
+    var cells = [];
+    for (var row = from; row <= to; row++) {
+      cells.push([col, row]);
+    }
+    return cells;
+  };
+
+  it('search goes straight on a free grid', function() {
+    var result = planner.search(makeRequest(6, 3));
+    assert.deepEqual(result.path, [[0, 0], [1, 0], [2, 0], [3, 0], [4, 0], [5, 0]]);
+  });
+
+  it('search goes around a wall without cutting its corners', function() {
+    var result = planner.search(makeRequest(5, 5, wall(2, 0, 3), {start: [0, 0], goal: [4, 0]}));
+    var path = result.path;
+    assert.deepEqual(path[0], [0, 0]);
+    assert.deepEqual(path[path.length - 1], [4, 0]);
+    assert.isTrue(path.some(function(cell) {
+      return cell[0] === 2 && cell[1] === 4;
+    }));
+    path.slice(1).forEach(function(cell, i) {
+      var previous = path[i];
+      if (cell[0] !== previous[0] && cell[1] !== previous[1]) {
+        // both cells next to a diagonal move are free
+        assert.notEqual(cell[0], 2);
+        assert.notEqual(previous[0], 2);
+      }
+    });
+  });
+
+  it('search fails when the goal is blocked', function() {
+    var result = planner.search(makeRequest(6, 3, [[5, 0]]));
+    assert.equal(result.error, 'The goal is not free.');
+    assert.isUndefined(result.path);
+  });
+
+  it('search fails when the goal is unknown, unless allowUnknown', function() {
+    assert.equal(planner.search(makeRequest(6, 3, [[5, 0, -1]])).error, 'The goal is not free.');
+    assert.equal(planner.search(makeRequest(6, 3, [[5, 0, -1]], {allowUnknown: true})).path.length, 6);
+  });
+
+  it('search fails when the goal is unreachable', function() {
+    var result = planner.search(makeRequest(6, 3, wall(3, 0, 2)));
+    assert.equal(result.error, 'No path found.');
+  });
+
+  it('search keeps away from the obstacles with inflation', function() {
+    // an obstacle in the middle of the straight path, with room to pass on both sides
+    var request = makeRequest(9, 9, [[4, 4]], {start: [0, 4], goal: [8, 4]});
+    var path = planner.search(request).path;
+    assert.isTrue(path.some(function(cell) {
+      return cell[0] === 4 && Math.abs(cell[1] - 4) === 1;
+    }));
+
+    request.inflation = 2;
+    path = planner.search(request).path;
+    path.forEach(function(cell) {
+      assert.isAbove(Math.hypot(cell[0] - 4, cell[1] - 4), 2);
+    });
+  });
+
+  it('search fails when the goal is in the inflation', function() {
+    var result = planner.search(makeRequest(9, 3, [[8, 2]], {goal: [7, 1], inflation: 1.5}));
+    assert.equal(result.error, 'The goal is not free.');
+  });
+
+  it('search starts from a start in the inflation', function() {
+    var result = planner.search(makeRequest(9, 3, [[0, 1]], {start: [1, 1], goal: [8, 1], inflation: 1.5}));
+    assert.deepEqual(result.path[0], [1, 1]);
+    assert.deepEqual(result.path[result.path.length - 1], [8, 1]);
+  });
+
+  it('plan returns a nav_msgs/Path from the start to the goal', function() {
+    var grid = {
+      mapInternalData : new Array(10 * 10).fill(0),
+      mapWidth : 10,
+      mapHeight : 10,
+      mapResolution : 0.5,
+      mapOrigin : { position: {x: -1, y: -1, z: 0}, orientation: {x: 0, y: 0, z: 0, w: 1} },
+    };
+    var gridPlanner = new ROS3D.GridPlanner({grid: grid, workerMinCells: Infinity});
+    return gridPlanner.plan({x: -0.9, y: -0.9}, {x: 3.6, y: -0.9}).then(function(path) {
+      assert.equal(path.header.frame_id, 'map');
+      assert.deepEqual(path.poses[0].pose.position, {x: -0.9, y: -0.9, z: 0});
+      assert.deepEqual(path.poses[path.poses.length - 1].pose.position, {x: 3.6, y: -0.9, z: 0});
+      assert.equal(path.poses.length, 10);
+    });
+  });
+
+  it('plan rejects a goal outside of the map', function() {
+    var grid = {
+      mapInternalData : new Array(4).fill(0),
+      mapWidth : 2,
+      mapHeight : 2,
+      mapResolution : 1,
+      mapOrigin : { position: {x: 0, y: 0, z: 0}, orientation: {x: 0, y: 0, z: 0, w: 1} },
+    };
+    return new ROS3D.GridPlanner({grid: grid}).plan({x: 0.5, y: 0.5}, {x: 5, y: 0.5}).then(function() {
+      assert.fail('should be rejected');
+    }, function(error) {
+      assert.equal(error.message, 'The goal is outside of the map.');
+    });
+  });
+
+  describe('superseded plans', function() {
+    var makeGrid = function() {
+      return {
+        mapInternalData : new Array(10 * 10).fill(0),
+        mapWidth : 10,
+        mapHeight : 10,
+        mapResolution : 1,
+        mapOrigin : { position: {x: 0, y: 0, z: 0}, orientation: {x: 0, y: 0, z: 0, w: 1} },
+      };
+    };
+
+    var rejectedWith = function(promise) {
+      return promise.then(function() {
+        assert.fail('should be rejected');
+      }, function(error) {
+        return error.message;
+      });
+    };
+
+    it('a newer plan or cancel rejects a plan searched in the main thread', function() {
+      var gridPlanner = new ROS3D.GridPlanner({grid: makeGrid(), workerMinCells: Infinity});
+      var first = gridPlanner.plan({x: 0.5, y: 0.5}, {x: 9.5, y: 0.5});
+      var second = gridPlanner.plan({x: 0.5, y: 0.5}, {x: 5.5, y: 0.5});
+      var third = gridPlanner.plan({x: 0.5, y: 0.5}, {x: 9.5, y: 9.5});
+      gridPlanner.cancel();
+      var fourth = gridPlanner.plan({x: 0.5, y: 0.5}, {x: 2.5, y: 0.5});
+      return Promise.all([rejectedWith(first), rejectedWith(second), rejectedWith(third), fourth]).then(function(results) {
+        assert.deepEqual(results.slice(0, 3), ['The planning was canceled.', 'The planning was canceled.',
+                                               'The planning was canceled.']);
+        var poses = results[3].poses;
+        assert.deepEqual(poses[poses.length - 1].pose.position, {x: 2.5, y: 0.5, z: 0});
+      });
+    });
+
+    it('drops the result of a worker answering after a newer plan', function() {
+      var gridPlanner = new ROS3D.GridPlanner({grid: makeGrid(), workerMinCells: 0});
+      // workers answering when told to, without being stopped by cancel
+      var answers = [];
+      gridPlanner.canUseWorker = function() {
+        return true;
+      };
+      gridPlanner.searchInWorker = function(request) {
+        return new Promise(function(resolve) {
+          answers.push(function() {
+            resolve(gridPlanner.search(request));
+          });
+        });
+      };
+
+      var first = gridPlanner.plan({x: 0.5, y: 0.5}, {x: 9.5, y: 0.5});
+      var second = gridPlanner.plan({x: 0.5, y: 0.5}, {x: 5.5, y: 0.5});
+      answers[1]();
+      answers[0]();
+      return Promise.all([rejectedWith(first), second]).then(function(results) {
+        assert.equal(results[0], 'The planning was canceled.');
+        var poses = results[1].poses;
+        assert.deepEqual(poses[poses.length - 1].pose.position, {x: 5.5, y: 0.5, z: 0});
+      });
+    });
+  });
+
+});
@@ -0,0 +1,130 @@
+var assert = chai.assert;
+
+describe('MapToolManager', function() {
+  var manager, calls;
+
+  // a tool recording the calls of its methods as [name, method]
+  var makeTool = function(name) {
+    return {
+      mouseEventHandler : function(event3D) {
+        calls.push([name, 'mouseEventHandler', event3D]);
+      },
+      activate : function() {
+        calls.push([name, 'activate']);
+      },
+      deactivate : function() {
+        calls.push([name, 'deactivate']);
+      },
+      dispose : function() {
+        calls.push([name, 'dispose']);
+      },
+    };
+  };
+
+  beforeEach(function() {
+    calls = [];
+    var rootObject = new EventEmitter2();
+    rootObject.on('toolChange', function(event) {
+      calls.push(['root', 'toolChange', event]);
+    });
+    manager = new ROS3D.MapToolManager({rootObject: rootObject});
+  });
+
+  it('forwards the mouse events to the active tool only', function() {
+    manager.registerTool('a', makeTool('a'));
+    manager.registerTool('b', makeTool('b'));
+    var event3D = {type: 'mousedown'};
+    manager.mouseEventHandler(event3D);
+    assert.deepEqual(calls, []);
+
+    manager.setActiveTool('b');
+    calls = [];
+    manager.mouseEventHandler(event3D);
+    assert.deepEqual(calls, [['b', 'mouseEventHandler', event3D]]);
+  });
+
+  it('setActiveTool activates the new tool, deactivates the previous one and emits toolChange', function() {
+    manager.registerTool('a', makeTool('a'));
+    manager.registerTool('b', makeTool('b'));
+    manager.setActiveTool('a');
+    manager.setActiveTool('b');
+    manager.setActiveTool('b');
+    manager.setActiveTool(null);
+    assert.deepEqual(calls, [
+      ['a', 'activate'],
+      ['root', 'toolChange', {previous: null, current: 'a'}],
+      ['a', 'deactivate'],
+      ['b', 'activate'],
+      ['root', 'toolChange', {previous: 'a', current: 'b'}],
+      ['b', 'deactivate'],
+      ['root', 'toolChange', {previous: 'b', current: null}],
+    ]);
+    assert.isNull(manager.getActiveTool());
+  });
+
+  it('setActiveTool can switch without activating', function() {
+    manager.registerTool('a', makeTool('a'));
+    manager.setActiveTool('a', false);
+    assert.deepEqual(calls, [['root', 'toolChange', {previous: null, current: 'a'}]]);
+  });
+
+  it('setActiveTool throws on an unknown tool', function() {
+    assert.throws(function() {
+      manager.setActiveTool('missing');
+    }, /not registered/);
+  });
+
+  it('creates the tools registered with a function when first needed', function() {
+    var created = 0;
+    manager.registerTool('lazy', function() {
+      created++;
+      return makeTool('lazy');
+    });
+    assert.isTrue(manager.hasTool('lazy'));
+    assert.deepEqual(manager.getToolNames(), ['lazy']);
+    assert.equal(created, 0);
+
+    manager.setActiveTool('lazy');
+    var tool = manager.getTool('lazy');
+    assert.strictEqual(manager.getTool('lazy'), tool);
+    assert.equal(created, 1);
+    assert.deepEqual(calls[0], ['lazy', 'activate']);
+  });
+
+  it('adds the tools that are THREE objects as children', function() {
+    var tool = new THREE.Object3D();
+    tool.mouseEventHandler = function() {};
+    manager.registerTool('object', tool);
+    assert.include(manager.children, tool);
+    manager.unregisterTool('object');
+    assert.notInclude(manager.children, tool);
+  });
+
+  it('unregisterTool deactivates and disposes the tool', function() {
+    manager.registerTool('a', makeTool('a'));
+    manager.setActiveTool('a');
+    calls = [];
+    manager.unregisterTool('a');
+    assert.deepEqual(calls, [
+      ['a', 'deactivate'],
+      ['root', 'toolChange', {previous: 'a', current: null}],
+      ['a', 'dispose'],
+    ]);
+    assert.isFalse(manager.hasTool('a'));
+  });
+
+  it('registering a tool again replaces it', function() {
+    manager.registerTool('a', makeTool('old'));
+    manager.registerTool('a', makeTool('new'));
+    assert.deepEqual(calls, [['old', 'dispose']]);
+    manager.setActiveTool('a');
+    assert.deepEqual(calls[1], ['new', 'activate']);
+  });
+
+  it('rejects a tool without mouseEventHandler', function() {
+    assert.throws(function() {
+      manager.registerTool('bad', {});
+    }, /no mouseEventHandler/);
+  });
+
+});
@@ -0,0 +1,157 @@
+var assert = chai.assert;
+
+describe('MeasureTool', function() {
+
+  // the event3D of a left mouse button event at the point (x, y) of the map plane
+  var mouseEvent = function(type, x, y) {
+    return {
+      type : type,
+      domEvent : { type: type, button: 0, buttons: (type === 'mouseup') ? 0 : 1 },
+      intersection : { point: new THREE.Vector3(x, y, 0) },
+      stopPropagation : function() {},
+      forceExitToFallbackTarget : function() {},
+    };
+  };
+
+  // a tool recording the events of its root object
+  var makeTool = function(navOptions) {
+    var rootObject = new EventEmitter2();
+    rootObject.events = [];
+    rootObject.on('measurement', function(event) {
+      rootObject.events.push(event);
+    });
+    return new ROS3D.MeasureTool({
+      rootObject : rootObject,
+      navOptions : Object.assign({navInitState: true}, navOptions),
+    });
+  };
+
+  // click at (x, y) by dispatching the events on the given object
+  var click = function(object, x, y) {
+    object.dispatchEvent(mouseEvent('mousedown', x, y));
+    object.dispatchEvent(mouseEvent('mouseup', x, y));
+  };
+
+  var countChildren = function(tool, flag) {
+    return tool.children.filter(function(child) {
+      return child[flag] === true;
+    }).length;
+  };
+
+  it('measures the lengths and angles of the clicked points', function() {
+    var tool = makeTool();
+    [[0, 0], [3, 0], [3, 4]].forEach(function(point) {
+      tool.mouseEventHandler(mouseEvent('mousedown', point[0], point[1]));
+      tool.mouseEventHandler(mouseEvent('mouseup', point[0], point[1]));
+    });
+
+    var measurements = tool.getMeasurements();
+    assert.equal(measurements.length, 1);
+    assert.deepEqual(measurements[0].points, [{x: 0, y: 0, z: 0}, {x: 3, y: 0, z: 0}, {x: 3, y: 4, z: 0}]);
+    assert.deepEqual(measurements[0].lengths, [3, 4]);
+    assert.closeTo(measurements[0].angles[0], 90, 1e-9);
+    assert.equal(measurements[0].total, 7);
+    assert.deepEqual(tool.rootObject.events[tool.rootObject.events.length - 1], measurements);
+
+    // 3 points, 2 lines, 2 length labels and 1 angle label
+    assert.equal(countChildren(tool, 'isMesh'), 3);
+    assert.equal(countChildren(tool, 'isLine'), 2);
+    assert.equal(countChildren(tool, 'isSprite'), 3);
+  });
+
+  it('moves the point being added with the mouse', function() {
+    var tool = makeTool();
+    tool.addPoint(new THREE.Vector3(0, 0, 0));
+    tool.mouseEventHandler(mouseEvent('mousedown', 1, 0));
+    tool.moveLastPoint(new THREE.Vector3(2, 0, 0));
+    tool.mouseEventHandler(mouseEvent('mouseup', 2, 0));
+    assert.deepEqual(tool.getMeasurements()[0].lengths, [2]);
+  });
+
+  it('a double click finishes the measurement, a single point measures nothing', function() {
+    var tool = makeTool();
+    tool.mouseEventHandler(mouseEvent('mousedown', 0, 0));
+    tool.mouseEventHandler(mouseEvent('mouseup', 0, 0));
+    tool.mouseEventHandler(mouseEvent('mousedown', 1, 0));
+    tool.mouseEventHandler(mouseEvent('mouseup', 1, 0));
+    tool.mouseEventHandler(mouseEvent('mousedown', 1, 0));
+    tool.mouseEventHandler(mouseEvent('mouseup', 1, 0));
+    tool.mouseEventHandler(mouseEvent('dblclick', 1, 0));
+    assert.isNull(tool.currentMeasurement);
+    assert.deepEqual(tool.getMeasurements()[0].lengths, [1]);
+
+    tool.addPoint(new THREE.Vector3(5, 5, 0));
+    tool.finishMeasurement();
+    assert.equal(tool.getMeasurements().length, 1);
+  });
+
+  it('writes the measurements as text', function() {
+    var tool = makeTool({precision: 1});
+    tool.addPoint(new THREE.Vector3(0, 0, 0));
+    tool.addPoint(new THREE.Vector3(1, 0, 0));
+    tool.addPoint(new THREE.Vector3(1, 1, 0));
+    assert.equal(tool.toText(), [
+      'Measurement 1 [map]: 2.0 m',
+      '  segment 1: 1.0 m',
+      '  segment 2: 1.0 m',
+      '  angle 1: 90.0°',
+    ].join('\n'));
+  });
+
+  it('handles the clicks on the attached objects until detached', function() {
+    var tool = makeTool();
+    var object = new THREE.Object3D();
+    tool.attachTo(object);
+    click(object, 0, 0);
+    click(object, 1, 0);
+    assert.equal(tool.getMeasurements()[0].points.length, 2);
+
+    tool.detach();
+    click(object, 2, 0);
+    assert.equal(tool.getMeasurements()[0].points.length, 2);
+  });
+
+  it('dispose detaches it and removes the measurements with their lines and labels', function() {
+    var tool = makeTool();
+    var object = new THREE.Object3D();
+    tool.attachTo(object);
+    click(object, 0, 0);
+    click(object, 1, 0);
+    var label = tool.children.filter(function(child) {
+      return child instanceof ROS3D.TextLabel;
+    })[0];
+    var disposed = false;
+    label.texture.addEventListener('dispose', function() {
+      disposed = true;
+    });
+
+    tool.dispose();
+    assert.isFalse(tool.isActive);
+    assert.deepEqual(tool.getMeasurements(), []);
+    assert.equal(tool.children.length, 0);
+    assert.isTrue(disposed);
+    assert.deepEqual(tool.attachedObjects, []);
+
+    // even when activated again, the clicks on the formerly attached object are not handled
+    tool.activate();
+    click(object, 2, 0);
+    assert.deepEqual(tool.getMeasurements(), []);
+  });
+
+  it('is disposed when unregistered from the MapToolManager', function() {
+    var tool = makeTool();
+    var manager = new ROS3D.MapToolManager({rootObject: tool.rootObject});
+    var object = new THREE.Object3D();
+    tool.attachTo(object);
+    manager.registerTool('measure', tool);
+    manager.setActiveTool('measure');
+    click(object, 0, 0);
+    click(object, 1, 0);
+    manager.unregisterTool('measure');
+
+    assert.equal(tool.children.length, 0);
+    click(object, 2, 0);
+    assert.deepEqual(tool.getMeasurements(), []);
+  });
+
+});
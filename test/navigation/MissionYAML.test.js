@@ -0,0 +1,56 @@
+var assert = chai.assert;
+
+describe('MissionYAML', function() {
+
+  it('dumpYAML and parseYAML round-trip a mission', function() {
+    var mission = {
+      frame_id : 'map',
+      repeat_mode : 'loop',
+      laps : 2,
+      waypoints : [
+        { name: 'dock', pose: { position: {x: 1.5, y: -2, z: 0}, orientation: {x: 0, y: 0, z: 0, w: 1} } },
+        { pose: { position: {x: 0, y: 0, z: 0}, orientation: {x: 0, y: 0, z: 0.7071, w: 0.7071} }, dwell_time: 3 },
+      ],
+    };
+    assert.deepEqual(ROS3D.parseYAML(ROS3D.dumpYAML(mission)), mission);
+  });
+
+  it('dumpYAML writes empty objects and arrays in flow style', function() {
+    assert.equal(ROS3D.dumpYAML({a: {}, b: []}), 'a: {}\nb: []\n');
+  });
+
+  it('dumpYAML quotes the strings that would be parsed as something else', function() {
+    var data = {a: '12', b: 'true', c: 'null', d: '.inf', e: '-.nan', f: 'key: value', g: ''};
+    assert.deepEqual(ROS3D.parseYAML(ROS3D.dumpYAML(data)), data);
+  });
+
+  it('dumpYAML writes infinite numbers and NaN as .inf, -.inf and .nan', function() {
+    assert.equal(ROS3D.dumpYAML({a: Infinity, b: -Infinity, c: NaN}), 'a: .inf\nb: -.inf\nc: .nan\n');
+  });
+
+  it('parseYAML reads .inf, -.inf and .nan', function() {
+    var data = ROS3D.parseYAML('a: .inf\nb: -.Inf\nc: +.INF\nd: .nan\ne: [.inf, .NaN]\n');
+    assert.equal(data.a, Infinity);
+    assert.equal(data.b, -Infinity);
+    assert.equal(data.c, Infinity);
+    assert.isTrue(isNaN(data.d));
+    assert.equal(data.e[0], Infinity);
+    assert.isTrue(isNaN(data.e[1]));
+  });
+
+  it('parseYAML keeps the other spellings as strings', function() {
+    assert.deepEqual(ROS3D.parseYAML('a: .iNf\nb: inf\nc: nan\n'), {a: '.iNf', b: 'inf', c: 'nan'});
+  });
+
+  it('parseYAML reads flow mappings, comments and nested sequences', function() {
+    var data = ROS3D.parseYAML('# mission\npose: {x: 1, y: 2}  # inline\nlist:\n- - 1\n  - 2\n- name: "a #1"\n');
+    assert.deepEqual(data, {pose: {x: 1, y: 2}, list: [[1, 2], {name: 'a #1'}]});
+  });
+
+  it('parseYAML throws on lines that are not YAML', function() {
+    assert.throws(function() {
+      ROS3D.parseYAML('a: 1\njust text\n');
+    }, /cannot parse line/);
+  });
+
+});
@@ -0,0 +1,384 @@
+var assert = chai.assert;
+
+describe('Navigator', function() {
+  var ros = new ROSLIB.Ros();
+
+  // a camera looking down at the map plane
+  var camera = new THREE.PerspectiveCamera(60, 1, 0.1, 100);
+  camera.position.set(0, 0, 10);
+  camera.lookAt(0, 0, 0);
+  camera.updateMatrixWorld(true);
+  var mapPlane = { plane: new THREE.Plane(new THREE.Vector3(0, 0, 1), 0) };
+
+  // the event3D of a left mouse button event at the point (x, y) of the map plane
+  var mouseEvent = function(type, x, y) {
+    var point = new THREE.Vector3(x, y, 0);
+    var mousePos = point.clone().project(camera);
+    return {
+      type : type,
+      domEvent : { type: type, button: 0, buttons: (type === 'mouseup') ? 0 : 1 },
+      mousePos : new THREE.Vector2(mousePos.x, mousePos.y),
+      camera : camera,
+      intersection : { point: point, object: mapPlane },
+      stopPropagation : function() {},
+      forceExitToFallbackTarget : function() {},
+    };
+  };
+
+  // press at from and release at to
+  var drag = function(navigator, from, to) {
+    navigator.updateMatrixWorld(true);
+    navigator.mouseEventHandler(mouseEvent('mousedown', from[0], from[1]));
+    navigator.mouseEventHandler(mouseEvent('mouseup', to[0], to[1]));
+  };
+
+  var makePose = function(x, y) {
+    return new ROSLIB.Pose({position: {x: x, y: y, z: 0}, orientation: {x: 0, y: 0, z: 0, w: 1}});
+  };
+
+  // a navigator recording the events of its root object as [name, event]
+  var makeNavigator = function(navOptions, tfClient) {
+    var rootObject = new EventEmitter2();
+    rootObject.events = [];
+    rootObject.onAny(function(name, event) {
+      if (name !== 'change') {
+        rootObject.events.push([name, event]);
+      }
+    });
+    return new ROS3D.Navigator({
+      ros : ros,
+      rootObject : rootObject,
+      robotName : 'robot',
+      tfClient : tfClient,
+      navOptions : navOptions,
+    });
+  };
+
+  describe('goal status', function() {
+    it('shows a sent goal as pending', function() {
+      var navigator = makeNavigator({statusColors: {pending: 0x111111}});
+      var pose = makePose(1, 2);
+      navigator.sendGoal(pose);
+      assert.isOk(navigator.currentGoal);
+      assert.strictEqual(navigator.currentGoalPose, pose);
+      assert.equal(navigator.goalMarker.material.color.getHex(), 0x111111);
+      assert.deepEqual([navigator.goalMarker.position.x, navigator.goalMarker.position.y], [1, 2]);
+    });
+
+    it('colors the goal marker and emits goalStatus on a status change', function() {
+      var navigator = makeNavigator({statusColors: {active: 0x222222, succeeded: 0x333333}});
+      var pose = makePose(1, 2);
+      navigator.sendGoal(pose);
+      var goal = navigator.currentGoal;
+
+      goal.emit('status', {status: ROS3D.GOAL_STATUS_ACTIVE, text: ''});
+      assert.equal(navigator.goalMarker.material.color.getHex(), 0x222222);
+      goal.emit('status', {status: ROS3D.GOAL_STATUS_ACTIVE, text: ''});
+      goal.emit('status', {status: ROS3D.GOAL_STATUS_SUCCEEDED, text: 'done'});
+      assert.equal(navigator.goalMarker.material.color.getHex(), 0x333333);
+
+      assert.deepEqual(navigator.rootObject.events, [
+        ['goalStatus', {status: ROS3D.GOAL_STATUS_ACTIVE, name: 'active', text: '', goalID: goal.goalID, pose: pose, robot: 'robot'}],
+        ['goalStatus', {status: ROS3D.GOAL_STATUS_SUCCEEDED, name: 'succeeded', text: 'done', goalID: goal.goalID, pose: pose, robot: 'robot'}],
+      ]);
+    });
+
+    it('ignores the status of an older goal', function() {
+      var navigator = makeNavigator();
+      navigator.sendGoal(makePose(1, 2));
+      var oldGoal = navigator.currentGoal;
+      navigator.sendGoal(makePose(3, 4));
+      oldGoal.emit('status', {status: ROS3D.GOAL_STATUS_PREEMPTED});
+      assert.deepEqual(navigator.rootObject.events, []);
+      assert.isNull(navigator.goalStatus);
+    });
+
+    it('maps the goal statuses to the status colors', function() {
+      var navigator = makeNavigator();
+      assert.equal(navigator.getStatusColorName(ROS3D.GOAL_STATUS_PENDING), 'pending');
+      assert.equal(navigator.getStatusColorName(ROS3D.GOAL_STATUS_REJECTED), 'aborted');
+      assert.equal(navigator.getStatusColorName(ROS3D.GOAL_STATUS_LOST), 'aborted');
+      assert.equal(navigator.getStatusColorName(ROS3D.GOAL_STATUS_RECALLED), 'preempted');
+    });
+
+    it('cancelGoal cancels the current goal', function() {
+      var navigator = makeNavigator();
+      assert.isFalse(navigator.cancelGoal());
+      navigator.sendGoal(makePose(1, 2));
+      var cancelled = false;
+      navigator.currentGoal.cancel = function() {
+        cancelled = true;
+      };
+      assert.isTrue(navigator.cancelGoal());
+      assert.isTrue(cancelled);
+    });
+  });
+
+  describe('feedback trail', function() {
+    var feedback = function(key, x, y) {
+      var message = {};
+      message[key] = {header: {frame_id: 'map'}, pose: makePose(x, y)};
+      return message;
+    };
+
+    it('draws the base_position (move_base) or current_pose (Nav2) of the feedback', function() {
+      var navigator = makeNavigator({feedbackTrail: true, trailColor: 0x444444});
+      navigator.sendGoal(makePose(5, 0));
+      navigator.currentGoal.emit('feedback', feedback('base_position', 0, 0));
+      navigator.currentGoal.emit('feedback', feedback('current_pose', 1, 0));
+      assert.deepEqual(navigator.trailPoints.map(function(point) {
+        return [point.x, point.y];
+      }), [[0, 0], [1, 0]]);
+      assert.include(navigator.children, navigator.trailMarker);
+      assert.equal(navigator.trailMarker.material.color.getHex(), 0x444444);
+    });
+
+    it('keeps the last trailMaxPoints points', function() {
+      var navigator = makeNavigator({feedbackTrail: true, trailMaxPoints: 2});
+      navigator.sendGoal(makePose(5, 0));
+      [0, 1, 2].forEach(function(x) {
+        navigator.currentGoal.emit('feedback', feedback('base_position', x, 0));
+      });
+      assert.deepEqual(navigator.trailPoints.map(function(point) {
+        return point.x;
+      }), [1, 2]);
+    });
+
+    it('is cleared by a new goal, and not drawn by default', function() {
+      var navigator = makeNavigator({feedbackTrail: true});
+      navigator.sendGoal(makePose(5, 0));
+      navigator.currentGoal.emit('feedback', feedback('base_position', 0, 0));
+      navigator.sendGoal(makePose(6, 0));
+      assert.deepEqual(navigator.trailPoints, []);
+      assert.isNull(navigator.trailMarker);
+
+      navigator = makeNavigator();
+      navigator.sendGoal(makePose(5, 0));
+      navigator.currentGoal.emit('feedback', feedback('base_position', 0, 0));
+      assert.deepEqual(navigator.trailPoints, []);
+    });
+  });
+
+  describe('plan preview', function() {
+    // a tf client giving the pose of the robot at (0, 0)
+    var makeTFClient = function() {
+      return {
+        callbacks : {},
+        subscribe : function(frameID, callback) {
+          this.callbacks[frameID] = callback;
+          callback({translation: {x: 0, y: 0, z: 0}, rotation: {x: 0, y: 0, z: 0, w: 1}});
+        },
+        unsubscribe : function(frameID, callback) {
+          if (this.callbacks[frameID] === callback) {
+            delete this.callbacks[frameID];
+          }
+        },
+      };
+    };
+
+    // a navigator previewing the plans, recording the plan requests and the planPreview events
+    var makePreviewNavigator = function(navOptions) {
+      var navigator = makeNavigator(Object.assign({navInitState: true, planPreview: true}, navOptions), makeTFClient());
+      navigator.planRequests = [];
+      navigator.planClient.callService = function(request, callback, failedCallback) {
+        navigator.planRequests.push({request: request, callback: callback, failedCallback: failedCallback});
+      };
+      return navigator;
+    };
+
+    var previews = function(navigator) {
+      return navigator.rootObject.events.filter(function(event) {
+        return event[0] === 'planPreview';
+      }).map(function(event) {
+        return event[1];
+      });
+    };
+
+    var path = function(points) {
+      return {poses: points.map(function(point) {
+        return {pose: makePose(point[0], point[1])};
+      })};
+    };
+
+    it('requests the plan from the robot to the clicked goal, and waits for the confirmation', function() {
+      var navigator = makePreviewNavigator({planServiceName: '/planner/make_plan', planTolerance: 0.5});
+      assert.equal(navigator.planClient.name, '/planner/make_plan');
+      assert.equal(navigator.planClient.serviceType, 'nav_msgs/GetPlan');
+
+      drag(navigator, [2, 1], [3, 1]);
+      assert.equal(navigator.planRequests.length, 1);
+      var request = navigator.planRequests[0].request;
+      assert.deepEqual(request.start.pose.position, {x: 0, y: 0, z: 0});
+      assert.deepEqual(request.goal.pose.position, {x: 2, y: 1, z: 0});
+      assert.equal(request.goal.header.frame_id, 'map');
+      assert.equal(request.tolerance, 0.5);
+      assert.isNull(navigator.currentGoal);
+      assert.isOk(navigator.pendingGoalPose);
+
+      var plan = path([[0, 0], [1, 1], [2, 1]]);
+      navigator.planRequests[0].callback({plan: plan});
+      assert.strictEqual(navigator.plan, plan);
+      assert.include(navigator.children, navigator.planMarker);
+      assert.deepEqual(previews(navigator), [{goal: previews(navigator)[0].goal, plan: plan, valid: true, reason: null}]);
+      assert.isNull(navigator.currentGoal);
+    });
+
+    it('sends the goal on a click on it, and clears the plan', function() {
+      var navigator = makePreviewNavigator();
+      drag(navigator, [2, 1], [3, 1]);
+      navigator.planRequests[0].callback({plan: path([[0, 0], [2, 1]])});
+
+      drag(navigator, [2.1, 1], [2.1, 1]);
+      assert.isOk(navigator.currentGoal);
+      var position = navigator.currentGoalPose.position;
+      assert.deepEqual([position.x, position.y, position.z], [2, 1, 0]);
+      assert.closeTo(Math.abs(navigator.currentGoalPose.orientation.w), 1, 1e-6);
+      assert.isNull(navigator.pendingGoalPose);
+      assert.isNull(navigator.planMarker);
+      assert.equal(navigator.planRequests.length, 1);
+    });
+
+    it('confirmGoal before the plan is received sends the goal once it is', function() {
+      var navigator = makePreviewNavigator();
+      drag(navigator, [2, 1], [3, 1]);
+      assert.isTrue(navigator.confirmGoal());
+      assert.isNull(navigator.currentGoal);
+      navigator.planRequests[0].callback({plan: path([[0, 0], [2, 1]])});
+      assert.isOk(navigator.currentGoal);
+      assert.isNull(navigator.pendingGoalPose);
+    });
+
+    it('does not send a goal without a plan to it', function() {
+      var navigator = makePreviewNavigator({rejectedColor: 0x555555});
+      drag(navigator, [2, 1], [3, 1]);
+      navigator.planRequests[0].callback({plan: path([])});
+      assert.isFalse(navigator.confirmGoal());
+      assert.isNull(navigator.currentGoal);
+      assert.equal(navigator.goalMarker.material.color.getHex(), 0x555555);
+      assert.equal(previews(navigator)[0].reason, 'noPlan');
+
+      drag(navigator, [5, 5], [6, 5]);
+      navigator.planRequests[1].failedCallback('no service');
+      assert.equal(previews(navigator)[1].reason, 'serviceFailed');
+      assert.isFalse(navigator.confirmGoal());
+    });
+
+    it('ignores the plan of a previous goal', function() {
+      var navigator = makePreviewNavigator();
+      drag(navigator, [2, 1], [3, 1]);
+      drag(navigator, [5, 5], [6, 5]);
+      navigator.planRequests[0].callback({plan: path([[0, 0], [2, 1]])});
+      assert.isNull(navigator.plan);
+      assert.deepEqual(previews(navigator), []);
+
+      var plan = path([[0, 0], [5, 5]]);
+      navigator.planRequests[1].callback({plan: plan});
+      assert.strictEqual(navigator.plan, plan);
+    });
+
+    it('discardGoal drops the goal waiting for the confirmation and its plan', function() {
+      var navigator = makePreviewNavigator();
+      drag(navigator, [2, 1], [3, 1]);
+      navigator.discardGoal();
+      navigator.planRequests[0].callback({plan: path([[0, 0], [2, 1]])});
+      assert.isNull(navigator.pendingGoalPose);
+      assert.isNull(navigator.goalMarker);
+      assert.isNull(navigator.plan);
+      assert.isFalse(navigator.confirmGoal());
+    });
+
+    it('needs the pose of the robot, and stops following it when disposed', function() {
+      var navigator = makeNavigator({navInitState: true, planPreview: true});
+      navigator.planClient.callService = function() {
+        assert.fail('no plan should be requested');
+      };
+      drag(navigator, [2, 1], [3, 1]);
+      assert.equal(previews(navigator)[0].reason, 'noRobotPose');
+
+      var tfClient = makeTFClient();
+      navigator = makeNavigator({planPreview: true, robotBaseFrame: 'robot/base_link'}, tfClient);
+      assert.isOk(tfClient.callbacks['robot/base_link']);
+      navigator.dispose();
+      assert.deepEqual(tfClient.callbacks, {});
+    });
+  });
+
+  describe('surface goals', function() {
+    // a surface (e.g. a floor of a building) at the height z
+    var makeSurface = function(z) {
+      var surface = new THREE.Mesh(new THREE.PlaneGeometry(100, 100), new THREE.MeshBasicMaterial());
+      surface.position.z = z;
+      surface.updateMatrixWorld(true);
+      return surface;
+    };
+
+    // the event3D of a left mouse button event at the point (x, y, z) of the surface, seen by the given camera
+    var surfaceEvent = function(type, point, surface, eventCamera) {
+      eventCamera = eventCamera || camera;
+      var mousePos = point.clone().project(eventCamera);
+      var event3D = mouseEvent(type, point.x, point.y);
+      event3D.mousePos = new THREE.Vector2(mousePos.x, mousePos.y);
+      event3D.camera = eventCamera;
+      event3D.intersection = { point: point, object: surface };
+      return event3D;
+    };
+
+    var yawPitchOf = function(pose) {
+      var q = pose.orientation;
+      var euler = new THREE.Euler().setFromQuaternion(new THREE.Quaternion(q.x, q.y, q.z, q.w), 'ZYX');
+      return [euler.z * 180 / Math.PI, euler.y * 180 / Math.PI];
+    };
+
+    var closeTo = function(actual, expected) {
+      actual.forEach(function(value, i) {
+        assert.closeTo(value, expected[i], 1e-6);
+      });
+    };
+
+    it('puts the goals on the map plane by default', function() {
+      var navigator = makeNavigator({navInitState: true});
+      var surface = makeSurface(1.5);
+      navigator.mouseEventHandler(surfaceEvent('mousedown', new THREE.Vector3(0, 0, 1.5), surface));
+      navigator.mouseEventHandler(surfaceEvent('mouseup', new THREE.Vector3(0, 1, 1.5), surface));
+      var position = navigator.currentGoalPose.position;
+      assert.deepEqual([position.x, position.y, position.z], [0, 0, 0]);
+    });
+
+    it('keeps the height of the clicked point, plus heightOffset, with surfaceGoals', function() {
+      var navigator = makeNavigator({navInitState: true, surfaceGoals: true, heightOffset: 0.5});
+      var surface = makeSurface(1.5);
+      navigator.mouseEventHandler(surfaceEvent('mousedown', new THREE.Vector3(0, 0, 1.5), surface));
+      navigator.mouseEventHandler(surfaceEvent('mousemove', new THREE.Vector3(0, 1, 1.5), surface));
+      assert.equal(navigator.goalMarker.position.z, 2);
+      navigator.mouseEventHandler(surfaceEvent('mouseup', new THREE.Vector3(0, 1, 1.5), surface));
+
+      var pose = navigator.currentGoalPose;
+      assert.deepEqual([pose.position.x, pose.position.y, pose.position.z], [0, 0, 2]);
+      // oriented on the horizontal plane of the goal
+      closeTo(yawPitchOf(pose), [90, 0]);
+    });
+
+    it('sets the pitch as well as the yaw with orientation3D', function() {
+      // looking at the goal from the side
+      var sideCamera = new THREE.PerspectiveCamera(60, 1, 0.1, 100);
+      sideCamera.position.set(0, -10, 0);
+      sideCamera.up.set(0, 0, 1);
+      sideCamera.lookAt(0, 0, 0);
+      sideCamera.updateMatrixWorld(true);
+
+      var navigator = makeNavigator({navInitState: true, surfaceGoals: true, orientation3D: true});
+      var surface = makeSurface(0);
+      navigator.mouseEventHandler(surfaceEvent('mousedown', new THREE.Vector3(0, 0, 0), surface, sideCamera));
+      navigator.mouseEventHandler(surfaceEvent('mouseup', new THREE.Vector3(1, 0, 1), surface, sideCamera));
+      // pointing up, a negative pitch
+      closeTo(yawPitchOf(navigator.currentGoalPose), [0, -45]);
+    });
+
+    it('calculateOrientation3D gives the yaw and pitch from a point to another', function() {
+      var q = ROS3D.calculateOrientation3D({x: 0, y: 0, z: 0}, {x: 0, y: 1, z: -1});
+      closeTo(yawPitchOf({orientation: q}), [90, 45]);
+      assert.deepEqual(ROS3D.calculateOrientation3D({x: 1, y: 1, z: 1}, {x: 1, y: 1, z: 1}), new ROSLIB.Quaternion());
+    });
+  });
+
+});
@@ -0,0 +1,420 @@
+var assert = chai.assert;
+
+describe('Navigator_MW', function() {
+  var ros = new ROSLIB.Ros();
+
+  var makePose = function(x, y) {
+    return new ROSLIB.Pose({position: {x: x, y: y, z: 0}, orientation: {x: 0, y: 0, z: 0, w: 1}});
+  };
+
+  var makeNavigator = function(items, navOptions) {
+    return new ROS3D.Navigator_MW({
+      ros : ros,
+      rootObject : new EventEmitter2(),
+      waypoints : new ROS3D.WaypointList({items: items}),
+      navOptions : navOptions,
+    });
+  };
+
+  // the yaw (in degrees) of a pose
+  var yawOf = function(pose) {
+    var q = pose.orientation;
+    return new THREE.Euler().setFromQuaternion(new THREE.Quaternion(q.x, q.y, q.z, q.w), 'ZYX').z * 180 / Math.PI;
+  };
+
+  var assertAt = function(position, x, y) {
+    assert.closeTo(position.x, x, 1e-6);
+    assert.closeTo(position.y, y, 1e-6);
+  };
+
+  // a camera looking down at the map plane
+  var camera = new THREE.PerspectiveCamera(60, 1, 0.1, 100);
+  camera.position.set(0, 0, 10);
+  camera.lookAt(0, 0, 0);
+  camera.updateMatrixWorld(true);
+  var mapPlane = { plane: new THREE.Plane(new THREE.Vector3(0, 0, 1), 0) };
+
+  // the event3D of a left mouse button event at the point (x, y) of the map plane
+  var mouseEvent = function(type, x, y) {
+    var point = new THREE.Vector3(x, y, 0);
+    var mousePos = point.clone().project(camera);
+    return {
+      type : type,
+      domEvent : { type: type, button: 0, buttons: (type === 'mouseup') ? 0 : 1 },
+      mousePos : new THREE.Vector2(mousePos.x, mousePos.y),
+      camera : camera,
+      intersection : { point: point, object: mapPlane },
+      stopPropagation : function() {},
+      forceExitToFallbackTarget : function() {},
+    };
+  };
+
+  // press the left mouse button at from, move to each of the points (if any), release at the last point
+  var drag = function(navigator, from, points) {
+    navigator.updateMatrixWorld(true);
+    navigator.mouseEventHandler(mouseEvent('mousedown', from[0], from[1]));
+    var last = from;
+    (points || []).forEach(function(point) {
+      navigator.mouseEventHandler(mouseEvent('mousemove', point[0], point[1]));
+      last = point;
+    });
+    navigator.mouseEventHandler(mouseEvent('mouseup', last[0], last[1]));
+  };
+
+  it('creates the markers of the initial waypoints', function() {
+    var navigator = makeNavigator([makePose(0, 0), makePose(1, 0), makePose(1, 1)]);
+    assert.equal(navigator.nodeMarkerList.length, 3);
+    assert.isNull(navigator.nodeMarkerList[0].conn0);
+    assert.isOk(navigator.nodeMarkerList[2].conn0);
+  });
+
+  it('isPose accepts poses and waypoints, not placeholders', function() {
+    var navigator = makeNavigator([]);
+    assert.isTrue(navigator.isPose(makePose(0, 0)));
+    assert.isTrue(navigator.isPose(new ROS3D.Waypoint({position: {x: 1, y: 0, z: 0}})));
+    assert.isFalse(navigator.isPose(null));
+    assert.isFalse(navigator.isPose({x: 0, y: 0}));
+  });
+
+  it('can not undo the initial waypoints', function() {
+    var navigator = makeNavigator([makePose(0, 0), makePose(1, 0)]);
+    assert.isFalse(navigator.canUndo());
+    assert.isFalse(navigator.canRedo());
+    assert.isFalse(navigator.undo());
+    assert.equal(navigator.goalList.length, 2);
+  });
+
+  it('undoes the edits back to the initial waypoints', function() {
+    var first = makePose(0, 0);
+    var second = makePose(1, 0);
+    var navigator = makeNavigator([first, second]);
+    navigator.waypoints.add(makePose(2, 0));
+    navigator.waypoints.remove(0);
+    assert.isTrue(navigator.canUndo());
+
+    assert.isTrue(navigator.undo());
+    assert.isTrue(navigator.undo());
+    assert.deepEqual(navigator.goalList.slice(), [first, second]);
+    assert.equal(navigator.nodeMarkerList.length, 2);
+    assert.isFalse(navigator.canUndo());
+    assert.isTrue(navigator.canRedo());
+  });
+
+  it('the mission follows the edits of the waypoints', function() {
+    var navigator = makeNavigator([makePose(0, 0), makePose(1, 0), makePose(1, 1)]);
+    navigator.mission.start(1);
+    navigator.waypoints.insert(0, makePose(-1, 0));
+    assert.equal(navigator.mission.currentIndex, 2);
+    navigator.mission.cancel();
+  });
+
+  it('draws the closing connector of a loop route only', function() {
+    var navigator = makeNavigator([makePose(0, 0), makePose(1, 0), makePose(1, 1)]);
+    assert.isNull(navigator.loopConnectorMarker);
+    navigator.setRepeatMode('loop', 2);
+    assert.isOk(navigator.loopConnectorMarker);
+    assert.equal(navigator.mission.laps, 2);
+    navigator.setRepeatMode('pingpong');
+    assert.isNull(navigator.loopConnectorMarker);
+  });
+
+  it('updates the closing connector when the first or last pose changes', function() {
+    var navigator = makeNavigator([makePose(0, 0), makePose(1, 0)]);
+    navigator.setRepeatMode('loop');
+    navigator.waypoints.remove(1);
+    assert.isNull(navigator.loopConnectorMarker);
+    navigator.waypoints.add(makePose(2, 0));
+    assert.isOk(navigator.loopConnectorMarker);
+  });
+
+  it('emits the route preview, and colors the waypoints it flags until they are fixed or it is hidden', function() {
+    var navigator = makeNavigator([makePose(0, 0), makePose(2, 0)],
+                                  {routePreview: {mode: 'dubins', flaggedColor: 0xff0000}});
+    var events = [];
+    navigator.rootObject.on('routePreview', function(event) {
+      events.push(event);
+    });
+    var colorOf = function(index) {
+      return navigator.nodeMarkerList[index].node.material.color.getHex();
+    };
+    var color = colorOf(0);
+
+    // behind the previous pose, facing away from it: a loop longer than maxDetour
+    navigator.waypoints.add(makePose(1, 0));
+    assert.deepEqual(events[events.length - 1].flagged, [2]);
+    assert.isAbove(events[events.length - 1].length, 2);
+    assert.equal(colorOf(2), 0xff0000);
+    assert.equal(colorOf(1), color);
+
+    navigator.waypoints.replace(2, makePose(3, 0));
+    assert.deepEqual(events[events.length - 1], {length: 3, flagged: []});
+    assert.equal(colorOf(2), color);
+
+    navigator.waypoints.replace(2, makePose(1, 0));
+    navigator.setRoutePreview(null);
+    assert.equal(colorOf(2), color);
+  });
+
+  it('keeps the height of the clicked point with surfaceGoals', function() {
+    var navigator = makeNavigator([], {surfaceGoals: true, heightOffset: 0.25});
+    navigator.activate();
+    var point = new THREE.Vector3(1, 2, 1.5);
+    ['mousedown', 'mouseup'].forEach(function(type) {
+      var event3D = mouseEvent(type, 1, 2);
+      event3D.intersection = {point: point, object: mapPlane};
+      navigator.mouseEventHandler(event3D);
+    });
+    var position = navigator.goalList[0].position;
+    assert.deepEqual([position.x, position.y, position.z], [1, 2, 1.75]);
+  });
+
+  describe('dragging a node', function() {
+    var makeEditor = function(items, navOptions) {
+      var navigator = makeNavigator(items, navOptions);
+      navigator.activate();
+      return navigator;
+    };
+
+    it('moves the node grabbed by its body, keeping its orientation', function() {
+      var first = makePose(0, 0);
+      var navigator = makeEditor([first, makePose(1, 0), makePose(2, 0)]);
+      drag(navigator, [1, 0], [[1.5, 0.5], [1.5, 1]]);
+
+      var moved = navigator.goalList[1];
+      assertAt(moved.position, 1.5, 1);
+      assert.equal(moved.position.z, 0);
+      assert.closeTo(yawOf(moved), 0, 1e-9);
+      assert.strictEqual(navigator.goalList[0], first);
+      assert.isNull(navigator.dragState);
+
+      // the node and its connectors follow
+      var nodeMarkerObj = navigator.nodeMarkerList[1];
+      assertAt(nodeMarkerObj.node.position, 1.5, 1);
+      assert.isOk(nodeMarkerObj.conn0);
+      assert.isOk(navigator.nodeMarkerList[2].conn0);
+
+      // a single undo step
+      assert.isTrue(navigator.undo());
+      assertAt(navigator.goalList[1].position, 1, 0);
+      assert.isFalse(navigator.canUndo());
+    });
+
+    it('rotates the node grabbed by its arrowhead, keeping its position', function() {
+      var navigator = makeEditor([makePose(0, 0), makePose(1, 0)]);
+      // the arrowhead of the identity orientation points to +x, beyond the sphere
+      drag(navigator, [1.15, 0], [[1, 0.5], [1, 1]]);
+
+      var rotated = navigator.goalList[1];
+      assertAt(rotated.position, 1, 0);
+      assert.closeTo(yawOf(rotated), 90, 1e-6);
+    });
+
+    it('keeps the metadata of a dragged waypoint', function() {
+      var waypoint = new ROS3D.Waypoint({position: {x: 1, y: 0, z: 0}, name: 'dock', dwellTime: 5});
+      var navigator = makeEditor([makePose(0, 0), waypoint]);
+      drag(navigator, [1, 0], [[1, -1]]);
+      assert.notStrictEqual(navigator.goalList[1], waypoint);
+      assert.equal(navigator.goalList[1].name, 'dock');
+      assert.equal(navigator.goalList[1].dwellTime, 5);
+      assertAt(navigator.goalList[1].position, 1, -1);
+    });
+
+    it('puts the node back when it is dropped on an invalid position', function() {
+      // a 4x4 map of 1m cells from (-1, -1), occupied at [3, 2] ((2, 1) to (3, 2))
+      var data = new Array(16).fill(0);
+      data[3 + 2 * 4] = 100;
+      var grid = new ROS3D.OccupancyGrid({
+        message : {
+          header : { frame_id: 'map' },
+          info : {
+            width : 4,
+            height : 4,
+            resolution : 1,
+            origin : { position: {x: -1, y: -1, z: 0}, orientation: {x: 0, y: 0, z: 0, w: 1} },
+          },
+          data : data,
+        },
+      });
+      grid.updateMatrixWorld(true);
+      var second = makePose(1, 0);
+      var navigator = makeEditor([makePose(0, 0), second], {goalValidation: {}});
+      navigator.rootObject.currentGrid = grid;
+      var rejected = [];
+      navigator.rootObject.on('goalRejected', function(event) {
+        rejected.push(event);
+      });
+
+      drag(navigator, [1, 0], [[2.5, 1.5]]);
+      assert.strictEqual(navigator.goalList[1], second);
+      assert.equal(rejected.length, 1);
+      assert.equal(rejected[0].reason, 'occupied');
+      assertAt(navigator.nodeMarkerList[1].node.position, 1, 0);
+      assert.isOk(navigator.rejectedMarker);
+      assertAt(navigator.rejectedMarker.position, 2.5, 1.5);
+      assert.isFalse(navigator.canUndo());
+
+      // the next click clears the rejected marker
+      drag(navigator, [1, 0]);
+      assert.isNull(navigator.rejectedMarker);
+    });
+
+    it('changes nothing on a click on a node', function() {
+      var second = makePose(1, 0);
+      var navigator = makeEditor([makePose(0, 0), second]);
+      drag(navigator, [1, 0]);
+      assert.strictEqual(navigator.goalList[1], second);
+      assert.equal(navigator.goalList.length, 2);
+      assert.isFalse(navigator.canUndo());
+    });
+
+    it('adds a new pose when the click is not on a node', function() {
+      var navigator = makeEditor([makePose(0, 0)]);
+      drag(navigator, [0, 2], [[1, 2]]);
+      assert.equal(navigator.goalList.length, 2);
+      assertAt(navigator.goalList[1].position, 0, 2);
+      assert.closeTo(yawOf(navigator.goalList[1]), 0, 1e-6);
+    });
+  });
+
+  describe('clicking a connector', function() {
+    var makeEditor = function(items) {
+      var navigator = makeNavigator(items);
+      navigator.activate();
+      return navigator;
+    };
+
+    it('inserts a pose after the first node of the connector, and reconnects both neighbours', function() {
+      var poses = [makePose(0, 0), makePose(2, 0), makePose(2, 4)];
+      var navigator = makeEditor(poses);
+      var oldConnector = navigator.nodeMarkerList[2].conn0;
+
+      // connector 1 goes from poses[1] to poses[2]
+      drag(navigator, [2, 2]);
+      assert.equal(navigator.goalList.length, 4);
+      assert.strictEqual(navigator.goalList[1], poses[1]);
+      assert.strictEqual(navigator.goalList[3], poses[2]);
+      assertAt(navigator.goalList[2].position, 2, 2);
+      // the orientation is interpolated from the neighbours
+      assert.closeTo(yawOf(navigator.goalList[2]), 0, 1e-6);
+
+      assert.equal(navigator.nodeMarkerList.length, 4);
+      var conn0 = navigator.nodeMarkerList[2].conn0;
+      var nextConn0 = navigator.nodeMarkerList[3].conn0;
+      assert.isOk(conn0);
+      assert.isOk(nextConn0);
+      assert.notStrictEqual(nextConn0, oldConnector);
+      assert.notInclude(navigator.children, oldConnector);
+      assert.include(navigator.children, conn0);
+      assert.include(navigator.children, nextConn0);
+    });
+
+    it('interpolates the orientation of the inserted pose', function() {
+      var first = makePose(0, 0);
+      var second = new ROSLIB.Pose({position: {x: 2, y: 0, z: 0}, orientation: {x: 0, y: 0, z: Math.SQRT1_2, w: Math.SQRT1_2}});
+      var navigator = makeEditor([first, second]);
+      drag(navigator, [1, 0]);
+      assert.closeTo(yawOf(navigator.goalList[1]), 45, 1e-6);
+    });
+
+    it('is a single undo step with the drag that follows', function() {
+      var poses = [makePose(0, 0), makePose(2, 0)];
+      var navigator = makeEditor(poses);
+      drag(navigator, [1, 0], [[1, 0.5], [1, 1]]);
+      assert.equal(navigator.goalList.length, 3);
+      assertAt(navigator.goalList[1].position, 1, 1);
+
+      assert.isTrue(navigator.undo());
+      assert.deepEqual(navigator.goalList.slice(), poses);
+      assert.equal(navigator.nodeMarkerList.length, 2);
+      assert.isOk(navigator.nodeMarkerList[1].conn0);
+      assert.isFalse(navigator.canUndo());
+    });
+
+    it('a click away from the connectors adds a pose at the end', function() {
+      var navigator = makeEditor([makePose(0, 0), makePose(2, 0)]);
+      drag(navigator, [1, 0.5]);
+      assert.equal(navigator.goalList.length, 3);
+      assertAt(navigator.goalList[2].position, 1, 0.5);
+    });
+  });
+
+  describe('labels', function() {
+    var labelTexts = function(navigator) {
+      return navigator.nodeMarkerList.map(function(nodeMarkerObj) {
+        return nodeMarkerObj.label.text;
+      });
+    };
+
+    it('shows the number and the name of each waypoint at its node', function() {
+      var navigator = makeNavigator([makePose(0, 0), new ROS3D.Waypoint({position: {x: 1, y: 2, z: 0}, name: 'dock'})]);
+      assert.deepEqual(labelTexts(navigator), ['#1', '#2 dock']);
+      var label = navigator.nodeMarkerList[1].label;
+      assert.include(navigator.children, label);
+      assert.deepEqual([label.position.x, label.position.y], [1, 2]);
+      assert.equal(label.screenHeight, 0.025);
+    });
+
+    it('renumbers the labels when the list is reordered or spliced', function() {
+      var navigator = makeNavigator([makePose(0, 0), makePose(1, 0), makePose(2, 0)]);
+      var last = navigator.nodeMarkerList[2].label;
+      navigator.waypoints.move(2, 0);
+      assert.deepEqual(labelTexts(navigator), ['#1', '#2', '#3']);
+      assert.strictEqual(navigator.nodeMarkerList[0].label, last);
+      assert.equal(last.position.x, 2);
+
+      navigator.waypoints.splice(1, 1, makePose(5, 0), makePose(6, 0));
+      assert.deepEqual(labelTexts(navigator), ['#1', '#2', '#3', '#4']);
+      assert.equal(navigator.nodeMarkerList[1].label.position.x, 5);
+      navigator.waypoints.remove(0);
+      assert.deepEqual(labelTexts(navigator), ['#1', '#2', '#3']);
+      assert.notInclude(navigator.children, last);
+    });
+
+    it('shows the new name of a waypoint', function() {
+      var navigator = makeNavigator([makePose(0, 0)]);
+      navigator.setWaypointMeta(0, {name: 'charger'});
+      assert.deepEqual(labelTexts(navigator), ['#1 charger']);
+    });
+
+    it('colors the label of a highlighted node', function() {
+      var navigator = makeNavigator([makePose(0, 0), makePose(1, 0)], {highlightColor: 0x123456, labelColor: '#abcdef'});
+      navigator.highlightNodeAtIndex(1);
+      assert.equal(navigator.nodeMarkerList[1].label.color, '#123456');
+      assert.equal(navigator.nodeMarkerList[0].label.color, '#abcdef');
+      navigator.unhighlightNodeAtIndex(1);
+      assert.equal(navigator.nodeMarkerList[1].label.color, '#abcdef');
+    });
+
+    it('follows a dragged node', function() {
+      var navigator = makeNavigator([makePose(0, 0), makePose(2, 0)]);
+      navigator.activate();
+      navigator.updateMatrixWorld(true);
+      navigator.mouseEventHandler(mouseEvent('mousedown', 2, 0));
+      navigator.mouseEventHandler(mouseEvent('mousemove', 2, 1));
+      assertAt(navigator.nodeMarkerList[1].label.position, 2, 1);
+      navigator.mouseEventHandler(mouseEvent('mousemove', 2, 2));
+      navigator.mouseEventHandler(mouseEvent('mouseup', 2, 2));
+      assertAt(navigator.goalList[1].position, 2, 2);
+      assertAt(navigator.nodeMarkerList[1].label.position, 2, 2);
+    });
+
+    it('uses labelText, and can be hidden', function() {
+      var navigator = makeNavigator([makePose(0, 0), makePose(1, 0)], {labelText: function(item, index) {
+        return 'P' + index;
+      }});
+      assert.deepEqual(labelTexts(navigator), ['P0', 'P1']);
+
+      var label = navigator.nodeMarkerList[0].label;
+      navigator.setShowLabels(false);
+      assert.isUndefined(navigator.nodeMarkerList[0].label);
+      assert.notInclude(navigator.children, label);
+      navigator.waypoints.add(makePose(2, 0));
+      assert.isUndefined(navigator.nodeMarkerList[2].label);
+
+      navigator.setShowLabels(true);
+      assert.deepEqual(labelTexts(navigator), ['P0', 'P1', 'P2']);
+      assert.isUndefined(makeNavigator([makePose(0, 0)], {showLabels: false}).nodeMarkerList[0].label);
+    });
+  });
+
+});
@@ -0,0 +1,138 @@
+var assert = chai.assert;
+
+describe('OccupancyGridClientNav', function() {
+  var ros = new ROSLIB.Ros();
+
+  // a tf client recording the subscribed frames
+  var makeTFClient = function() {
+    return {
+      fixedFrame : 'map',
+      frames : {},
+      subscribe : function(frameID, callback) {
+        this.frames[frameID] = callback;
+      },
+      unsubscribe : function(frameID) {
+        delete this.frames[frameID];
+      },
+    };
+  };
+
+  var makeClient = function(options) {
+    var client = new ROS3D.OccupancyGridClientNav(Object.assign({
+      ros : ros,
+      tfClient : makeTFClient(),
+      rootObject : new THREE.Object3D(),
+    }, options));
+    client.events = [];
+    client.on('robotChange', function(event) {
+      client.events.push(event);
+    });
+    return client;
+  };
+
+  var makePose = function(x, y) {
+    return new ROSLIB.Pose({position: {x: x, y: y, z: 0}, orientation: {x: 0, y: 0, z: 0, w: 1}});
+  };
+
+  describe('robots', function() {
+    it('creates the navigators of a robot when it is added, bound to its namespace', function() {
+      var client = makeClient({navOptions: {planPreview: true}});
+      client.addRobot('robot1', {color: 0x00ff00});
+      client.addRobot('robot2', {namespace: 'fleet/robot2', navOptions: {navBackend: 'ros2'}});
+
+      var goal1 = client.toolManager.tools['robot1/goal'];
+      assert.instanceOf(goal1, ROS3D.Navigator);
+      assert.instanceOf(client.toolManager.tools['robot1/waypoints'], ROS3D.Navigator_MW);
+      assert.include(client.toolManager.children, goal1);
+      assert.include(client.toolManager.children, client.toolManager.tools['robot2/waypoints']);
+      assert.deepEqual(client.getRobotNames(), ['robot1', 'robot2']);
+      assert.isNull(client.activeRobot);
+
+      assert.equal(goal1.robotName, 'robot1');
+      assert.equal(goal1.color, 0x00ff00);
+      assert.equal(goal1.actionClient.serverName, '/robot1/move_base');
+      assert.equal(goal1.planClient.name, '/robot1/move_base/make_plan');
+      assert.equal(goal1.robotBaseFrame, 'robot1/base_link');
+      assert.isOk(client.tfClient.frames['robot1/base_link']);
+
+      var goal2 = client.getRobotNavigator('robot2');
+      assert.equal(goal2.actionClient.serverName, '/fleet/robot2/navigate_to_pose');
+      assert.equal(goal2.robotBaseFrame, 'fleet/robot2/base_link');
+      assert.equal(client.getRobotNavigator('robot2', 'waypoints').robotName, 'robot2');
+    });
+
+    it('renders the goals of every robot, selecting a robot only switches the active tool', function() {
+      var client = makeClient();
+      client.addRobot('robot1');
+      client.addRobot('robot2');
+      var navigator1 = client.getRobotNavigator('robot1');
+      var navigator2 = client.getRobotNavigator('robot2');
+      navigator1.sendGoal(makePose(1, 2));
+      navigator2.sendGoal(makePose(3, 4));
+
+      client.selectRobot('robot1');
+      assert.strictEqual(client.navigator, navigator1);
+      assert.isTrue(navigator1.isActive);
+      client.selectRobot('robot2');
+      assert.strictEqual(client.navigator, navigator2);
+      assert.isFalse(navigator1.isActive);
+      assert.isTrue(navigator2.isActive);
+
+      // both goals are still shown
+      assert.include(navigator1.children, navigator1.goalMarker);
+      assert.include(client.toolManager.children, navigator1);
+      assert.include(client.toolManager.children, navigator2);
+      assert.strictEqual(client.getRobotNavigator('robot1'), navigator1);
+      assert.deepEqual(client.events, [{previous: null, current: 'robot1'}, {previous: 'robot1', current: 'robot2'}]);
+    });
+
+    it('keeps the kind of navigator when switching robots', function() {
+      var client = makeClient();
+      client.addRobot('robot1');
+      client.addRobot('robot2');
+      client.selectRobot('robot1', 'waypoints');
+      client.selectRobot('robot2');
+      assert.strictEqual(client.navigator, client.getRobotNavigator('robot2', 'waypoints'));
+      assert.throws(function() {
+        client.selectRobot('robot3');
+      }, /not registered/);
+    });
+
+    it('removes a robot and its navigators', function() {
+      var client = makeClient({navOptions: {planPreview: true}});
+      client.addRobot('robot1');
+      client.addRobot('robot2');
+      var navigator1 = client.getRobotNavigator('robot1');
+      client.selectRobot('robot1');
+      client.removeRobot('robot1');
+
+      assert.deepEqual(client.getRobotNames(), ['robot2']);
+      assert.isNull(client.activeRobot);
+      assert.isNull(client.navigator);
+      assert.isFalse(client.toolManager.hasTool('robot1/goal'));
+      assert.isFalse(client.toolManager.hasTool('robot1/waypoints'));
+      assert.notInclude(client.toolManager.children, navigator1);
+      assert.isUndefined(client.tfClient.frames['robot1/base_link']);
+      assert.deepEqual(client.events[1], {previous: 'robot1', current: null});
+    });
+
+    it('adding a robot again replaces its navigators', function() {
+      var client = makeClient();
+      client.addRobot('robot1');
+      var navigator = client.getRobotNavigator('robot1');
+      client.addRobot('robot1', {color: 0x123456});
+      assert.notStrictEqual(client.getRobotNavigator('robot1'), navigator);
+      assert.notInclude(client.toolManager.children, navigator);
+      assert.equal(client.getRobotNavigator('robot1').color, 0x123456);
+    });
+
+    it('registers the robots of the options, and needs a tfClient', function() {
+      var client = makeClient({robots: {robot1: {}, robot2: {}}});
+      assert.deepEqual(client.getRobotNames(), ['robot1', 'robot2']);
+      assert.throws(function() {
+        makeClient({tfClient: null, robots: {robot1: {}}});
+      }, /tfClient is needed/);
+    });
+  });
+
+});
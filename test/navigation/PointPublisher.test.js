@@ -0,0 +1,137 @@
+var assert = chai.assert;
+
+describe('PointPublisher', function() {
+  var ros = new ROSLIB.Ros();
+
+  // the event3D of a left mouse button event at the point (x, y) of the map plane
+  var mouseEvent = function(type, x, y) {
+    return {
+      type : type,
+      domEvent : { type: type, button: 0, buttons: (type === 'mouseup') ? 0 : 1 },
+      intersection : { point: new THREE.Vector3(x, y, 0) },
+      stopPropagation : function() {},
+      forceExitToFallbackTarget : function() {},
+    };
+  };
+
+  // a publisher recording its published messages and the events of its root object
+  var makePublisher = function(navOptions) {
+    var rootObject = new EventEmitter2();
+    rootObject.events = [];
+    rootObject.onAny(function(name, event) {
+      if (name !== 'change') {
+        rootObject.events.push([name, event]);
+      }
+    });
+    var publisher = new ROS3D.PointPublisher({
+      ros : ros,
+      rootObject : rootObject,
+      navOptions : Object.assign({navInitState: true, markerLifetime: 0}, navOptions),
+    });
+    publisher.published = [];
+    publisher.pointTopic.publish = function(message) {
+      publisher.published.push(message);
+    };
+    return publisher;
+  };
+
+  // click at (x, y) by dispatching the events on the given object
+  var click = function(object, x, y) {
+    object.dispatchEvent(mouseEvent('mousedown', x, y));
+    object.dispatchEvent(mouseEvent('mouseup', x, y));
+  };
+
+  it('publishes the clicked point and emits pointPublished', function() {
+    var publisher = makePublisher();
+    assert.equal(publisher.pointTopic.name, '/clicked_point');
+    assert.equal(publisher.pointTopic.messageType, 'geometry_msgs/PointStamped');
+
+    publisher.mouseEventHandler(mouseEvent('mousedown', 1, 2));
+    publisher.mouseEventHandler(mouseEvent('mouseup', 1, 2));
+
+    var message = {header: {frame_id: 'map'}, point: {x: 1, y: 2, z: 0}};
+    assert.deepEqual(publisher.published, [message]);
+    assert.deepEqual(publisher.rootObject.events, [['pointPublished', message]]);
+    assert.include(publisher.children, publisher.pointMarker);
+  });
+
+  it('ignores the mouse when it is not active', function() {
+    var publisher = makePublisher({navInitState: false});
+    publisher.mouseEventHandler(mouseEvent('mousedown', 1, 2));
+    publisher.mouseEventHandler(mouseEvent('mouseup', 1, 2));
+    assert.deepEqual(publisher.published, []);
+  });
+
+  it('handles the clicks on the attached objects until detached', function() {
+    var publisher = makePublisher();
+    var object = new THREE.Object3D();
+    publisher.attachTo(object);
+    click(object, 3, 4);
+    assert.equal(publisher.published.length, 1);
+    assert.deepEqual(publisher.published[0].point, {x: 3, y: 4, z: 0});
+
+    publisher.detach();
+    click(object, 3, 4);
+    assert.equal(publisher.published.length, 1);
+    assert.deepEqual(publisher.attachedObjects, []);
+  });
+
+  it('handles an event only once when it comes from the map and an attached object', function() {
+    var publisher = makePublisher();
+    var object = new THREE.Object3D();
+    publisher.attachTo(object);
+    var mousedown = mouseEvent('mousedown', 1, 2);
+    var mouseup = mouseEvent('mouseup', 1, 2);
+    object.dispatchEvent(mousedown);
+    publisher.mouseEventHandler(mousedown);
+    object.dispatchEvent(mouseup);
+    publisher.mouseEventHandler(mouseup);
+    assert.equal(publisher.published.length, 1);
+  });
+
+  it('removes the marker after markerLifetime', function() {
+    var publisher = makePublisher({markerLifetime: 5});
+    publisher.publishPoint(new THREE.Vector3(1, 2, 0));
+    assert.isOk(publisher.pointMarker);
+    return new Promise(function(resolve) {
+      setTimeout(resolve, 20);
+    }).then(function() {
+      assert.isNull(publisher.pointMarker);
+      assert.equal(publisher.children.length, 0);
+    });
+  });
+
+  it('dispose detaches it and removes the marker', function() {
+    var publisher = makePublisher({markerLifetime: 1000});
+    var object = new THREE.Object3D();
+    publisher.attachTo(object);
+    click(object, 1, 2);
+    assert.isOk(publisher.markerTimer);
+
+    publisher.dispose();
+    assert.isFalse(publisher.isActive);
+    assert.isNull(publisher.pointMarker);
+    assert.isNull(publisher.markerTimer);
+    assert.equal(publisher.children.length, 0);
+
+    // even when activated again, the clicks on the formerly attached object are not published
+    publisher.activate();
+    click(object, 3, 4);
+    assert.equal(publisher.published.length, 1);
+  });
+
+  it('is disposed when unregistered from the MapToolManager', function() {
+    var publisher = makePublisher();
+    var manager = new ROS3D.MapToolManager({rootObject: publisher.rootObject});
+    var object = new THREE.Object3D();
+    publisher.attachTo(object);
+    manager.registerTool('point', publisher);
+    manager.setActiveTool('point');
+    manager.unregisterTool('point');
+
+    click(object, 1, 2);
+    assert.deepEqual(publisher.published, []);
+    assert.deepEqual(publisher.attachedObjects, []);
+  });
+
+});
@@ -0,0 +1,116 @@
+var assert = chai.assert;
+
+describe('PoseEstimator', function() {
+  var ros = new ROSLIB.Ros();
+
+  // a camera looking down at the map plane
+  var camera = new THREE.PerspectiveCamera(60, 1, 0.1, 100);
+  camera.position.set(0, 0, 10);
+  camera.lookAt(0, 0, 0);
+  camera.updateMatrixWorld(true);
+  var mapPlane = { plane: new THREE.Plane(new THREE.Vector3(0, 0, 1), 0) };
+
+  // the event3D of a left mouse button event at the point (x, y) of the map plane
+  var mouseEvent = function(type, x, y) {
+    var point = new THREE.Vector3(x, y, 0);
+    var mousePos = point.clone().project(camera);
+    return {
+      type : type,
+      domEvent : { type: type, button: 0, buttons: (type === 'mouseup') ? 0 : 1 },
+      mousePos : new THREE.Vector2(mousePos.x, mousePos.y),
+      camera : camera,
+      intersection : { point: point, object: mapPlane },
+      stopPropagation : function() {},
+      forceExitToFallbackTarget : function() {},
+    };
+  };
+
+  // an estimator recording its published messages and the events of its root object
+  var makeEstimator = function(navOptions) {
+    var rootObject = new EventEmitter2();
+    rootObject.events = [];
+    rootObject.onAny(function(name, event) {
+      if (name !== 'change') {
+        rootObject.events.push([name, event]);
+      }
+    });
+    var estimator = new ROS3D.PoseEstimator({
+      ros : ros,
+      rootObject : rootObject,
+      navOptions : Object.assign({navInitState: true}, navOptions),
+    });
+    estimator.published = [];
+    estimator.poseTopic.publish = function(message) {
+      estimator.published.push(message);
+    };
+    return estimator;
+  };
+
+  it('publishes the clicked position, oriented towards the release point', function() {
+    var estimator = makeEstimator();
+    assert.equal(estimator.poseTopic.name, '/initialpose');
+    assert.equal(estimator.poseTopic.messageType, 'geometry_msgs/PoseWithCovarianceStamped');
+
+    estimator.mouseEventHandler(mouseEvent('mousedown', 1, 2));
+    assert.isOk(estimator.estimateMarker);
+    estimator.mouseEventHandler(mouseEvent('mousemove', 1, 2.5));
+    estimator.mouseEventHandler(mouseEvent('mouseup', 1, 3));
+
+    assert.equal(estimator.published.length, 1);
+    var message = estimator.published[0];
+    assert.equal(message.header.frame_id, 'map');
+    assert.deepEqual(message.pose.pose.position, {x: 1, y: 2, z: 0});
+    assert.closeTo(message.pose.pose.orientation.z, Math.SQRT1_2, 1e-6);
+    assert.closeTo(message.pose.pose.orientation.w, Math.SQRT1_2, 1e-6);
+    assert.equal(message.pose.covariance.length, 36);
+    assert.equal(message.pose.covariance[0], 0.25);
+    assert.equal(message.pose.covariance[7], 0.25);
+    assert.deepEqual(estimator.rootObject.events, [['poseEstimate', message]]);
+    estimator.clearMarker();
+  });
+
+  it('uses the given topic and covariance', function() {
+    var covariance = new Array(36).fill(0.1);
+    var estimator = makeEstimator({poseEstimateTopic: '/robot1/initialpose', covariance: covariance});
+    assert.equal(estimator.poseTopic.name, '/robot1/initialpose');
+    estimator.publishEstimate(new ROSLIB.Pose());
+    assert.deepEqual(estimator.published[0].pose.covariance, covariance);
+    assert.notStrictEqual(estimator.published[0].pose.covariance, covariance);
+    estimator.clearMarker();
+  });
+
+  it('throws on a covariance without 36 elements', function() {
+    assert.throws(function() {
+      makeEstimator({covariance: [1, 2, 3]});
+    }, /36 elements/);
+  });
+
+  it('removes the marker of the estimate after markerLifetime', function() {
+    var estimator = makeEstimator({markerLifetime: 5});
+    estimator.publishEstimate(new ROSLIB.Pose());
+    assert.include(estimator.children, estimator.estimateMarker);
+    return new Promise(function(resolve) {
+      setTimeout(resolve, 20);
+    }).then(function() {
+      assert.isNull(estimator.estimateMarker);
+      assert.equal(estimator.children.length, 0);
+    });
+  });
+
+  it('keeps the marker with a markerLifetime of 0', function() {
+    var estimator = makeEstimator({markerLifetime: 0});
+    estimator.publishEstimate(new ROSLIB.Pose());
+    assert.isNull(estimator.markerTimer);
+    assert.isOk(estimator.estimateMarker);
+  });
+
+  it('ignores the mouse when it is not active', function() {
+    var estimator = makeEstimator();
+    estimator.deactivate();
+    estimator.mouseEventHandler(mouseEvent('mousedown', 1, 2));
+    estimator.mouseEventHandler(mouseEvent('mouseup', 1, 3));
+    assert.deepEqual(estimator.published, []);
+    assert.isNull(estimator.estimateMarker);
+  });
+
+});
@@ -0,0 +1,218 @@
+var assert = chai.assert;
+
+describe('ROS2ActionClient', function() {
+
+  // a ros connection recording the messages sent to rosbridge
+  var makeRos = function() {
+    var ros = new EventEmitter2();
+    ros.idCounter = 0;
+    ros.sent = [];
+    ros.callOnConnection = function(message) {
+      ros.sent.push(message);
+    };
+    return ros;
+  };
+
+  var makePose = function(x, y) {
+    return new ROSLIB.Pose({position: {x: x, y: y, z: 0}, orientation: {x: 0, y: 0, z: 0, w: 1}});
+  };
+
+  var makeGoal = function(ros) {
+    var client = new ROS3D.ROS2ActionClient({
+      ros : ros,
+      serverName : '/navigate_to_pose',
+      actionName : 'nav2_msgs/action/NavigateToPose',
+    });
+    var goal = ROS3D.createActionGoal(client, {pose: {}});
+    goal.statuses = [];
+    goal.on('status', function(status) {
+      goal.statuses.push(status.status);
+    });
+    return goal;
+  };
+
+  describe('goal', function() {
+    it('sends a send_action_goal with feedback, and cancels with cancel_action_goal', function() {
+      var ros = makeRos();
+      var goal = makeGoal(ros);
+      assert.instanceOf(goal, ROS3D.ROS2ActionGoal);
+      assert.equal(goal.goalID, 'send_action_goal:/navigate_to_pose:1');
+
+      goal.send();
+      goal.cancel();
+      assert.deepEqual(ros.sent, [{
+        op : 'send_action_goal',
+        id : goal.goalID,
+        action : '/navigate_to_pose',
+        action_type : 'nav2_msgs/action/NavigateToPose',
+        args : {pose: {}},
+        feedback : true,
+      }, {
+        op : 'cancel_action_goal',
+        id : goal.goalID,
+        action : '/navigate_to_pose',
+      }]);
+    });
+
+    it('becomes active on the first feedback', function() {
+      var ros = makeRos();
+      var goal = makeGoal(ros);
+      var feedbacks = [];
+      goal.on('feedback', function(feedback) {
+        feedbacks.push(feedback);
+      });
+      goal.send();
+      ros.emit(goal.goalID, {op: 'action_feedback', values: {distance_remaining: 2}});
+      ros.emit(goal.goalID, {op: 'action_feedback', values: {distance_remaining: 1}});
+      assert.deepEqual(goal.statuses, [ROS3D.GOAL_STATUS_ACTIVE]);
+      assert.deepEqual(feedbacks, [{distance_remaining: 2}, {distance_remaining: 1}]);
+      assert.deepEqual(goal.feedback, {distance_remaining: 1});
+    });
+
+    it('finishes on the result, with the status converted to actionlib_msgs/GoalStatus', function() {
+      var ros = makeRos();
+      var goal = makeGoal(ros);
+      var results = [];
+      goal.on('result', function(result) {
+        results.push(result);
+      });
+      goal.send();
+      ros.emit(goal.goalID, {op: 'action_result', status: 5, values: {}, result: true});
+      ros.emit(goal.goalID, {op: 'action_feedback', values: {}});
+      assert.deepEqual(goal.statuses, [ROS3D.GOAL_STATUS_PREEMPTED]);
+      assert.deepEqual(results, [{}]);
+      assert.isTrue(goal.isFinished);
+      assert.equal(ros.listeners(goal.goalID).length, 0);
+    });
+
+    it('converts the statuses of action_msgs/GoalStatus', function() {
+      var goal = makeGoal(makeRos());
+      assert.equal(goal.convertStatus({status: 1}), ROS3D.GOAL_STATUS_PENDING);
+      assert.equal(goal.convertStatus({status: 2}), ROS3D.GOAL_STATUS_ACTIVE);
+      assert.equal(goal.convertStatus({status: 3}), ROS3D.GOAL_STATUS_PREEMPTING);
+      assert.equal(goal.convertStatus({status: 4}), ROS3D.GOAL_STATUS_SUCCEEDED);
+      assert.equal(goal.convertStatus({status: 6}), ROS3D.GOAL_STATUS_ABORTED);
+      assert.equal(goal.convertStatus({status: 0}), ROS3D.GOAL_STATUS_LOST);
+      // rosbridge without the status in its results
+      assert.equal(goal.convertStatus({result: true}), ROS3D.GOAL_STATUS_SUCCEEDED);
+      assert.equal(goal.convertStatus({result: false}), ROS3D.GOAL_STATUS_ABORTED);
+    });
+
+    it('gives the error of a failed result as the status text', function() {
+      var ros = makeRos();
+      var goal = makeGoal(ros);
+      var status;
+      goal.on('status', function(s) {
+        status = s;
+      });
+      goal.send();
+      ros.emit(goal.goalID, {op: 'action_result', values: 'no valid path', result: false});
+      assert.deepEqual(status, {goal_id: {id: goal.goalID}, status: ROS3D.GOAL_STATUS_ABORTED, text: 'no valid path'});
+    });
+
+    it('emits timeout if the result does not come in time', function() {
+      var goal = makeGoal(makeRos());
+      var timedOut = false;
+      goal.on('timeout', function() {
+        timedOut = true;
+      });
+      goal.send(5);
+      return new Promise(function(resolve) {
+        setTimeout(resolve, 20);
+      }).then(function() {
+        assert.isTrue(timedOut);
+      });
+    });
+  });
+
+  describe('goal message builders', function() {
+    var navigator = {navigatorFrameID: 'map', goalPriority: 1};
+
+    it('finds the builder of the action type', function() {
+      assert.strictEqual(ROS3D.getGoalMessageBuilder(null, 'move_base_msgs/MoveBaseAction'), ROS3D.goalMessageBuilders.move_base);
+      assert.strictEqual(ROS3D.getGoalMessageBuilder(null, 'roamer_msgs/MoveBaseAction'), ROS3D.goalMessageBuilders.roamer);
+      assert.strictEqual(ROS3D.getGoalMessageBuilder(null, 'nav2_msgs/action/NavigateToPose'), ROS3D.goalMessageBuilders.navigate_to_pose);
+      assert.strictEqual(ROS3D.getGoalMessageBuilder(null, 'nav2_msgs/NavigateThroughPoses'), ROS3D.goalMessageBuilders.navigate_through_poses);
+    });
+
+    it('takes a builder function or the name of a builder', function() {
+      var builder = function(pose) {
+        return {goal: pose};
+      };
+      assert.strictEqual(ROS3D.getGoalMessageBuilder(builder, 'move_base_msgs/MoveBaseAction'), builder);
+      assert.strictEqual(ROS3D.getGoalMessageBuilder('roamer', 'move_base_msgs/MoveBaseAction'), ROS3D.goalMessageBuilders.roamer);
+      assert.throws(function() {
+        ROS3D.getGoalMessageBuilder('missing');
+      }, /Unknown goal message builder/);
+    });
+
+    it('builds the Nav2 goals', function() {
+      var poseStamped = {
+        header : {frame_id: 'map'},
+        pose : {position: {x: 1, y: 2, z: 0}, orientation: {x: 0, y: 0, z: 0, w: 1}},
+      };
+      assert.deepEqual(ROS3D.goalMessageBuilders.navigate_to_pose(makePose(1, 2), navigator),
+                       {pose: poseStamped, behavior_tree: ''});
+      assert.deepEqual(ROS3D.goalMessageBuilders.navigate_through_poses([makePose(1, 2), makePose(1, 2)], navigator),
+                       {poses: [poseStamped, poseStamped], behavior_tree: ''});
+    });
+
+    it('builds the move_base goals, with the priority of the pose for roamer_msgs', function() {
+      var pose = makePose(1, 2);
+      assert.deepEqual(Object.keys(ROS3D.goalMessageBuilders.move_base(pose, navigator)), ['target_pose']);
+      assert.equal(ROS3D.goalMessageBuilders.roamer(pose, navigator).priority_val, 1);
+      pose.priority = 0;
+      assert.equal(ROS3D.goalMessageBuilders.roamer(pose, navigator).priority_val, 0);
+    });
+  });
+
+  describe('Nav2 backend of the navigators', function() {
+    it('Navigator sends NavigateToPose goals', function() {
+      var ros = makeRos();
+      var navigator = new ROS3D.Navigator({
+        ros : ros,
+        rootObject : new EventEmitter2(),
+        navOptions : {navBackend: 'ros2'},
+      });
+      assert.instanceOf(navigator.actionClient, ROS3D.ROS2ActionClient);
+      navigator.sendGoal(makePose(1, 2));
+      assert.equal(ros.sent[0].action, '/navigate_to_pose');
+      assert.equal(ros.sent[0].action_type, 'nav2_msgs/action/NavigateToPose');
+      assert.deepEqual(ros.sent[0].args.pose.pose.position, {x: 1, y: 2, z: 0});
+
+      ros.emit(navigator.currentGoal.goalID, {op: 'action_result', status: 4, values: {}, result: true});
+      assert.equal(navigator.goalStatus, ROS3D.GOAL_STATUS_SUCCEEDED);
+    });
+
+    it('Navigator_MW sends the waypoints as a NavigateThroughPoses goal', function() {
+      var ros = makeRos();
+      var navigator = new ROS3D.Navigator_MW({
+        ros : ros,
+        rootObject : new EventEmitter2(),
+        waypoints : new ROS3D.WaypointList({items: [makePose(1, 2), makePose(3, 4)]}),
+        navOptions : {navBackend: 'ros2'},
+      });
+      var statuses = [];
+      navigator.rootObject.on('routeStatus', function(event) {
+        statuses.push(event.status);
+      });
+      var goal = navigator.sendRoute();
+      assert.equal(ros.sent[0].action, '/navigate_through_poses');
+      assert.equal(ros.sent[0].action_type, 'nav2_msgs/action/NavigateThroughPoses');
+      assert.deepEqual(ros.sent[0].args.poses.map(function(pose) {
+        return [pose.pose.position.x, pose.pose.position.y];
+      }), [[1, 2], [3, 4]]);
+
+      ros.emit(goal.goalID, {op: 'action_result', status: 4, values: {}, result: true});
+      assert.deepEqual(statuses, [ROS3D.GOAL_STATUS_SUCCEEDED]);
+      assert.isNull(navigator.currentRouteGoal);
+    });
+
+    it('rejects an unknown backend', function() {
+      assert.throws(function() {
+        new ROS3D.Navigator({ros: makeRos(), rootObject: new EventEmitter2(), navOptions: {navBackend: 'ros3'}});
+      }, /Unknown navigation backend/);
+    });
+  });
+
+});
@@ -0,0 +1,382 @@
+var assert = chai.assert;
+
+describe('RoadmapEditor', function() {
+  var ros = new ROSLIB.Ros();
+
+  // a camera looking down at the map plane
+  var camera = new THREE.PerspectiveCamera(60, 1, 0.1, 100);
+  camera.position.set(0, 0, 10);
+  camera.lookAt(0, 0, 0);
+  camera.updateMatrixWorld(true);
+  var mapPlane = { plane: new THREE.Plane(new THREE.Vector3(0, 0, 1), 0) };
+
+  // the event3D of a left mouse button event at the point (x, y) of the map plane, with the given modifier keys
+  var mouseEvent = function(type, x, y, modifiers) {
+    var point = new THREE.Vector3(x, y, 0);
+    var mousePos = point.clone().project(camera);
+    return {
+      type : type,
+      domEvent : Object.assign({ type: type, button: 0, buttons: (type === 'mouseup' || type === 'dblclick') ? 0 : 1 },
+                               modifiers),
+      mousePos : new THREE.Vector2(mousePos.x, mousePos.y),
+      camera : camera,
+      intersection : { point: point, object: mapPlane },
+      stopPropagation : function() {},
+      forceExitToFallbackTarget : function() {},
+    };
+  };
+
+  var click = function(editor, x, y) {
+    editor.mouseEventHandler(mouseEvent('mousedown', x, y));
+    editor.mouseEventHandler(mouseEvent('mouseup', x, y));
+  };
+
+  // press at from, move through points and release at the last one
+  var drag = function(editor, from, points, modifiers) {
+    editor.mouseEventHandler(mouseEvent('mousedown', from[0], from[1], modifiers));
+    points.forEach(function(point) {
+      editor.mouseEventHandler(mouseEvent('mousemove', point[0], point[1], modifiers));
+    });
+    var last = points[points.length - 1];
+    editor.mouseEventHandler(mouseEvent('mouseup', last[0], last[1], modifiers));
+  };
+
+  // an editor recording the published messages per topic, and the events of its root object as [name, event]
+  var makeEditor = function(navOptions) {
+    var rootObject = new EventEmitter2();
+    rootObject.events = [];
+    rootObject.onAny(function(name, event) {
+      rootObject.events.push([name, event]);
+    });
+    var editor = new ROS3D.RoadmapEditor({
+      ros : ros,
+      rootObject : rootObject,
+      navOptions : Object.assign({navInitState: true}, navOptions),
+    });
+    editor.published = {};
+    // record the messages of the topics once created
+    var publishOn = editor.publishOn;
+    editor.publishOn = function(topicName, messageType, message) {
+      if (!editor.topics[topicName]) {
+        publishOn.call(editor, topicName, messageType, message);
+        editor.topics[topicName].publish = function(message) {
+          (editor.published[topicName] = editor.published[topicName] || []).push(message);
+        };
+      }
+      editor.topics[topicName].publish(message);
+    };
+    return editor;
+  };
+
+  var lastPublished = function(editor, topicName) {
+    var messages = editor.published[topicName] || [];
+    return messages[messages.length - 1];
+  };
+
+  var eventNames = function(editor) {
+    return editor.rootObject.events.map(function(event) {
+      return event[0];
+    });
+  };
+
+  describe('editing', function() {
+    it('adds nodes and edges with the default properties', function() {
+      var editor = makeEditor({defaultEdge: {laneWidth: 0.5}});
+      var a = editor.addNode({x: 0, y: 0}, 'dock');
+      var b = editor.addNode({x: 2, y: 0, z: 1});
+      var edge = editor.addEdge(a, b, {speedLimit: 0.3});
+
+      assert.deepEqual(editor.toJSON(), {
+        frame_id : 'map',
+        nodes : [{id: 1, name: 'dock', x: 0, y: 0, z: 0}, {id: 2, name: '', x: 2, y: 0, z: 1}],
+        edges : [{id: edge, from: a, to: b, bidirectional: true, speed_limit: 0.3, lane_width: 0.5}],
+      });
+      assert.include(eventNames(editor), 'roadmapChange');
+    });
+
+    it('rejects duplicate ids, unknown nodes, loops and invalid properties', function() {
+      var editor = makeEditor();
+      var a = editor.addNode({x: 0, y: 0}, '', 'a');
+      var b = editor.addNode({x: 1, y: 0}, '', 'b');
+      var edge = editor.addEdge(a, b);
+      assert.throws(function() {
+        editor.addNode({x: 2, y: 0}, '', 'a');
+      }, /Duplicate roadmap node id: a/);
+      assert.throws(function() {
+        editor.addEdge(a, 'c');
+      }, /Unknown roadmap node: c/);
+      assert.throws(function() {
+        editor.addEdge(a, a);
+      }, /to itself/);
+      assert.throws(function() {
+        editor.setEdgeProperties(edge, {speedLimit: 0});
+      }, /Invalid speed limit/);
+      assert.throws(function() {
+        editor.setEdgeProperties(edge, {laneWidth: -1});
+      }, /Invalid lane width/);
+      assert.throws(function() {
+        editor.setEdgeProperties(42, {});
+      }, /Unknown roadmap edge/);
+      assert.equal(editor.nodes.length, 2);
+      assert.equal(editor.edges.length, 1);
+    });
+
+    it('makes an edge bidirectional when connected the other way, keeping its other properties', function() {
+      var editor = makeEditor({defaultEdge: {bidirectional: false}});
+      var a = editor.addNode({x: 0, y: 0});
+      var b = editor.addNode({x: 1, y: 0});
+      var edge = editor.addEdge(a, b, {speedLimit: 1});
+      assert.isFalse(editor.getEdge(edge).bidirectional);
+      assert.strictEqual(editor.addEdge(a, b), edge);
+      assert.isFalse(editor.getEdge(edge).bidirectional);
+
+      assert.strictEqual(editor.addEdge(b, a), edge);
+      assert.equal(editor.edges.length, 1);
+      assert.isTrue(editor.getEdge(edge).bidirectional);
+      assert.equal(editor.getEdge(edge).speedLimit, 1);
+    });
+
+    it('deletes a node with its edges, deselecting it', function() {
+      var editor = makeEditor();
+      var a = editor.addNode({x: 0, y: 0});
+      var b = editor.addNode({x: 1, y: 0});
+      var c = editor.addNode({x: 0, y: 1});
+      editor.addEdge(a, b);
+      var kept = editor.addEdge(b, c);
+      editor.select('node', a);
+      assert.deepEqual(editor.getSelectedJSON(), {type: 'node', item: {id: a, name: '', x: 0, y: 0, z: 0}});
+
+      var deleted = editor.deleteNode(a);
+      assert.deepEqual(deleted.map(function(edge) {
+        return edge.id;
+      }), [1]);
+      assert.deepEqual(editor.edges.map(function(edge) {
+        return edge.id;
+      }), [kept]);
+      assert.isNull(editor.selected);
+      assert.deepEqual(editor.rootObject.events.filter(function(event) {
+        return event[0] === 'roadmapSelected';
+      }).map(function(event) {
+        return event[1] && event[1].type;
+      }), ['node', null]);
+      assert.deepEqual(editor.deleteNode(a), []);
+    });
+
+    it('deletes the selection and clears the roadmap', function() {
+      var editor = makeEditor();
+      var a = editor.addNode({x: 0, y: 0});
+      var b = editor.addNode({x: 1, y: 0});
+      var edge = editor.addEdge(a, b);
+      editor.select('edge', edge);
+      editor.deleteSelected();
+      assert.deepEqual(editor.edges, []);
+      assert.isNull(editor.selected);
+
+      editor.clearRoadmap();
+      assert.deepEqual(editor.toJSON().nodes, []);
+      // the ids go on
+      assert.equal(editor.addNode({x: 0, y: 0}), 3);
+    });
+  });
+
+  describe('JSON', function() {
+    var roadmap = {
+      frame_id : 'map',
+      nodes : [{id: 'a', name: 'dock', x: 0, y: 0, z: 0}, {id: 7, name: '', x: 2, y: 1, z: 0}],
+      edges : [{id: 'e', from: 'a', to: 7, bidirectional: false, speed_limit: null, lane_width: 1}],
+    };
+
+    it('loads a roadmap from its JSON and exports it back', function() {
+      var editor = makeEditor();
+      editor.addNode({x: 5, y: 5});
+      editor.loadJSON(JSON.stringify(roadmap));
+      assert.deepEqual(editor.toJSON(), roadmap);
+      // the numeric ids go on after the loaded ones
+      assert.equal(editor.addNode({x: 3, y: 3}), 8);
+    });
+
+    it('takes the missing edge properties from the default edge', function() {
+      var editor = makeEditor({defaultEdge: {speedLimit: 0.5}});
+      editor.loadJSON({nodes: roadmap.nodes, edges: [{from: 'a', to: 7}]});
+      assert.deepEqual(editor.toJSON().edges, [
+        {id: 1, from: 'a', to: 7, bidirectional: true, speed_limit: 0.5, lane_width: 0},
+      ]);
+    });
+
+    it('leaves the roadmap untouched when the JSON is invalid', function() {
+      var editor = makeEditor();
+      editor.loadJSON(roadmap);
+      var published = editor.published['/roadmap_markers'].length;
+      assert.throws(function() {
+        editor.loadJSON({nodes: roadmap.nodes, edges: [{from: 'a', to: 'missing'}]});
+      }, /Unknown roadmap node: missing/);
+      assert.throws(function() {
+        editor.loadJSON({edges: []});
+      }, /no nodes list/);
+      assert.throws(function() {
+        editor.loadJSON({nodes: [], edges: {}});
+      }, /edges are not a list/);
+      assert.deepEqual(editor.toJSON(), roadmap);
+      assert.equal(editor.published['/roadmap_markers'].length, published);
+      assert.isFalse(editor.loading);
+    });
+
+    it('publishes a loaded roadmap once', function() {
+      var editor = makeEditor();
+      editor.loadJSON(roadmap);
+      assert.equal(editor.published['/roadmap_markers'].length, 1);
+    });
+  });
+
+  describe('publishing', function() {
+    it('publishes the markers of the roadmap after each change', function() {
+      var editor = makeEditor();
+      var a = editor.addNode({x: 0, y: 0}, 'dock');
+      var b = editor.addNode({x: 2, y: 0});
+      editor.addEdge(a, b, {laneWidth: 0.5});
+      assert.equal(editor.published['/roadmap_markers'].length, 3);
+      assert.equal(editor.topics['/roadmap_markers'].messageType, 'visualization_msgs/MarkerArray');
+
+      var markers = lastPublished(editor, '/roadmap_markers').markers;
+      assert.equal(markers[0].action, 3);
+      var byNamespace = function(ns) {
+        return markers.filter(function(marker) {
+          return marker.ns === ns;
+        });
+      };
+      assert.deepEqual(byNamespace('roadmap_nodes')[0].points, [{x: 0, y: 0, z: 0}, {x: 2, y: 0, z: 0}]);
+      assert.deepEqual(byNamespace('roadmap_edges')[0].points, [{x: 0, y: 0, z: 0}, {x: 2, y: 0, z: 0}]);
+      // both ways
+      assert.equal(byNamespace('roadmap_directions').length, 2);
+      assert.equal(byNamespace('roadmap_lanes')[0].scale.x, 2);
+      assert.equal(byNamespace('roadmap_lanes')[0].scale.y, 0.5);
+      assert.deepEqual(byNamespace('roadmap_names').map(function(marker) {
+        return marker.text;
+      }), ['dock', '#2']);
+    });
+
+    it('publishes the roadmap on the graph topic with the message builder', function() {
+      var editor = makeEditor({markerTopic: null, graphTopic: '/roadmap'});
+      editor.addNode({x: 1, y: 2});
+      assert.isUndefined(editor.topics['/roadmap_markers']);
+      assert.equal(editor.topics['/roadmap'].messageType, 'std_msgs/String');
+      assert.deepEqual(JSON.parse(lastPublished(editor, '/roadmap').data), editor.toJSON());
+
+      var custom = makeEditor({
+        markerTopic : null,
+        graphTopic : '/graph',
+        graphMessageType : 'my_msgs/Graph',
+        graphMessageBuilder : function(roadmap, editor) {
+          return {count: roadmap.nodes.length, frame: editor.navigatorFrameID};
+        },
+      });
+      custom.addNode({x: 1, y: 2});
+      assert.equal(custom.topics['/graph'].messageType, 'my_msgs/Graph');
+      assert.deepEqual(lastPublished(custom, '/graph'), {count: 1, frame: 'map'});
+    });
+
+    it('publishes only when asked without autoPublish', function() {
+      var editor = makeEditor({autoPublish: false});
+      editor.addNode({x: 0, y: 0});
+      assert.deepEqual(editor.published, {});
+      editor.publish();
+      assert.equal(editor.published['/roadmap_markers'].length, 1);
+    });
+  });
+
+  describe('mouse', function() {
+    it('adds a node on a click, and connects two nodes by dragging from one to the other', function() {
+      var editor = makeEditor();
+      click(editor, 0, 0);
+      click(editor, 2, 0);
+      assert.deepEqual(editor.nodes.map(function(node) {
+        return [node.position.x, node.position.y];
+      }), [[0, 0], [2, 0]]);
+
+      drag(editor, [0.05, 0], [[1, 0.5], [1.95, 0.05]]);
+      assert.deepEqual(editor.toJSON().edges.map(function(edge) {
+        return [edge.from, edge.to];
+      }), [[1, 2]]);
+      assert.isTrue(editor.isSelected('edge', 1));
+      assert.isNull(editor.previewObject);
+    });
+
+    it('shows the edge being connected, and connects nothing when released away from a node', function() {
+      var editor = makeEditor();
+      editor.addNode({x: 0, y: 0});
+      editor.mouseEventHandler(mouseEvent('mousedown', 0, 0));
+      editor.mouseEventHandler(mouseEvent('mousemove', 1, 1));
+      assert.isOk(editor.previewObject);
+      assert.include(editor.children, editor.previewObject);
+      editor.mouseEventHandler(mouseEvent('mouseup', 1, 1));
+      assert.isNull(editor.previewObject);
+      assert.deepEqual(editor.edges, []);
+      assert.equal(editor.nodes.length, 1);
+    });
+
+    it('moves a node dragged with the move modifier, publishing once released', function() {
+      var editor = makeEditor();
+      var a = editor.addNode({x: 0, y: 0});
+      var published = editor.published['/roadmap_markers'].length;
+      drag(editor, [0, 0], [[1, 0], [1, 1]], {shiftKey: true});
+      assert.deepEqual(editor.toJSON().nodes[0], {id: a, name: '', x: 1, y: 1, z: 0});
+      assert.equal(editor.published['/roadmap_markers'].length, published + 1);
+      assert.deepEqual(editor.edges, []);
+    });
+
+    it('selects the clicked node or edge, and deselects on a click elsewhere', function() {
+      var editor = makeEditor();
+      var a = editor.addNode({x: 0, y: 0});
+      var b = editor.addNode({x: 2, y: 0});
+      var edge = editor.addEdge(a, b);
+      click(editor, 1, 0.1);
+      assert.isTrue(editor.isSelected('edge', edge));
+      click(editor, 2, 0);
+      assert.isTrue(editor.isSelected('node', b));
+      click(editor, 1, 3);
+      assert.isNull(editor.selected);
+      // nothing added by the deselecting click
+      assert.equal(editor.nodes.length, 2);
+    });
+
+    it('deletes the node or edge double clicked', function() {
+      var editor = makeEditor();
+      var a = editor.addNode({x: 0, y: 0});
+      var b = editor.addNode({x: 2, y: 0});
+      var c = editor.addNode({x: 2, y: 2});
+      editor.addEdge(a, b);
+      editor.addEdge(b, c);
+      editor.mouseEventHandler(mouseEvent('dblclick', 1, 0));
+      assert.deepEqual(editor.getNodeEdges(a), []);
+      editor.mouseEventHandler(mouseEvent('dblclick', 2, 2));
+      assert.isNull(editor.getNode(c));
+      assert.deepEqual(editor.edges, []);
+      assert.equal(editor.nodes.length, 2);
+    });
+
+    it('ignores the clicks when inactive, and ends a drag when deactivated', function() {
+      var editor = makeEditor({navInitState: false});
+      click(editor, 0, 0);
+      assert.deepEqual(editor.nodes, []);
+
+      editor.toggleActivation();
+      var a = editor.addNode({x: 0, y: 0});
+      editor.mouseEventHandler(mouseEvent('mousedown', 0, 0, {shiftKey: true}));
+      editor.mouseEventHandler(mouseEvent('mousemove', 1, 0, {shiftKey: true}));
+      var published = editor.published['/roadmap_markers'].length;
+      editor.toggleActivation();
+      assert.isFalse(editor.isActive);
+      assert.isNull(editor.dragState);
+      assert.equal(editor.published['/roadmap_markers'].length, published + 1);
+      assert.closeTo(editor.getNode(a).position.x, 1, 1e-9);
+
+      editor.activate();
+      editor.mouseEventHandler(mouseEvent('mousedown', 1, 0));
+      editor.mouseEventHandler(mouseEvent('mousemove', 2, 2));
+      editor.deactivate();
+      assert.isNull(editor.previewObject);
+      assert.deepEqual(editor.edges, []);
+    });
+  });
+
+});
@@ -0,0 +1,142 @@
+var assert = chai.assert;
+
+describe('RoutePreview', function() {
+  var pose = function(x, y, yaw, z) {
+    return { x: x, y: y, z: z || 0, yaw: yaw };
+  };
+
+  // poses all around, with all kinds of headings
+  var poses = [
+    pose(0, 0, 0), pose(2, 0.5, 0.3), pose(2.2, 2, 2.5), pose(-1, 1.5, -2), pose(-0.5, -1, Math.PI),
+    pose(0.3, -0.2, 1.2), pose(3, -2, -0.7), pose(3.1, -1.8, 2.9),
+  ];
+
+  // the pose at the end of a path from p0, following its segments
+  var followPath = function(preview, p0, path) {
+    var current = { x: p0.x, y: p0.y, yaw: p0.yaw };
+    path.segments.forEach(function(segment) {
+      preview.movePose(current, segment[0], segment[1], preview.turningRadius);
+    });
+    return current;
+  };
+
+  var assertSamePose = function(preview, actual, expected) {
+    assert.closeTo(actual.x, expected.x, 1e-6);
+    assert.closeTo(actual.y, expected.y, 1e-6);
+    assert.closeTo(preview.modPi(actual.yaw - expected.yaw), 0, 1e-6);
+  };
+
+  ['dubins', 'reedsShepp'].forEach(function(mode) {
+    it(mode + ' paths end at the pose, with its heading', function() {
+      var preview = new ROS3D.RoutePreview({mode: mode, turningRadius: 0.4});
+      poses.forEach(function(p0) {
+        poses.forEach(function(p1) {
+          if (p0 === p1) {
+            return;
+          }
+          var path = (mode === 'dubins') ? preview.getDubinsPath(p0, p1) : preview.getReedsSheppPath(p0, p1);
+          assert.isAbove(path.segments.length, 0);
+          assertSamePose(preview, followPath(preview, p0, path), p1);
+        });
+      });
+    });
+
+    it(mode + ' segments are sampled from the first pose to the second one', function() {
+      var preview = new ROS3D.RoutePreview({mode: mode, turningRadius: 0.4});
+      var result = preview.update([pose(0, 0, 0, 0), pose(2, 1, 1, 0.5), pose(-1, 2, 3)]);
+      assert.equal(result.segments.length, 2);
+      result.segments.forEach(function(segment, i) {
+        var points = segment.points;
+        assert.deepEqual([segment.from, segment.to], [i, i + 1]);
+        assert.closeTo(points[0].x, [0, 2][i], 1e-6);
+        assert.closeTo(points[points.length - 1].x, [2, -1][i], 1e-6);
+        assert.closeTo(points[points.length - 1].y, [1, 2][i], 1e-6);
+      });
+      assert.closeTo(result.segments[0].points[result.segments[0].points.length - 1].z, 0.5, 1e-6);
+      assert.closeTo(result.length, result.segments[0].length + result.segments[1].length, 1e-9);
+      assert.equal(preview.children.length, 2);
+    });
+  });
+
+  it('the shortest path to a pose straight ahead is the straight line', function() {
+    ['dubins', 'reedsShepp'].forEach(function(mode) {
+      var preview = new ROS3D.RoutePreview({mode: mode, turningRadius: 0.5});
+      var segment = preview.update([pose(0, 0, 0), pose(2, 0, 0)]).segments[0];
+      assert.closeTo(segment.length, 2, 1e-6);
+      assert.isFalse(segment.flagged);
+    });
+  });
+
+  it('dubins flags a pose behind the robot, reedsShepp backs up to it', function() {
+    var route = [pose(0, 0, 0), pose(-1, 0, 0)];
+    var result = new ROS3D.RoutePreview({mode: 'dubins'}).update(route);
+    assert.isTrue(result.segments[0].flagged);
+    assert.deepEqual(result.flagged, [1]);
+
+    result = new ROS3D.RoutePreview({mode: 'reedsShepp'}).update(route);
+    assert.closeTo(result.segments[0].length, 1, 1e-6);
+    assert.isFalse(result.segments[0].flagged);
+    assert.deepEqual(result.flagged, []);
+  });
+
+  it('flags a pose that needs a detour longer than maxDetour', function() {
+    // a U-turn to a pose 1m to the left: a half circle of radius 0.5 is 1.57 times the distance
+    var route = [pose(0, 0, 0), pose(0, 1, Math.PI)];
+    var result = new ROS3D.RoutePreview({turningRadius: 0.5}).update(route);
+    assert.closeTo(result.segments[0].length, Math.PI / 2, 1e-6);
+    assert.deepEqual(result.flagged, []);
+
+    result = new ROS3D.RoutePreview({turningRadius: 0.5, maxDetour: 1.5}).update(route);
+    assert.deepEqual(result.flagged, [1]);
+
+    // too tight for a larger turning radius
+    result = new ROS3D.RoutePreview({turningRadius: 1}).update(route);
+    assert.deepEqual(result.flagged, [1]);
+  });
+
+  it('draws the flagged segments with flaggedColor', function() {
+    var preview = new ROS3D.RoutePreview({color: 0x0000ff, flaggedColor: 0xff0000});
+    preview.update([pose(0, 0, 0), pose(2, 0, 0), pose(1, 0, 0)]);
+    assert.deepEqual(preview.children.map(function(line) {
+      return line.material.color.getHex();
+    }), [0x0000ff, 0xff0000]);
+  });
+
+  it('a closed route goes back to the first pose', function() {
+    var preview = new ROS3D.RoutePreview();
+    var route = [pose(0, 0, 0), pose(2, 0, Math.PI / 2), pose(2, 2, Math.PI)];
+    var result = preview.update(route, true);
+    assert.deepEqual(result.segments.map(function(segment) {
+      return [segment.from, segment.to];
+    }), [[0, 1], [1, 2], [2, 0]]);
+    assert.equal(preview.update(route.slice(0, 2), true).segments.length, 1);
+  });
+
+  it('catmullRom goes through the positions and flags the turns tighter than the turning radius', function() {
+    var preview = new ROS3D.RoutePreview({mode: 'catmullRom', turningRadius: 0.5});
+    var result = preview.update([pose(0, 0, 0), pose(2, 0, 0), pose(4, 0.2, 0)]);
+    var last = result.segments[1].points[result.segments[1].points.length - 1];
+    assert.closeTo(result.segments[0].points[0].x, 0, 1e-6);
+    assert.closeTo(last.x, 4, 1e-6);
+    assert.closeTo(last.y, 0.2, 1e-6);
+    assert.deepEqual(result.flagged, []);
+
+    // a sharp zigzag
+    result = preview.update([pose(0, 0, 0), pose(1, 0, 0), pose(0, 0.2, 0)]);
+    assert.include(result.flagged, 2);
+  });
+
+  it('throws on an unknown mode', function() {
+    assert.throws(function() {
+      return new ROS3D.RoutePreview({mode: 'spline'});
+    }, /Unknown route preview mode/);
+  });
+
+  it('dispose removes the lines', function() {
+    var preview = new ROS3D.RoutePreview();
+    preview.update([pose(0, 0, 0), pose(1, 0, 0)]);
+    preview.dispose();
+    assert.equal(preview.children.length, 0);
+  });
+
+});
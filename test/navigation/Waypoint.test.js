@@ -0,0 +1,61 @@
+var assert = chai.assert;
+
+describe('Waypoint', function() {
+  var action = function() {
+    return Promise.resolve();
+  };
+
+  var makeWaypoint = function() {
+    return new ROS3D.Waypoint({
+      position : {x: 1, y: 2, z: 0.5},
+      orientation : {x: 0, y: 0, z: 0.6, w: 0.8},
+      name : 'dock',
+      dwellTime : 3,
+      tolerance : 0.2,
+      priority : 2,
+      action : action,
+    });
+  };
+
+  it('is a ROSLIB.Pose with a copy of the position and orientation', function() {
+    var position = {x: 1, y: 2, z: 0.5};
+    var waypoint = new ROS3D.Waypoint({position: position});
+    position.x = 5;
+    assert.instanceOf(waypoint, ROSLIB.Pose);
+    assert.instanceOf(waypoint.position, ROSLIB.Vector3);
+    assert.instanceOf(waypoint.orientation, ROSLIB.Quaternion);
+    assert.deepEqual([waypoint.position.x, waypoint.position.y, waypoint.position.z], [1, 2, 0.5]);
+    assert.deepEqual([waypoint.orientation.z, waypoint.orientation.w], [0, 1]);
+    assert.isTrue(waypoint.isWaypoint);
+  });
+
+  it('has default metadata', function() {
+    var waypoint = new ROS3D.Waypoint();
+    assert.deepEqual(waypoint.getMeta(), {name: '', dwellTime: 0, tolerance: 0, priority: undefined, action: null});
+    assert.isFalse(waypoint.hasArrivalTask());
+    assert.isTrue(new ROS3D.Waypoint({dwellTime: 1}).hasArrivalTask());
+    assert.isTrue(new ROS3D.Waypoint({action: action}).hasArrivalTask());
+  });
+
+  it('clone keeps the metadata and copies the pose', function() {
+    var waypoint = makeWaypoint();
+    var clone = waypoint.clone();
+    assert.instanceOf(clone, ROS3D.Waypoint);
+    assert.notStrictEqual(clone, waypoint);
+    assert.deepEqual(clone.getMeta(), {name: 'dock', dwellTime: 3, tolerance: 0.2, priority: 2, action: action});
+    assert.deepEqual(clone.position, waypoint.position);
+    assert.deepEqual(clone.orientation, waypoint.orientation);
+
+    clone.position.x = 7;
+    assert.equal(waypoint.position.x, 1);
+  });
+
+  it('keeps the methods of ROSLIB.Pose', function() {
+    var waypoint = makeWaypoint();
+    var transformed = waypoint.clone();
+    transformed.applyTransform(new ROSLIB.Transform({translation: {x: 1, y: 0, z: 0}}));
+    assert.closeTo(transformed.position.x, 2, 1e-9);
+    assert.equal(transformed.name, 'dock');
+  });
+
+});
@@ -0,0 +1,171 @@
+var assert = chai.assert;
+
+describe('WaypointList', function() {
+  var list, events;
+
+  // a list of the items, recording the events it emits as [name, event]
+  var makeList = function(items) {
+    var waypointList = new ROS3D.WaypointList({items: items});
+    ['added', 'removed', 'moved', 'updated', 'change'].forEach(function(name) {
+      waypointList.on(name, function(event) {
+        events.push([name, event]);
+      });
+    });
+    return waypointList;
+  };
+
+  // the events other than 'change'
+  var editEvents = function() {
+    return events.filter(function(entry) {
+      return entry[0] !== 'change';
+    });
+  };
+
+  beforeEach(function() {
+    events = [];
+    list = makeList(['a', 'b', 'c']);
+  });
+
+  it('copies the initial items', function() {
+    var items = ['a', 'b'];
+    var waypointList = new ROS3D.WaypointList({items: items});
+    items.push('c');
+    assert.deepEqual(waypointList.toArray(), ['a', 'b']);
+    assert.equal(waypointList.size(), 2);
+    assert.equal(waypointList.get(1), 'b');
+    assert.equal(waypointList.indexOf('b'), 1);
+  });
+
+  it('add appends the items and emits added', function() {
+    assert.equal(list.add('d', 'e'), 3);
+    assert.deepEqual(list.toArray(), ['a', 'b', 'c', 'd', 'e']);
+    assert.deepEqual(editEvents(), [['added', {index: 3, items: ['d', 'e']}]]);
+  });
+
+  it('emits change with the type after each event', function() {
+    list.add('d');
+    assert.deepEqual(events, [
+      ['added', {index: 3, items: ['d']}],
+      ['change', {type: 'added', index: 3, items: ['d']}],
+    ]);
+  });
+
+  it('insert clamps the index and emits added', function() {
+    assert.equal(list.insert(1, 'x'), 1);
+    assert.equal(list.insert(-5, 'y'), 0);
+    assert.equal(list.insert(99, 'z'), 5);
+    assert.deepEqual(list.toArray(), ['y', 'a', 'x', 'b', 'c', 'z']);
+    assert.deepEqual(editEvents(), [
+      ['added', {index: 1, items: ['x']}],
+      ['added', {index: 0, items: ['y']}],
+      ['added', {index: 5, items: ['z']}],
+    ]);
+  });
+
+  it('insert without items emits nothing', function() {
+    list.insert(1);
+    assert.deepEqual(events, []);
+  });
+
+  it('remove returns the removed items and emits removed', function() {
+    assert.deepEqual(list.remove(1), ['b']);
+    assert.deepEqual(list.remove(0, 5), ['a', 'c']);
+    assert.deepEqual(list.remove(0), []);
+    assert.deepEqual(list.toArray(), []);
+    assert.deepEqual(editEvents(), [
+      ['removed', {index: 1, items: ['b']}],
+      ['removed', {index: 0, items: ['a', 'c']}],
+    ]);
+  });
+
+  it('move moves the items and emits moved', function() {
+    assert.isTrue(list.move(0, 2));
+    assert.deepEqual(list.toArray(), ['b', 'c', 'a']);
+    assert.isTrue(list.move(1, 0, 2));
+    assert.deepEqual(list.toArray(), ['c', 'a', 'b']);
+    assert.deepEqual(editEvents(), [
+      ['moved', {from: 0, to: 2, items: ['a']}],
+      ['moved', {from: 1, to: 0, items: ['c', 'a']}],
+    ]);
+  });
+
+  it('move ignores invalid indices and moves to the same index', function() {
+    assert.isFalse(list.move(-1, 0));
+    assert.isFalse(list.move(0, 3));
+    assert.isFalse(list.move(0, 1, 0));
+    assert.isTrue(list.move(1, 1));
+    assert.deepEqual(list.toArray(), ['a', 'b', 'c']);
+    assert.deepEqual(events, []);
+  });
+
+  it('replace returns the old item and emits updated', function() {
+    assert.equal(list.replace(1, 'x'), 'b');
+    assert.isUndefined(list.replace(3, 'y'));
+    assert.deepEqual(list.toArray(), ['a', 'x', 'c']);
+    assert.deepEqual(editEvents(), [['updated', {index: 1, item: 'x', oldItem: 'b'}]]);
+  });
+
+  it('splice of a single item by a single item is an update', function() {
+    assert.deepEqual(list.splice(-1, 1, 'x'), ['c']);
+    assert.deepEqual(list.toArray(), ['a', 'b', 'x']);
+    assert.deepEqual(editEvents(), [['updated', {index: 2, item: 'x', oldItem: 'c'}]]);
+  });
+
+  it('splice removes then adds like Array.prototype.splice', function() {
+    assert.deepEqual(list.splice(1, 2, 'x', 'y', 'z'), ['b', 'c']);
+    assert.deepEqual(list.toArray(), ['a', 'x', 'y', 'z']);
+    assert.deepEqual(list.splice(2), ['y', 'z']);
+    assert.deepEqual(list.toArray(), ['a', 'x']);
+    assert.deepEqual(editEvents(), [
+      ['removed', {index: 1, items: ['b', 'c']}],
+      ['added', {index: 1, items: ['x', 'y', 'z']}],
+      ['removed', {index: 2, items: ['y', 'z']}],
+    ]);
+  });
+
+  it('clear removes all the items', function() {
+    assert.deepEqual(list.clear(), ['a', 'b', 'c']);
+    assert.equal(list.size(), 0);
+    assert.deepEqual(editEvents(), [['removed', {index: 0, items: ['a', 'b', 'c']}]]);
+    assert.deepEqual(list.clear(), []);
+    assert.equal(editEvents().length, 1);
+  });
+
+  it('push, pop and splice of items go through the operations', function() {
+    assert.equal(list.items.push('d', 'e'), 5);
+    assert.equal(list.items.pop(), 'e');
+    assert.deepEqual(list.items.splice(0, 1), ['a']);
+    assert.deepEqual(list.toArray(), ['b', 'c', 'd']);
+    assert.deepEqual(editEvents(), [
+      ['added', {index: 3, items: ['d', 'e']}],
+      ['removed', {index: 4, items: ['e']}],
+      ['removed', {index: 0, items: ['a']}],
+    ]);
+  });
+
+  it('the other mutating methods of items throw', function() {
+    ['unshift', 'shift', 'fill', 'reverse', 'sort', 'copyWithin'].forEach(function(name) {
+      assert.throws(function() {
+        list.items[name]('x');
+      }, /not supported/);
+    });
+    assert.deepEqual(list.toArray(), ['a', 'b', 'c']);
+    assert.deepEqual(events, []);
+  });
+
+  it('the non-mutating methods of items still work', function() {
+    assert.deepEqual(list.items.slice(1), ['b', 'c']);
+    assert.deepEqual(list.items.map(function(item) {
+      return item.toUpperCase();
+    }), ['A', 'B', 'C']);
+    assert.isTrue(Array.isArray(list.items));
+  });
+
+  it('assigning items.length or an element emits nothing (documented, use clear and replace)', function() {
+    list.items[0] = 'x';
+    list.items.length = 0;
+    assert.equal(list.size(), 0);
+    assert.deepEqual(events, []);
+  });
+
+});
@@ -0,0 +1,474 @@
+var assert = chai.assert;
+
+describe('WaypointMission', function() {
+  var navigator, goals, events;
+
+  var makePose = function(x, y) {
+    return new ROSLIB.Pose({position: {x: x, y: y, z: 0}, orientation: {x: 0, y: 0, z: 0, w: 1}});
+  };
+
+  // the parts of a ROS3D.Navigator_MW used by the mission, sendGoal records the sent goals
+  var makeNavigator = function(goalList) {
+    var rootObject = new EventEmitter2();
+    rootObject.onAny(function(name, event) {
+      events.push([name, event]);
+    });
+    return {
+      goalList : goalList,
+      rootObject : rootObject,
+      robotName : 'robot',
+      tfClient : null,
+      isPose : function(item) {
+        return item instanceof ROSLIB.Pose;
+      },
+      findNextPoseIndex : function(startIndex) {
+        for (var i = Math.max(startIndex, 0); i < this.goalList.length; i++) {
+          if (this.isPose(this.goalList[i])) {
+            return i;
+          }
+        }
+        return -1;
+      },
+      findPrevPoseIndex : function(lastIndex) {
+        for (var i = Math.min(lastIndex, this.goalList.length - 1); i >= 0; i--) {
+          if (this.isPose(this.goalList[i])) {
+            return i;
+          }
+        }
+        return -1;
+      },
+      sendGoal : function(pose) {
+        var goal = new EventEmitter2();
+        goal.pose = pose;
+        goal.index = this.goalList.indexOf(pose);
+        goal.cancelled = false;
+        goal.cancel = function() {
+          goal.cancelled = true;
+        };
+        goals.push(goal);
+        return goal;
+      },
+      runWaypointAction : function() {
+        return Promise.resolve();
+      },
+      highlightNodeAtIndex : function() {},
+      unhighlightAllNodes : function() {},
+    };
+  };
+
+  var makeMission = function(goalList, options) {
+    navigator = makeNavigator(goalList);
+    return new ROS3D.WaypointMission(Object.assign({navigator: navigator}, options));
+  };
+
+  // the action server finished the goal with the status
+  var finishGoal = function(goal, status) {
+    goal.status = {status: status};
+    goal.emit('status', goal.status);
+    goal.emit('result', {});
+  };
+
+  // the mission advances after the action/dwell of a reached waypoint, in a timeout
+  var wait = function() {
+    return new Promise(function(resolve) {
+      setTimeout(resolve, 10);
+    });
+  };
+
+  var sentIndices = function() {
+    return goals.map(function(goal) {
+      return goal.index;
+    });
+  };
+
+  var eventsNamed = function(name) {
+    return events.filter(function(entry) {
+      return entry[0] === name;
+    }).map(function(entry) {
+      return entry[1];
+    });
+  };
+
+  beforeEach(function() {
+    goals = [];
+    events = [];
+  });
+
+  it('sends the first pose on start, skipping the placeholders', function() {
+    var mission = makeMission(['placeholder', makePose(0, 0), makePose(1, 0)]);
+    assert.isTrue(mission.start());
+    assert.equal(mission.state, 'running');
+    assert.deepEqual(sentIndices(), [1]);
+    assert.deepEqual(eventsNamed('missionIndex'), [1]);
+  });
+
+  it('succeeds at once without any pose', function() {
+    var mission = makeMission(['placeholder']);
+    assert.isFalse(mission.start());
+    assert.equal(mission.state, 'succeeded');
+    assert.deepEqual(eventsNamed('missionFinished'),
+      [{success: true, state: 'succeeded', completed: [], failedIndex: -1, robot: 'robot'}]);
+  });
+
+  it('advances on SUCCEEDED and succeeds after the last pose', function() {
+    var mission = makeMission([makePose(0, 0), 'placeholder', makePose(1, 0)]);
+    mission.start();
+    finishGoal(goals[0], ROS3D.GOAL_STATUS_SUCCEEDED);
+    assert.equal(eventsNamed('missionArrived')[0].index, 0);
+    return wait().then(function() {
+      assert.deepEqual(sentIndices(), [0, 2]);
+      finishGoal(goals[1], ROS3D.GOAL_STATUS_SUCCEEDED);
+      return wait();
+    }).then(function() {
+      assert.equal(mission.state, 'succeeded');
+      assert.deepEqual(eventsNamed('missionFinished'),
+        [{success: true, state: 'succeeded', completed: [0, 2], failedIndex: -1, robot: 'robot'}]);
+    });
+  });
+
+  it('emits the status of the current goal', function() {
+    var mission = makeMission([makePose(0, 0)]);
+    mission.start();
+    goals[0].emit('status', {status: ROS3D.GOAL_STATUS_ACTIVE});
+    goals[0].emit('status', {status: ROS3D.GOAL_STATUS_ACTIVE});
+    var statuses = eventsNamed('missionStatus');
+    assert.equal(statuses.length, 2);
+    assert.deepEqual(statuses[1], {state: 'running', index: 0, lap: 0, goalStatus: ROS3D.GOAL_STATUS_ACTIVE, robot: 'robot'});
+  });
+
+  it('stops on ABORTED by default', function() {
+    var mission = makeMission([makePose(0, 0), makePose(1, 0)]);
+    mission.start();
+    finishGoal(goals[0], ROS3D.GOAL_STATUS_ABORTED);
+    assert.equal(mission.state, 'failed');
+    assert.deepEqual(sentIndices(), [0]);
+    assert.deepEqual(eventsNamed('missionFinished'),
+      [{success: false, state: 'failed', completed: [], failedIndex: 0, robot: 'robot'}]);
+  });
+
+  it('retries on ABORTED, then stops after maxRetries', function() {
+    var mission = makeMission([makePose(0, 0), makePose(1, 0)], {onFailure: 'retry', maxRetries: 2});
+    mission.start();
+    finishGoal(goals[0], ROS3D.GOAL_STATUS_ABORTED);
+    finishGoal(goals[1], ROS3D.GOAL_STATUS_REJECTED);
+    assert.deepEqual(sentIndices(), [0, 0, 0]);
+    assert.equal(mission.state, 'running');
+    finishGoal(goals[2], ROS3D.GOAL_STATUS_ABORTED);
+    assert.equal(mission.state, 'failed');
+    assert.equal(eventsNamed('missionFinished')[0].failedIndex, 0);
+  });
+
+  it('resets the retries of each waypoint', function() {
+    var mission = makeMission([makePose(0, 0), makePose(1, 0)], {onFailure: 'retry', maxRetries: 1});
+    mission.start();
+    finishGoal(goals[0], ROS3D.GOAL_STATUS_ABORTED);
+    finishGoal(goals[1], ROS3D.GOAL_STATUS_SUCCEEDED);
+    return wait().then(function() {
+      finishGoal(goals[2], ROS3D.GOAL_STATUS_ABORTED);
+      assert.deepEqual(sentIndices(), [0, 0, 1, 1]);
+      assert.equal(mission.state, 'running');
+    });
+  });
+
+  it('is cancelled when its goal is preempted by someone else', function() {
+    var mission = makeMission([makePose(0, 0), makePose(1, 0)]);
+    mission.start();
+    finishGoal(goals[0], ROS3D.GOAL_STATUS_PREEMPTED);
+    assert.equal(mission.state, 'cancelled');
+  });
+
+  it('pause cancels the goal, resume sends it again', function() {
+    var mission = makeMission([makePose(0, 0), makePose(1, 0)]);
+    assert.isFalse(mission.pause());
+    mission.start();
+    assert.isTrue(mission.pause());
+    assert.equal(mission.state, 'paused');
+    assert.isTrue(goals[0].cancelled);
+
+    // the result of the cancelled goal is ignored
+    finishGoal(goals[0], ROS3D.GOAL_STATUS_PREEMPTED);
+    assert.equal(mission.state, 'paused');
+
+    assert.isTrue(mission.resume());
+    assert.isFalse(mission.resume());
+    assert.equal(mission.state, 'running');
+    assert.deepEqual(sentIndices(), [0, 0]);
+  });
+
+  it('resume after a pause during the dwell continues with the next waypoint', function() {
+    var mission = makeMission([makePose(0, 0), makePose(1, 0)]);
+    mission.start();
+    finishGoal(goals[0], ROS3D.GOAL_STATUS_SUCCEEDED);
+    mission.pause();
+    return wait().then(function() {
+      assert.deepEqual(sentIndices(), [0]);
+      mission.resume();
+      assert.deepEqual(sentIndices(), [0, 1]);
+    });
+  });
+
+  it('skip sends the next waypoint', function() {
+    var mission = makeMission([makePose(0, 0), makePose(1, 0), makePose(2, 0)]);
+    assert.isFalse(mission.skip());
+    mission.start();
+    assert.isTrue(mission.skip());
+    assert.isTrue(goals[0].cancelled);
+    assert.deepEqual(sentIndices(), [0, 1]);
+    assert.deepEqual(mission.completed, []);
+  });
+
+  it('skip while paused moves to the next waypoint without sending it', function() {
+    var mission = makeMission([makePose(0, 0), makePose(1, 0), makePose(2, 0)]);
+    mission.start();
+    mission.pause();
+    mission.skip();
+    assert.equal(mission.currentIndex, 1);
+    assert.deepEqual(sentIndices(), [0]);
+    mission.resume();
+    assert.deepEqual(sentIndices(), [0, 1]);
+  });
+
+  it('skip of the last waypoint succeeds', function() {
+    var mission = makeMission([makePose(0, 0)]);
+    mission.start();
+    mission.skip();
+    assert.equal(mission.state, 'succeeded');
+  });
+
+  it('cancel cancels the goal and finishes the mission', function() {
+    var mission = makeMission([makePose(0, 0), makePose(1, 0)]);
+    assert.isFalse(mission.cancel());
+    mission.start();
+    assert.isTrue(mission.cancel());
+    assert.isTrue(goals[0].cancelled);
+    assert.equal(mission.state, 'cancelled');
+    assert.deepEqual(eventsNamed('missionFinished'),
+      [{success: false, state: 'cancelled', completed: [], failedIndex: -1, robot: 'robot'}]);
+    assert.isFalse(mission.cancel());
+  });
+
+  it('cancel during the dwell does not advance', function() {
+    var mission = makeMission([makePose(0, 0), makePose(1, 0)]);
+    mission.start();
+    finishGoal(goals[0], ROS3D.GOAL_STATUS_SUCCEEDED);
+    mission.cancel();
+    return wait().then(function() {
+      assert.deepEqual(sentIndices(), [0]);
+      assert.equal(mission.state, 'cancelled');
+    });
+  });
+
+  describe('repeat modes', function() {
+
+    // the action server finishes the last sent goals with SUCCEEDED, one after the other
+    var succeedGoals = function(count) {
+      if (count <= 0) {
+        return Promise.resolve();
+      }
+      finishGoal(goals[goals.length - 1], ROS3D.GOAL_STATUS_SUCCEEDED);
+      return wait().then(function() {
+        return succeedGoals(count - 1);
+      });
+    };
+
+    it('once drives the list once', function() {
+      var mission = makeMission([makePose(0, 0), makePose(1, 0), makePose(2, 0)]);
+      mission.start();
+      return succeedGoals(3).then(function() {
+        assert.deepEqual(sentIndices(), [0, 1, 2]);
+        assert.equal(mission.state, 'succeeded');
+        assert.equal(mission.lap, 0);
+      });
+    });
+
+    it('loop drives back to the first waypoint for each lap', function() {
+      var mission = makeMission([makePose(0, 0), 'placeholder', makePose(1, 0), makePose(2, 0)],
+                                {repeatMode: 'loop', laps: 2});
+      mission.start();
+      return succeedGoals(6).then(function() {
+        assert.deepEqual(sentIndices(), [0, 2, 3, 0, 2, 3]);
+        assert.equal(mission.state, 'succeeded');
+        assert.equal(mission.lap, 1);
+        assert.deepEqual(eventsNamed('missionFinished')[0].completed, [0, 2, 3, 0, 2, 3]);
+      });
+    });
+
+    it('pingpong drives the list back and forth, one lap per pass', function() {
+      var mission = makeMission([makePose(0, 0), makePose(1, 0), makePose(2, 0)], {repeatMode: 'pingpong', laps: 3});
+      mission.start();
+      return succeedGoals(7).then(function() {
+        assert.deepEqual(sentIndices(), [0, 1, 2, 1, 0, 1, 2]);
+        assert.equal(mission.state, 'succeeded');
+        assert.equal(mission.lap, 2);
+      });
+    });
+
+    it('reports the lap in missionStatus', function() {
+      var mission = makeMission([makePose(0, 0), makePose(1, 0)], {repeatMode: 'pingpong', laps: 2});
+      mission.start();
+      return succeedGoals(2).then(function() {
+        goals[2].emit('status', {status: ROS3D.GOAL_STATUS_ACTIVE});
+        var statuses = eventsNamed('missionStatus');
+        assert.equal(statuses[0].lap, 0);
+        assert.equal(statuses[statuses.length - 1].lap, 1);
+        assert.equal(mission.direction, -1);
+      });
+    });
+
+    it('repeats forever with 0 laps, until cancelled', function() {
+      var mission = makeMission([makePose(0, 0), makePose(1, 0)], {repeatMode: 'loop', laps: 0});
+      mission.start();
+      return succeedGoals(9).then(function() {
+        assert.deepEqual(sentIndices(), [0, 1, 0, 1, 0, 1, 0, 1, 0, 1]);
+        assert.equal(mission.lap, 4);
+        assert.equal(mission.state, 'running');
+        mission.cancel();
+        assert.equal(mission.state, 'cancelled');
+      });
+    });
+
+    it('a single waypoint is driven once', function() {
+      var mission = makeMission([makePose(0, 0)], {repeatMode: 'loop', laps: 0});
+      mission.start();
+      return succeedGoals(1).then(function() {
+        assert.deepEqual(sentIndices(), [0]);
+        assert.equal(mission.state, 'succeeded');
+      });
+    });
+
+    it('skip counts the lap at the end of the list', function() {
+      var mission = makeMission([makePose(0, 0), makePose(1, 0)], {repeatMode: 'loop', laps: 2});
+      mission.start();
+      mission.skip();
+      mission.skip();
+      assert.deepEqual(sentIndices(), [0, 1, 0]);
+      assert.equal(mission.lap, 1);
+      mission.skip();
+      mission.skip();
+      assert.equal(mission.state, 'succeeded');
+    });
+
+    it('setRepeatMode changes the mode of a running mission', function() {
+      var mission = makeMission([makePose(0, 0), makePose(1, 0)]);
+      mission.start();
+      mission.setRepeatMode('loop', 2);
+      return succeedGoals(4).then(function() {
+        assert.deepEqual(sentIndices(), [0, 1, 0, 1]);
+        assert.equal(mission.state, 'succeeded');
+      });
+    });
+
+    it('setRepeatMode rejects unknown modes', function() {
+      var mission = makeMission([makePose(0, 0)]);
+      assert.throws(function() {
+        mission.setRepeatMode('random');
+      }, /not supported/);
+      assert.equal(mission.repeatMode, 'once');
+    });
+
+  });
+
+  describe('edits of the goalList', function() {
+    var a, b, c, d, list;
+
+    // a mission following a WaypointList of the poses a, b, c
+    var makeListMission = function() {
+      list = new ROS3D.WaypointList({items: [a, b, c]});
+      var mission = makeMission(list.items);
+      mission.followList(list);
+      return mission;
+    };
+
+    var sentPoses = function() {
+      return goals.map(function(goal) {
+        return goal.pose;
+      });
+    };
+
+    beforeEach(function() {
+      a = makePose(0, 0);
+      b = makePose(1, 0);
+      c = makePose(2, 0);
+      d = makePose(3, 0);
+    });
+
+    it('keeps executing the same waypoint when one is inserted before it', function() {
+      var mission = makeListMission();
+      mission.start(1);
+      list.insert(0, d);
+      assert.equal(mission.currentIndex, 2);
+      assert.deepEqual(eventsNamed('missionIndex'), [1, 2]);
+      finishGoal(goals[0], ROS3D.GOAL_STATUS_SUCCEEDED);
+      return wait().then(function() {
+        assert.deepEqual(sentPoses(), [b, c]);
+        assert.deepEqual(mission.completed, [2]);
+      });
+    });
+
+    it('does not run past the end when a waypoint before the current one is removed', function() {
+      var mission = makeListMission();
+      mission.start(2);
+      list.remove(0);
+      assert.equal(mission.currentIndex, 1);
+      finishGoal(goals[0], ROS3D.GOAL_STATUS_SUCCEEDED);
+      return wait().then(function() {
+        assert.deepEqual(sentPoses(), [c]);
+        assert.equal(mission.state, 'succeeded');
+        assert.deepEqual(eventsNamed('missionFinished')[0].completed, [1]);
+      });
+    });
+
+    it('goes on with the next waypoint when the current one is removed', function() {
+      var mission = makeListMission();
+      mission.start(1);
+      list.remove(1);
+      assert.isTrue(goals[0].cancelled);
+      assert.deepEqual(sentPoses(), [b, c]);
+      assert.equal(mission.currentIndex, 1);
+
+      // the result of the cancelled goal is ignored
+      finishGoal(goals[0], ROS3D.GOAL_STATUS_PREEMPTED);
+      assert.equal(mission.state, 'running');
+    });
+
+    it('succeeds when the last waypoint is removed while it is executed', function() {
+      var mission = makeListMission();
+      mission.start(2);
+      list.remove(2);
+      assert.equal(mission.state, 'succeeded');
+    });
+
+    it('follows the current waypoint when it is moved', function() {
+      var mission = makeListMission();
+      mission.start(0);
+      list.move(0, 2);
+      assert.equal(mission.currentIndex, 2);
+      list.move(1, 0);
+      assert.equal(mission.currentIndex, 2);
+      list.move(0, 1, 2);
+      assert.equal(mission.currentIndex, 0);
+      assert.deepEqual(list.toArray(), [a, c, b]);
+      assert.deepEqual(sentPoses(), [a]);
+    });
+
+    it('resumes with the next waypoint when the current one was removed while paused', function() {
+      var mission = makeListMission();
+      mission.start(0);
+      mission.pause();
+      list.remove(0);
+      assert.deepEqual(sentPoses(), [a]);
+      mission.resume();
+      assert.deepEqual(sentPoses(), [a, b]);
+      assert.equal(mission.currentIndex, 0);
+    });
+
+    it('ignores the edits when the mission is not running', function() {
+      var mission = makeListMission();
+      list.insert(0, d);
+      assert.equal(mission.currentIndex, -1);
+      assert.deepEqual(goals, []);
+    });
+
+  });
+
+});
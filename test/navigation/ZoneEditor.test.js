@@ -0,0 +1,316 @@
+var assert = chai.assert;
+
+describe('ZoneEditor', function() {
+  var ros = new ROSLIB.Ros();
+
+  // a camera looking down at the map plane
+  var camera = new THREE.PerspectiveCamera(60, 1, 0.1, 100);
+  camera.position.set(0, 0, 10);
+  camera.lookAt(0, 0, 0);
+  camera.updateMatrixWorld(true);
+  var mapPlane = { plane: new THREE.Plane(new THREE.Vector3(0, 0, 1), 0) };
+
+  // the event3D of a left mouse button event at the point (x, y) of the map plane
+  var mouseEvent = function(type, x, y) {
+    var point = new THREE.Vector3(x, y, 0);
+    var mousePos = point.clone().project(camera);
+    return {
+      type : type,
+      domEvent : { type: type, button: 0, buttons: (type === 'mouseup' || type === 'dblclick') ? 0 : 1 },
+      mousePos : new THREE.Vector2(mousePos.x, mousePos.y),
+      camera : camera,
+      intersection : { point: point, object: mapPlane },
+      stopPropagation : function() {},
+      forceExitToFallbackTarget : function() {},
+    };
+  };
+
+  var click = function(editor, x, y) {
+    editor.mouseEventHandler(mouseEvent('mousedown', x, y));
+    editor.mouseEventHandler(mouseEvent('mouseup', x, y));
+  };
+
+  // press at from, move through points and release at the last one
+  var drag = function(editor, from, points) {
+    editor.mouseEventHandler(mouseEvent('mousedown', from[0], from[1]));
+    points.forEach(function(point) {
+      editor.mouseEventHandler(mouseEvent('mousemove', point[0], point[1]));
+    });
+    var last = points[points.length - 1];
+    editor.mouseEventHandler(mouseEvent('mouseup', last[0], last[1]));
+  };
+
+  // an editor recording the published messages per topic, and the events of its root object as [name, event]
+  var makeEditor = function(navOptions) {
+    var rootObject = new EventEmitter2();
+    rootObject.events = [];
+    rootObject.onAny(function(name, event) {
+      if (name !== 'change') {
+        rootObject.events.push([name, event]);
+      }
+    });
+    var editor = new ROS3D.ZoneEditor({
+      ros : ros,
+      rootObject : rootObject,
+      navOptions : Object.assign({navInitState: true}, navOptions),
+    });
+    editor.published = {};
+    editor.unadvertised = [];
+    // record the messages of the topics once created
+    var publishPolygon = editor.publishPolygon;
+    editor.publishPolygon = function(topicName, points) {
+      if (!editor.topics[topicName]) {
+        publishPolygon.call(editor, topicName, []);
+        var topic = editor.topics[topicName];
+        topic.publish = function(message) {
+          (editor.published[topicName] = editor.published[topicName] || []).push(message);
+        };
+        topic.unadvertise = function() {
+          editor.unadvertised.push(topicName);
+        };
+      }
+      publishPolygon.call(editor, topicName, points);
+    };
+    return editor;
+  };
+
+  // the last polygon published on the topic, as [[x, y]]
+  var lastPolygon = function(editor, topicName) {
+    var messages = editor.published[topicName];
+    return messages[messages.length - 1].polygon.points.map(function(point) {
+      return [point.x, point.y];
+    });
+  };
+
+  var square = [{x: 0, y: 0}, {x: 2, y: 0}, {x: 2, y: 2}, {x: 0, y: 2}];
+
+  describe('drawing', function() {
+    it('adds the clicked vertices and finishes the zone on its first vertex', function() {
+      var editor = makeEditor();
+      click(editor, 0, 0);
+      click(editor, 2, 0);
+      click(editor, 2, 2);
+      assert.equal(editor.zones.length, 0);
+      assert.equal(editor.drawingZone.points.length, 3);
+
+      click(editor, 0.05, 0);
+      assert.isNull(editor.drawingZone);
+      assert.deepEqual(editor.toJSON(), {
+        frame_id : 'map',
+        zones : [{name: 'zone_1', type: 'keepout', points: [{x: 0, y: 0}, {x: 2, y: 0}, {x: 2, y: 2}]}],
+      });
+      var message = editor.published['/keepout_zones/zone_1'][0];
+      assert.equal(message.header.frame_id, 'map');
+      assert.deepEqual(lastPolygon(editor, '/keepout_zones/zone_1'), [[0, 0], [2, 0], [2, 2]]);
+      assert.equal(editor.topics['/keepout_zones/zone_1'].messageType, 'geometry_msgs/PolygonStamped');
+      assert.isTrue(editor.topics['/keepout_zones/zone_1'].latch);
+      assert.deepEqual(editor.rootObject.events[editor.rootObject.events.length - 1], ['zonesChange', editor.toJSON()]);
+    });
+
+    it('a double click finishes the zone, a zone needs 3 vertices', function() {
+      var editor = makeEditor({defaultZoneType: 'speed_limit'});
+      click(editor, 0, 0);
+      click(editor, 2, 0);
+      click(editor, 2, 0);
+      editor.mouseEventHandler(mouseEvent('dblclick', 2, 0));
+      assert.isNull(editor.drawingZone);
+      assert.equal(editor.zones.length, 0);
+
+      click(editor, 0, 0);
+      click(editor, 2, 0);
+      click(editor, 2, 2);
+      click(editor, 2, 2);
+      editor.mouseEventHandler(mouseEvent('dblclick', 2, 2));
+      assert.equal(editor.zones.length, 1);
+      assert.equal(editor.zones[0].type, 'speed_limit');
+      assert.equal(editor.zones[0].points.length, 3);
+      assert.isOk(editor.published['/speed_limit_zones/zone_1']);
+    });
+
+    it('deactivating finishes the zone being drawn', function() {
+      var editor = makeEditor();
+      click(editor, 0, 0);
+      click(editor, 2, 0);
+      click(editor, 2, 2);
+      editor.deactivate();
+      assert.equal(editor.zones.length, 1);
+      click(editor, 5, 5);
+      assert.isNull(editor.drawingZone);
+    });
+
+    it('ignores the mouse when it is not active', function() {
+      var editor = makeEditor({navInitState: false});
+      click(editor, 0, 0);
+      assert.isNull(editor.drawingZone);
+    });
+  });
+
+  describe('editing', function() {
+    it('a click in a zone selects it, a click outside deselects it', function() {
+      var editor = makeEditor();
+      editor.addZone(square, 'dock');
+      click(editor, 1, 1);
+      assert.equal(editor.selectedIndex, 0);
+      assert.deepEqual(editor.rootObject.events.filter(function(event) {
+        return event[0] === 'zoneSelected';
+      }), [['zoneSelected', editor.zoneToJSON(editor.zones[0])]]);
+
+      click(editor, 5, 5);
+      assert.equal(editor.selectedIndex, -1);
+      assert.isNull(editor.drawingZone);
+    });
+
+    it('dragging a vertex of the selected zone moves it and publishes the zone', function() {
+      var editor = makeEditor();
+      editor.addZone(square, 'dock');
+      editor.selectZone(0);
+      var published = editor.published['/keepout_zones/dock'].length;
+      drag(editor, [2, 2], [[2.5, 2.5], [3, 3]]);
+      assert.closeTo(editor.zones[0].points[2].x, 3, 1e-6);
+      assert.closeTo(editor.zones[0].points[2].y, 3, 1e-6);
+      assert.equal(editor.published['/keepout_zones/dock'].length, published + 1);
+      assert.isNull(editor.dragState);
+    });
+
+    it('dragging inside a zone moves the whole zone', function() {
+      var editor = makeEditor();
+      editor.addZone(square, 'dock');
+      drag(editor, [1, 1], [[2, 1], [3, 2]]);
+      lastPolygon(editor, '/keepout_zones/dock').forEach(function(point, i) {
+        assert.closeTo(point[0], square[i].x + 2, 1e-6);
+        assert.closeTo(point[1], square[i].y + 1, 1e-6);
+      });
+    });
+
+    it('a click without moving does not publish the zone again', function() {
+      var editor = makeEditor();
+      editor.addZone(square, 'dock');
+      click(editor, 1, 1);
+      assert.equal(editor.published['/keepout_zones/dock'].length, 1);
+    });
+
+    it('a double click on a vertex removes it, a zone keeps 3 vertices', function() {
+      var editor = makeEditor();
+      editor.addZone(square, 'dock');
+      editor.selectZone(0);
+      editor.mouseEventHandler(mouseEvent('dblclick', 2, 2));
+      assert.deepEqual(lastPolygon(editor, '/keepout_zones/dock'), [[0, 0], [2, 0], [0, 2]]);
+      editor.mouseEventHandler(mouseEvent('dblclick', 0, 0));
+      assert.equal(editor.zones[0].points.length, 3);
+      assert.isFalse(editor.removeVertex(0, 0));
+    });
+  });
+
+  describe('topics', function() {
+    it('deleting a zone publishes an empty polygon on its topic and unadvertises it', function() {
+      var editor = makeEditor();
+      editor.addZone(square, 'a');
+      editor.addZone(square, 'b');
+      editor.selectZone(1);
+      editor.deleteZone(0);
+      assert.deepEqual(lastPolygon(editor, '/keepout_zones/a'), []);
+      assert.deepEqual(editor.unadvertised, ['/keepout_zones/a']);
+      assert.isUndefined(editor.topics['/keepout_zones/a']);
+      assert.equal(editor.selectedIndex, 0);
+      assert.deepEqual(editor.rootObject.events.filter(function(event) {
+        return event[0] === 'zoneDeleted';
+      }), [['zoneDeleted', {name: 'a', type: 'keepout', points: square}]]);
+
+      editor.deleteSelectedZone();
+      assert.deepEqual(editor.zones, []);
+      assert.equal(editor.selectedIndex, -1);
+    });
+
+    it('renaming or retyping a zone clears its previous topic', function() {
+      var editor = makeEditor();
+      editor.addZone(square, 'a');
+      editor.setZoneName(0, 'dock area');
+      assert.deepEqual(lastPolygon(editor, '/keepout_zones/a'), []);
+      assert.equal(editor.zones[0].topic, '/keepout_zones/dock_area');
+
+      editor.setZoneType(0, 'speed_limit');
+      assert.deepEqual(lastPolygon(editor, '/keepout_zones/dock_area'), []);
+      assert.equal(lastPolygon(editor, '/speed_limit_zones/dock_area').length, 4);
+      assert.deepEqual(editor.unadvertised, ['/keepout_zones/a', '/keepout_zones/dock_area']);
+    });
+
+    it('keeps the names unique, also as topic names', function() {
+      var editor = makeEditor();
+      editor.addZone(square, 'zone_2');
+      editor.addZone(square);
+      editor.addZone(square);
+      assert.deepEqual(editor.zones.map(function(zone) {
+        return zone.name;
+      }), ['zone_2', 'zone_1', 'zone_3']);
+      assert.throws(function() {
+        editor.addZone(square, 'zone 1');
+      }, /already used/);
+      assert.throws(function() {
+        editor.setZoneName(0, '');
+      }, /needs a name/);
+      assert.equal(editor.getTopicToken('1st'), 'zone_1st');
+    });
+
+    it('rejects an unknown type and a zone with less than 3 points', function() {
+      var editor = makeEditor();
+      assert.throws(function() {
+        editor.addZone(square, 'a', 'forbidden');
+      }, /Unknown zone type/);
+      assert.throws(function() {
+        editor.addZone(square.slice(0, 2));
+      }, /at least 3 points/);
+      assert.throws(function() {
+        makeEditor({defaultZoneType: 'forbidden'});
+      }, /Unknown zone type/);
+    });
+
+    it('does not publish a zone whose type has no topic', function() {
+      var editor = makeEditor({zoneTypes: {local: {color: 0x00ff00}}});
+      editor.addZone(square, 'a');
+      assert.deepEqual(editor.published, {});
+      assert.isNull(editor.zones[0].topic);
+    });
+  });
+
+  describe('JSON', function() {
+    it('loads the zones of toJSON and publishes them', function() {
+      var editor = makeEditor();
+      editor.addZone(square, 'a');
+      var data = editor.toJSON();
+
+      var other = makeEditor();
+      other.loadJSON(JSON.stringify(data));
+      assert.deepEqual(other.toJSON(), data);
+      assert.equal(lastPolygon(other, '/keepout_zones/a').length, 4);
+    });
+
+    it('clears the topics of the previous zones that are not loaded again', function() {
+      var editor = makeEditor();
+      editor.addZone(square, 'a');
+      editor.addZone(square, 'b');
+      editor.loadJSON({zones: [{name: 'b', type: 'keepout', points: square}, {points: square}]});
+      assert.deepEqual(editor.unadvertised, ['/keepout_zones/a']);
+      assert.deepEqual(editor.zones.map(function(zone) {
+        return zone.name;
+      }), ['b', 'zone_1']);
+    });
+
+    it('rejects invalid zones and keeps the current ones', function() {
+      var editor = makeEditor();
+      editor.addZone(square, 'a');
+      assert.throws(function() {
+        editor.loadJSON({});
+      }, /no zones list/);
+      assert.throws(function() {
+        editor.loadJSON({zones: [{points: square.slice(0, 2)}]});
+      }, /at least 3 points/);
+      assert.throws(function() {
+        editor.loadJSON({zones: [{name: 'b', points: square}, {name: 'b', points: square}]});
+      }, /used twice/);
+      assert.deepEqual(editor.zones.map(function(zone) {
+        return zone.name;
+      }), ['a']);
+    });
+  });
+
+});
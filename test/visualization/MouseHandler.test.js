@@ -0,0 +1,151 @@
+var assert = chai.assert;
+
+describe('MouseHandler', function() {
+  // a 100x100 canvas showing the plane z = 0 from above
+  var makeHandler = function(options) {
+    var domElement = new THREE.EventDispatcher();
+    Object.assign(domElement, {
+      clientLeft : 0,
+      clientTop : 0,
+      scrollLeft : 0,
+      scrollTop : 0,
+      clientWidth : 100,
+      clientHeight : 100,
+      getBoundingClientRect : function() {
+        return {left: 0, top: 0};
+      },
+    });
+    var camera = new THREE.PerspectiveCamera(60, 1, 0.1, 100);
+    camera.position.set(0, 0, 10);
+    camera.lookAt(0, 0, 0);
+    camera.updateMatrixWorld(true);
+
+    // the map, accepting the left mouse button like ROS3D.Navigator, recording the events it gets
+    var map = new THREE.Mesh(new THREE.PlaneGeometry(100, 100), new THREE.MeshBasicMaterial());
+    map.events = [];
+    ['mouseover', 'mousedown', 'mousemove', 'mouseup'].forEach(function(type) {
+      map.addEventListener(type, function(event3D) {
+        map.events.push([type, event3D.domEvent.button, event3D.domEvent.buttons]);
+        if (type !== 'mouseover' || event3D.domEvent.type === 'mousedown') {
+          event3D.stopPropagation();
+        }
+      });
+    });
+    var rootObject = new THREE.Scene();
+    rootObject.add(map);
+    rootObject.updateMatrixWorld(true);
+
+    var handler = new ROS3D.MouseHandler(Object.assign({
+      renderer : {domElement: domElement},
+      camera : camera,
+      rootObject : rootObject,
+      fallbackTarget : new THREE.EventDispatcher(),
+      touchHoldDelay : 10,
+    }, options));
+    handler.map = map;
+    handler.domElement = domElement;
+    return handler;
+  };
+
+  var touch = function(x, y, touchType) {
+    return {clientX: x, clientY: y, touchType: touchType};
+  };
+
+  // dispatch a touch DOM event of the fingers touches (changedTouches for the lifted ones) on the canvas
+  var touchEvent = function(handler, type, touches, changedTouches) {
+    handler.domElement.dispatchEvent({
+      type : type,
+      target : handler.domElement,
+      touches : touches,
+      changedTouches : changedTouches || touches,
+      preventDefault : function() {},
+    });
+  };
+
+  var pointerDown = function(handler, pointerType) {
+    handler.domElement.dispatchEvent({type: 'pointerdown', pointerType: pointerType});
+  };
+
+  var wait = function(ms) {
+    return new Promise(function(resolve) {
+      setTimeout(resolve, ms);
+    });
+  };
+
+  it('handles a pen of Pointer Events like the left mouse button right away', function() {
+    var handler = makeHandler();
+    pointerDown(handler, 'pen');
+    touchEvent(handler, 'touchstart', [touch(50, 50)]);
+    touchEvent(handler, 'touchmove', [touch(60, 50)]);
+    touchEvent(handler, 'touchend', [], [touch(60, 50)]);
+    assert.deepEqual(handler.map.events, [
+      ['mouseover', 0, 1],
+      ['mousedown', 0, 1],
+      ['mousemove', 0, 1],
+      ['mouseup', 0, 0],
+    ]);
+    assert.isFalse(handler.touchDragging);
+  });
+
+  it('trusts the pointerType of Pointer Events over the touchType of the touch', function() {
+    var handler = makeHandler({touchHoldDelay: 1000});
+    pointerDown(handler, 'touch');
+    touchEvent(handler, 'touchstart', [touch(50, 50, 'stylus')]);
+    assert.deepEqual(handler.map.events, []);
+    assert.isOk(handler.touchHold);
+    handler.cancelTouchHold();
+  });
+
+  it('handles a touch of touchType stylus as a pen without Pointer Events', function() {
+    var handler = makeHandler({touchHoldDelay: 1000});
+    assert.isTrue(handler.isPen(touch(0, 0, 'stylus')));
+    assert.isFalse(handler.isPen(touch(0, 0, 'direct')));
+    touchEvent(handler, 'touchstart', [touch(50, 50, 'stylus')]);
+    assert.deepEqual(handler.map.events[1], ['mousedown', 0, 1]);
+    assert.isTrue(handler.touchDragging);
+  });
+
+  it('handles a finger held still like the left mouse button', function() {
+    var handler = makeHandler();
+    pointerDown(handler, 'touch');
+    touchEvent(handler, 'touchstart', [touch(50, 50)]);
+    touchEvent(handler, 'touchmove', [touch(52, 50)]);
+    assert.deepEqual(handler.map.events, []);
+    return wait(30).then(function() {
+      assert.deepEqual(handler.map.events.map(function(event) {
+        return event[0];
+      }), ['mouseover', 'mousedown']);
+      touchEvent(handler, 'touchend', [], [touch(52, 50)]);
+      assert.deepEqual(handler.map.events[2], ['mouseup', 0, 0]);
+    });
+  });
+
+  it('leaves a moving finger and two fingers to the camera controls', function() {
+    var handler = makeHandler();
+    touchEvent(handler, 'touchstart', [touch(50, 50)]);
+    touchEvent(handler, 'touchmove', [touch(70, 50)]);
+    assert.isNull(handler.touchHold);
+
+    touchEvent(handler, 'touchstart', [touch(50, 50)]);
+    touchEvent(handler, 'touchstart', [touch(50, 50), touch(60, 60)]);
+    assert.isNull(handler.touchHold);
+    return wait(30).then(function() {
+      assert.isFalse(handler.touchDragging);
+      assert.notInclude(handler.map.events.map(function(event) {
+        return event[0];
+      }), 'mousedown');
+    });
+  });
+
+  it('records the pointerType without processing the pointer events', function() {
+    var handler = makeHandler();
+    var prevented = false;
+    handler.domElement.dispatchEvent({type: 'pointerdown', pointerType: 'mouse', preventDefault: function() {
+      prevented = true;
+    }});
+    assert.equal(handler.pointerType, 'mouse');
+    assert.isFalse(prevented);
+    assert.deepEqual(handler.map.events, []);
+  });
+
+});